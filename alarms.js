@@ -0,0 +1,211 @@
+/**
+ * alarms.js — Normalized alarm records for `display alarm ...` output
+ * ----------------------------------------------------
+ * The `model.alarms` section keeps three collections:
+ *   {
+ *     active:     [alarm],  // display alarm active [verbose]
+ *     history:    [alarm],  // display alarm all / display alarm history [verbose]
+ *     configured: [{ name, severity, line }]  // `alarm` view: alarm-name X severity Y
+ *   }
+ * Every raised alarm, whatever the output format (table or verbose), is one record:
+ *   { sequence, alarm_id, name, type, severity, state, start_time, end_time, time_text, description }
+ * `start_time` / `end_time` are ISO 8601 ("2025-10-07T13:34:34+03:00") so they sort
+ * as text; `time_text` keeps the device notation ("2025-10-07 13:34:34+03:00 DST").
+ * `severity` is one of SEVERITY_ORDER (numeric table levels are mapped through the
+ * "1:Critical  2:Major ..." legend). `addAlarm` dedupes by sequence number (or
+ * alarm ID / description + start time) and merges the fields of both copies, so
+ * `display alarm active` and `display alarm active verbose` of one log yield one record.
+ */
+const { SEVERITY_ORDER } = require("./health_rules");
+
+// "1:Critical  2:Major  3:Minor  4:Warning" (VRP default)
+const DEFAULT_LEVELS = { 1: "Critical", 2: "Major", 3: "Minor", 4: "Warning" };
+
+// Table column header -> record field ("Index" is a row number, not a sequence)
+const TABLE_COLUMNS = {
+  sequence: "sequence",
+  alarmid: "alarm_id",
+  alarmname: "name",
+  name: "name",
+  level: "severity",
+  severity: "severity",
+  state: "state",
+};
+
+// ---------- Utils ----------
+const lower = (s) => String(s || "").toLowerCase();
+const lines = (text) => String(text || "").split(/\r?\n/);
+const toInt = (v) => {
+  const n = parseInt(String(v ?? "").replace(/[^0-9\-]/g, ""), 10);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Parses a VRP alarm timestamp; the text may be wrapped over table lines.
+ * "2025-10-07 13:34:34+03:00 DST" -> { iso: "2025-10-07T13:34:34+03:00", text: "2025-10-07 13:34:34+03:00 DST" }
+ * @param {string} text
+ * @returns {object|null} - { iso, text }, null when there is no date and time.
+ */
+function parseAlarmTime(text) {
+  const compact = String(text || "").replace(/\s+/g, "");
+  const m = compact.match(/^(\d{4})[-/](\d{2})[-/](\d{2})(\d{2}:\d{2}(?::\d{2})?)(?:([+-])(\d{2}):?(\d{2}))?(DST)?/i);
+  if (!m) return null;
+  const [, y, mo, d, t, sign, oh, om, dst] = m;
+  const time = t.length === 5 ? `${t}:00` : t;
+  const offset = sign ? `${sign}${oh}:${om}` : "";
+  return { iso: `${y}-${mo}-${d}T${time}${offset}`, text: `${y}-${mo}-${d} ${time}${offset}${dst ? " DST" : ""}` };
+}
+
+/**
+ * Maps a level to one of SEVERITY_ORDER ("major" -> "Major", "2" -> "Major").
+ * @param {string|number} value
+ * @param {object} [levels] - Numeric level legend of the table.
+ * @returns {string|null}
+ */
+function normalizeSeverity(value, levels = DEFAULT_LEVELS) {
+  const v = String(value ?? "").trim();
+  if (!v) return null;
+  if (/^\d+$/.test(v)) return levels[v] || v;
+  return SEVERITY_ORDER.find(s => lower(s) === lower(v)) || v;
+}
+
+/**
+ * Builds a normalized alarm record from loosely named fields.
+ * @param {object} fields - { sequence, alarm_id, name, type, severity|level, state, time_text|start_time, end_time, description }
+ * @param {object} [levels] - Numeric level legend.
+ * @returns {object}
+ */
+function normalizeAlarm(fields, levels) {
+  const f = fields || {};
+  const start = parseAlarmTime(f.time_text || f.start_time);
+  const end = parseAlarmTime(f.end_time);
+  return {
+    sequence: toInt(f.sequence),
+    alarm_id: f.alarm_id || null,
+    name: f.name || null,
+    type: f.type || null,
+    severity: normalizeSeverity(f.severity ?? f.level, levels),
+    state: f.state ? lower(f.state) : null,
+    start_time: start ? start.iso : null,
+    end_time: end ? end.iso : null,
+    time_text: start ? start.text : (f.time_text || f.start_time || null),
+    description: String(f.description || "").replace(/\s+/g, " ").trim() || null,
+  };
+}
+
+function alarmKey(a) {
+  if (a.sequence != null) return `#${a.sequence}`;
+  if (a.alarm_id) return `${a.alarm_id}@${a.start_time || a.time_text || ""}`;
+  return `${a.description || ""}@${a.start_time || a.time_text || ""}`;
+}
+
+/**
+ * Adds an alarm to a collection unless it is already there; a duplicate only
+ * fills the fields the stored record lacks.
+ * @param {Array<object>} list
+ * @param {object} alarm - A normalized record.
+ * @returns {object} - The stored record.
+ */
+function addAlarm(list, alarm) {
+  const key = alarmKey(alarm);
+  const existing = list.find(a => alarmKey(a) === key);
+  if (!existing) {
+    list.push(alarm);
+    return alarm;
+  }
+  for (const [k, v] of Object.entries(alarm)) {
+    if (existing[k] == null && v != null) existing[k] = v;
+  }
+  return existing;
+}
+
+// ---------- Parsers ----------
+function parseLevels(text) {
+  const levels = { ...DEFAULT_LEVELS };
+  const legend = lines(text).find(l => /^\s*1\s*:\s*\w+\s+2\s*:/.test(l));
+  for (const [, n, name] of (legend || "").matchAll(/(\d)\s*:\s*(\w+)/g)) levels[n] = name;
+  return levels;
+}
+
+/**
+ * Parses the table form; descriptions and times wrap over several lines:
+ *   Sequence   AlarmId    Level Date Time  Description
+ *   311605     0x1009B    2     2025-10-07 DCN NE number overload start. (NeNumber=6
+ *                               13:34:34+ 09)
+ *                              03:00 DST
+ * @param {string} text
+ * @returns {Array<object>} - Normalized records (state as printed, else null).
+ */
+function parseAlarmTable(text) {
+  const all = lines(text);
+  const h = all.findIndex(l => /^\s*(Index|Sequence)\s+/i.test(l) && /\b(Info|Description)\s*$/i.test(l.trimEnd()));
+  if (h < 0) return [];
+  const header = all[h];
+  const descCol = header.search(/\b(Info|Description)\b/i);
+  const columns = header.slice(0, descCol).trim().split(/\s+/).map(lower);
+  const idColumns = columns.slice(0, Math.max(0, columns.indexOf("date")));
+  const separator = all.find(l => /^\s*-{20,}\s*$/.test(l));
+  const width = separator ? Math.max(0, separator.trimEnd().length - descCol) : 0;
+  const levels = parseLevels(text);
+
+  const rows = [];
+  let row = null;
+  for (const ln of all.slice(h + 1)) {
+    if (!ln.trim() || /^\s*-{5,}\s*$/.test(ln)) continue;
+    if (/^\s*(<[^>]+>|\[~?[^\]]+\])\s*$/.test(ln)) break; // prompt
+    const head = ln.slice(0, descCol);
+    const desc = ln.slice(descCol);
+    if (/^\d+\s/.test(ln)) {
+      row = { tokens: head.trim().split(/\s+/), time: [], desc: [desc] };
+      rows.push(row);
+    } else if (row) {
+      if (head.trim()) row.time.push(head.trim());
+      row.desc.push(desc);
+    }
+  }
+
+  return rows.map(r => {
+    const fields = {};
+    idColumns.forEach((c, i) => {
+      if (TABLE_COLUMNS[c]) fields[TABLE_COLUMNS[c]] = r.tokens[i];
+    });
+    fields.time_text = [...r.tokens.slice(idColumns.length), ...r.time].join(" ");
+    // fixed-width wrapping splits words: keep the column padding of every line but the last
+    fields.description = r.desc.map((d, i) => (i < r.desc.length - 1 ? d.padEnd(width) : d)).join("");
+    return normalizeAlarm(fields, levels);
+  });
+}
+
+/**
+ * Parses the verbose form (one "Sequence : N" chunk per alarm).
+ * @param {string} text
+ * @returns {Array<object>} - Normalized records.
+ */
+function parseAlarmVerbose(text) {
+  const field = (c, name) => c.match(new RegExp(`\\b${name}\\s*:\\s*(\\S+)`, "i"))?.[1] || null;
+  const line = (c, name) => c.match(new RegExp(`\\b${name}\\s*:\\s*([^\\n\\r]+)`, "i"))?.[1].trim() || null;
+  return String(text || "").split(/\n\s*\n/)
+    .filter(c => /Sequence\s*:/i.test(c))
+    .map(c => normalizeAlarm({
+      sequence: field(c, "Sequence"),
+      alarm_id: field(c, "AlarmId"),
+      name: field(c, "AlarmName"),
+      type: field(c, "AlarmType"),
+      severity: field(c, "Severity"),
+      state: field(c, "State"),
+      time_text: line(c, "StartTime"),
+      end_time: line(c, "(?:EndTime|ClearTime)"),
+      description: c.match(/Description\s*:\s*([\s\S]*)/i)?.[1] || "",
+    }));
+}
+
+/**
+ * Parses `display alarm ...` output in either form.
+ * @param {string} text - Command output.
+ * @returns {Array<object>} - Normalized records.
+ */
+function parseAlarmOutput(text) {
+  return /^\s*Sequence\s*:/im.test(text) ? parseAlarmVerbose(text) : parseAlarmTable(text);
+}
+
+module.exports = { parseAlarmOutput, parseAlarmTable, parseAlarmVerbose, parseAlarmTime, normalizeAlarm, normalizeSeverity, addAlarm, alarmKey };
@@ -1,6 +1,64 @@
 /**
- * analyzer.js — Huawei VRP Universal Log Analyzer (v13)
+ * analyzer.js — Huawei VRP Universal Log Analyzer (v34)
  * ----------------------------------------------------
+ * - NEW (v34): collection bundles — .zip / .gz / .tar.gz files (nested too) are read in memory
+ * (archive_reader.js): `archiveEntries` parses their logs, `analyzeFile` / `analyzeFileAsync` /
+ * `analyzeDirectory` take archives, `findLogFilesRecursively` lists them; the result of an
+ * archive log carries `archive` and `entry` (its archive-relative path). `parseDevicesText`
+ * parses a log already in memory.
+ * - FIX (v34): a log of an archive that cannot be read or parsed is returned as failed:
+ * `archiveEntries` returns { entries, failed }, and the results of `analyzeFile` /
+ * `analyzeFileAsync` list it as { file, archive, entry, error } (no outputPath).
+ * - FIX (v34): coverage counts `display` commands and the commands of parser plugins only; mode
+ * and file commands (`system`, `return`, `dir cfcard:`) are `ignored`, outside the ratio.
+ * - NEW (v33): sanitized logs — the address regexes accept masked values ("172.***.***.***",
+ * "x.x.x.x", "<masked>") through `maskAware` (masking.js); rows holding one are kept with
+ * `masked: true` and `model.masking` counts them (printed in the summary).
+ * - FIX (v33): parsers get the command line as third argument (`display router id vpn-instance`
+ * reads the VPN name from it); masked keys no longer collapse distinct rows in `uniqBy`.
+ * - NEW (v32): a device found in several files is merged into one model (model_merge.js) with
+ * its provenance in `model.sources`: `analyzeDirectory` and `writeEntries` merge before writing,
+ * `mergeResults` after the worker pool; `options.merge === false` keeps one model per file.
+ * `findLogFilesRecursively` is exported (cli.js anonymize lists logs and JSONs together).
+ * - NEW (v31): a capture of several devices (the "<host>" prompt changes, or a new `sysname`
+ * in concatenated configs) yields one model per device: `parseDevices` / `parseDevicesStream`;
+ * `analyzeFile` / `analyzeFileAsync` return an array of { outputPath, deviceName }.
+ * - FIX (v31): the interface map is kept per model instead of one global `ensureInterface._map`.
+ * - NEW (v30): output files are named by `options.nameTemplate` (default "parsed_{input}") with
+ * `options.collision` "suffix" | "overwrite" (output_manager.js): two logs with the same file
+ * name no longer overwrite each other. The output folder helpers moved to output_manager.js.
+ * - NEW (v29): `options.outDir` overrides the output folder (resolved only when needed) and
+ * `options.quiet` drops the per-file console summary; `writeModel` is exported for cli.js.
+ * - NEW (v28): `options.historyDir` (`--history <dir>`) adds a metrics snapshot of every
+ * analyzed file to the per-device history of history_store.js.
+ * - NEW (v27): `model.alarms` is { active, history, configured } of normalized records (alarms.js)
+ * with ISO timestamps; `display alarm all|history` fill `history`, config severities `configured`.
+ * - FIX (v27): alarms are deduped by sequence / alarm ID instead of description.
+ * - NEW (v26): every model is stamped with `schema_version` / `analyzer_version` and validated
+ * against model.schema.json before it is written; `newModel` moved to model_schema.js.
+ * - NEW (v25): parser plugins — `options.pluginDir` (`--parsers <dir>`) adds the parsers of
+ * parser_registry.js after the built-in `ROUTES`; `model.plugins` lists them and load errors.
+ * - NEW (v24): `model.coverage` — per-command parser coverage (parsed / error / unhandled /
+ * empty output) and the share of blocks covered.
+ * - FIX (v24): a raw config file is no longer copied block by block into `raw_sections`.
+ * - NEW (v23): `parseFileStream` / `analyzeFileAsync` read logs line by line (streaming
+ * block splitter) for the worker pool of analyzer_pool.js; `listLogFiles` is exported.
+ * - NEW (v22): `model.security` — hardening audit with a score (security_audit.js);
+ * login "Warning: ... password ..." lines are kept in `identity.password_warnings`.
+ * - NEW (v21): `model.policies` — route-policies, ip-prefixes, community filters and ACLs
+ * with a cross-reference report (policies.js); BGP `config_peers` record import/export policies.
+ * - NEW (v20): `model.config_tree` (config_tree.js); the config extractors query the tree
+ * (VRF route-distinguishers, `ip route-static vpn-instance`, BGP peers per VRF, ssh user options).
+ * - FIX (v20): the unfiltered `display current-configuration` block is used as config text
+ * (before: the first filtered variant, or the whole log); prompts before commands are recognized.
+ * - NEW (v19): `model.l2vpn` — VLL VCs, VPLS VSIs (PWs / ACs) and PW-APS groups.
+ * - NEW (v18): IS-IS peers and MPLS LDP sessions / peers / LSP statistics.
+ * - NEW (v17): LLDP neighbors (`display lldp neighbor [brief]`) for topology.js.
+ * - FIX (v17): `display ospf peer brief` no longer turns header lines into neighbors.
+ * - NEW (v16): `model.config_text` keeps the `display current-configuration` text (used by model_diff.js).
+ * - NEW (v15): `parseFile`/`analyzeFile`/`analyzeDirectory` accept { profiles } and
+ * evaluate findings with the thresholds of the resolved profile (profiles.js).
+ * - NEW (v14): `model.findings` is filled by the health rule engine (health_rules.js).
  * - FIX (v13): `analyzeFile` and `analyzeDirectory` now return an object:
  * { outputPath, deviceName } to allow the UI to filter out empty/invalid logs.
  * - FIX (v12): `analyzeFile` and `analyzeDirectory` now return the `outFile` paths.
@@ -9,63 +67,27 @@
 
 const fs = require("fs");
 const path = require("path");
-
-// ---------- Settings ----------
-// ---------- Base directory & output resolver (EXE/Node safe) ----------
-function isDevElectronExecPath(p) {
-  return /node_modules[\\\/]electron[\\\/]dist/i.test(p || "");
-}
-
-function resolveBaseDir() {
-  if (process.env.PORTABLE_EXECUTABLE_DIR) return process.env.PORTABLE_EXECUTABLE_DIR;
-
-  const exeDir = path.dirname(process.execPath || "");
-  if (isDevElectronExecPath(exeDir)) return process.cwd(); // dev mode
-  return exeDir || process.cwd();
-}
-
-function ensureDir(p) {
-  try {
-    fs.mkdirSync(p, { recursive: true });
-    return true;
-  } catch (e) {
-    console.error("⚠️ ensureDir failed:", p, e.message);
-    return false;
-  }
-}
-
-function canWriteDir(dir) {
-  try {
-    const test = path.join(dir, ".write-test.tmp");
-    fs.writeFileSync(test, "ok");
-    fs.unlinkSync(test);
-    return true;
-  } catch {
-    return false;
-  }
-}
-
-function getOutputDir() {
-  const base = resolveBaseDir();
-  const primary = path.join(base, "output");
-  if (ensureDir(primary) && canWriteDir(primary)) {
-    console.log("📦 Output dir:", primary, "(primary)");
-    return primary;
-  }
-
-  const appName = "Huawei-Analyzer";
-  const home = process.env.APPDATA || process.env.HOME || process.cwd();
-  const fallback = path.join(home, appName, "output");
-  ensureDir(fallback);
-  console.log("📦 Output dir:", fallback, "(fallback)");
-  return fallback;
-}
+const { evaluateHealth } = require("./health_rules");
+const { auditSecurity } = require("./security_audit");
+const { resolveProfile } = require("./profiles");
+const { parseConfigTree, childrenOf, walkTree, findDeep, matchChild } = require("./config_tree");
+const { extractPolicies } = require("./policies");
+const { loadPlugins, buildRoutes, describePlugins } = require("./parser_registry");
+const { newModel, validateModel, COVERAGE_STATUSES } = require("./model_schema");
+const { parseAlarmOutput, addAlarm, normalizeSeverity } = require("./alarms");
+const { recordSnapshot } = require("./history_store");
+const { resolveBaseDir, ensureDir, getOutputDir, outputPath, DEFAULT_OUTPUT_SETTINGS } = require("./output_manager");
+const { mergeEntries } = require("./model_merge");
+const { maskAware, isIpv4, isMasked, markMaskedRows } = require("./masking");
+const { isLogFile, isArchive, entryPath, readArchive } = require("./archive_reader");
+
+const ANALYZER_VERSION = "v34"; // keep in sync with the header
 
 // ---------- Settings ----------
 const BASE_DIR = resolveBaseDir();
 const DEFAULT_FILE = path.join(BASE_DIR, "CommonCollectResult.txt");
 const MARKER = "=========######HUAWEI#####=========";
-const OUT_DIR = getOutputDir();
+let defaultOutDir = null; // output/ next to the app, resolved on first write
 
 // Regex for commands, supporting abbreviations like 'dis cur'
 const COMMAND_REGEX = /^(?:<[^>]+>|\[~?[^\]]+\])?\s*(dis(?:play)?\s+[a-z0-9\-]+(?:[\s\.][a-z0-9\-]+)*)/im;
@@ -80,12 +102,21 @@ const getArg = (flag) => {
 };
 const DIR_PATH = getArg("--dir");
 const FILE_PATH = getArg("--file");
+const PROFILES_PATH = getArg("--profiles"); // health_profiles.json
+const PROFILE_NAME = getArg("--profile");
+const PARSERS_PATH = getArg("--parsers"); // folder of parser plugins (parser_registry.js)
+const HISTORY_PATH = getArg("--history"); // per-device history folder (history_store.js)
+const NO_MERGE = process.argv.includes("--no-merge"); // --dir: one model per file, no device merge
 const DIR_MODE = !!DIR_PATH;
 
 // ---------- Utils ----------
-const ensureOutDir = () => ensureDir(OUT_DIR);
-const outPathFor = (inFile) =>
-  path.join(OUT_DIR, "parsed_" + path.basename(inFile, path.extname(inFile)) + ".json");
+const outDirFor = (options = {}) => options.outDir || defaultOutDir || (defaultOutDir = getOutputDir());
+// `options.nameTemplate` / `options.collision` / `options.runStarted` (output_manager.js); claims the file
+const outPathFor = (model, inFile, options) => {
+  ensureDir(outDirFor(options));
+  return outputPath(outDirFor(options), options.nameTemplate || DEFAULT_OUTPUT_SETTINGS.json_name,
+    model, inFile, ".json", options.collision, options.runStarted);
+};
 
 const cleanTailPrompt = (s) =>
   s.replace(/\r/g, "").replace(/\n<[^>]+>\s*$/m, "").trim();
@@ -98,11 +129,13 @@ const toFloat = (v) => {
   const n = parseFloat(String(v || "").replace(/[^0-9.\-]/g, ""));
   return Number.isFinite(n) ? n : null;
 };
-// Helper to dedupe arrays of objects by a key
+// Helper to dedupe arrays of objects by a key (or several: ['vrf', 'peer_ip'])
+// Rows keyed by a masked value ("x.x.x.x") are only duplicates when they are identical
 const uniqBy = (arr, key) => {
+    const keys = [].concat(key);
     const seen = new Set();
     return (arr || []).filter(item => {
-        const k = item[key];
+        const k = keys.some(f => isMasked(item[f])) ? JSON.stringify(item) : keys.map(f => item[f] ?? "").join("|");
         if (seen.has(k)) {
             return false;
         }
@@ -124,6 +157,121 @@ function splitBlocks(raw) {
   // Use non-capturing groups (?:...) to prevent 'split' from adding 'undefined'
   return raw.split(/\n(?=<[^>]+>)|(?=^dis(?:play)?\s+)/im).map((s) => s.trim()).filter(Boolean);
 }
+/**
+ * Streaming counterpart of `splitBlocks`: yields the same blocks while reading
+ * the file line by line, so a large log is never held in memory as a whole.
+ * @param {AsyncIterable<string>} source - Lines of the file (`readLines` / `deviceLines`).
+ * @param {boolean} markerMode - The file contains MARKER (see `scanLine`).
+ */
+async function* streamBlocks(source, markerMode) {
+  let buf = [];
+  for await (const line of source) {
+    if (markerMode) {
+      if (!line.includes(MARKER)) { buf.push(line); continue; }
+      const parts = line.split(MARKER);
+      buf.push(parts[0]);
+      for (const part of parts.slice(1)) {
+        const block = buf.join("\n").trim();
+        if (block) yield block;
+        buf = [part];
+      }
+    } else {
+      // same split points as the fallback heuristic: a "<prompt>" or a "dis ..." line
+      if (buf.length && (/^<[^>]+>/.test(line) || /^dis(?:play)?(\s|$)/i.test(line))) {
+        const block = buf.join("\n").trim();
+        if (block) yield block;
+        buf = [];
+      }
+      buf.push(line);
+    }
+  }
+  const block = buf.join("\n").trim();
+  if (block) yield block;
+}
+
+// Lines of a file without "\r" stripping (matches `raw.split("\n")`)
+async function* readLines(inFile) {
+  const stream = fs.createReadStream(inFile, { encoding: "utf8", highWaterMark: 1 << 20 });
+  let rest = "";
+  for await (const chunk of stream) {
+    const parts = (rest + chunk).split("\n");
+    rest = parts.pop();
+    yield* parts;
+  }
+  yield rest;
+}
+
+// ---------- Device splitting ----------
+// A capture where the engineer hopped across routers holds several devices: a new
+// "<host>" prompt starts the next device. When the last prompt of the previous device
+// was not a display command (`stelnet 10.0.0.2`), its output (the login banner of the
+// new device) moves with it. Without prompts (concatenated raw configs) a new `sysname`
+// starts the next device after the `return` that closed the previous config.
+// A device visited twice keeps one model.
+const SYSNAME_LINE_REGEX = /^sysname\s+(\S+)/;
+
+function newDeviceSplit() {
+  const segments = () => ({ devices: [], current: null, hop: -1 });
+  return { byPrompt: segments(), bySysname: segments(), lastReturn: -1, lines: 0 };
+}
+
+// Closes the open range of the current device at `start` and opens one for `name`
+function switchDevice(seg, name, start) {
+  if (seg.current && seg.current.name === name) return;
+  let from = 0; // lines before the first prompt / sysname belong to the first device
+  if (seg.current) {
+    const open = seg.current.ranges[seg.current.ranges.length - 1];
+    open[1] = from = Math.max(open[0], start);
+  }
+  let dev = seg.devices.find(d => d.name === name);
+  if (!dev) seg.devices.push(dev = { name, ranges: [] });
+  dev.ranges.push([from, null]);
+  seg.current = dev;
+}
+
+function splitLine(split, line, i) {
+  const prompt = line.match(/^<([^>]+)>/);
+  if (prompt) {
+    const seg = split.byPrompt;
+    switchDevice(seg, prompt[1], seg.hop >= 0 ? seg.hop : i);
+    // a prompt without a display command may be the hop to the next device
+    seg.hop = COMMAND_REGEX.test(line) ? -1 : i + 1;
+  }
+  const sys = line.match(SYSNAME_LINE_REGEX);
+  if (sys) {
+    const seg = split.bySysname;
+    const open = seg.current && seg.current.ranges[seg.current.ranges.length - 1];
+    switchDevice(seg, sys[1], open && split.lastReturn >= open[0] ? split.lastReturn + 1 : i);
+  }
+  if (/^return\s*$/.test(line)) split.lastReturn = i;
+  split.lines = i + 1;
+}
+
+/**
+ * Devices of a scanned file; prompts win over sysnames.
+ * @returns {Array<object>} - [{ name, ranges: [[first line, end line)] }]; a single device
+ * covers the whole file.
+ */
+function finishDeviceSplit(split) {
+  const seg = split.byPrompt.devices.length ? split.byPrompt : split.bySysname;
+  if (seg.devices.length < 2) return [{ name: seg.devices[0]?.name || null, ranges: [[0, split.lines]] }];
+  seg.current.ranges[seg.current.ranges.length - 1][1] = split.lines;
+  for (const d of seg.devices) d.ranges = d.ranges.filter(([a, b]) => b > a);
+  return seg.devices;
+}
+
+// Lines of one device (its ranges of a file)
+async function* deviceLines(inFile, ranges) {
+  let i = 0;
+  let r = 0;
+  for await (const line of readLines(inFile)) {
+    while (r < ranges.length && i >= ranges[r][1]) r++;
+    if (r >= ranges.length) break;
+    if (i >= ranges[r][0]) yield line;
+    i++;
+  }
+}
+
 function detectCommand(block) {
   for (const l of lines(block)) {
     const t = l.trim();
@@ -131,8 +279,8 @@ function detectCommand(block) {
     if (/^<.*>$/.test(t) || /^\[~?.*]$/.test(t)) continue; // Prompt
     if (/^(Info|Warning|Error):/i.test(t)) continue; // System messages
     
-    // Check for abbreviated or full display commands
-    const cmdMatch = t.match(/^(dis(?:play)?\s+[a-z0-9\-]+(?:[\s\.][a-z0-9\-]+)*)/i);
+    // Check for abbreviated or full display commands (optionally after a "<host>" / "[~host]" prompt)
+    const cmdMatch = t.match(/^(?:<[^>]+>|\[~?[^\]]+\])?\s*(dis(?:play)?\s+[a-z0-9\-]+(?:[\s\.][a-z0-9\-]+)*)/i);
     if (cmdMatch && cmdMatch[1]) return cmdMatch[1];
     
     if (
@@ -161,81 +309,47 @@ function stripCommandFromBlock(block) {
     return block; // Not a command block, return as-is
 }
 
-// ---------- Model ----------
-function newModel() {
-  return {
-    identity: {
-      hostname: null,
-      sysname: null,
-      model: null,               // e.g., "NetEngine 8000 M4"
-      version: null,             // software version (pure)
-      serial: null,              // ESN
-      lsr_id: null,
-      router_id_public: null,    // LoopBack0/public
-      router_ids: {},            // { vrfName: routerId }
-      timezone: null,            // full TZ string (e.g., "Europe/Kiev add 02:00:00")
-      current_time: null,        // parsed from display clock
-      patch_status: null,        // "none" or exact phrase ("Info: No patch exists.")
-      config_saved: null,        // saved-configuration path/time if present
-      ssh_users: [],             // [{ name, auth_type, service_type, rsa_key }]
-      mac_addrs: { chassis: null, base: null }
-    },
-    software: { version: null, uptime: null },
-
-    ntp: { state: null, stratum: null, servers: [] }, // servers: [{ ip, vpn_instance }]
-
-    resources: {
-      cpu: [],         // [{ avg,max,ts,per_service:[{name,pct}] }]
-      memory: [],      // [{ used_mb,total_mb,free_mb,phys_total_mb,cache_mb,usage_pct }]
-      disk: [],        // [{ source,total_kb,free_kb,used_kb }]
-      power: [],       // [{ slot,input_voltage_v,input_current_a,total_power_w }]
-      temperature: [], // [{ pcb,slot,status,temp_c }]
-      fan: []          // [{ status, speeds: [{id,speed_percent}] }]
-    },
-
-    hardware: {
-      cards: [],       // [{ slot,type,online,register,status,role }]
-      pics: [],        // [{ pic,status,type,port_count,init_result,logic_down }]
-      elabels: [],     // [{ scope,slot,manufacturer,part_number,barcode,item,description,model }]
-      sfp: []          // [{ port,status,type,rx_dbm,tx_dbm,wavelength_nm,vendor_pn }]
-    },
-
-    interfaces: [],     // [{ name,status,protocol,ip,mask,ipv6,vpn_instance,bandwidth_mbps,duplex,description,rx_dbm,tx_dbm }]
-
-    protocols: {
-      mac: [],         // [{ vlan,mac,interface,type }]
-      arp: [],         // [{ ip,mac,interface,expire,type,vpn }]
-      vlans: [],       // [{ id,name,type,vxlan_vni,members:[] }]
-      trunks: { eth_trunks: [], e_trunks: [] }, // [{ type:'Eth-Trunk|E-Trunk|LACP',id,mode,state,members:[], ...}]
-      lldp: { enabled: null, neighbors: [] }, // neighbors optional
-      vrrp: { enabled: null, groups: [] },
-      bfd: { sessions: [], config: {}, reflector: {} },
-      ospf: { neighbors: [], areas: [], router_ids: {} },
-      isis: { neighbors: [], areas: [], processes: [] }, // processes: [{ id, network_entity, is_level }]
-      bgp: { neighbors: [], vpnv4: [], vpnv6: [], evpn_peers: [], config_peers: [] }, // config_peers: [{ peer_ip, local_as, peer_as, description, bfd }]
-      vrfs: [],        // [{ name, af:['ipv4','ipv6'], router_id }]
-      mpls: { ldp: {}, te: {}, sr: { srgb: null, srlb: null, lsp_stats: { srbe: null } } },
-      evpn: { instances: [] }, // instances: [{ vpn_instance, evi, vni }]
-      vxlan: { vnis: [] } // vnis: [{ vni, bd, peer_ip, iface, state }]
-    },
-
-    routing: {
-      table_summary: [], // [{ vrf,total_routes,summary_prefixes:[{proto, total, active,...}] }]
-      static: []         // [{ vrf,prefix,mask,next_hop,iface }]
-    },
-
-    licenses: [],        // [{ sale_name,item_name,control_value,used_value,description }]
-    alarms: [],          // [{ sequence,level,severity,state,date,time,description,interface }]
-    raw_sections: {}     // { normalizedCmd: [ {raw, error?} ] } for diagnostics
-  };
+/**
+ * Picks the configuration text of a log.
+ * A file without display commands is a raw config; otherwise the unfiltered
+ * `display current-configuration` block wins over filtered variants
+ * ("... configuration bgp", "... | include sysname"), which are only a fallback.
+ * @returns {string|null}
+ */
+function findConfigBlock(raw) {
+  if (!COMMAND_REGEX.test(raw)) return RAW_CONFIG_REGEX.test(raw) ? raw : null;
+  let partial = null;
+  for (const block of splitBlocks(raw)) {
+    const kind = configBlockKind(block);
+    if (kind === "full") return stripCommandFromBlock(block);
+    if (kind === "partial" && partial === null) partial = stripCommandFromBlock(block);
+  }
+  return partial;
+}
+
+// The whole command line of a block without its prompt ("display router id vpn-instance ***"):
+// `detectCommand` stops at the first argument that is not a plain word
+function commandLineOf(block) {
+  const cmdLine = lines(block).map(l => l.trim()).find(l => COMMAND_REGEX.test(l)) || "";
+  return cmdLine.replace(/^(?:<[^>]+>|\[~?[^\]]+\])\s*/, "");
+}
+
+// "full" for an unfiltered 'dis cur' block, "partial" for a filtered one, else null
+function configBlockKind(block) {
+  if (!/^dis(?:play)?\s+cur(?:rent-configuration)?/i.test(detectCommand(block))) return null;
+  const cmd = commandLineOf(block);
+  return /^dis(?:play)?\s+cur(?:rent-configuration)?\s*$/i.test(cmd) ? "full" : "partial";
 }
 
 // ---------- Interface map helper ----------
+// name -> index in model.interfaces, per model (a file can yield several models)
+const interfaceMaps = new WeakMap();
+
 function ensureInterface(model, name) {
   const key = lower(name || "");
   if (!key) return null; // Don't create interfaces for empty names
-  if (!ensureInterface._map) ensureInterface._map = new Map();
-  const map = ensureInterface._map;
+  let map = interfaceMaps.get(model);
+  if (!map) interfaceMaps.set(model, map = new Map());
   let idx = map.get(key);
   if (idx === undefined) {
     idx = model.interfaces.length;
@@ -259,7 +373,9 @@ function p_display_version(b, model) {
   if (upMatch && upMatch[1]) model.software.uptime = upMatch[1].trim();
 
   // try to extract model independently & cleanly
+  // prefer the "HUAWEI NetEngine 8000 M4 uptime is" line: the VRP banner omits the chassis variant
   const modMatch =
+    txt.match(/^\s*(?:HUAWEI\s+)?NetEngine\s+([^\n\r]+?)\s+uptime\s+is/im) ||
     txt.match(/NetEngine\s+([^\n\r]+?)(?:\s+uptime|\)|$)/i) ||
     txt.match(/Device\s+Type\s*[:]\s*([^\n\r]+)/i);
   if (modMatch && modMatch[1]) {
@@ -272,20 +388,20 @@ function p_display_version(b, model) {
 
 function p_display_router_id(b, model) {
   // "RouterID: 172.x.x.x"
-  const m = b.match(/RouterID\s*:\s*([0-9.]+)/i);
+  const m = b.match(maskAware(/RouterID\s*:\s*({IP})/i));
   if (m && m[1]) model.identity.router_id_public = m[1];
 }
 
 function p_display_mpls_lsr_id(b, model) {
     // "LSR ID       : x.x.x.x"
-    const m = b.match(/LSR\s+ID\s*:\s*([0-9.]+)/i);
+    const m = b.match(maskAware(/LSR\s+ID\s*:\s*({IP})/i));
     if (m && m[1]) model.identity.lsr_id = m[1];
 }
 
-function p_display_router_id_vrf(b, model) {
-  // "display router id vpn-instance NAME" -> "RouterID: x.x.x.x"
-  const nameMatch = b.match(/vpn-instance\s+([^\n\r]+)/i);
-  const ridMatch = b.match(/RouterID\s*:\s*([0-9.]+)/i);
+function p_display_router_id_vrf(b, model, command = "") {
+  // "display router id vpn-instance NAME" -> "RouterID: x.x.x.x"; NAME may be masked ("***")
+  const nameMatch = command.match(/vpn-instance\s+(\S+)/i) || b.match(/vpn-instance\s+([^\n\r]+)/i);
+  const ridMatch = b.match(maskAware(/RouterID\s*:\s*({IP})/i));
   const name = nameMatch ? nameMatch[1].trim() : null;
   const rid = ridMatch ? ridMatch[1].trim() : null;
   
@@ -330,14 +446,14 @@ function p_display_ntp_status(b, model) {
   const stratumMatch = b.match(/clock stratum\s*:\s*(\d+)/i);
   if (stratumMatch && stratumMatch[1]) model.ntp.stratum = toInt(stratumMatch[1]);
   // sometimes shows current servers too; capture any IPs
-  const ips = [...b.matchAll(/\b(\d{1,3}(?:\.\d{1,3}){3})\b/g)].map(m => m[1]);
+  const ips = [...b.matchAll(maskAware(/(?<![\w.*])({IP})(?![\w.*])/g))].map(m => m[1]);
   if (ips.length) {
       const newServers = ips.map(ip => ({ ip, vpn_instance: null }));
       model.ntp.servers = uniqBy([...(model.ntp.servers || []), ...newServers], 'ip');
   }
 }
 function p_display_ntp_unicast(b, model) {
-  const ips = [...b.matchAll(/ntp\s+unicast-?server\s+(\d{1,3}(?:\.\d{1,3}){3})(?:\s+vpn-instance\s+(\S+))?/gi)];
+  const ips = [...b.matchAll(maskAware(/ntp\s+unicast-?server\s+({IP})(?:\s+vpn-instance\s+(\S+))?/gi))];
   if (ips.length) {
       const newServers = ips.map(m => ({ ip: m[1], vpn_instance: m[2] || null }));
       model.ntp.servers = uniqBy([...(model.ntp.servers || []), ...newServers], 'ip');
@@ -467,39 +583,13 @@ function p_display_fan(b, model) {
   }
 }
 
-function p_display_alarm_all(b, model) {
-  const txt = cleanTailPrompt(b);
-  // try table lines first
-  for (const ln of lines(txt)) {
-    const m = ln.match(/^\s*(\d+)\s+(\w+)\s+(\d{4}-\d{2}-\d{2})\s+(\S+)\s+(.*)$/);
-    if (m) {
-      model.alarms.push({
-        sequence: toInt(m[1]),
-        level: m[2],
-        severity: m[2], // Use level as severity
-        date: m[3],
-        time: m[4],
-        description: m[5].trim(),
-        state: 'active' // Assume active if in this table
-      });
-    }
-  }
-  // fallback: verbose chunks
-  const chunks = txt.split(/\n\s*\n/).filter(Boolean);
-  for (const c of chunks) {
-    if (/Sequence\s*:/i.test(c)) {
-      const descMatch = c.match(/Description\s*:\s*([\s\S]*)/i);
-      model.alarms.push({
-        sequence: toInt(c.match(/Sequence\s*:\s*(\d+)/i)?.[1]),
-        alarm_id: c.match(/AlarmId\s*:\s*(\S+)/i)?.[1] || null,
-        name: c.match(/AlarmName\s*:\s*(\S+)/i)?.[1] || null,
-        severity: c.match(/Severity\s*:\s*(\S+)/i)?.[1] || null,
-        state: c.match(/State\s*:\s*(\S+)/i)?.[1] || null,
-        start_time: c.match(/StartTime\s*:\s*([^\n\r]+)/i)?.[1] || null,
-        description: (descMatch ? descMatch[1] : "").replace(/\s+/g, " ").trim()
-      });
-    }
-  }
+// Table or verbose output; records are normalized and deduped by alarms.js
+function p_display_alarm_active(b, model) {
+  for (const a of parseAlarmOutput(cleanTailPrompt(b))) addAlarm(model.alarms.active, { ...a, state: a.state || "active" });
+}
+
+function p_display_alarm_history(b, model) {
+  for (const a of parseAlarmOutput(cleanTailPrompt(b))) addAlarm(model.alarms.history, a);
 }
 
 // ---------- Hardware / Inventory ----------
@@ -559,8 +649,8 @@ function p_display_elabel(b, model) {
     model: mdlMatch ? mdlMatch.trim() : null
   });
 
-  const chassisMatch = (b.match(/Chassis\s+MAC\s*[: ]\s*([0-9a-f.\-:]+)/i) || [])[1];
-  const baseMatch = (b.match(/Base\s+MAC\s*[: ]\s*([0-9a-f.\-:]+)/i) || [])[1];
+  const chassisMatch = (b.match(/Chassis\s+MAC\s*[: ]\s*([0-9a-f*.\-:]+)/i) || [])[1];
+  const baseMatch = (b.match(/Base\s+MAC\s*[: ]\s*([0-9a-f*.\-:]+)/i) || [])[1];
   if (chassisMatch) model.identity.mac_addrs.chassis = chassisMatch.toLowerCase();
   if (baseMatch) model.identity.mac_addrs.base = baseMatch.toLowerCase();
 }
@@ -640,7 +730,7 @@ function p_display_ip_interface(b, model) {
     
     const itf = ensureInterface(model, nameMatch[1]);
     if (itf) {
-        const ipv4Match = part.match(/IP\s*Address\s*:\s*([0-9.]+)\s+([0-9.]+)/i);
+        const ipv4Match = part.match(maskAware(/IP\s*Address\s*:\s*({IP})\s+({IP})/i));
         if (ipv4Match && ipv4Match[1] && ipv4Match[2]) { itf.ip = ipv4Match[1]; itf.mask = ipv4Match[2]; }
         
         const vpnMatch = part.match(/VPN-Instance\s*:\s*([^\n\r]+)/i);
@@ -649,162 +739,209 @@ function p_display_ip_interface(b, model) {
   }
 }
 
+/**
+ * Import / export policies of a BGP peer (or its peer group) within the given views.
+ * Route-policies are listed by name; ip-prefix / as-path-filter / filter-policy (ACL)
+ * filters as "<kind> <name>".
+ * @returns {{ import: Array<string>, export: Array<string> }}
+ */
+function bgpPeerPolicies(scopes, peerNames) {
+  const out = { import: [], export: [] };
+  const names = peerNames.filter(Boolean);
+  for (const scope of scopes) {
+    for (const c of scope.children) {
+      const m = c.text.match(/^peer\s+(\S+)\s+(route-policy|ip-prefix|as-path-filter|filter-policy)\s+(\S+)\s+(import|export)$/i);
+      if (!m || !names.includes(m[1])) continue;
+      const kind = lower(m[2]);
+      const label = kind === "route-policy" ? m[3] : `${kind === "filter-policy" ? "acl" : kind} ${m[3]}`;
+      const list = out[lower(m[4])];
+      if (!list.includes(label)) list.push(label);
+    }
+  }
+  return out;
+}
+
 // ---------- display current-configuration (THE BIG ONE) ----------
 function p_display_current_configuration(b, model) {
   const txt = cleanTailPrompt(b);
+  const tree = parseConfigTree(txt);
+  model.config_tree = tree;
+  const top = (rx) => childrenOf(tree, rx); // top-level stanzas
+  const topMatch = (rx) => matchChild(tree, rx);
 
   // !Software Version...
-  const verMatch = txt.match(/^!Software Version\s+(.*)/im);
+  const verMatch = topMatch(/^!Software Version\s+(.*)/i);
   if (verMatch && verMatch[1]) {
       model.software.version = verMatch[1].trim();
       model.identity.version = verMatch[1].trim();
   }
   
   // sysname
-  const sysMatch = txt.match(/^\s*sysname\s+([^\s\r\n]+)/im);
+  const sysMatch = topMatch(/^sysname\s+(\S+)/i);
   if (sysMatch && sysMatch[1]) model.identity.sysname = sysMatch[1];
 
   // clock timezone
-  const tzMatch = txt.match(/^\s*clock\s+timezone\s+(.*)/im);
+  const tzMatch = topMatch(/^clock\s+timezone\s+(.*)/i);
   if (tzMatch && tzMatch[1]) model.identity.timezone = tzMatch[1].trim();
 
   // ntp-service
-  for (const m of txt.matchAll(/^\s*ntp-service\s+unicast-server\s+([0-9.]+)(?:\s+vpn-instance\s+(\S+))?/gim)) {
-      model.ntp.servers.push({ ip: m[1], vpn_instance: m[2] || null });
-  }
-
-  // ssh users
-  for (const m of txt.matchAll(/^\s*ssh\s+user\s+([^\s\r\n]+)([\s\S]*?)(?=\n\s*ssh\s+user|\n#)/gim)) {
-      if (!m[1]) continue;
-      const userBlock = m[2] || "";
-      const authMatch = userBlock.match(/^\s*ssh\s+user\s+.*?\s+authentication-type\s+(\S+)/im);
-      const serviceMatch = userBlock.match(/^\s*ssh\s+user\s+.*?\s+service-type\s+(\S+)/im);
-      const rsaMatch = userBlock.match(/^\s*ssh\s+user\s+.*?\s+assign\s+rsa-key\s+(\S+)/im);
-      model.identity.ssh_users.push({
-          name: m[1],
-          auth_type: authMatch ? authMatch[1] : null,
-          service_type: serviceMatch ? serviceMatch[1] : null,
-          rsa_key: rsaMatch ? rsaMatch[1] : null
-      });
+  for (const n of top(/^ntp-service\s+unicast-server\s+/i)) {
+      const m = n.text.match(maskAware(/^ntp-service\s+unicast-server\s+({IP})(?:.*?\svpn-instance\s+(\S+))?/i));
+      if (m) model.ntp.servers.push({ ip: m[1], vpn_instance: m[2] || null });
   }
 
-  // VRFs (vpn-instance) and router-id inside block
-  for (const m of txt.matchAll(/^\s*vpn-instance\s+([^\s\r\n]+)([\s\S]*?)(?=\n#)/gim)) {
-    const name = m[1];
-    const window = m[2] || "";
-    const ridMatch = window.match(/router-id\s+([0-9.]+)/i);
+  // ssh users: "ssh user NAME", "ssh user NAME authentication-type rsa", ... are sibling lines
+  for (const n of top(/^ssh\s+user\s+\S+/i)) {
+      const [, name, rest = ""] = n.text.match(/^ssh\s+user\s+(\S+)\s*(.*)$/i);
+      let user = model.identity.ssh_users.find(u => u.name === name);
+      if (!user) {
+          user = { name, auth_type: null, service_type: null, rsa_key: null };
+          model.identity.ssh_users.push(user);
+      }
+      const authMatch = rest.match(/^authentication-type\s+(\S+)/i);
+      const serviceMatch = rest.match(/^service-type\s+(\S+)/i);
+      const rsaMatch = rest.match(/^assign\s+(?:rsa|ecc|dsa|sm2)-key\s+(\S+)/i);
+      if (authMatch) user.auth_type = authMatch[1];
+      if (serviceMatch) user.service_type = serviceMatch[1];
+      if (rsaMatch) user.rsa_key = rsaMatch[1];
+  }
+
+  // VRFs ("ip vpn-instance NAME" with ipv4-family / ipv6-family views)
+  for (const n of top(/^ip\s+vpn-instance\s+\S+/i)) {
+    const name = n.text.match(/^ip\s+vpn-instance\s+(\S+)/i)[1];
     const af = [];
-    if (/ipv4-family/i.test(window)) af.push("ipv4");
-    if (/ipv6-family/i.test(window)) af.push("ipv6");
-    const entry = { name, af: af.length ? af : null, router_id: ridMatch ? ridMatch[1] : null };
-    
+    if (childrenOf(n, /^ipv4-family\b/i).length) af.push("ipv4");
+    if (childrenOf(n, /^ipv6-family\b/i).length) af.push("ipv6");
+    const ridNode = findDeep(n, maskAware(/^router-id\s+{IP}/i))[0];
+    const rdNode = findDeep(n, /^route-distinguisher\s+\S+/i)[0];
+    const entry = {
+      name,
+      af: af.length ? af : null,
+      router_id: ridNode ? ridNode.text.split(/\s+/)[1] : null,
+      rd: rdNode ? rdNode.text.split(/\s+/)[1] : null
+    };
+
     const idx = model.protocols.vrfs.findIndex(v => v.name === name);
     if (idx >= 0) model.protocols.vrfs[idx] = { ...model.protocols.vrfs[idx], ...entry };
     else model.protocols.vrfs.push(entry);
-    if (ridMatch && ridMatch[1]) model.identity.router_ids[name] = ridMatch[1];
+    if (entry.router_id) model.identity.router_ids[name] = entry.router_id;
   }
 
   // Router-ID public via LoopBack0
-  const loBlkMatch = txt.match(/interface\s+LoopBack0([\s\S]*?)(?=\n#)/i);
-  if (loBlkMatch && loBlkMatch[1]) {
-    const loIPMatch = loBlkMatch[1].match(/ip\s+address\s+([0-9.]+)\s+[0-9.]+/i);
-    if (loIPMatch && loIPMatch[1]) model.identity.router_id_public = loIPMatch[1];
-  }
+  const lo0 = top(/^interface\s+LoopBack0$/i)[0];
+  const loIPMatch = matchChild(lo0, maskAware(/^ip\s+address\s+({IP})\s+{IP}/i));
+  if (loIPMatch && loIPMatch[1]) model.identity.router_id_public = loIPMatch[1];
 
   // LLDP / VRRP flags (status)
-  if (/^(?:\s*)lldp\s+enable/im.test(txt)) model.protocols.lldp.enabled = true;
-  if (/^(?:\s*)vrrp\b/im.test(txt)) model.protocols.vrrp.enabled = true;
-
-  // Static routes
-  for (const m of txt.matchAll(/^\s*ip\s+route-static\s+([0-9.]+)\s+([0-9.]+|\d+)\s+([0-9.]+)(?:\s+(\S+))?/gim)) {
-    model.routing.static.push({ vrf: null, prefix: m[1], mask: m[2], next_hop: m[3], iface: m[4] || null });
+  if (top(/^lldp\s+enable/i).length) model.protocols.lldp.enabled = true;
+  if (findDeep(tree, /^vrrp\b/i).length) model.protocols.vrrp.enabled = true;
+
+  // Static routes:
+  // ip route-static [vpn-instance V] PREFIX MASK [IFACE] [NEXTHOP] [preference N] [tag N] [description TEXT]
+  for (const n of top(/^ip\s+route-static\s+/i)) {
+    const tok = n.text.split(/\s+/).slice(2);
+    let vrf = null;
+    if (lower(tok[0]) === "vpn-instance") { vrf = tok[1]; tok.splice(0, 2); }
+    if (!isIpv4(tok[0]) || !tok[1]) continue; // "ip route-static default-preference 60" etc.
+    const route = { vrf, prefix: tok[0], mask: tok[1], next_hop: null, iface: null, preference: null, description: null };
+    let i = 2;
+    if (lower(tok[i]) === "vpn-instance") i += 2; // next hop resolved in another VRF
+    if (tok[i] && !isIpv4(tok[i]) && !/^(preference|tag|description|bfd|track|permanent|no-advertise|inherit-cost)$/i.test(tok[i])) route.iface = tok[i++];
+    if (isIpv4(tok[i])) route.next_hop = tok[i++];
+    const prefMatch = n.text.match(/\spreference\s+(\d+)/i);
+    if (prefMatch) route.preference = toInt(prefMatch[1]);
+    const descMatch = n.text.match(/\sdescription\s+(.+)$/i);
+    if (descMatch) route.description = descMatch[1].trim();
+    model.routing.static.push(route);
   }
 
   // Interfaces: enrich description, IP, IPv6, VRF, bandwidth
-  const ifaceBlocks = txt.split(/\n(?=interface\s+)/i).filter(s => /^interface\s+/i.test(s.trim()));
-  for (const blk of ifaceBlocks) {
-    const firstLine = lines(blk)[0] || "";
-    const name = firstLine.replace(/^interface\s+/i, "").trim();
-    if (!name) continue;
-    
+  for (const n of top(/^interface\s+\S+/i)) {
+    const name = n.text.replace(/^interface\s+/i, "").trim();
     const itf = ensureInterface(model, name);
     if (!itf) continue;
     
-    const descMatch = blk.match(/^\s*description\s+(.+)$/im);
+    const descMatch = matchChild(n, /^description\s+(.+)$/i);
     if (descMatch && descMatch[1]) itf.description = descMatch[1].trim();
     
-    const ipv4Match = blk.match(/^\s*ip\s+address\s+([0-9.]+)\s+([0-9.]+|\d+)/im);
+    const ipv4Match = matchChild(n, maskAware(/^ip\s+address\s+({IP})\s+({IP}|\d+)(?!\s+sub)/i));
     if (ipv4Match && ipv4Match[1] && ipv4Match[2]) { itf.ip = ipv4Match[1]; itf.mask = ipv4Match[2]; }
     
-    const ipv6Match = blk.match(/^\s*ipv6\s+address\s+([0-9a-fA-F:\/]+)/im);
+    const ipv6Match = matchChild(n, /^ipv6\s+address\s+([0-9a-fA-F:\/]+)/i);
     if (ipv6Match && ipv6Match[1]) itf.ipv6 = ipv6Match[1];
     
-    const vrfMatch = blk.match(/^\s*(?:ip\s+binding|vpn-instance)\s+([^\s\r\n]+)/im);
+    const vrfMatch = matchChild(n, /^ip\s+binding\s+vpn-instance\s+(\S+)/i);
     if (vrfMatch && vrfMatch[1]) itf.vpn_instance = vrfMatch[1];
     
-    const bwMatch = blk.match(/^\s*(speed|bandwidth)\s+(\d+)(G|M|K)?/im);
+    const bwMatch = matchChild(n, /^(speed|bandwidth)\s+(\d+)(G|M|K)?/i);
     if (bwMatch && bwMatch[2]) {
       let val = toInt(bwMatch[2]); const unit = (bwMatch[3] || "M").toUpperCase();
       itf.bandwidth_mbps = unit === "G" ? val * 1000 : unit === "K" ? Math.round(val / 1000) : val;
     }
   }
 
-  // MPLS SRGB/SRLB config (segment-routing)
-  const srgbMatch = txt.match(/segment\-routing\s+global\-block\s+(\d+)\s+(\d+)/i);
-  if (srgbMatch) model.protocols.mpls.sr.srgb = { start: toInt(srgbMatch[1]), end: toInt(srgbMatch[2]) };
-  const srlbMatch = txt.match(/segment\-routing\s+local\-block\s+(\d+)\s+(\d+)/i);
-  if (srlbMatch) model.protocols.mpls.sr.srlb = { start: toInt(srlbMatch[1]), end: toInt(srlbMatch[2]) };
+  // MPLS SRGB/SRLB config (segment-routing, usually inside the isis / ospf view)
+  const srgbNode = findDeep(tree, /^segment-routing\s+global-block\s+\d+\s+\d+/i)[0];
+  if (srgbNode) {
+    const [, start, end] = srgbNode.text.match(/global-block\s+(\d+)\s+(\d+)/i);
+    model.protocols.mpls.sr.srgb = { start: toInt(start), end: toInt(end) };
+  }
+  const srlbNode = findDeep(tree, /^segment-routing\s+local-block\s+\d+\s+\d+/i)[0];
+  if (srlbNode) {
+    const [, start, end] = srlbNode.text.match(/local-block\s+(\d+)\s+(\d+)/i);
+    model.protocols.mpls.sr.srlb = { start: toInt(start), end: toInt(end) };
+  }
 
   // ISIS (from config)
-  for (const m of txt.matchAll(/^\s*isis(?:\s+(\d+))?([\s\S]*?)(?=\n#|\n!)/gim)) {
-      const id = m[1] ? m[1].trim() : '1'; // Default process ID
-      const block = m[2] || "";
-      const netMatch = block.match(/network-entity\s+(\S+)/i);
-      const levelMatch = block.match(/is-level\s+(\S+)/i);
+  for (const n of top(/^isis(?:\s+\d+)?(?:\s+vpn-instance\s+\S+)?$/i)) {
+      const idMatch = n.text.match(/^isis\s+(\d+)/i);
+      const netMatch = matchChild(n, /^network-entity\s+(\S+)/i);
+      const levelMatch = matchChild(n, /^is-level\s+(\S+)/i);
       model.protocols.isis.processes.push({
-          id: id,
+          id: idMatch ? idMatch[1] : '1', // Default process ID
           network_entity: netMatch ? netMatch[1] : null,
           is_level: levelMatch ? levelMatch[1] : null
       });
   }
 
-  // BGP (from config)
-  for (const m of txt.matchAll(/^\s*bgp(?:\s+(\d+))?([\s\S]*?)(?=\n#|\n!)/gim)) {
-      const local_as = m[1] ? m[1].trim() : null;
-      const block = m[2] || "";
-      for (const p of block.matchAll(/peer\s+([0-9.]+)\s+as-number\s+(\d+)/gi)) {
-          const peer_ip = p[1];
-          const peer_as = p[2];
-          const peerBlockRegex = new RegExp(`peer\\s+${peer_ip.replace(/\./g, '\\.')}([\\s\\S]*?)(?=\\n\\s*peer|\\n\\s*#|$)`, 'im');
-          const peerBlockMatch = block.match(peerBlockRegex);
-          const peerBlock = peerBlockMatch ? peerBlockMatch[1] : "";
-          
-          const descMatch = peerBlock.match(/description\s+(.+)/i);
-          const bfdMatch = peerBlock.match(/bfd\s+enable/i);
-          
+  // BGP (from config): peers of the public view and of "ipv4-family vpn-instance X" views
+  for (const n of top(/^bgp\s+\d+/i)) {
+      const local_as = n.text.match(/^bgp\s+(\d+)/i)[1];
+      // Public peers take their options from every address family except the VPN-instance views
+      const publicScopes = [n, ...n.children.filter(c => !/^ipv[46]-family\s+vpn-instance\s/i.test(c.text))];
+      walkTree(n, (node, parents) => {
+          const p = node.text.match(maskAware(/^peer\s+({IP})\s+as-number\s+(\d+)/i));
+          if (!p) return;
+          const scope = parents.length ? parents[parents.length - 1] : n;
+          const vrfNode = parents.find(x => /^ipv4-family\s+vpn-instance\s+\S+/i.test(x.text));
+          const peerLine = (rx) => matchChild(scope, new RegExp(`^peer\\s+${p[1].replace(/[.*]/g, '\\$&')}\\s+${rx}`, 'i'));
+          const descMatch = peerLine('description\\s+(.+)');
+          const groupMatch = peerLine('group\\s+(\\S+)');
+          const policies = bgpPeerPolicies(vrfNode ? [vrfNode] : publicScopes, [p[1], groupMatch && groupMatch[1]]);
+
           model.protocols.bgp.config_peers.push({
-              peer_ip: peer_ip,
+              peer_ip: p[1],
               local_as: local_as,
-              peer_as: peer_as,
+              peer_as: p[2],
+              vrf: vrfNode ? vrfNode.text.split(/\s+/)[2] : null,
               description: descMatch ? descMatch[1].trim() : null,
-              bfd: !!bfdMatch
+              bfd: !!peerLine('bfd\\s+enable'),
+              group: groupMatch ? groupMatch[1] : null,
+              import_policies: policies.import,
+              export_policies: policies.export
           });
-      }
+      });
   }
+
+  // Route-policies, prefix lists, community filters, ACLs + cross-references
+  model.policies = extractPolicies(tree);
   
-  // Alarms (from config)
-  for (const m of txt.matchAll(/^\s*alarm([\s\S]*?)(?=\n#|\n!)/gim)) {
-      const block = m[1] || "";
-      for (const a of block.matchAll(/alarm-name\s+(\S+)\s+severity\s+(\S+)/gi)) {
-          model.alarms.push({
-              sequence: null,
-              level: a[2],
-              severity: a[2],
-              date: null,
-              time: null,
-              description: a[1],
-              state: 'Configured'
-          });
+  // Alarm severities (from config), kept apart from raised alarms
+  for (const n of top(/^alarm$/i)) {
+      for (const a of childrenOf(n, /^alarm-name\s+\S+\s+severity\s+\S+/i)) {
+          const [, name, severity] = a.text.match(/^alarm-name\s+(\S+)\s+severity\s+(\S+)/i);
+          if (model.alarms.configured.some(c => c.name === name)) continue;
+          model.alarms.configured.push({ name, severity: normalizeSeverity(severity), line: a.line });
       }
   }
 }
@@ -815,7 +952,7 @@ function p_display_arp_all(b, model) {
   let current = null;
   for (const ln of lines(b)) {
     const t = ln.trim();
-    if (/^\d{1,3}\.\d{1,3}\./.test(t)) {
+    if (maskAware(/^{IP}\s/).test(t)) {
       const parts = t.split(/\s{2,}|\s+/).filter(Boolean);
       const ip = parts[0], mac = parts[1] || "";
       let expire = "", type = "", iface = "", vpn = "";
@@ -836,11 +973,11 @@ function p_display_arp_statistics(b, model) {
 
 function p_display_mac_address_any(b, model) {
   for (const ln of lines(b)) {
-    const m = ln.match(/^\s*(\d+)\s+([0-9a-fA-F.\-:]{12,})\s+(\S+)/);
+    const m = ln.match(/^\s*(\d+)\s+([0-9a-fA-F*.\-:]{12,})\s+(\S+)/);
     if (m) model.protocols.mac.push({ vlan: toInt(m[1]), mac: m[2].toLowerCase(), interface: m[3], type: "dynamic" });
   }
-  const chassisMatch = (b.match(/Chassis\s+MAC\s*[: ]\s*([0-9a-f.\-:]+)/i) || [])[1];
-  const baseMatch = (b.match(/Base\s+MAC\s*[: ]\s*([0-9a-f.\-:]+)/i) || [])[1];
+  const chassisMatch = (b.match(/Chassis\s+MAC\s*[: ]\s*([0-9a-f*.\-:]+)/i) || [])[1];
+  const baseMatch = (b.match(/Base\s+MAC\s*[: ]\s*([0-9a-f*.\-:]+)/i) || [])[1];
   if (chassisMatch) model.identity.mac_addrs.chassis = chassisMatch.toLowerCase();
   if (baseMatch) model.identity.mac_addrs.base = baseMatch.toLowerCase();
 }
@@ -863,7 +1000,7 @@ function p_display_vlan(b, model) {
 }
 
 function p_display_vxlan_vni_all(b, model) {
-    for (const m of b.matchAll(/(\d+)\s+(\d+)\s+([0-9.]+)\s+(\S+)\s+(\S+)/g)) {
+    for (const m of b.matchAll(maskAware(/(\d+)\s+(\d+)\s+({IP})\s+(\S+)\s+(\S+)/g))) {
         if (/VNI/i.test(m[0])) continue; // Skip header
         model.protocols.vxlan.vnis.push({
             vni: toInt(m[1]),
@@ -916,7 +1053,7 @@ function p_display_e_trunk(b, model) {
     if (!idMatch) return; // Not a valid e-trunk block
     
     const stateMatch = b.match(/State\s*:\s*(\S+)/i);
-    const peerMatch = b.match(/Peer-IP\s*:\s*([0-9.]+)/i);
+    const peerMatch = b.match(maskAware(/Peer-IP\s*:\s*({IP})/i));
     const sysIdMatch = b.match(/System-ID\s*:\s*(\S+)/i);
     
     model.protocols.trunks.e_trunks.push({
@@ -944,6 +1081,70 @@ function p_display_lacp_peer(b, model) {
   }
 }
 
+// LLDP neighbors: one entry per local interface + neighbor, verbose data wins
+function upsertLldpNeighbor(model, n) {
+  const list = model.protocols.lldp.neighbors;
+  const key = (x) => `${lower(x.local_interface)}|${lower(x.neighbor_device)}|${lower(x.neighbor_interface)}`;
+  const existing = list.find(x => key(x) === key(n));
+  if (existing) {
+    for (const [k, v] of Object.entries(n)) if (v != null) existing[k] = v;
+  } else {
+    list.push({ local_interface: null, neighbor_device: null, neighbor_interface: null, chassis_id: null, mgmt_ip: null, exptime: null, ...n });
+  }
+  model.protocols.lldp.enabled = true;
+}
+
+function p_display_lldp_neighbor_brief(b, model) {
+  // Column order differs between platforms:
+  //   "Local Intf   Neighbor Dev   Neighbor Intf   Exptime(s)"              (S/CE series)
+  //   "Local Interface   Exptime(s)   Neighbor Interface   Neighbor Device"  (NE series)
+  let columns = null;
+  for (const ln of lines(cleanTailPrompt(b))) {
+    const t = ln.trim();
+    if (!t || /^-+$/.test(t)) continue;
+    if (/^Local\s+Int/i.test(t)) {
+      columns = t.split(/\s{2,}|\s+(?=Neighbor|Exptime)/i).map(h =>
+        /^Local/i.test(h) ? "local_interface" :
+        /Dev/i.test(h) ? "neighbor_device" :
+        /Neighbor\s+(Int|Port)/i.test(h) ? "neighbor_interface" :
+        /Exptime/i.test(h) ? "exptime" : null);
+      continue;
+    }
+    if (!columns) continue;
+    const parts = t.split(/\s+/);
+    if (parts.length < columns.length) continue;
+    const n = {};
+    columns.forEach((c, i) => { if (c) n[c] = parts[i]; });
+    if (!n.local_interface || !n.neighbor_device) continue;
+    if (n.exptime != null) n.exptime = toInt(n.exptime);
+    upsertLldpNeighbor(model, n);
+  }
+}
+
+function p_display_lldp_neighbor(b, model) {
+  // "GigabitEthernet0/0/1 has 1 neighbor(s):" followed by "Key   :value" lines
+  const blk = cleanTailPrompt(b);
+  for (const part of blk.split(/\n(?=\S+\s+has\s+\d+\s+neighbor)/i)) {
+    const head = part.match(/^\s*(\S+)\s+has\s+(\d+)\s+neighbor/i);
+    if (!head || toInt(head[2]) === 0) continue;
+    for (const nb of part.split(/\n(?=\s*Neighbor\s+index\s*:)/i).slice(1)) {
+      const field = (rx) => {
+        const m = nb.match(rx);
+        return m && m[1] ? m[1].trim() : null;
+      };
+      const n = {
+        local_interface: head[1],
+        neighbor_device: field(/^\s*System\s+name\s*:\s*([^\r\n]+)/im),
+        neighbor_interface: field(/^\s*Port\s+ID\s*:\s*([^\r\n]+)/im),
+        chassis_id: field(/^\s*Chassis\s+ID\s*:\s*([^\r\n]+)/im),
+        mgmt_ip: field(maskAware(/^\s*Management\s+address\s*:\s*({IP})/im)),
+        exptime: toInt(field(/^\s*Expired\s+time\s*:\s*(\d+)/im))
+      };
+      if (n.neighbor_device || n.chassis_id) upsertLldpNeighbor(model, n);
+    }
+  }
+}
+
 function p_display_bfd_session_all(b, model) {
   for (const ln of lines(b)) {
     const t = ln.trim();
@@ -960,7 +1161,7 @@ function p_display_bfd_session_all(b, model) {
 function p_display_bfd_configuration_all(b, model) {
   if (/bfd\s+all-interfaces\s+enable/i.test(b)) model.protocols.bfd.config.all_interfaces = true;
   if (/mpls-passive/i.test(b)) model.protocols.bfd.config.mpls_passive = true;
-  const reflMatch = b.match(/reflector\s+discriminator\s+([0-9.]+)/i);
+  const reflMatch = b.match(maskAware(/reflector\s+discriminator\s+({IP})/i));
   if (reflMatch && reflMatch[1]) model.protocols.bfd.reflector.discriminator = reflMatch[1];
 }
 
@@ -968,7 +1169,8 @@ function p_display_ospf_peer_brief(b, model) {
   for (const ln of lines(b)) {
     const t = ln.trim();
     if (!t || /^Area\s+Id|^----|^Router\s+ID|^\(M\)|Total/i.test(t)) continue;
-    const m = t.match(/^(\S+)\s+(\S+)\s+(\S+)\s+(\S+)/);
+    // Area ID is "0.0.0.1" or "1"; skips "OSPF Process 1 with ..." / "Peer(s) in full state" lines
+    const m = t.match(/^(\d+(?:\.\d+){3}|\d+)\s+(\S+)\s+(\S+)\s+(\S+)/);
     if (m) {
       model.protocols.ospf.neighbors.push({
         area: m[1],
@@ -980,10 +1182,88 @@ function p_display_ospf_peer_brief(b, model) {
   }
 }
 function p_display_ospf_brief(b, model) {
-  const ridMatch = b.match(/Router\s*ID\s*[: ]\s*([0-9.]+)/i);
+  const ridMatch = b.match(maskAware(/Router\s*ID\s*[: ]\s*({IP})/i));
   if (ridMatch && ridMatch[1]) model.protocols.ospf.router_ids.default = ridMatch[1];
 }
 
+function p_display_isis_peer(b, model) {
+  // "Peer information for ISIS(1)" then
+  // "1111.1111.1111  GE1/0/0  1111.1111.1111.01  Up  9s  L1(L1L2)  64"
+  let proc = null;
+  for (const ln of lines(cleanTailPrompt(b))) {
+    const t = ln.trim();
+    const procMatch = t.match(/Peer\s+information\s+for\s+IS-?IS\((\d+)\)/i);
+    if (procMatch) { proc = procMatch[1]; continue; }
+    const m = t.match(/^([0-9a-f]{4}\.[0-9a-f]{4}\.[0-9a-f]{4}|\S+)\s+(\S+)\s+(\S+)\s+(Up|Down|Init)\s+(\d+)s?\s+(\S+)(?:\s+(\S+))?/i);
+    if (!m || /^System/i.test(m[1])) continue;
+    model.protocols.isis.neighbors.push({
+      process: proc,
+      system_id: m[1],
+      interface: m[2],
+      circuit_id: m[3],
+      state: m[4],
+      hold_time: toInt(m[5]),
+      level: m[6],
+      priority: m[7] && m[7] !== "--" ? toInt(m[7]) : null
+    });
+  }
+}
+
+// "LDP Session(s) in Public Network" / "... in VPN-Instance X" switch the VRF of the rows below
+function ldpVrfOf(t, current) {
+  if (/in\s+Public\s+Network/i.test(t)) return null;
+  const m = t.match(/in\s+VPN-Instance\s+(\S+)/i);
+  return m ? m[1] : current;
+}
+
+function p_display_mpls_ldp_session(b, model) {
+  // "2.2.2.9:0  Operational  DU  Passive  0000:00:01  9/9"
+  let vrf = null;
+  for (const ln of lines(cleanTailPrompt(b))) {
+    const t = ln.trim();
+    if (/^LDP\s+Session/i.test(t)) { vrf = ldpVrfOf(t, vrf); continue; }
+    const m = t.match(/^\*?\s*(\S+:\d+)\s+(\S+)\s+(\S+)\s+(\S+)\s+(\d+:\d+:\d+)\s+(\S+)/);
+    if (!m) continue;
+    model.protocols.mpls.ldp.sessions.push({
+      vrf, peer_id: m[1], state: m[2], lam: m[3], role: m[4], uptime: m[5], ka_sent_rcv: m[6]
+    });
+  }
+}
+
+function p_display_mpls_ldp_peer(b, model) {
+  // "2.2.2.9:0  2.2.2.9  GigabitEthernet1/0/0"
+  let vrf = null;
+  for (const ln of lines(cleanTailPrompt(b))) {
+    const t = ln.trim();
+    if (/^LDP\s+Peer/i.test(t)) { vrf = ldpVrfOf(t, vrf); continue; }
+    const m = t.match(/^\*?\s*(\S+:\d+)\s+(\S+)\s+(.+)$/);
+    if (!m) continue;
+    model.protocols.mpls.ldp.peers.push({
+      vrf, peer_id: m[1], transport_address: m[2], discovery_source: m[3].trim()
+    });
+  }
+}
+
+function p_display_mpls_ldp_lsp_statistics(b, model) {
+  // Either "Ingress LSP : 3" pairs or an "Ingress  Transit  Egress  Total" table
+  const stats = model.protocols.mpls.ldp.lsp_stats;
+  const txt = cleanTailPrompt(b);
+  for (const key of ["total", "ingress", "transit", "egress"]) {
+    const m = txt.match(new RegExp(`\\b${key}\\s*(?:LSPs?)?(?:\\s*Number)?\\s*:\\s*(\\d+)`, "i"));
+    if (m) stats[key] = toInt(m[1]);
+  }
+  const ls = lines(txt).map(l => l.trim());
+  const headIdx = ls.findIndex(l => /ingress/i.test(l) && /transit/i.test(l) && !/:/.test(l));
+  if (headIdx >= 0) {
+    const cols = ls[headIdx].split(/\s+/).map(h => (lower(h).match(/^(total|ingress|transit|egress)/) || [])[1]).filter(Boolean);
+    const row = ls.slice(headIdx + 1).find(l => /^(?:\D\S*\s+)*\d+(\s+\d+)+$/.test(l)); // "LDP LSP  3  4  2  9"
+    if (row) {
+      const vals = row.split(/\s+/).filter(v => /^\d+$/.test(v));
+      cols.forEach((key, i) => { if (vals[i] != null) stats[key] = toInt(vals[i]); });
+    }
+  }
+}
+
 function p_display_segment_routing(b, model) {
   const srgbMatch = b.match(/SRGB\s*:\s*(\d+)-(\d+)/i);
   if (srgbMatch) model.protocols.mpls.sr.srgb = { start: toInt(srgbMatch[1]), end: toInt(srgbMatch[2]) };
@@ -1001,19 +1281,19 @@ function p_display_tunnel_info_statistics(b, model) {
 
 function p_display_bgp_peer(b, model) {
   for (const ln of lines(b)) {
-    const m = ln.match(/^(\d{1,3}(?:\.\d{1,3}){3})\s+(\d+)\s+(\S+)/);
+    const m = ln.match(maskAware(/^({IP})\s+(\d+)\s+(\S+)/));
     if (m) model.protocols.bgp.neighbors.push({ neighbor: m[1], as: toInt(m[2]), state: m[3] });
   }
 }
 function p_display_bgp_vpnv4_peer(b, model) {
   for (const ln of lines(b)) {
-    const m = ln.match(/^(\d{1,3}(?:\.\d{1,3}){3})\s+(\d+)\s+(\S+)/);
+    const m = ln.match(maskAware(/^({IP})\s+(\d+)\s+(\S+)/));
     if (m) model.protocols.bgp.vpnv4.push({ neighbor: m[1], as: toInt(m[2]), state: m[3] });
   }
 }
 function p_display_bgp_evpn_peer(b, model) {
     for (const ln of lines(b)) {
-        const m = ln.match(/^(\d{1,3}(?:\.\d{1,3}){3})\s+(\d+)\s+(\S+)\s+(\S+)\s+(\d+)/); // IP, AS, State, Uptime, Routes
+        const m = ln.match(maskAware(/^({IP})\s+(\d+)\s+(\S+)\s+(\S+)\s+(\d+)/)); // IP, AS, State, Uptime, Routes
         if (m) {
             model.protocols.bgp.evpn_peers.push({
                 neighbor: m[1],
@@ -1080,7 +1360,179 @@ function p_display_ip_routing_table_statistics(b, model) {
     model.routing.table_summary.push(summary);
 }
 
+// ---------- L2VPN (VLL / VPLS) ----------
+// "Key : Value" pairs of one block; also splits two-column lines
+// ("local VC label : 1024      remote VC label : 1024") into two pairs.
+function kvPairs(text) {
+  const out = {};
+  for (const ln of lines(text)) {
+    for (const piece of ln.split(/\s{3,}(?=[A-Za-z][A-Za-z0-9 \-\/()]*?\s*:)/)) {
+      const m = piece.match(/^\s*\**\s*([A-Za-z][^:]*?)\s*:\s*(.*?)\s*$/);
+      if (m && !(normalizeKey(m[1]) in out)) out[normalizeKey(m[1])] = m[2];
+    }
+  }
+  return out;
+}
+
+const upDown = (v) => (v ? String(v).replace(/^.*\bis\s+/i, "").trim() : null); // "GE0/1/0.1 is up" -> "up"
+
+function p_display_mpls_l2vc(b, model, type = "ldp") {
+  const blk = cleanTailPrompt(b);
+  const parts = blk.split(/\n(?=\s*\*?\s*client\s+interface\s*:)/i).filter(p => /client\s+interface\s*:/i.test(p));
+  for (const part of parts) {
+    const kv = kvPairs(part);
+    const iface = (kv.client_interface || "").replace(/\s+is\s+\S+$/i, "").trim();
+    model.l2vpn.vcs.push({
+      type,
+      vc_id: kv.vc_id ?? null,
+      peer: kv.destination || kv.peer_address || null,
+      interface: iface || null,
+      ac_state: kv.ac_status || (/\s+is\s+\S+$/i.test(kv.client_interface || "") ? upDown(kv.client_interface) : null),
+      vc_state: kv.vc_state || null,
+      session_state: kv.session_state || null,
+      encapsulation: kv.vc_type || kv.encapsulation_type || null,
+      local_label: toInt(kv.local_vc_label),
+      remote_label: toInt(kv.remote_vc_label),
+      mtu: toInt(kv.local_vc_mtu || kv.vc_mtu),
+      up_time: kv.up_time || null
+    });
+  }
+  if (parts.length) return;
+
+  // Older tabular brief: "VC-ID  Destination  Status  VC-Type  Interface"
+  for (const ln of lines(blk)) {
+    const m = ln.trim().match(/^(\d+)\s+(\S+)\s+(up|down)\s+(\S+)\s+(\S+)$/i);
+    if (m) {
+      model.l2vpn.vcs.push({
+        type, vc_id: m[1], peer: m[2], interface: m[5], ac_state: null, vc_state: m[3], session_state: null,
+        encapsulation: m[4], local_label: null, remote_label: null, mtu: null, up_time: null
+      });
+    }
+  }
+}
+
+function p_display_mpls_static_l2vc(b, model) {
+  p_display_mpls_l2vc(b, model, "static");
+}
+
+function ensureVsi(model, name) {
+  let vsi = model.l2vpn.vsis.find(v => v.name === name);
+  if (!vsi) {
+    vsi = { name, state: null, signaling: null, encapsulation: null, mtu: null, pws: [], acs: [] };
+    model.l2vpn.vsis.push(vsi);
+  }
+  return vsi;
+}
+
+function upsertVsiPw(vsi, pw) {
+  const existing = vsi.pws.find(p => p.peer === pw.peer && (p.vc_id == null || pw.vc_id == null || p.vc_id === pw.vc_id));
+  if (existing) {
+    for (const [k, v] of Object.entries(pw)) if (v != null) existing[k] = v;
+  } else {
+    vsi.pws.push({ peer: null, vc_id: null, state: null, local_label: null, remote_label: null, ...pw });
+  }
+}
+
+function p_display_vsi(b, model) {
+  const blk = cleanTailPrompt(b);
+
+  // verbose: "***VSI Name : company1" blocks
+  const parts = blk.split(/\n(?=\s*\*+\s*VSI\s+Name\s*:)/i).filter(p => /^\s*\*+\s*VSI\s+Name\s*:/i.test(p));
+  for (const part of parts) {
+    const [head, ...pwInfo] = part.split(/\n\s*\*+\s*PW\s+Information\s*:?/i);
+    const kv = kvPairs(head.split(/\n(?=\s*Interface\s+Name\s*:|\s*\*\s*Peer\s+Router\s+ID\s*:)/i)[0]);
+    const vsi = ensureVsi(model, kv.vsi_name);
+    vsi.state = kv.vsi_state || vsi.state;
+    vsi.signaling = kv.pw_signaling || kv.pw_signal || vsi.signaling;
+    vsi.encapsulation = kv.encapsulation_type || kv.encap_type || vsi.encapsulation;
+    vsi.mtu = toInt(kv.vsi_mtu || kv.mtu) ?? vsi.mtu;
+
+    // ACs: "Interface Name : GE1/0/0.1" followed by "State : up"
+    for (const m of head.matchAll(/Interface\s+Name\s*:\s*(\S+)[\s\S]*?^\s*State\s*:\s*(\S+)/gim)) {
+      if (!vsi.acs.some(a => a.interface === m[1])) vsi.acs.push({ interface: m[1], state: m[2] });
+    }
+    // Peers of the VSI ("*Peer Router ID ... Session : up")
+    for (const peerBlk of head.split(/\n(?=\s*\*\s*Peer\s+Router\s+ID\s*:)/i).slice(1)) {
+      const p = kvPairs(peerBlk);
+      upsertVsiPw(vsi, { peer: p.peer_router_id, state: p.session || null, local_label: toInt(p.vc_label) });
+    }
+    // PWs ("*Peer Ip Address ... PW State : up")
+    for (const pwBlk of pwInfo.join("\n").split(/\n(?=\s*\*\s*Peer\s+Ip\s+Address\s*:)/i)) {
+      const p = kvPairs(pwBlk);
+      if (!p.peer_ip_address) continue;
+      upsertVsiPw(vsi, {
+        peer: p.peer_ip_address, vc_id: p.pw_id || p.vc_id || null, state: p.pw_state || null,
+        local_label: toInt(p.local_vc_label), remote_label: toInt(p.remote_vc_label)
+      });
+    }
+  }
+  if (parts.length) return;
+
+  // brief table: "company1   --   ldp   unqualify   vlan   1500   up"
+  for (const ln of lines(blk)) {
+    const m = ln.trim().match(/^(\S+)\s+(\S+)\s+(ldp|bgp|bgpad|mixed|static|unspecified|--)\s+(\S+)\s+(\S+)\s+(\d+)\s+(up|down|admin-down)$/i);
+    if (!m) continue;
+    const vsi = ensureVsi(model, m[1]);
+    vsi.signaling = m[3];
+    vsi.encapsulation = m[5];
+    vsi.mtu = toInt(m[6]);
+    vsi.state = m[7];
+  }
+}
+
+function p_display_vpls_connection(b, model) {
+  const blk = cleanTailPrompt(b);
+
+  // verbose: "**VSI Name : company1" then "**Remote Vsi ID : 2" blocks
+  const parts = blk.split(/\n(?=\s*\*+\s*VSI\s+Name\s*:)/i).filter(p => /VSI\s+Name\s*:/i.test(p));
+  for (const part of parts) {
+    const kv = kvPairs(part.split(/\n(?=\s*\*+\s*Remote\s+Vsi\s+ID\s*:)/i)[0]);
+    const name = (kv.vsi_name || "").split(/\s+/)[0];
+    if (!name) continue;
+    const vsi = ensureVsi(model, name);
+    vsi.signaling = kv.signaling || vsi.signaling;
+
+    const remotes = part.split(/\n(?=\s*\*+\s*Remote\s+Vsi\s+ID\s*:)/i).slice(1);
+    for (const r of remotes) {
+      const p = kvPairs(r);
+      if (p.peer_ip_address || p.peer_address) {
+        upsertVsiPw(vsi, {
+          peer: p.peer_ip_address || p.peer_address, vc_id: p.remote_vsi_id || null, state: p.vc_state || null,
+          local_label: toInt(p.local_vc_label || p.inlabel), remote_label: toInt(p.remote_vc_label || p.outlabel)
+        });
+      }
+    }
+
+    // brief rows: "VsiID  EncapType  PeerAddr  InLabel  OutLabel  VCState"
+    for (const ln of lines(part)) {
+      const m = ln.trim().match(maskAware(/^(\d+)\s+(\S+)\s+({IP})\s+(\d+)\s+(\d+)\s+(up|down)$/i));
+      if (!m) continue;
+      vsi.encapsulation = vsi.encapsulation || m[2];
+      upsertVsiPw(vsi, { peer: m[3], vc_id: m[1], state: m[6], local_label: toInt(m[4]), remote_label: toInt(m[5]) });
+    }
+  }
+}
+
+function p_display_mpls_l2vpn_pw_aps(b, model) {
+  const blk = cleanTailPrompt(b);
+  for (const part of blk.split(/\n(?=\s*PW[- ]?APS\s+(?:ID|Instance)\s*:)/i)) {
+    const kv = kvPairs(part);
+    const id = kv.pw_aps_id || kv.pwaps_id || kv.pw_aps_instance;
+    if (!id) continue;
+    model.l2vpn.pw_aps.push({
+      id,
+      state: kv.state || kv.aps_state || kv.status || null,
+      working_pw: kv.working_pw || kv.master_pw || null,
+      protect_pw: kv.protect_pw || kv.protection_pw || kv.backup_pw || null,
+      active_pw: kv.active_pw || kv.current_active_pw || null,
+      fields: kv
+    });
+  }
+}
+
 // ---------- Route map ----------
+// [regex on the command, fn(block, model, commandLine)]; the block comes without its command line,
+// `commandLine` is that line without the prompt (arguments such as a masked VPN name included)
 const ROUTES = [
   // identity/software/time/patch/ntp
   [/^dis(?:play)?\s+version/i, p_display_version],
@@ -1101,8 +1553,8 @@ const ROUTES = [
   [/^dis(?:play)?\s+power(\b|$)/i, p_display_power_any],
   [/^dis(?:play)?\s+temperature/i, p_display_temperature],
   [/^dis(?:play)?\s+fan/i, p_display_fan],
-  [/^dis(?:play)?\s+alarm\s+active\s+verbose/i, p_display_alarm_all],
-  [/^dis(?:play)?\s+alarm(\s|$)/i, p_display_alarm_all],
+  [/^dis(?:play)?\s+alarm\s+(all|history)\b/i, p_display_alarm_history],
+  [/^dis(?:play)?\s+alarm(\s|$)/i, p_display_alarm_active], // active [verbose]
 
   // hardware / optics
   [/^dis(?:play)?\s+device\s+pic-status/i, p_display_device_pic_status],
@@ -1126,10 +1578,21 @@ const ROUTES = [
   [/^dis(?:play)?\s+eth-trunk/i, p_display_eth_trunk],
   [/^dis(?:play)?\s+e-trunk/i, p_display_e_trunk],
   [/^dis(?:play)?\s+lacp\s+peer/i, p_display_lacp_peer],
+  [/^dis(?:play)?\s+lldp\s+neighbor\s+brief/i, p_display_lldp_neighbor_brief],
+  [/^dis(?:play)?\s+lldp\s+neighbor/i, p_display_lldp_neighbor],
   [/^dis(?:play)?\s+bfd\s+session/i, p_display_bfd_session_all],
   [/^dis(?:play)?\s+bfd\s+configuration/i, p_display_bfd_configuration_all],
   [/^dis(?:play)?\s+ospf\s+peer\s+brief/i, p_display_ospf_peer_brief],
   [/^dis(?:play)?\s+ospf\s+brief/i, p_display_ospf_brief],
+  [/^dis(?:play)?\s+mpls\s+l2vc(\s+brief)?\s*$/i, (b, model) => p_display_mpls_l2vc(b, model)],
+  [/^dis(?:play)?\s+mpls\s+static-l2vc/i, p_display_mpls_static_l2vc],
+  [/^dis(?:play)?\s+mpls\s+l2vpn\s+pw-aps/i, p_display_mpls_l2vpn_pw_aps],
+  [/^dis(?:play)?\s+vsi(\s+verbose)?\s*$/i, p_display_vsi],
+  [/^dis(?:play)?\s+vpls\s+connection/i, p_display_vpls_connection],
+  [/^dis(?:play)?\s+isis\s+peer/i, p_display_isis_peer],
+  [/^dis(?:play)?\s+mpls\s+ldp\s+session/i, p_display_mpls_ldp_session],
+  [/^dis(?:play)?\s+mpls\s+ldp\s+peer/i, p_display_mpls_ldp_peer],
+  [/^dis(?:play)?\s+mpls\s+ldp\s+lsp\s+statistics/i, p_display_mpls_ldp_lsp_statistics],
   [/^dis(?:play)?\s+segment-routing/i, p_display_segment_routing],
   [/^dis(?:play)?\s+mpls\s+lsp\s+statistics/i, p_display_mpls_lsp_statistics],
   [/^dis(?:play)?\s+tunnel-info\s+statistics/i, p_display_tunnel_info_statistics],
@@ -1145,89 +1608,288 @@ const ROUTES = [
 ];
 
 // ---------- Parse One File ----------
-function parseFile(inFile) {
-  const raw = fs.readFileSync(inFile, "utf8");
-  const model = newModel();
-  ensureInterface._map = new Map(); // Clear interface map for each file
-
-  // hostname
-  const hnMatch = raw.match(/^<([^>]+)>/m);
-  if (hnMatch && hnMatch[1]) model.identity.hostname = hnMatch[1];
-  
-  let hasConfigData = false;
-  
-  // --- PASS 1: RAW CONFIG PARSING ---
-  // Check if it looks like a raw config file (log_example1.log)
-  // or an interactive log that includes 'dis cur' (log_example2.txt)
-  if (RAW_CONFIG_REGEX.test(raw) || /dis(?:play)?\s+cur(?:rent-configuration)?/i.test(raw)) {
-      console.log(`File ${inFile} has config data, running config parser...`);
-      hasConfigData = true;
-      try {
-          // If it's *only* a raw config, use the full text.
-          // If it's an interactive log, find just the 'dis cur' block.
-          let configBlock = raw;
-          if (!RAW_CONFIG_REGEX.test(raw)) { // It's not a raw config, find 'dis cur'
-              const blocks = splitBlocks(raw);
-              for (const block of blocks) {
-                  const cmd = detectCommand(block);
-                  if (/^dis(?:play)?\s+cur(?:rent-configuration)?/i.test(cmd)) {
-                      configBlock = stripCommandFromBlock(block);
-                      break; // Found it
-                  }
-              }
-          }
-          p_display_current_configuration(configBlock, model);
-      } catch (e) {
-          console.error(`Error in config parser: ${e.message}`);
-          model.raw_sections['config_parser_error'] = [{ error: e.message, raw: e.stack }];
-      }
+/**
+ * Parses one log file into one model per device (see "Device splitting").
+ * @param {string} inFile - Path to the log file.
+ * @param {object} [options] - { profiles, pluginDir, quiet } profile store used for health checks,
+ * folder of parser plugins (parser_registry.js), no console summary.
+ * @returns {Array<object>} - The parsed models, in order of first appearance.
+ */
+function parseDevices(inFile, options = {}) {
+  return parseDevicesText(fs.readFileSync(inFile, "utf8"), inFile, options);
+}
+
+/**
+ * `parseDevices` for a log already in memory (an archive entry).
+ * @param {string} raw - The log text.
+ * @param {string} inFile - Path the log is reported under.
+ * @param {object} [options] - Same as `parseDevices`.
+ * @returns {Array<object>} - The parsed models.
+ */
+function parseDevicesText(raw, inFile, options = {}) {
+  const rawLines = raw.split("\n");
+  const split = newDeviceSplit();
+  rawLines.forEach((line, i) => splitLine(split, line, i));
+  const devices = finishDeviceSplit(split);
+  if (devices.length === 1) return [parseText(raw, inFile, options)];
+  return devices.map(d => parseText(d.ranges.map(([a, b]) => rawLines.slice(a, b).join("\n")).join("\n"), inFile, options));
+}
+
+/**
+ * Parses one log file into a model; a capture of several devices yields the first
+ * (`parseDevices` returns all of them).
+ * @param {string} inFile - Path to the log file.
+ * @param {object} [options] - Same as `parseDevices`.
+ * @returns {object} - The parsed model.
+ */
+function parseFile(inFile, options = {}) {
+  return firstDevice(parseDevices(inFile, options), inFile, options);
+}
+
+function firstDevice(models, inFile, options) {
+  if (models.length > 1 && !options.quiet) {
+    console.warn(`⚠️ ${path.basename(inFile)} holds ${models.length} devices; only the first is returned (use parseDevices)`);
   }
+  return models[0];
+}
+
+// The text of one device -> model
+function parseText(raw, inFile, options) {
+  const model = newModel(ANALYZER_VERSION);
+  const routes = loadRoutes(model, options);
+
+  // hostname, login warnings
+  const scan = newScan();
+  for (const line of raw.split("\n")) scanLine(model, line, scan);
+  
+  // --- PASS 1: CONFIG PARSING ---
+  // Raw config file (log_example1.log) or the 'dis cur' block of a command log
+  // (log_example2.txt, CommonCollectResult.txt)
+  const hasConfigData = parseConfigBlock(model, inFile, findConfigBlock(raw), options);
 
   // --- PASS 2: BLOCK-BY-BLOCK PARSING ---
-  // This handles all `display` commands (log_example2.txt, CommonCollectResult.txt)
-  const blk = splitBlocks(raw);
-  for (const block of blk) {
-    const cmd = detectCommand(block);
-    let handled = false;
-    
-    // Don't re-run 'dis cur' if we already did
-    if (hasConfigData && /^dis(?:play)?\s+cur(?:rent-configuration)?/i.test(cmd)) {
-        continue;
+  // This handles all `display` commands (log_example2.txt, CommonCollectResult.txt);
+  // a raw config file has none and was fully consumed by PASS 1
+  if (scan.command || !hasConfigData) {
+    for (const block of splitBlocks(raw)) parseCommandBlock(model, block, { hasConfigData, routes });
+  }
+
+  return finishModel(model, inFile, options);
+}
+
+/**
+ * Streaming `parseDevices`: same models, but the file is read line by line in
+ * three passes per device (scan, config, blocks) instead of being loaded whole.
+ * The config is still parsed before the other blocks, as in `parseDevices`.
+ * @param {string} inFile
+ * @param {object} [options] - Same as `parseDevices`.
+ * @returns {Promise<Array<object>>} - The models.
+ */
+async function parseDevicesStream(inFile, options = {}) {
+  const split = newDeviceSplit();
+  let i = 0;
+  for await (const line of readLines(inFile)) splitLine(split, line, i++);
+  const models = [];
+  for (const d of finishDeviceSplit(split)) models.push(await parseStream(inFile, d.ranges, options));
+  return models;
+}
+
+/**
+ * Streaming `parseFile` (the first device of the file).
+ * @param {string} inFile
+ * @param {object} [options] - Same as `parseDevices`.
+ * @returns {Promise<object>} - The model.
+ */
+async function parseFileStream(inFile, options = {}) {
+  return firstDevice(await parseDevicesStream(inFile, options), inFile, options);
+}
+
+// The lines of one device (`ranges` of the file) -> model
+async function parseStream(inFile, ranges, options) {
+  const model = newModel(ANALYZER_VERSION);
+  const routes = loadRoutes(model, options);
+  const source = () => deviceLines(inFile, ranges);
+
+  // --- PASS 0: hostname, login warnings, file kind ---
+  const scan = newScan();
+  for await (const line of source()) scanLine(model, line, scan);
+
+  // --- PASS 1: CONFIG PARSING ---
+  let configBlock = null;
+  if (!scan.command) {
+    // raw config: small, parsed as a whole
+    if (scan.rawConfig) {
+      const buf = [];
+      for await (const line of source()) buf.push(line);
+      configBlock = buf.join("\n");
     }
-    
-    const cleanBlock = stripCommandFromBlock(block); // Clean prompt line
-
-    for (const [rx, fn] of ROUTES) {
-      if (rx.test(cmd)) {
-        try {
-          fn(cleanBlock, model); // Pass the cleaned block
-        } catch (e) {
-          console.error(`Error in parser for cmd '${cmd}': ${e.message}`);
-          const key = normalizeKey(cmd);
-          (model.raw_sections[key] ||= []).push({ error: e.message, raw: cleanTailPrompt(cleanBlock) });
-        }
-        handled = true;
-        break; // First match wins
-      }
+  } else {
+    for await (const block of streamBlocks(source(), scan.marker)) {
+      const kind = configBlockKind(block);
+      if (kind === "full") { configBlock = stripCommandFromBlock(block); break; }
+      if (kind === "partial" && configBlock === null) configBlock = stripCommandFromBlock(block);
     }
-    if (!handled && cmd !== 'unknown') {
-      const key = normalizeKey(cmd);
-      (model.raw_sections[key] ||= []).push({ raw: cleanTailPrompt(cleanBlock) });
+  }
+  const hasConfigData = parseConfigBlock(model, inFile, configBlock, options);
+
+  // --- PASS 2: BLOCK-BY-BLOCK PARSING ---
+  if (scan.command || !hasConfigData) {
+    for await (const block of streamBlocks(source(), scan.marker)) parseCommandBlock(model, block, { hasConfigData, routes });
+  }
+
+  return finishModel(model, inFile, options);
+}
+
+// Built-in ROUTES plus the plugins of `options.pluginDir`; the plugins are recorded in the model
+function loadRoutes(model, options) {
+  if (!options.pluginDir) return ROUTES;
+  const loaded = loadPlugins(options.pluginDir);
+  model.plugins = describePlugins(loaded);
+  return buildRoutes(ROUTES, loaded.plugins);
+}
+
+// What a line scan learns about a file before the blocks are parsed
+function newScan() {
+  return { marker: false, command: false, rawConfig: false };
+}
+
+function scanLine(model, line, scan) {
+  // hostname (first "<host>" prompt)
+  if (!model.identity.hostname) {
+    const hnMatch = line.match(/^<([^>]+)>/);
+    if (hnMatch && hnMatch[1]) model.identity.hostname = hnMatch[1];
+  }
+  // Login banner: "Warning: The initial password poses security risks."
+  const warnMatch = line.match(/^\s*Warning:\s*(.*password.*?)\s*$/i);
+  if (warnMatch && !model.identity.password_warnings.includes(warnMatch[1])) model.identity.password_warnings.push(warnMatch[1]);
+
+  if (!scan.marker && line.includes(MARKER)) scan.marker = true;
+  if (!scan.command && COMMAND_REGEX.test(line)) scan.command = true;
+  if (!scan.rawConfig && RAW_CONFIG_REGEX.test(line)) scan.rawConfig = true;
+}
+
+// PASS 1 body; returns whether config data was found
+function parseConfigBlock(model, inFile, configBlock, options) {
+  if (configBlock === null) return false;
+  if (!options.quiet) console.log(`File ${inFile} has config data, running config parser...`);
+  try {
+      p_display_current_configuration(configBlock, model);
+      model.config_text = cleanTailPrompt(configBlock);
+      recordCoverage(model, "display current-configuration", "parsed");
+  } catch (e) {
+      console.error(`Error in config parser: ${e.message}`);
+      model.raw_sections['config_parser_error'] = [{ error: e.message, raw: e.stack }];
+      recordCoverage(model, "display current-configuration", "error", e.message);
+  }
+  return true;
+}
+
+// ---------- Coverage ----------
+// Commands whose output a parser could read; the rest (`system`, `return`, `dir cfcard:`) are
+// not counted as unhandled unless a parser plugin claims them
+const DISPLAY_COMMAND_REGEX = /^dis(?:play)?\s/i;
+
+// Output with nothing but prompts and system messages ("Error: Unrecognized command ...")
+function isEmptyOutput(text) {
+  return lines(text).every((l) => {
+    const t = l.trim();
+    return !t || t === "^" || /^<[^>]+>$/.test(t) || /^\[~?[^\]]+\]$/.test(t) || /^(Info|Warning|Error):/i.test(t);
+  });
+}
+
+function recordCoverage(model, cmd, status, error = null) {
+  const cov = model.coverage;
+  const key = normalizeKey(cmd);
+  cov.blocks++;
+  cov[status]++;
+  let entry = cov.commands.find(c => c.key === key);
+  if (!entry) {
+    entry = { command: cmd, key, status, blocks: 0, error: null };
+    cov.commands.push(entry);
+  }
+  entry.blocks++;
+  if (COVERAGE_STATUSES.indexOf(status) < COVERAGE_STATUSES.indexOf(entry.status)) entry.status = status;
+  if (error && !entry.error) entry.error = error;
+}
+
+// PASS 2 body: routes one command block to its parser (or raw_sections)
+// ctx: { hasConfigData, routes } (routes from `loadRoutes`)
+function parseCommandBlock(model, block, { hasConfigData, routes }) {
+  const cmd = detectCommand(block);
+  let handled = false;
+  
+  // Don't re-run 'dis cur' if we already did (coverage counts it once, in PASS 1)
+  if (hasConfigData && /^dis(?:play)?\s+cur(?:rent-configuration)?/i.test(cmd)) {
+      return;
+  }
+  
+  const cleanBlock = stripCommandFromBlock(block); // Clean prompt line
+  // A lone command line (end of the log) has no output at all
+  const empty = lines(block).length <= 1 && COMMAND_REGEX.test(block) ? true : isEmptyOutput(cleanBlock);
+  let error = null;
+
+  for (const [rx, fn] of routes) {
+    if (rx.test(cmd)) {
+      try {
+        fn(cleanBlock, model, commandLineOf(block)); // Pass the cleaned block (+ the full command line)
+      } catch (e) {
+        console.error(`Error in parser for cmd '${cmd}': ${e.message}`);
+        const key = normalizeKey(cmd);
+        (model.raw_sections[key] ||= []).push({ error: e.message, raw: cleanTailPrompt(cleanBlock) });
+        error = e.message;
+      }
+      handled = true;
+      break; // First match wins
     }
   }
+  if (!handled && cmd !== 'unknown') {
+    const key = normalizeKey(cmd);
+    (model.raw_sections[key] ||= []).push({ raw: cleanTailPrompt(cleanBlock) });
+  }
+  if (cmd !== 'unknown') {
+    const status = error ? "error"
+      : !handled && !DISPLAY_COMMAND_REGEX.test(cmd) ? "ignored"
+      : empty ? "empty" : handled ? "parsed" : "unhandled";
+    recordCoverage(model, cmd, status, error);
+  }
+}
+
+// Cleanup, health checks, security audit and the console summary
+function finishModel(model, inFile, options) {
+  // --- COVERAGE ---
+  const cov = model.coverage;
+  const relevant = cov.blocks - cov.empty - cov.ignored;
+  cov.ratio = relevant > 0 ? Math.round((cov.parsed / relevant) * 1000) / 1000 : null;
 
   // --- CLEANUP ---
   model.identity.ssh_users = uniqBy(model.identity.ssh_users, 'name');
   model.ntp.servers = uniqBy(model.ntp.servers, 'ip');
   model.interfaces = uniqBy(model.interfaces, 'name');
   model.protocols.vrfs = uniqBy(model.protocols.vrfs, 'name');
-  model.alarms = uniqBy(model.alarms, 'description');
-  model.protocols.bgp.config_peers = uniqBy(model.protocols.bgp.config_peers, 'peer_ip');
+  model.protocols.bgp.config_peers = uniqBy(model.protocols.bgp.config_peers, ['vrf', 'peer_ip']);
   model.protocols.isis.processes = uniqBy(model.protocols.isis.processes, 'id');
 
-  // console summary
+  // --- MASKED VALUES (sanitized logs: rows kept with `masked: true`) ---
+  model.masking = markMaskedRows(model);
+
+  // --- HEALTH CHECKS ---
+  const profile = resolveProfile(options.profiles, model);
+  model.profile = profile.name;
+  model.findings = evaluateHealth(model, profile.thresholds);
+
+  // --- SECURITY AUDIT ---
+  model.security = auditSecurity(model);
+
+  if (!options.quiet) printSummary(model, inFile, options);
+
+  return model;
+}
+
+// The per-file console summary (`options.quiet` skips it)
+function printSummary(model, inFile, options) {
+  const cov = model.coverage;
+  const relevant = cov.blocks - cov.empty - cov.ignored;
   console.log("\n✅ Parsed:", path.basename(inFile));
-  console.log("→ Output :", outPathFor(inFile));
   console.log("— Hostname      :", model.identity.hostname || model.identity.sysname || "N/A");
   console.log("— Model         :", model.identity.model || "N/A");
   console.log("— Version       :", model.software.version || "N/A");
@@ -1248,17 +1910,49 @@ function parseFile(inFile) {
   console.log("— ARP / MAC     :", model.protocols.arp.length, "/", model.protocols.mac.length);
   console.log("— VLANs         :", model.protocols.vlans.length);
   console.log("— Eth/E-Trunks  :", model.protocols.trunks.eth_trunks.length, "/", model.protocols.trunks.e_trunks.length);
+  console.log("— LLDP neighbors:", model.protocols.lldp.neighbors.length);
   console.log("— BFD / OSPF    :", model.protocols.bfd.sessions.length, "/", model.protocols.ospf.neighbors.length);
-  console.log("— ISIS Procs    :", model.protocols.isis.processes.length);
+  console.log("— ISIS Procs/Nbr:", model.protocols.isis.processes.length, "/", model.protocols.isis.neighbors.length);
+  console.log("— LDP Sessions  :", model.protocols.mpls.ldp.sessions.length, `(peers: ${model.protocols.mpls.ldp.peers.length})`);
   console.log("— BGP Peers     :", model.protocols.bgp.neighbors.length, `(EVPN: ${model.protocols.bgp.evpn_peers.length} )`);
   console.log("— BGP Config    :", model.protocols.bgp.config_peers.length);
   console.log("— SRBE count    :", model.protocols.mpls.sr.lsp_stats.srbe || 0);
   console.log("— EVPN Inst/VNI :", model.protocols.evpn.instances.length, "/", model.protocols.vxlan.vnis.length);
+  console.log("— L2VPN VC/VSI  :", model.l2vpn.vcs.length, "/", model.l2vpn.vsis.length);
   console.log("— Route summary :", model.routing.table_summary.length);
   console.log("— Static routes :", model.routing.static.length);
-  console.log("— Alarms        :", model.alarms.length);
+  console.log("— Alarms        :", model.alarms.active.length, `(history: ${model.alarms.history.length}, configured severities: ${model.alarms.configured.length})`);
+  console.log("— Findings      :", model.findings.length, `(profile: ${model.profile})`);
+  if (model.masking.values) {
+    const top = Object.entries(model.masking.sections).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([at, n]) => `${at}: ${n}`);
+    console.log("— Masked values :", model.masking.values, `in ${model.masking.rows} row(s) (${top.join(", ")})`);
+  }
+  console.log("— Coverage      :", cov.ratio == null ? "N/A" : `${Math.round(cov.ratio * 100)}%`, `(${cov.parsed}/${relevant} blocks, ${cov.unhandled} unhandled, ${cov.error} error(s), ${cov.ignored} ignored)`);
+  if (model.plugins.loaded.length || model.plugins.errors.length) {
+    console.log("— Plugins       :", model.plugins.loaded.map(p => p.name).join(", ") || "none", `(${model.plugins.errors.length} failed to load)`);
+  }
+  console.log("— Security      :", `score ${model.security.score ?? "N/A"}/100,`, model.security.findings.length, "finding(s)");
+}
 
-  return model;
+// Schema check before a model is written; a mismatch is a parser bug, so the
+// model is still written (the golden tests fail on it instead)
+function warnIfInvalid(model, inFile) {
+  const problems = validateModel(model);
+  if (!problems.length) return;
+  console.warn(`⚠️ Model of ${path.basename(inFile)} does not match model.schema.json (${problems.length} problem(s)):`);
+  for (const p of problems.slice(0, 5)) console.warn("   -", p);
+}
+
+// Adds the snapshot of an analyzed file to the device history (`options.historyDir`)
+function recordHistory(model, inFile, outFile, options) {
+  if (!options.historyDir) return;
+  try {
+    const criticalSeverities = resolveProfile(options.profiles, model).alarms.critical_severities;
+    const res = recordSnapshot(options.historyDir, model, { sourceFile: inFile, parsedFile: outFile, criticalSeverities });
+    if (res && !options.quiet) console.log(`— History       : ${res.key} (${res.count} snapshot(s))`);
+  } catch (e) {
+    console.warn(`⚠️ History snapshot of ${path.basename(inFile)} skipped: ${e.message}`);
+  }
 }
 
 // Export parseFile so the analyzer can be required programmatically
@@ -1266,25 +1960,163 @@ module.exports = parseFile;
 module.exports.parseFile = parseFile;
 
 /**
- * Analyzes a single file and writes the JSON output.
- * @param {string} filePath - Path to the log file.
+ * Writes a parsed model to the output folder (`options.outDir`, else output/ next to the app)
+ * under its `options.nameTemplate` name and records its history snapshot.
+ * @param {object} model - Model returned by `parseFile` / `parseFileStream`.
+ * @param {string} inFile - Path of the parsed log.
+ * @param {object} [options] - { outDir, nameTemplate, collision, historyDir, profiles, quiet }
+ * @param {string} [nameAs] - Path whose name fills {input} (default `inFile`).
  * @returns {object} - An object { outputPath, deviceName }
  */
-function analyzeFile(filePath) {
-  const fullPath = path.resolve(filePath);
-  if (!fs.existsSync(fullPath)) throw new Error(`File not found: ${fullPath}`);
-  
-  ensureOutDir();
-  const model = parseFile(fullPath);
-  const outFile = outPathFor(fullPath);
-  
+function writeModel(model, inFile, options = {}, nameAs = inFile) {
+  const fullPath = path.resolve(inFile);
+  const outFile = outPathFor(model, nameAs, options);
+
+  warnIfInvalid(model, fullPath);
   fs.writeFileSync(outFile, JSON.stringify(model, null, 2), "utf8");
-  
+  if (!options.quiet) console.log("→ Output :", outFile);
+  recordHistory(model, fullPath, outFile, options);
+
   // CRITICAL FIX (v13): Return object with deviceName
   const deviceName = model.identity.sysname || model.identity.hostname;
-  return { outputPath: outFile, deviceName: deviceName || null }; 
+  return { outputPath: outFile, deviceName: deviceName || null };
 }
 
+/**
+ * `writeModel` for the models of one file: with several devices {input} becomes
+ * "<log name>_<device>", so they don't share one file name.
+ * @param {Array<object>} models - Models returned by `parseDevices` / `parseDevicesStream`.
+ * @param {string} inFile
+ * @param {object} [options] - Same as `writeModel`.
+ * @returns {Array<object>} - [{ outputPath, deviceName }]
+ */
+function writeModels(models, inFile, options = {}) {
+  return deviceEntries(models, inFile).map(e => writeModel(e.data, e.file, options, e.nameAs));
+}
+
+/**
+ * The models of one file as device entries (the input of model_merge.js / `writeEntries`).
+ * @param {Array<object>} models - Models returned by `parseDevices` / `parseDevicesStream`.
+ * @param {string} inFile
+ * @returns {Array<object>} - [{ file, nameAs, data }]
+ */
+function deviceEntries(models, inFile) {
+  return models.map((data, i) => ({ file: inFile, nameAs: models.length > 1 ? deviceNameAs(inFile, data, i) : inFile, data }));
+}
+
+/**
+ * Writes device entries, merging first the devices found in several files (model_merge.js)
+ * unless `options.merge === false`.
+ * @param {Array<object>} entries - [{ file, nameAs, data }] (+ `archive`, `entry` of an archive log)
+ * @param {object} [options] - Same as `writeModel`, plus { merge }.
+ * @returns {Array<object>} - [{ outputPath, deviceName }] (+ `files` for a merged device,
+ *   `file` / `archive` / `entry` for an archive log, `unmerged` for a device kept apart)
+ */
+function writeEntries(entries, options = {}) {
+  const devices = options.merge === false ? entries : mergeEntries(entries, options);
+  return devices.map((e) => {
+    warnUnmerged(e, options);
+    const written = writeModel(e.data, e.file, options, e.nameAs);
+    if (e.files) return { ...written, files: e.files };
+    if (e.unmerged) written.unmerged = e.unmerged;
+    return e.entry ? { file: e.file, ...written, archive: e.archive, entry: e.entry } : written;
+  });
+}
+
+// A device whose name could not identify it (model_merge.js `unmerged`) is kept apart
+function warnUnmerged(entry, options) {
+  if (entry.unmerged && !options.quiet) console.warn(`⚠️ ${path.basename(entry.file)}: not merged by name (${entry.unmerged})`);
+}
+
+/**
+ * Merges the devices found in several files of an analysis whose files are already written
+ * (the worker pool of analyzer_pool.js): the files of a merged device are replaced by one.
+ * @param {Array<object>} results - [{ file, outputPath, deviceName }] of the run.
+ * @param {object} [options] - Same as `writeModel`.
+ * @returns {Array<object>} - The results, a merged device as { file, files, outputPath, deviceName }.
+ */
+function mergeResults(results, options = {}) {
+  const entries = results.map(r => ({ ...r, data: JSON.parse(fs.readFileSync(r.outputPath, "utf8")) }));
+  return mergeEntries(entries, options).map(({ data, parts, ...r }) => {
+    warnUnmerged(r, options);
+    if (!parts) return r;
+    parts.forEach(p => fs.rmSync(p.outputPath, { force: true }));
+    return { file: r.file, files: r.files, ...writeModel(data, r.file, options) };
+  });
+}
+
+// "<dir>/<log name>_<device><ext>" (the extension stays, so `{input}` strips only it)
+function deviceNameAs(inFile, model, index) {
+  const ext = path.extname(inFile);
+  const device = model.identity.sysname || model.identity.hostname || `device${index + 1}`;
+  return path.join(path.dirname(inFile), `${path.basename(inFile, ext)}_${device}${ext}`);
+}
+
+/**
+ * Parses the logs inside an archive (.zip, .gz, .tar.gz, nested archives) in memory.
+ * @param {string} archivePath - Path to the archive.
+ * @param {object} [options] - Passed through to `parseDevicesText`.
+ * @returns {object} - { entries, failed, logs }: device entries [{ file, nameAs, archive, entry, data }]
+ *   (`file` is "<archive>/<entry>", `entry` the archive-relative path of the log), the logs that
+ *   could not be read or parsed [{ file, archive, entry, error }] and the number of logs.
+ */
+function archiveEntries(archivePath, options = {}) {
+  const archive = path.resolve(archivePath);
+  const entries = [];
+  const failed = [];
+  let logs = 0;
+  for (const { entry, text, error } of readArchive(archive)) {
+    logs++;
+    const file = entryPath(archive, entry);
+    if (!options.quiet) console.log(`\n📦 ${path.basename(archive)} → ${entry}`);
+    try {
+      if (error) throw new Error(error);
+      entries.push(...deviceEntries(parseDevicesText(text, file, options), file).map(e => ({ ...e, archive, entry })));
+    } catch (e) {
+      console.error(`Failed to parse ${entry} in ${path.basename(archive)}: ${e.message}`);
+      failed.push({ file, archive, entry, error: e.message });
+    }
+  }
+  if (!logs) throw new Error(`No .txt or .log files found in: ${archive}`);
+  return { entries, failed, logs };
+}
+
+// Writes the devices of an archive; its failed logs follow as { file, archive, entry, error }
+function analyzeArchive(archivePath, options) {
+  const { entries, failed } = archiveEntries(archivePath, options);
+  return [...writeEntries(entries, options), ...failed];
+}
+
+/**
+ * Analyzes a single file and writes one JSON output per device; the logs of an archive
+ * are merged by device like the files of a directory (`writeEntries`).
+ * @param {string} filePath - Path to the log file or archive.
+ * @param {object} [options] - Passed through to `parseDevices` / `writeModel`.
+ * @returns {Array<object>} - An array of { outputPath, deviceName } objects (the failed logs of
+ *   an archive as { file, archive, entry, error }).
+ */
+function analyzeFile(filePath, options = {}) {
+  const fullPath = path.resolve(filePath);
+  if (!fs.existsSync(fullPath)) throw new Error(`File not found: ${fullPath}`);
+  if (isArchive(fullPath)) return analyzeArchive(fullPath, options);
+  return writeModels(parseDevices(fullPath, options), fullPath, options);
+}
+
+/**
+ * Async `analyzeFile` built on `parseDevicesStream` (used by the worker pool, analyzer_pool.js).
+ * @param {string} filePath - Path to the log file.
+ * @param {object} [options] - Passed through to `parseDevicesStream` / `writeModel`.
+ * @returns {Promise<Array<object>>} - Same as `analyzeFile`.
+ */
+async function analyzeFileAsync(filePath, options = {}) {
+  const fullPath = path.resolve(filePath);
+  if (!fs.existsSync(fullPath)) throw new Error(`File not found: ${fullPath}`);
+  // an archive is read in memory anyway: nothing to stream
+  if (isArchive(fullPath)) return analyzeArchive(fullPath, options);
+  return writeModels(await parseDevicesStream(fullPath, options), fullPath, options);
+}
+
+// The .txt/.log files and archives of a directory (recursively)
 function findLogFilesRecursively(currentDir) {
     let logFiles = [];
     const items = fs.readdirSync(currentDir, { withFileTypes: true });
@@ -1294,7 +2126,7 @@ function findLogFilesRecursively(currentDir) {
 
         if (item.isDirectory()) {
             logFiles = logFiles.concat(findLogFilesRecursively(fullPath));
-        } else if (item.isFile() && (item.name.toLowerCase().endsWith(".txt") || item.name.toLowerCase().endsWith(".log"))) {
+        } else if (item.isFile() && (isLogFile(item.name) || isArchive(item.name))) {
             logFiles.push(fullPath);
         }
     }
@@ -1302,50 +2134,82 @@ function findLogFilesRecursively(currentDir) {
 }
 
 /**
- * Analyzes all .txt/.log files in a directory.
+ * Lists the .txt/.log files and archives (.zip, .gz, .tgz, .tar) of a directory (recursively).
  * @param {string} dirPath - Path to the directory.
- * @returns {Array<object>} - An array of { outputPath, deviceName } objects.
+ * @returns {Array<string>} - Absolute file paths.
  */
-function analyzeDirectory(dirPath) {
+function listLogFiles(dirPath) {
   const dir = path.resolve(dirPath);
   if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
     throw new Error(`Not a directory: ${dir}`);
   }
   const files = findLogFilesRecursively(dir);
-  if (!files.length) throw new Error(`No .txt or .log files found in: ${dir}`);
+  if (!files.length) throw new Error(`No .txt, .log or archive files found in: ${dir}`);
+  return files;
+}
+
+/**
+ * Analyzes all .txt/.log files and archives in a directory; a device found in several files
+ * is merged into one model (model_merge.js) unless `options.merge === false`.
+ * @param {string} dirPath - Path to the directory.
+ * @param {object} [options] - Passed through to `parseDevices` / `writeEntries`.
+ * @returns {Array<object>} - An array of { outputPath, deviceName } objects.
+ */
+function analyzeDirectory(dirPath, options = {}) {
+  const files = listLogFiles(dirPath);
 
-  ensureOutDir();
-  const results = [];
+  ensureDir(outDirFor(options));
+  const entries = [];
   for (const f of files) {
     try {
-      const analysisResult = analyzeFile(f); // This now returns the object
-      results.push(analysisResult);
+      // one entry per device of the file (of every log of an archive)
+      entries.push(...(isArchive(f) ? archiveEntries(f, options).entries : deviceEntries(parseDevices(f, options), f)));
     } catch (e) {
         console.error(`Failed to parse file ${f}: ${e.message}`);
     }
   }
   
   // CRITICAL FIX (v13): Return the array of result objects
-  return results;
+  return writeEntries(entries, options);
 }
 
 // export for external use
 module.exports = {
   parseFile,
+  parseFileStream,
+  parseDevices,
+  parseDevicesText,
+  parseDevicesStream,
+  writeModel,
+  writeModels,
+  deviceEntries,
+  writeEntries,
+  mergeResults,
+  archiveEntries,
   analyzeFile,
-  analyzeDirectory
+  analyzeFileAsync,
+  analyzeDirectory,
+  listLogFiles,
+  findLogFilesRecursively
 };
 
 // Run as CLI only when invoked directly
 if (require.main === module) {
   try {
+    const options = {};
+    if (PROFILES_PATH) options.profiles = JSON.parse(fs.readFileSync(PROFILES_PATH, "utf8"));
+    if (PROFILE_NAME) options.profiles = { ...(options.profiles || {}), selected: PROFILE_NAME };
+    if (PARSERS_PATH) options.pluginDir = path.resolve(PARSERS_PATH);
+    if (HISTORY_PATH) options.historyDir = path.resolve(HISTORY_PATH);
+    if (NO_MERGE) options.merge = false;
+
     if (DIR_MODE) {
       console.log("📂 Scanning directory:", DIR_PATH);
-      analyzeDirectory(DIR_PATH);
+      analyzeDirectory(DIR_PATH, options);
     } else {
       const file = FILE_PATH || DEFAULT_FILE;
       console.log("🔍 Parsing file:", file);
-      analyzeFile(file);
+      analyzeFile(file, options);
     }
   } catch (err) {
     console.error("❌", err.stack || err.message);
@@ -0,0 +1,170 @@
+/**
+ * analyzer_pool.js — Bounded worker-thread pool around analyzer.js
+ * ----------------------------------------------------
+ * `runAnalysis(files, { options, concurrency, onProgress })` analyzes every
+ * file in its own worker thread (`analyzeFileAsync`, streaming), at most
+ * `concurrency` at a time, so a large collection neither blocks the Electron
+ * main process nor has to fit in memory at once. It returns:
+ *   {
+ *     promise,  // -> { results: [{ file, outputPath, deviceName }], failed: [{ file, error }], cancelled: [file] }
+ *     cancel    // () => void — terminates running workers, skips queued files
+ *   }
+ * `results` has one entry per device: a capture of several devices adds several.
+ * A log of an archive that failed is listed in `failed` as { file, archive, entry, error }
+ * ("<archive>/<entry>"); the archive is 'finished' when at least one of its logs was parsed.
+ * `onProgress(event)` receives, per file:
+ *   { type: 'queued'|'started'|'finished'|'failed'|'cancelled', file, index, total,
+ *     deviceName, outputPath, error }
+ * (for several devices `deviceName` lists them, `outputPath` is the first file; a 'finished'
+ * archive with failed logs lists them in `error`)
+ * When worker threads are unavailable (e.g. the worker script can't be loaded
+ * from a packaged archive) the file is analyzed in-process instead.
+ * This file is also the worker script (`!isMainThread` branch at the bottom).
+ */
+const os = require("os");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+
+const MAX_CONCURRENCY = 4;
+
+// One core stays free for the UI; never more workers than files
+function defaultConcurrency(total) {
+  return Math.max(1, Math.min(MAX_CONCURRENCY, os.cpus().length - 1, total));
+}
+
+// Runs one file in a worker; `onStart` gets the worker so it can be terminated
+function analyzeInWorker(file, options, onStart) {
+  return new Promise((resolve, reject) => {
+    let online = false;
+    let settled = false;
+    const worker = new Worker(__filename, { workerData: { file, options } });
+    onStart(worker);
+    worker.once("online", () => { online = true; });
+    worker.once("message", (msg) => {
+      settled = true;
+      if (msg.ok) resolve(msg.result);
+      else reject(new Error(msg.error));
+    });
+    worker.once("error", (err) => {
+      settled = true;
+      if (!online) err.workerUnavailable = true;
+      reject(err);
+    });
+    worker.once("exit", (code) => {
+      if (!settled) reject(new Error(`Worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+function analyzeInProcess(file, options) {
+  return require("./analyzer").analyzeFileAsync(file, options);
+}
+
+/**
+ * Analyzes files in a bounded pool of worker threads.
+ * @param {Array<string>} files - Log file paths.
+ * @param {object} [opts]
+ * @param {object} [opts.options] - Passed through to `analyzeFileAsync` (e.g. { profiles }).
+ * @param {number} [opts.concurrency] - Parallel workers (default: CPU cores - 1, max 4).
+ * @param {Function} [opts.onProgress] - Progress callback (see header).
+ * @returns {object} - { promise, cancel }
+ */
+function runAnalysis(files, opts = {}) {
+  const { options = {}, onProgress = () => {} } = opts;
+  const total = files.length;
+  const concurrency = Math.max(1, opts.concurrency || defaultConcurrency(total));
+  const results = []; // by file index, compacted at the end
+  const failed = [];
+  const cancelled = [];
+  const running = new Map(); // index -> worker
+  let next = 0;
+  let cancelRequested = false;
+  let useWorkers = true;
+
+  const emit = (type, index, extra = {}) => {
+    try {
+      onProgress({ type, file: files[index], index, total, deviceName: null, outputPath: null, error: null, ...extra });
+    } catch (e) {
+      console.error(`Progress listener failed: ${e.message}`);
+    }
+  };
+
+  files.forEach((_, i) => emit("queued", i));
+
+  async function runOne(index) {
+    const file = files[index];
+    emit("started", index);
+    try {
+      let result;
+      if (useWorkers) {
+        try {
+          result = await analyzeInWorker(file, options, (w) => running.set(index, w));
+        } catch (e) {
+          if (!e.workerUnavailable) throw e;
+          console.warn(`Worker threads unavailable (${e.message}), analyzing in-process`);
+          useWorkers = false;
+        }
+      }
+      if (!useWorkers && !cancelRequested) result = await analyzeInProcess(file, options);
+      if (cancelRequested && !result) {
+        cancelled.push(file);
+        emit("cancelled", index);
+        return;
+      }
+      // the logs of an archive that failed come back as { file, archive, entry, error }
+      const failures = result.filter(r => r.error);
+      failures.forEach(({ file: entryFile, archive, entry, error }) => failed.push({ file: entryFile, archive, entry, error }));
+      const failedLogs = failures.length ? failures.map(f => `${f.entry}: ${f.error}`).join("; ") : null;
+      const written = result.filter(r => !r.error);
+      if (failures.length && !written.length) {
+        emit("failed", index, { error: failedLogs });
+        return;
+      }
+      results[index] = written.map(r => ({ file, ...r }));
+      const names = written.map(r => r.deviceName).filter(Boolean);
+      emit("finished", index, { deviceName: names.length ? names.join(", ") : null, outputPath: written[0]?.outputPath || null, error: failedLogs });
+    } catch (e) {
+      if (cancelRequested) {
+        cancelled.push(file);
+        emit("cancelled", index);
+      } else {
+        console.error(`Failed to parse file ${file}: ${e.message}`);
+        failed.push({ file, error: e.message });
+        emit("failed", index, { error: e.message });
+      }
+    } finally {
+      running.delete(index);
+    }
+  }
+
+  async function lane() {
+    while (next < total) {
+      const index = next++;
+      if (cancelRequested) {
+        cancelled.push(files[index]);
+        emit("cancelled", index);
+        continue;
+      }
+      await runOne(index);
+    }
+  }
+
+  const promise = Promise.all(Array.from({ length: Math.min(concurrency, total) }, lane))
+    .then(() => ({ results: results.filter(Boolean).flat(), failed, cancelled }));
+
+  const cancel = () => {
+    if (cancelRequested) return;
+    cancelRequested = true;
+    for (const worker of running.values()) worker.terminate();
+  };
+
+  return { promise, cancel };
+}
+
+module.exports = { runAnalysis, defaultConcurrency };
+
+// ───────────────── Worker ─────────────────
+if (!isMainThread && workerData && workerData.file) {
+  analyzeInProcess(workerData.file, workerData.options || {})
+    .then((result) => parentPort.postMessage({ ok: true, result }))
+    .catch((e) => parentPort.postMessage({ ok: false, error: e.message }));
+}
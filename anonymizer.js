@@ -0,0 +1,516 @@
+/**
+ * anonymizer.js — Consistent pseudonyms for sharing raw logs, parsed models and workbooks
+ * ----------------------------------------------------
+ * Rewrites sensitive values with pseudonyms kept in a mapping, so the same value gets the
+ * same pseudonym in every file and every run, and the mapping can restore the originals:
+ *   ip           prefix-preserving (Crypto-PAn style, keyed HMAC per bit): two addresses that
+ *                share the first n bits still do, so subnets, peers and next hops still line up;
+ *                masks / wildcards, 0.x / loopback / multicast are kept; IPv4 and IPv6
+ *   mac          the vendor OUI is kept, the rest is replaced (same notation)
+ *   host         sysname / hostname / prompts / LLDP neighbor names -> host-1, host-2, ...
+ *   esn          ESN / BarCode -> ESN00000001, ...
+ *   user         local / SSH users -> user-1, ...
+ *   vpn          VPN instances -> vpn-1, ...
+ *   description  interface / peer / route descriptions -> desc-1, ...
+ * Names are found in their defining lines (`sysname`, `<prompt>`, `ip vpn-instance`, `local-user`,
+ * `ESN:`, `description` ...) and in the model fields, then replaced wherever they occur
+ * (whole words, same case; names shorter than MIN_NAME_LENGTH, and descriptions shorter than
+ * MIN_DESCRIPTION_LENGTH or of a single word, only in their defining lines). Secrets (`cipher %^%#...`,
+ * `password simple ...`) are redacted for good: they are not in the mapping.
+ * The mapping (anonymizer_mapping.json) holds the originals: keep it local, never share it.
+ *   { version, created, key, ip: { real: pseudonym }, mac: {...}, host: {...}, esn: {...},
+ *     user: {...}, vpn: {...}, description: {...} }
+ * Functions take the mapping and add the values they meet to it; `loadMapping` /
+ * `saveMapping` read and write the file. `anonymizeLogFile` / `exportJson` write shared copies
+ * (the file names are anonymized too), `restoreFile` undoes them; export_to_excel.js takes the mapping as `options.anonymize`.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { readModel } = require("./model_schema");
+const { claimPath, outputPath } = require("./output_manager");
+
+const MAPPING_FILE = "anonymizer_mapping.json";
+const MAPPING_VERSION = 1;
+const NAME_KINDS = ["host", "esn", "user", "vpn", "description"];
+const KINDS = ["ip", "mac", ...NAME_KINDS];
+const MIN_NAME_LENGTH = 3;
+const MIN_DESCRIPTION_LENGTH = 6;
+const REDACTED = "******";
+
+const PSEUDONYM = {
+  host: (n) => `host-${n}`,
+  esn: (n) => `ESN${String(n).padStart(8, "0")}`,
+  user: (n) => `user-${n}`,
+  vpn: (n) => `vpn-${n}`,
+  description: (n) => `desc-${n}`,
+};
+
+// Values that are not names (built-in VPNs, keywords after `vpn-instance`, generic accounts)
+const RESERVED = {
+  host: ["cr"],
+  vpn: ["_public_", "public", "__dcn_vpn__", "__local_oam_vpn__", "all", "name", "verbose", "brief", "statistics", "interface"],
+  user: ["name", "user", "admin", "root", "huawei", "test", "guest", "ftp"],
+};
+
+// [kind, regex]: group 1 is the name (the whole line part after the keyword for descriptions)
+const NAME_RULES = [
+  ["host", /^[ \t]*sysname[ \t]+(\S+)/gim],
+  ["host", /^[ \t]*<([^<>\s]+)>/gm],
+  ["host", /\bSystem name[ \t]*:[ \t]*(\S+)/gi],
+  ["esn", /\bESN(?: of [\w ]+?)?[ \t]*:[ \t]*([A-Za-z0-9]{8,})/g],
+  ["esn", /\bBarCode[ \t]*=[ \t]*([A-Za-z0-9]{8,})/gi],
+  ["esn", /\bEquipment serial number[ \t]*[:=]?[ \t]*([A-Za-z0-9]{8,})/gi],
+  ["user", /^[ \t]*local-user[ \t]+(\S+)/gim],
+  ["user", /^[ \t]*ssh user[ \t]+(\S+)/gim],
+  ["user", /\bUser ?name[ \t]*:[ \t]*(\S+)/gi],
+  ["vpn", /\bvpn-instance[ \t]+(\S+)/gi],
+  ["vpn", /\bVPN-Instance Name[ \t]*:[ \t]*(\S+)/gi],
+];
+
+// Description contexts: group 1 the prefix that stays, group 2 the description
+// (config `description ...` lines, `display interface` "Description: ..." lines)
+const DESCRIPTION_RULES = [
+  /^([ \t]*description[ \t]+)(.+?)[ \t]*$/gm,
+  /^(Description:[ \t]*)(.+?)[ \t]*$/gm,
+  /\b(peer[ \t]+\S+[ \t]+description[ \t]+)(.+?)[ \t]*$/gm,
+];
+
+const SECRET_RULES = [
+  [/\b((?:irreversible-)?cipher\s+)[%$]\S+/gi, `$1${REDACTED}`],
+  [/\b(password\s+simple\s+)\S+/gi, `$1${REDACTED}`],
+  [/%\^%#\S*?%\^%#|%@%@\S*?%@%@|%\$%\$\S*?%\$%\$/g, REDACTED],
+];
+
+// Model fields: [path without indexes, kind]
+const MODEL_FIELDS = [
+  ["identity.hostname", "host"],
+  ["identity.sysname", "host"],
+  ["identity.serial", "esn"],
+  ["identity.ssh_users.name", "user"],
+  ["hardware.elabels.barcode", "esn"],
+  ["protocols.lldp.neighbors.neighbor_device", "host"],
+  ["protocols.vrfs.name", "vpn"],
+  ["interfaces.vpn_instance", "vpn"],
+  ["ntp.servers.vpn_instance", "vpn"],
+  ["protocols.arp.vpn", "vpn"],
+  ["protocols.bgp.config_peers.vrf", "vpn"],
+  ["protocols.mpls.ldp.sessions.vrf", "vpn"],
+  ["protocols.mpls.ldp.peers.vrf", "vpn"],
+  ["protocols.evpn.instances.vpn_instance", "vpn"],
+  ["routing.static.vrf", "vpn"],
+  ["routing.table_summary.vrf", "vpn"],
+  ["interfaces.description", "description"],
+  ["protocols.bgp.config_peers.description", "description"],
+  ["routing.static.description", "description"],
+];
+const FIELD_KIND = Object.fromEntries(MODEL_FIELDS);
+// Objects keyed by VPN name
+const VPN_KEYED = ["identity.router_ids", "protocols.ospf.router_ids"];
+
+const IPV4_REGEX = /(?<![\d.])(?:\d{1,3}\.){3}\d{1,3}(?!\.?\d)/g;
+const IPV6_REGEX = /(?<![\w:.])[0-9A-Fa-f]{0,4}(?::[0-9A-Fa-f]{0,4}){2,7}(?![\w:.])/g;
+const MAC_REGEX = /(?<![\w-])(?:[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}|[0-9A-Fa-f]{2}([:-])[0-9A-Fa-f]{2}(?:\1[0-9A-Fa-f]{2}){4})(?![\w:-])/g;
+
+// ---------- Utils ----------
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const lower = (s) => String(s).toLowerCase();
+const join = (at, key) => (at ? `${at}.${key}` : key);
+const hmac = (key, data) => crypto.createHmac("sha256", Buffer.from(key, "hex")).update(data).digest();
+
+// ---------- Mapping ----------
+/**
+ * A new, empty mapping with a random key.
+ * @returns {object}
+ */
+function newMapping() {
+  const mapping = { version: MAPPING_VERSION, created: new Date().toISOString(), key: crypto.randomBytes(32).toString("hex") };
+  KINDS.forEach(kind => { mapping[kind] = {}; });
+  return mapping;
+}
+
+/**
+ * Checks a mapping read from disk and fills missing tables.
+ * @param {object} raw
+ * @returns {object}
+ */
+function normalizeMapping(raw) {
+  if (!isObj(raw) || typeof raw.key !== "string" || !/^[0-9a-f]{64}$/.test(raw.key)) {
+    throw new Error("Not an anonymizer mapping (missing or invalid key)");
+  }
+  const mapping = { ...raw };
+  KINDS.forEach(kind => { mapping[kind] = isObj(raw[kind]) ? raw[kind] : {}; });
+  return mapping;
+}
+
+/**
+ * Reads the mapping file; a missing file yields a new mapping.
+ * @param {string} file
+ * @returns {object}
+ */
+function loadMapping(file) {
+  if (!fs.existsSync(file)) return newMapping();
+  return normalizeMapping(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+function saveMapping(file, mapping) {
+  fs.writeFileSync(file, JSON.stringify(mapping, null, 2), "utf8");
+}
+
+/**
+ * Number of mapped values per kind.
+ * @param {object} mapping
+ * @returns {object} - { ip, mac, host, esn, user, vpn, description }
+ */
+function mappingStats(mapping) {
+  return Object.fromEntries(KINDS.map(kind => [kind, Object.keys(mapping[kind] || {}).length]));
+}
+
+// Compiled lookups, rebuilt when the mapping grew
+const nameCache = new WeakMap();
+const reverseCache = new WeakMap();
+const countOf = (mapping, kinds) => kinds.reduce((n, kind) => n + Object.keys(mapping[kind]).length, 0);
+const alternation = (list) => [...list].sort((a, b) => b.length - a.length).map(escapeRe).join("|");
+// Names are whole words: not inside a longer run of letters / digits ("PE1" in "PE1-GE0/1/0", "parsed_PE1")
+const wordsRegex = (list, flags) => new RegExp(`(?<![A-Za-z0-9])(?:${alternation(list)})(?![A-Za-z0-9])`, flags);
+
+function nameLookups(mapping) {
+  const size = countOf(mapping, NAME_KINDS);
+  const cached = nameCache.get(mapping);
+  if (cached && cached.size === size) return cached;
+  const byName = new Map(); // lowercase real name -> pseudonym
+  const global = [];
+  for (const kind of NAME_KINDS) {
+    for (const [real, pseudo] of Object.entries(mapping[kind])) {
+      if (!byName.has(lower(real))) byName.set(lower(real), pseudo);
+      if (kind === "description" ? isSharedDescription(real) : real.length >= MIN_NAME_LENGTH) global.push(real);
+    }
+  }
+  const exact = new Map(NAME_KINDS.flatMap(kind => Object.entries(mapping[kind])));
+  const entry = { size, byName, exact, namesRegex: global.length ? wordsRegex(global, "g") : null };
+  nameCache.set(mapping, entry);
+  return entry;
+}
+
+function reverseLookups(mapping) {
+  const size = countOf(mapping, KINDS);
+  const cached = reverseCache.get(mapping);
+  if (cached && cached.size === size) return cached;
+  const reverse = new Map(); // pseudonym (MACs: lowercase hex) -> original
+  for (const kind of KINDS) {
+    for (const [real, pseudo] of Object.entries(mapping[kind])) if (!reverse.has(pseudo)) reverse.set(pseudo, real);
+  }
+  const pseudonyms = NAME_KINDS.flatMap(kind => Object.values(mapping[kind]));
+  const entry = { size, reverse, pseudonymsRegex: pseudonyms.length ? wordsRegex(pseudonyms, "g") : null };
+  reverseCache.set(mapping, entry);
+  return entry;
+}
+
+// ---------- Names ----------
+// Descriptions replaced outside their defining lines: long enough and not one plain word ("default")
+const isSharedDescription = (d) => d.length >= MIN_DESCRIPTION_LENGTH && !/^[A-Za-z]+$/.test(d);
+
+function addName(mapping, kind, value) {
+  const name = String(value ?? "").trim();
+  if (!name || name.includes("*") || (RESERVED[kind] || []).includes(lower(name))) return null;
+  const { byName, exact } = nameLookups(mapping);
+  if (exact.has(name)) return exact.get(name);
+  // Another spelling of a known name ("PE1" / "pe1") gets the same pseudonym
+  const pseudo = byName.get(lower(name)) || PSEUDONYM[kind](new Set(Object.values(mapping[kind])).size + 1);
+  mapping[kind][name] = pseudo;
+  return pseudo;
+}
+
+/**
+ * Adds the names defined in a text (sysname, prompts, VPN instances, users, ESNs, descriptions).
+ * @param {object} mapping
+ * @param {string} text
+ */
+function collectText(mapping, text) {
+  const s = String(text || "");
+  for (const [kind, re] of NAME_RULES) {
+    for (const m of s.matchAll(re)) addName(mapping, kind, m[1]);
+  }
+  for (const re of DESCRIPTION_RULES) {
+    for (const m of s.matchAll(re)) addName(mapping, "description", m[2]);
+  }
+}
+
+/**
+ * Adds the names of a parsed model (MODEL_FIELDS, VPN-keyed objects, config and raw output).
+ * @param {object} mapping
+ * @param {object} model
+ */
+function collectModel(mapping, model) {
+  const walk = (v, at) => {
+    if (Array.isArray(v)) return v.forEach(item => walk(item, at));
+    if (isObj(v)) {
+      if (VPN_KEYED.includes(at)) Object.keys(v).forEach(k => addName(mapping, "vpn", k));
+      return Object.entries(v).forEach(([k, child]) => walk(child, join(at, k)));
+    }
+    if (typeof v === "string" && FIELD_KIND[at]) addName(mapping, FIELD_KIND[at], v);
+  };
+  walk(model, "");
+  collectText(mapping, model?.config_text);
+  for (const items of Object.values(model?.raw_sections || {})) items.forEach(item => collectText(mapping, item.raw));
+}
+
+// ---------- Addresses ----------
+const toBits = (bytes) => bytes.map(b => b.toString(2).padStart(8, "0")).join("");
+const fromBits = (bits) => bits.match(/.{8}/g).map(b => parseInt(b, 2));
+// Netmasks (1...10...0) and wildcards (0...01...1), including all-zero / all-one
+const isMaskBits = (bits) => /^1*0*$/.test(bits) || /^0*1*$/.test(bits);
+
+// Prefix-preserving permutation: bit i is flipped by a keyed hash of the bits before it
+function permuteBits(key, bits) {
+  let out = "";
+  for (let i = 0; i < bits.length; i++) {
+    const flip = hmac(key, `${bits.length}:${bits.slice(0, i)}`)[0] & 1;
+    out += flip ? (bits[i] === "0" ? "1" : "0") : bits[i];
+  }
+  return out;
+}
+
+function parseIpv4(s) {
+  const bytes = s.split(".").map(Number);
+  return bytes.every(b => b <= 255) ? bytes : null;
+}
+
+function parseIpv6(s) {
+  if (!s.includes("::") && s.split(":").length !== 8) return null;
+  if ((s.match(/::/g) || []).length > 1 || /:::/.test(s)) return null;
+  const [head, tail = null] = s.split("::");
+  const part = (p) => (p ? p.split(":") : []);
+  const groups = tail === null ? part(head) : [...part(head), ...Array(8 - part(head).length - part(tail).length).fill("0"), ...part(tail)];
+  if (groups.length !== 8 || groups.some(g => !/^[0-9a-f]{1,4}$/i.test(g))) return null;
+  return groups.flatMap(g => [parseInt(g, 16) >> 8, parseInt(g, 16) & 255]);
+}
+
+function formatIpv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  // The longest run of two or more zero groups becomes "::"
+  let best = [-1, 0];
+  for (let i = 0; i < 8; i++) {
+    let n = 0;
+    while (groups[i + n] === "0") n++;
+    if (n > best[1]) best = [i, n];
+  }
+  if (best[1] < 2) return groups.join(":");
+  return `${groups.slice(0, best[0]).join(":")}::${groups.slice(best[0] + best[1]).join(":")}`;
+}
+
+function mapIp(mapping, ip, bytes, format) {
+  if (mapping.ip[ip]) return mapping.ip[ip];
+  const bits = toBits(bytes);
+  if (isMaskBits(bits)) return ip;
+  if (bytes.length === 4 && [0, 127].includes(bytes[0])) return ip; // "this network" (OSPF areas), loopback
+  if (bytes.length === 4 && bytes[0] >= 224) return ip;              // multicast
+  if (bytes.length === 16 && bytes[0] === 0xff) return ip;                     // IPv6 multicast
+  const pseudo = format(fromBits(permuteBits(mapping.key, bits)));
+  mapping.ip[ip] = pseudo;
+  return pseudo;
+}
+
+function mapMac(mapping, mac) {
+  const hex = mac.replace(/[^0-9a-f]/gi, "").toLowerCase();
+  if (/^0+$|^f+$/.test(hex)) return mac;
+  const known = mapping.mac[hex];
+  const pseudoHex = known || hex.slice(0, 6) + hmac(mapping.key, `mac:${hex}`).toString("hex").slice(0, 6);
+  if (!known) mapping.mac[hex] = pseudoHex;
+  return formatMac(pseudoHex, mac);
+}
+
+// The hex digits of `hex` in the notation (separators, case) of `sample`
+function formatMac(hex, sample) {
+  let i = 0;
+  const out = sample.replace(/[0-9a-f]/gi, () => hex[i++]);
+  return sample === sample.toUpperCase() ? out.toUpperCase() : out;
+}
+
+function replaceAddresses(mapping, text) {
+  return text
+    .replace(MAC_REGEX, (mac) => mapMac(mapping, mac))
+    .replace(IPV4_REGEX, (ip) => {
+      const bytes = parseIpv4(ip);
+      return bytes ? mapIp(mapping, ip, bytes, b => b.join(".")) : ip;
+    })
+    .replace(IPV6_REGEX, (ip) => {
+      const bytes = parseIpv6(ip);
+      return bytes ? mapIp(mapping, lower(ip), bytes, formatIpv6) : ip;
+    });
+}
+
+// ---------- Text ----------
+/**
+ * Redacts the secrets of a text (`cipher %^%#...`, `password simple ...`) for good.
+ * @param {string} text
+ * @returns {string}
+ */
+function redactSecrets(text) {
+  let s = String(text);
+  for (const [re, to] of SECRET_RULES) s = s.replace(re, to);
+  return s;
+}
+
+// Replaces without collecting (the names are already in the mapping)
+function replaceText(mapping, text) {
+  let s = redactSecrets(text);
+  const { byName, exact, namesRegex } = nameLookups(mapping);
+  for (const re of DESCRIPTION_RULES) {
+    s = s.replace(re, (all, prefix, desc) => (byName.has(lower(desc)) ? prefix + byName.get(lower(desc)) + all.slice(prefix.length + desc.length) : all));
+  }
+  if (namesRegex) s = s.replace(namesRegex, (name) => exact.get(name) || name);
+  return replaceAddresses(mapping, s);
+}
+
+/**
+ * Anonymizes a text (raw log, config, file name): collects its names, then replaces names,
+ * secrets and addresses.
+ * @param {object} mapping - Extended with the new values.
+ * @param {string} text
+ * @param {Array<object>} [models] - Parsed models of the text, for names only they know.
+ * @returns {string}
+ */
+function anonymizeText(mapping, text, models = []) {
+  models.forEach(model => collectModel(mapping, model));
+  collectText(mapping, text);
+  return replaceText(mapping, text);
+}
+
+/**
+ * Anonymizes a parsed model (a new object; every string value and VPN-keyed object key).
+ * @param {object} mapping - Extended with the new values.
+ * @param {object} model
+ * @returns {object}
+ */
+function anonymizeModel(mapping, model) {
+  collectModel(mapping, model);
+  return mapStrings(model, (s) => replaceText(mapping, s));
+}
+
+// A copy of a JSON value with `fn` applied to every string and object key
+function mapStrings(v, fn) {
+  if (Array.isArray(v)) return v.map(item => mapStrings(item, fn));
+  if (isObj(v)) return Object.fromEntries(Object.entries(v).map(([k, child]) => [fn(k), mapStrings(child, fn)]));
+  return typeof v === "string" ? fn(v) : v;
+}
+
+/**
+ * Restores the originals of the pseudonyms in a text (redacted secrets stay redacted).
+ * @param {object} mapping
+ * @param {string} text
+ * @returns {string}
+ */
+function deanonymizeText(mapping, text) {
+  const { reverse, pseudonymsRegex } = reverseLookups(mapping);
+  let s = String(text);
+  if (pseudonymsRegex) s = s.replace(pseudonymsRegex, (p) => reverse.get(p) ?? p);
+  return s
+    .replace(MAC_REGEX, (mac) => {
+      const real = reverse.get(mac.replace(/[^0-9a-f]/gi, "").toLowerCase());
+      return real ? formatMac(real, mac) : mac;
+    })
+    .replace(IPV4_REGEX, (ip) => reverse.get(ip) ?? ip)
+    .replace(IPV6_REGEX, (ip) => reverse.get(lower(ip)) ?? ip);
+}
+
+/**
+ * `deanonymizeText` for a parsed model.
+ * @param {object} mapping
+ * @param {object} model
+ * @returns {object}
+ */
+function deanonymizeModel(mapping, model) {
+  return mapStrings(model, (s) => deanonymizeText(mapping, s));
+}
+
+// ---------- Files ----------
+/**
+ * The path of a file with its name anonymized (names often hold the hostname); used to name
+ * the shared copies.
+ * @param {object} mapping
+ * @param {string} file
+ * @returns {string}
+ */
+function anonymizeFileName(mapping, file) {
+  const ext = path.extname(file);
+  return path.join(path.dirname(file), replaceText(mapping, path.basename(file, ext)) + ext);
+}
+
+/**
+ * Writes an anonymized copy of a raw log.
+ * @param {string} inFile
+ * @param {object} mapping - Extended with the new values (save it afterwards).
+ * @param {object} [options] - { outDir, collision, models } models: the parsed devices of the log.
+ * @returns {object} - { input, outPath }
+ */
+function anonymizeLogFile(inFile, mapping, options = {}) {
+  const text = anonymizeText(mapping, fs.readFileSync(inFile, "utf8"), options.models || []);
+  const ext = path.extname(inFile);
+  const outPath = claimPath(options.outDir, path.basename(anonymizeFileName(mapping, inFile), ext), ext, options.collision, options.runStarted);
+  fs.writeFileSync(outPath, text, "utf8");
+  return { input: inFile, outPath };
+}
+
+/**
+ * Writes a parsed JSON (migrated to the current schema) to the output folder, anonymized when
+ * `options.anonymize` holds a mapping; the name follows `options.nameTemplate` (default "{input}":
+ * the parsed file keeps its name).
+ * @param {string} jsonPath
+ * @param {object} [options] - { outDir, nameTemplate, collision, anonymize }
+ * @returns {object} - { input, outPath }
+ */
+function exportJson(jsonPath, options = {}) {
+  const mapping = options.anonymize;
+  let model = readModel(jsonPath);
+  let nameAs = jsonPath;
+  if (mapping) {
+    model = anonymizeModel(mapping, model);
+    nameAs = anonymizeFileName(mapping, jsonPath);
+  }
+  const outPath = outputPath(options.outDir, options.nameTemplate || "{input}", model, nameAs, ".json", options.collision, options.runStarted);
+  fs.writeFileSync(outPath, JSON.stringify(model, null, 2), "utf8");
+  return { input: jsonPath, outPath };
+}
+
+/**
+ * Writes a copy of an anonymized log or parsed JSON (.json) with the originals restored
+ * (name included).
+ * @param {string} inFile
+ * @param {object} mapping - The mapping that anonymized it.
+ * @param {object} [options] - { outDir, collision }
+ * @returns {object} - { input, outPath }
+ */
+function restoreFile(inFile, mapping, options = {}) {
+  const ext = path.extname(inFile);
+  const raw = fs.readFileSync(inFile, "utf8");
+  const text = ext.toLowerCase() === ".json"
+    ? JSON.stringify(deanonymizeModel(mapping, JSON.parse(raw)), null, 2)
+    : deanonymizeText(mapping, raw);
+  const outPath = claimPath(options.outDir, deanonymizeText(mapping, path.basename(inFile, ext)), ext, options.collision, options.runStarted);
+  fs.writeFileSync(outPath, text, "utf8");
+  return { input: inFile, outPath };
+}
+
+module.exports = {
+  MAPPING_FILE,
+  KINDS,
+  newMapping,
+  normalizeMapping,
+  loadMapping,
+  saveMapping,
+  mappingStats,
+  collectText,
+  collectModel,
+  redactSecrets,
+  anonymizeText,
+  anonymizeModel,
+  deanonymizeText,
+  deanonymizeModel,
+  anonymizeFileName,
+  anonymizeLogFile,
+  exportJson,
+  restoreFile,
+};
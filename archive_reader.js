@@ -0,0 +1,133 @@
+/**
+ * archive_reader.js — Logs inside .zip / .gz / .tar.gz collection bundles
+ * ----------------------------------------------------
+ * Collections from the field arrive as archives, often nested (a .zip of per-device .zip
+ * files, a .txt.gz inside a .tar.gz). `readArchive` walks them in memory — nothing is
+ * extracted to disk — and yields every .txt/.log member as { entry, text }, where `entry`
+ * is the path of the log inside the archive, through the nested archives:
+ *   "PE1/collect.zip/CommonCollectResult.txt"
+ * `entryPath(archive, entry)` is the path an entry is reported under ("<archive>/<entry>"):
+ * its base name fills {input} of the naming templates like the name of a plain log.
+ * Formats: .zip (jszip), .gz / .tgz (pako) and .tar, also inside a .gz. A .gz holding a
+ * single file is named after the archive ("log.txt.gz" -> "log.txt"). macOS metadata
+ * (__MACOSX/, ._ files) and members that are neither logs nor archives are skipped;
+ * archives nested deeper than MAX_DEPTH are skipped with a warning. A member that cannot be
+ * read (a corrupt nested archive, bad compressed data) is yielded as { entry, error }, so the
+ * caller reports it as a failed log.
+ */
+const fs = require("fs");
+const path = require("path");
+const JSZip = require("jszip");
+const pako = require("pako");
+
+const LOG_EXTENSIONS = [".txt", ".log"];
+const ARCHIVE_EXTENSIONS = [".zip", ".gz", ".tgz", ".tar"];
+const MAX_DEPTH = 8; // archives inside archives
+const TAR_BLOCK = 512;
+
+// ---------- Utils ----------
+const hasExtension = (file, extensions) => extensions.some(ext => String(file).toLowerCase().endsWith(ext));
+const isLogFile = (file) => hasExtension(file, LOG_EXTENSIONS);
+const isArchive = (file) => hasExtension(file, ARCHIVE_EXTENSIONS);
+const isMacMetadata = (name) => /(^|\/)__MACOSX\//.test(name) || path.posix.basename(name).startsWith("._");
+// pako returns a Uint8Array; a Buffer view shares its memory
+const toBuffer = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+
+/**
+ * The path an archive entry is reported under: "<archive>/<entry>".
+ * @param {string} archive - Path of the archive file.
+ * @param {string} entry - Path inside the archive ("/" separated).
+ * @returns {string}
+ */
+function entryPath(archive, entry) {
+  return path.join(archive, ...entry.split("/"));
+}
+
+// ---------- Formats ----------
+// The members of a tar: ustar prefixes, GNU long names ("L") and pax paths ("x")
+function readTar(buffer) {
+  const members = [];
+  let offset = 0;
+  let longName = null;
+  while (offset + TAR_BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK);
+    if (header.every(b => b === 0)) break; // end-of-archive blocks
+    const field = (start, length) => header.toString("utf8", start, start + length).replace(/\0[\s\S]*$/, "");
+    const size = parseInt(field(124, 12).trim() || "0", 8);
+    const type = field(156, 1) || "0";
+    const prefix = field(257, 5) === "ustar" ? field(345, 155) : "";
+    const name = longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+    const data = buffer.subarray(offset + TAR_BLOCK, offset + TAR_BLOCK + size);
+    offset += TAR_BLOCK + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+    longName = null;
+
+    if (type === "L") longName = data.toString("utf8").replace(/\0[\s\S]*$/, "");
+    else if (type === "x") longName = (data.toString("utf8").match(/\d+ path=([^\n]*)\n/) || [])[1] || null;
+    else if (type === "0" || type === "7") members.push({ name, read: () => data });
+  }
+  return members;
+}
+
+const isTar = (buffer) => buffer.length >= TAR_BLOCK && buffer.toString("latin1", 257, 262) === "ustar";
+
+// The members of one archive as { name, read() }; zip members are inflated when read
+function membersOf(name, buffer) {
+  const lower = name.toLowerCase();
+  if (lower.endsWith(".zip")) {
+    return Object.values(new JSZip(buffer).files).filter(f => !f.dir).map(f => ({ name: f.name, read: () => f.asNodeBuffer() }));
+  }
+  if (lower.endsWith(".tar")) return readTar(buffer);
+  const data = toBuffer(pako.ungzip(buffer));
+  if (lower.endsWith(".tgz") || lower.endsWith(".tar.gz") || isTar(data)) return readTar(data);
+  return [{ name: path.posix.basename(name).slice(0, -".gz".length), read: () => data }];
+}
+
+// ---------- Walk ----------
+function* walk(members, prefix, depth) {
+  for (const member of members) {
+    const memberName = member.name.replace(/\\/g, "/").replace(/^\.?\//, "");
+    if (isMacMetadata(memberName)) continue;
+    const entry = prefix + memberName;
+    if (isArchive(memberName)) {
+      if (depth >= MAX_DEPTH) {
+        console.warn(`⚠️ ${entry}: archive nested more than ${MAX_DEPTH} levels deep, skipped`);
+        continue;
+      }
+      let inner;
+      try {
+        inner = membersOf(memberName, member.read());
+      } catch (e) {
+        yield { entry, error: `unreadable archive (${e.message || e})` };
+        continue;
+      }
+      yield* walk(inner, `${entry}/`, depth + 1);
+    } else if (isLogFile(memberName)) {
+      let text;
+      try {
+        text = member.read().toString("utf8");
+      } catch (e) {
+        yield { entry, error: `unreadable log (${e.message || e})` };
+        continue;
+      }
+      yield { entry, text };
+    }
+  }
+}
+
+/**
+ * Walks an archive (and the archives inside it) in memory and yields its logs one at a time.
+ * @param {string} archive - Path of a .zip, .gz, .tgz / .tar.gz or .tar file.
+ * @returns {Generator<object>} - { entry, text }: the archive-relative path and the log text,
+ *   or { entry, error } for a member that could not be read.
+ */
+function readArchive(archive) {
+  let members;
+  try {
+    members = membersOf(path.basename(archive), fs.readFileSync(archive));
+  } catch (e) {
+    throw new Error(`Cannot read archive ${path.basename(archive)}: ${e.message || e}`);
+  }
+  return walk(members, "", 1);
+}
+
+module.exports = { LOG_EXTENSIONS, ARCHIVE_EXTENSIONS, isLogFile, isArchive, entryPath, readArchive };
@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+/**
+ * cli.js — Command-line entry point for scheduled jobs (no Electron needed)
+ * ----------------------------------------------------
+ *   scrappy analyze  <logs or folders...>   [-o dir] [-f files|json|ndjson] [--profiles f] [--profile n] [--parsers dir] [--history dir] [--no-merge]
+ *   scrappy export   <jsons or folders...>  [-o dir] [--fleet] [-f text|json] [--profiles f] [--profile n] [--anonymize] [--mapping f]
+ *   scrappy diff     <before.json> <after.json> [-f text|json|xlsx] [-o dir]
+ * analyze / export also take `--name <template>`, `--on-collision suffix|overwrite` and
+ * `--run-folder` (output_manager.js); diff -f xlsx the last two.
+ *   scrappy report   <jsons or folders...>  [-o file] [--template f] [--logo f] [--profiles f] [--profile n]
+ *   scrappy validate <jsons or folders...>  [-f text|json|ndjson]
+ *   scrappy anonymize <logs, jsons or folders...> [-o dir] [--mapping f] [--reverse] [-f text|json]
+ * anonymize writes shared copies of logs and parsed JSONs with pseudonyms (anonymizer.js);
+ * the mapping (default: anonymizer_mapping.json next to the app) restores them with --reverse
+ * and is never written to the output folder. export --anonymize builds the workbooks from it.
+ * analyze merges a device found in several files into one model (model_merge.js); --no-merge
+ * keeps one model per file. analyze also reads the logs inside .zip / .gz / .tar.gz bundles
+ * (archive_reader.js, in memory); anonymize takes plain logs only.
+ * `-q, --quiet` (any command) drops the per-file console summary and progress lines.
+ * Machine formats (json / ndjson) go to stdout; every log line then goes to stderr,
+ * so `scrappy analyze logs/ -f ndjson | jq ...` gets clean JSON.
+ * Exit codes (EXIT): 0 = everything succeeded, 1 = usage or fatal error,
+ * 2 = some inputs failed (parse error, invalid model) while the others were processed.
+ * The report is HTML only: PDF printing needs Electron (`Customer Report` in the app).
+ * analyzer.js, export_to_excel.js and topology.js keep their old `--file` / `--dir` CLIs.
+ */
+const fs = require("fs");
+const path = require("path");
+const { Command, Option } = require("commander");
+
+const EXIT = { OK: 0, ERROR: 1, PARTIAL: 2 };
+
+// ---------- Utils ----------
+// Machine output owns stdout: send the log lines of every module to stderr
+function useStdoutForData() {
+  console.log = console.error;
+  console.info = console.error;
+}
+
+const writeData = (text) => process.stdout.write(text);
+
+// --profiles file / --profile name -> profile store (as analyzer.js / export_to_excel.js)
+function loadProfiles(opts) {
+  let store = null;
+  if (opts.profiles) store = JSON.parse(fs.readFileSync(opts.profiles, "utf8"));
+  if (opts.profile) store = { ...(store || {}), selected: opts.profile };
+  return store;
+}
+
+/**
+ * Expands files and folders into a file list (folders recursively).
+ * @param {Array<string>} inputs
+ * @param {Function} listDir - dir -> files
+ * @returns {Array<string>} - Absolute paths.
+ */
+function expandInputs(inputs, listDir) {
+  const files = [];
+  for (const input of inputs) {
+    const full = path.resolve(input);
+    // Missing files are kept: they fail (and count) like any unparsable file
+    if (fs.existsSync(full) && fs.statSync(full).isDirectory()) files.push(...listDir(full));
+    else files.push(full);
+  }
+  return files;
+}
+
+/**
+ * --out / --name / --on-collision / --run-folder -> { outDir, nameTemplate, collision, runStarted }
+ * (output_manager.js; without --out the default output folder).
+ */
+function outputOptions(opts) {
+  const om = require("./output_manager");
+  const settings = { root: opts.out ? path.resolve(opts.out) : null, collision: opts.onCollision, run_folder: !!opts.runFolder };
+  const errors = om.validateSettings({ ...settings, json_name: opts.name });
+  if (errors.length) throw new Error(errors.join("; ").replace("json_name", "--name"));
+  return { outDir: om.resolveRunDir(settings), nameTemplate: opts.name, collision: om.normalizeSettings(settings).collision, runStarted: Date.now() };
+}
+
+// Options shared by the commands that write named files
+const withOutput = (cmd, what) => cmd
+  .option("-o, --out <dir>", `folder for the ${what} (default: output/ next to the app)`)
+  .option("--name <template>", "file name template, e.g. \"{sysname}_{esn}_{date}\"")
+  .addOption(new Option("--on-collision <mode>", "when the file name is taken in this run (suffix replaces the files of earlier runs)").choices(["suffix", "overwrite"]).default("suffix"))
+  .option("--run-folder", "write into a new run_<date>_<time> subfolder");
+
+const listParsedFiles = (dir) => require("./export_to_excel").findParsedFilesRecursively(dir);
+
+// --mapping file (default: next to the app) -> { file, mapping }; saved again after use
+function loadAnonymizer(opts) {
+  const anonymizer = require("./anonymizer");
+  const file = opts.mapping ? path.resolve(opts.mapping) : path.join(require("./output_manager").resolveBaseDir(), anonymizer.MAPPING_FILE);
+  return { file, mapping: anonymizer.loadMapping(file) };
+}
+
+// Options shared by the commands that anonymize
+const withMapping = (cmd) => cmd
+  .option("--mapping <file>", "anonymizer mapping, kept local (default: anonymizer_mapping.json next to the app)");
+
+// Options shared by the commands that resolve health profiles
+const withProfiles = (cmd) => cmd
+  .option("--profiles <file>", "health profile store (health_profiles.json)")
+  .option("--profile <name>", "profile to use instead of \"auto\"");
+
+// ---------- analyze ----------
+async function cmdAnalyze(inputs, opts, quiet) {
+  const analyzer = require("./analyzer");
+  const { isArchive } = require("./archive_reader");
+  const machine = opts.format !== "files";
+  if (machine) useStdoutForData();
+
+  const options = { profiles: loadProfiles(opts), quiet };
+  if (opts.parsers) options.pluginDir = path.resolve(opts.parsers);
+  if (opts.history) options.historyDir = path.resolve(opts.history);
+  // With json / ndjson the models go to stdout; files only when --out is given
+  const write = !machine || !!opts.out;
+
+  const files = expandInputs(inputs, analyzer.listLogFiles);
+  if (write) Object.assign(options, outputOptions(opts));
+  const entries = [];
+  let logs = 0;
+  let failed = 0;
+  for (const file of files) {
+    try {
+      // one model per device (a capture may hold several), for every log of an archive
+      if (isArchive(file)) {
+        const archive = analyzer.archiveEntries(file, options);
+        entries.push(...archive.entries);
+        logs += archive.logs;
+        failed += archive.failed.length;
+        archive.failed.forEach(f => console.error(`❌ ${f.file}: ${f.error}`));
+        continue;
+      }
+      logs++;
+      entries.push(...analyzer.deviceEntries(await analyzer.parseDevicesStream(file, options), file));
+    } catch (e) {
+      if (isArchive(file)) logs++; // an unreadable archive counts as one failed log
+      failed++;
+      console.error(`❌ ${file}: ${e.message}`);
+    }
+  }
+
+  // A device found in several files becomes one model (model_merge.js)
+  const devices = opts.merge ? require("./model_merge").mergeEntries(entries, options) : entries;
+  for (const device of devices) {
+    if (device.files && !quiet) console.log(`🔗 ${device.data.identity.sysname || device.data.identity.hostname}: merged from ${device.files.length} files`);
+    if (device.unmerged && !quiet) console.warn(`⚠️ ${path.basename(device.file)}: not merged by name (${device.unmerged})`);
+    if (!write) continue;
+    const written = analyzer.writeModel(device.data, device.file, options, device.nameAs);
+    if (quiet && !machine) console.log(written.outputPath);
+  }
+  if (opts.format === "ndjson") devices.forEach(d => writeData(JSON.stringify(d.data) + "\n"));
+  else if (opts.format === "json") writeData(JSON.stringify(devices.map(d => d.data), null, 2) + "\n");
+  if (!quiet) console.log(`\n${logs - failed} parsed, ${failed} failed (${logs} logs)`);
+  return failed ? EXIT.PARTIAL : EXIT.OK;
+}
+
+// ---------- export ----------
+async function cmdExport(inputs, opts, quiet) {
+  const exporter = require("./export_to_excel");
+  if (opts.format === "json") useStdoutForData();
+  const files = expandInputs(inputs, listParsedFiles);
+  if (!files.length) throw new Error("No .json files to export.");
+  const options = { profiles: loadProfiles(opts), quiet, ...outputOptions(opts) };
+  const anonymizer = opts.anonymize ? loadAnonymizer(opts) : null;
+  if (anonymizer) options.anonymize = anonymizer.mapping;
+  const written = [];
+  let failed = 0;
+  try {
+    if (opts.fleet) {
+      written.push({ input: files, ...(await exporter.exportFleet(files, options)) });
+    } else {
+      for (const file of files) {
+        try {
+          written.push({ input: file, ...(await exporter.exportOne(file, options)) });
+        } catch (e) {
+          failed++;
+          console.error(`❌ ${file}: ${e.message}`);
+        }
+      }
+    }
+  } finally {
+    // also when the export stops halfway: the workbooks already written use these pseudonyms
+    if (anonymizer) require("./anonymizer").saveMapping(anonymizer.file, anonymizer.mapping);
+  }
+  if (opts.format === "json") writeData(JSON.stringify(written.map(w => ({ input: w.input, output: w.outPath })), null, 2) + "\n");
+  else if (quiet) written.forEach(w => console.log(w.outPath));
+  return failed ? EXIT.PARTIAL : EXIT.OK;
+}
+
+// ---------- anonymize ----------
+async function cmdAnonymize(inputs, opts, quiet) {
+  const analyzer = require("./analyzer");
+  const anonymizer = require("./anonymizer");
+  const { isArchive } = require("./archive_reader");
+  if (opts.format === "json") useStdoutForData();
+  // A shared folder holds logs and parsed JSONs side by side (archives are left out)
+  const listDir = (dir) => [...analyzer.findLogFilesRecursively(dir).filter(f => !isArchive(f)), ...listParsedFiles(dir)];
+  const files = expandInputs(inputs, listDir);
+  if (!files.length) throw new Error("No log or .json files to anonymize.");
+  const options = outputOptions(opts);
+  const { file: mappingFile, mapping } = loadAnonymizer(opts);
+  const relative = path.relative(options.outDir, mappingFile);
+  if (!relative.startsWith("..") && !path.isAbsolute(relative)) {
+    throw new Error(`The mapping ${mappingFile} is inside the output folder: keep it out of what you share (--mapping).`);
+  }
+
+  const written = [];
+  let failed = 0;
+  try {
+    for (const file of files) {
+      try {
+        let result;
+        if (isArchive(file)) throw new Error("archives are not anonymized: extract the logs first");
+        if (opts.reverse) result = anonymizer.restoreFile(file, mapping, options);
+        else if (file.toLowerCase().endsWith(".json")) result = anonymizer.exportJson(file, { ...options, anonymize: mapping });
+        else {
+          // The parsed models know names the text rules miss (LLDP neighbors, interface descriptions)
+          const models = await analyzer.parseDevicesStream(file, { quiet: true }).catch(() => []);
+          result = anonymizer.anonymizeLogFile(file, mapping, { ...options, models });
+        }
+        written.push(result);
+        if (!quiet && opts.format !== "json") console.log(`🕶️ ${path.basename(file)} → ${result.outPath}`);
+      } catch (e) {
+        failed++;
+        console.error(`❌ ${file}: ${e.message}`);
+      }
+    }
+  } finally {
+    // also when the run stops halfway: the copies already written use these pseudonyms
+    if (!opts.reverse) anonymizer.saveMapping(mappingFile, mapping);
+  }
+  if (opts.format === "json") writeData(JSON.stringify(written.map(w => ({ input: w.input, output: w.outPath })), null, 2) + "\n");
+  else if (quiet) written.forEach(w => console.log(w.outPath));
+  else console.log(`\n${written.length} written, ${failed} failed; mapping: ${mappingFile}`);
+  return failed ? EXIT.PARTIAL : EXIT.OK;
+}
+
+// ---------- diff ----------
+function diffText(diff) {
+  const out = [`--- ${diff.left.device || "?"} (${diff.left.file})`, `+++ ${diff.right.device || "?"} (${diff.right.file})`];
+  for (const s of diff.sections) {
+    if (!s.added.length && !s.removed.length && !s.changed.length) continue;
+    out.push(`\n[${s.section}]`);
+    s.removed.forEach(k => out.push(`- ${k}`));
+    s.added.forEach(k => out.push(`+ ${k}`));
+    for (const c of s.changed) {
+      out.push(`~ ${c.key}`);
+      c.fields.forEach(f => out.push(`    ${f.field}: ${JSON.stringify(f.before)} → ${JSON.stringify(f.after)}`));
+    }
+  }
+  const cfg = diff.config;
+  out.push(cfg.available ? `\n[config] +${cfg.added} / -${cfg.removed} line(s)` : "\n[config] not in both files");
+  return out.join("\n") + "\n";
+}
+
+async function cmdDiff(before, after, opts, quiet) {
+  const { readModel } = require("./model_schema");
+  const { diffModels } = require("./model_diff");
+  if (opts.format === "xlsx") {
+    const options = { quiet, ...outputOptions(opts) };
+    const { outPath } = await require("./export_to_excel").exportDiff(before, after, options);
+    if (quiet) console.log(outPath);
+    return EXIT.OK;
+  }
+  if (opts.format === "json") useStdoutForData();
+  const diff = diffModels(readModel(before), readModel(after), { leftFile: path.basename(before), rightFile: path.basename(after) });
+  writeData(opts.format === "json" ? JSON.stringify(diff, null, 2) + "\n" : diffText(diff));
+  return EXIT.OK;
+}
+
+// ---------- report ----------
+async function cmdReport(inputs, opts, quiet) {
+  const { readModel } = require("./model_schema");
+  const report = require("./report");
+  const profiles = loadProfiles(opts);
+  const template = opts.template ? JSON.parse(fs.readFileSync(opts.template, "utf8")) : {};
+  if (opts.logo) template.logo = path.resolve(opts.logo);
+  const tpl = report.normalizeTemplate(template);
+
+  let logoDataUrl = null;
+  if (tpl.logo) {
+    const mime = report.logoMimeType(tpl.logo);
+    if (!mime) throw new Error(`Unsupported logo format: ${tpl.logo} (use PNG, JPEG, SVG or GIF)`);
+    logoDataUrl = `data:${mime};base64,${fs.readFileSync(tpl.logo).toString("base64")}`;
+  }
+
+  const devices = [];
+  let failed = 0;
+  for (const file of expandInputs(inputs, listParsedFiles)) {
+    try {
+      const data = readModel(file);
+      devices.push({ file, data, html: report.renderDeviceSections(data, profiles) });
+    } catch (e) {
+      failed++;
+      console.error(`❌ ${file}: ${e.message}`);
+    }
+  }
+  const html = report.buildReportHtml(devices, { template: tpl, logoDataUrl, profiles });
+  const outFile = path.resolve(opts.out || `report_${new Date().toISOString().slice(0, 10)}.html`);
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, html, "utf8");
+  console.log(quiet ? outFile : `✅ Report written: ${outFile} (${devices.length} devices)`);
+  return failed ? EXIT.PARTIAL : EXIT.OK;
+}
+
+// ---------- validate ----------
+async function cmdValidate(inputs, opts, quiet) {
+  const { validateModel, migrateModel, SCHEMA_VERSION } = require("./model_schema");
+  const machine = opts.format !== "text";
+  if (machine) useStdoutForData();
+
+  const results = [];
+  for (const file of expandInputs(inputs, listParsedFiles)) {
+    let result;
+    try {
+      const data = JSON.parse(fs.readFileSync(file, "utf8"));
+      const version = data.schema_version ?? 0;
+      const errors = validateModel(migrateModel(data));
+      result = { file, valid: !errors.length, schema_version: version, migrated: version < SCHEMA_VERSION, errors };
+    } catch (e) {
+      result = { file, valid: false, schema_version: null, migrated: false, errors: [e.message] };
+    }
+    results.push(result);
+    if (opts.format === "ndjson") {
+      writeData(JSON.stringify(result) + "\n");
+    } else if (!machine && (!result.valid || !quiet)) {
+      const note = result.migrated ? ` (schema ${result.schema_version} → ${SCHEMA_VERSION})` : "";
+      console.log(`${result.valid ? "✅" : "❌"} ${file}${note}`);
+      result.errors.slice(0, 20).forEach(e => console.log(`    ${e}`));
+    }
+  }
+  if (opts.format === "json") writeData(JSON.stringify(results, null, 2) + "\n");
+  const invalid = results.filter(r => !r.valid).length;
+  if (!quiet && !machine) console.log(`\n${results.length - invalid} valid, ${invalid} invalid (${results.length} files)`);
+  return invalid ? EXIT.PARTIAL : EXIT.OK;
+}
+
+// ---------- Program ----------
+function buildProgram() {
+  const program = new Command("scrappy")
+    .description("Huawei VRP log analyzer: parse, export, compare, report and validate without the app")
+    .option("-q, --quiet", "no per-file console summary or progress lines")
+    .showHelpAfterError();
+  let exitCode = EXIT.OK;
+  // Every action gets its arguments plus the global --quiet and records the exit code
+  const run = (fn) => async (...args) => {
+    const cmd = args[args.length - 1];
+    exitCode = await fn(...args.slice(0, -1), !!cmd.optsWithGlobals().quiet);
+  };
+
+  withProfiles(withOutput(program.command("analyze")
+    .description("parse log files (.txt / .log, .zip / .gz / .tar.gz bundles, folders recursively) into parsed JSON models")
+    .argument("<paths...>", "log files, archives or folders"), "parsed JSON files")
+    .addOption(new Option("-f, --format <format>", "files: write parsed JSON files; json / ndjson: print the models").choices(["files", "json", "ndjson"]).default("files"))
+    .option("--parsers <dir>", "folder of parser plugins")
+    .option("--history <dir>", "add a metrics snapshot per device to this history folder")
+    .option("--no-merge", "keep one model per file when a device is found in several files"))
+    .action(run(cmdAnalyze));
+
+  withMapping(withProfiles(withOutput(program.command("export")
+    .description("write Excel workbooks from parsed JSON files")
+    .argument("<paths...>", "parsed JSON files or folders"), "workbooks"))
+    .option("--fleet", "one consolidated fleet workbook instead of one per device")
+    .option("--anonymize", "build the workbooks from anonymized models (see anonymize)")
+    .addOption(new Option("-f, --format <format>", "text, or json: print the written files").choices(["text", "json"]).default("text")))
+    .action(run(cmdExport));
+
+  program.command("diff")
+    .description("compare two parsed JSON files (before / after)")
+    .argument("<before>", "parsed JSON (before)")
+    .argument("<after>", "parsed JSON (after)")
+    .addOption(new Option("-f, --format <format>", "text / json to stdout, or xlsx: write the Diff workbook").choices(["text", "json", "xlsx"]).default("text"))
+    .option("-o, --out <dir>", "folder for the xlsx workbook")
+    .addOption(new Option("--on-collision <mode>", "when the workbook name is taken in this run (suffix replaces the files of earlier runs)").choices(["suffix", "overwrite"]).default("suffix"))
+    .option("--run-folder", "write into a new run_<date>_<time> subfolder")
+    .action(run(cmdDiff));
+
+  withProfiles(program.command("report")
+    .description("write the standalone HTML customer report")
+    .argument("<paths...>", "parsed JSON files or folders")
+    .option("-o, --out <file>", "report file (default: report_<date>.html)")
+    .option("--template <file>", "report template JSON { company, header_text, footer_text, logo, accent_color }")
+    .option("--logo <file>", "logo image (overrides the template)"))
+    .action(run(cmdReport));
+
+  program.command("validate")
+    .description("check parsed JSON files against model.schema.json (after migration)")
+    .argument("<paths...>", "parsed JSON files or folders")
+    .addOption(new Option("-f, --format <format>", "output format").choices(["text", "json", "ndjson"]).default("text"))
+    .action(run(cmdValidate));
+
+  withMapping(withOutput(program.command("anonymize")
+    .description("write shared copies of logs and parsed JSON files with IPs, MACs, names, ESNs, users, VPNs and descriptions replaced by pseudonyms")
+    .argument("<paths...>", "log files, parsed JSON files or folders"), "anonymized copies"))
+    .option("--reverse", "restore the originals of anonymized copies with the mapping")
+    .addOption(new Option("-f, --format <format>", "text, or json: print the written files").choices(["text", "json"]).default("text"))
+    .action(run(cmdAnonymize));
+
+  return { program, exitCode: () => exitCode };
+}
+
+module.exports = { buildProgram, EXIT };
+
+if (require.main === module) {
+  const { program, exitCode } = buildProgram();
+  program.exitOverride();
+  program.parseAsync(process.argv)
+    .then(() => { process.exitCode = exitCode(); })
+    .catch(e => {
+      // commander already printed usage errors and help
+      if (e.code && e.code.startsWith("commander.")) {
+        process.exitCode = e.exitCode ? EXIT.ERROR : EXIT.OK;
+        return;
+      }
+      console.error("❌", e.message);
+      process.exitCode = EXIT.ERROR;
+    });
+}
@@ -0,0 +1,89 @@
+/**
+ * config_tree.js — Hierarchical view of `display current-configuration`
+ * ----------------------------------------------------
+ * VRP prints one command per line, nests sub-commands by one leading space
+ * per level and closes stanzas with "#" (a nested " #" closes only the
+ * inner view, e.g. an `ipv4-family` inside `bgp`). `parseConfigTree(text)`
+ * turns that into:
+ *   { text: null, line: 0, children: [{ text, line, children: [...] }] }
+ * `text` is the trimmed command, `line` its 1-based line in the config.
+ * Query helpers are used by analyzer.js extractors; the tree itself is stored
+ * as `model.config_tree` for the renderer config browser.
+ */
+
+/**
+ * Parses configuration text into a stanza tree.
+ * @param {string} text - `display current-configuration` output.
+ * @returns {object} - Root node.
+ */
+function parseConfigTree(text) {
+  const root = { text: null, line: 0, children: [] };
+  const stack = [{ indent: -1, node: root }];
+  const rows = String(text || "").split(/\r?\n/);
+
+  for (let i = 0; i < rows.length; i++) {
+    const raw = rows[i].replace(/\s+$/, "");
+    const cmd = raw.trim();
+    if (!cmd) continue;
+    if (cmd === "return" && raw === cmd) break; // end of configuration
+
+    const indent = raw.length - raw.trimStart().length;
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+    if (cmd === "#") continue; // closes every view at this depth or deeper
+
+    const node = { text: cmd, line: i + 1, children: [] };
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ indent, node });
+  }
+  return root;
+}
+
+/**
+ * Direct children of a node whose command matches `rx`.
+ * @param {object} node - Tree node (or root).
+ * @param {RegExp} rx
+ * @returns {Array<object>}
+ */
+function childrenOf(node, rx) {
+  return (node?.children || []).filter(c => rx.test(c.text));
+}
+
+/**
+ * Depth-first walk; `fn(node, parents)` gets the ancestor chain (outermost first, root excluded).
+ * @param {object} node - Tree node (or root).
+ * @param {Function} fn
+ */
+function walkTree(node, fn, parents = []) {
+  for (const c of node?.children || []) {
+    fn(c, parents);
+    walkTree(c, fn, [...parents, c]);
+  }
+}
+
+/**
+ * All nodes at any depth whose command matches `rx`.
+ * @param {object} node - Tree node (or root).
+ * @param {RegExp} rx
+ * @returns {Array<object>}
+ */
+function findDeep(node, rx) {
+  const out = [];
+  walkTree(node, (n) => { if (rx.test(n.text)) out.push(n); });
+  return out;
+}
+
+/**
+ * First regex match of `rx` among the direct children of `node`, or null.
+ * @param {object} node
+ * @param {RegExp} rx
+ * @returns {Array|null}
+ */
+function matchChild(node, rx) {
+  for (const c of node?.children || []) {
+    const m = c.text.match(rx);
+    if (m) return m;
+  }
+  return null;
+}
+
+module.exports = { parseConfigTree, childrenOf, walkTree, findDeep, matchChild };
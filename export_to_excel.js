@@ -1,73 +1,81 @@
-// export_to_excel.js (v11)
+// export_to_excel.js (v27)
+// - Summary "Counts" shows the masked values of a sanitized log (model.masking)
+// v26:
+// - `options.anonymize` (an anonymizer.js mapping): workbooks are built from the anonymized model
+//   and named after it (exportOne, exportAll, exportFleet)
+// v25:
+// - Workbooks are named by `options.nameTemplate` (default "{input}") and never replace an
+//   existing file unless `options.collision` is "overwrite" (output_manager.js)
+// v24:
+// - Every export takes `options.outDir` (default: output/ next to the app, resolved only when
+//   no folder is given) and `options.quiet` (no "Excel created" lines); used by cli.js
+// v23:
+// - "Alarms & Lic": one filterable table of active + history alarms (ISO start / end times),
+//   configured alarm severities listed apart; fleet "Active Alarms" gained Alarm ID
+// v22:
+// - Parsed JSONs are read through model_schema.js `readModel` (older files are migrated)
+// - Summary sheet shows the analyzer version and schema version of the model
+// v21:
+// - Added one sheet per parser plugin that declares `excel` columns (model.plugins)
+// v20:
+// - Added new sheet "Coverage" (parser coverage per command from model.coverage)
+// v19:
+// - Added new sheet "Security" (hardening audit score + findings from security_audit.js)
+// v18:
+// - Added new sheet "Policies" (cross-reference report, route-policies, prefix lists, community filters, ACLs)
+// - Routing sheet: BGP config peers show VRF, peer group and import / export policies
+// v17:
+// - Added new sheet "L2VPN" (VLL VCs, VPLS VSIs with PWs / ACs, PW-APS groups)
+// v16:
+// - Routing sheet: IS-IS peers, MPLS LDP sessions / peers and LDP LSP statistics
+// v15:
+// - Added `exportFleet`: one consolidated workbook for many devices (fleet.js)
+// v14:
+// - Added `exportDiff`: "Diff" workbook comparing two parsed JSONs (model_diff.js)
+// v13:
+// - Status colours and fallback findings follow the selected health profile (profiles.js)
+// v12:
+// - Added new sheet "Findings" (health-check results from health_rules.js)
 // - Added new sheet "EVPN-VXLAN"
 // - Added LSR-ID, SSH Users to Summary
 // - Added ISIS, BGP EVPN, BGP Config Peers to Routing
 const fs = require("fs");
 const path = require("path");
 const XlsxPopulate = require("xlsx-populate");
+const { evaluateHealth } = require("./health_rules");
+const { auditSecurity } = require("./security_audit");
+const { resolveProfile, DEFAULT_PROFILE } = require("./profiles");
+const { diffModels } = require("./model_diff");
+const { buildFleet } = require("./fleet");
+const { valueAt } = require("./parser_registry");
+const { readModel, COVERAGE_STATUSES } = require("./model_schema");
+const { anonymizeModel, anonymizeFileName } = require("./anonymizer");
+const { resolveBaseDir, ensureDir, getOutputDir, claimPath, outputPath, DEFAULT_OUTPUT_SETTINGS } = require("./output_manager");
+
+// Profile of the workbook currently being built (set by exportOne)
+let activeProfile = DEFAULT_PROFILE;
 
 // ───────────────── helpers: path + fs ─────────────────
-function isDevElectronExecPath(p) {
-  return /node_modules[\\\/]electron[\\\/]dist/i.test(p || "");
-}
-
-function resolveBaseDir() {
-  if (process.env.PORTABLE_EXECUTABLE_DIR) return process.env.PORTABLE_EXECUTABLE_DIR;
-
-  const exeDir = path.dirname(process.execPath || "");
-  if (isDevElectronExecPath(exeDir)) return process.cwd(); // npm start
-
-  return exeDir || process.cwd();
-}
-
-function ensureDir(p) {
-  try {
-    fs.mkdirSync(p, { recursive: true });
-    return true;
-  } catch (e) {
-    console.error("⚠️ ensureDir failed:", p, e.message);
-    return false;
-  }
-}
-
-function canWriteDir(dir) {
-  try {
-    const test = path.join(dir, ".write-test.tmp");
-    fs.writeFileSync(test, "ok");
-    fs.unlinkSync(test);
-    return true;
-  } catch {
-    return false;
-  }
-}
-
-function getOutputDir() {
-  const base = resolveBaseDir();
-  const primary = path.join(base, "output");
-  if (ensureDir(primary) && canWriteDir(primary)) {
-    console.log("📦 Output dir:", primary, "(primary)");
-    return primary;
-  }
-
-  // Fallback to user profile (Windows/Linux/macOS safe)
-  const appName = "Huawei-Analyzer";
-  const home = process.env.APPDATA || process.env.HOME || process.cwd();
-  const fallback = path.join(home, appName, "output");
-
-  ensureDir(fallback);
-  console.log("📦 Output dir:", fallback, "(fallback)");
-  return fallback;
+// `options.outDir` when given, else the default output folder
+function outDirFor(options = {}) {
+  if (!options.outDir) return getOutputDir();
+  ensureDir(options.outDir);
+  return options.outDir;
 }
 
 // Common small helpers
 function safe(v) { return v == null ? "" : v; }
 function toV(v, unit = "") { return v == null || v === "" ? "" : unit ? `${v} ${unit}` : v; }
 function first(a) { return Array.isArray(a) && a.length ? a[0] : null; }
+function keywordsHit(v, words) {
+  return (words || []).some(w => w && v.includes(String(w).toUpperCase()));
+}
 function colorFor(value) {
   const v = String(value || "").toUpperCase();
-  if (/(UP|OK|TRUE|GOOD|MASTER|NORMAL|PRESENT|FULL)/.test(v)) return "C6EFCE";
-  if (/(DOWN|FAIL|FALSE|CRIT|ERROR|SLAVE|ABNORMAL)/.test(v)) return "F8CECC";
-  if (/(WARN|MINOR|ALARM|ISSUE)/.test(v)) return "FFF2CC";
+  const kw = activeProfile.status_colors || DEFAULT_PROFILE.status_colors;
+  if (keywordsHit(v, kw.good)) return "C6EFCE";
+  if (keywordsHit(v, kw.bad)) return "F8CECC";
+  if (keywordsHit(v, kw.warn)) return "FFF2CC";
   return null;
 }
 function applyConditionalColor(cell, value) {
@@ -98,6 +106,22 @@ function setHeader(sheet, row, vals) {
   });
 }
 
+// JSON written before the rule engine existed has no `findings`; evaluate on the fly
+function findingsOf(d) {
+  return Array.isArray(d.findings) ? d.findings : evaluateHealth(d, activeProfile.thresholds);
+}
+
+// JSON written before the security audit existed has no `security`; audit on the fly
+function securityOf(d) {
+  return d.security || auditSecurity(d);
+}
+
+// "12 in 5 rows"; "" when nothing was masked or the model predates model.masking
+function maskedText(masking) {
+  if (!masking?.values) return "";
+  return `${masking.values} in ${masking.rows} row${masking.rows === 1 ? "" : "s"}`;
+}
+
 // ───────────────── sheet builders ─────────────────
 function buildSummarySheet(sheet, d, name) {
   const mem = first(d.resources?.memory) || {};
@@ -116,7 +140,7 @@ function buildSummarySheet(sheet, d, name) {
     ["Router ID", d.identity?.router_id_public || "", "LSR ID", d.identity?.lsr_id || ""],
     ["Current Time", d.identity?.current_time || "", "Patch", d.identity?.patch_status || ""],
     ["Serial", d.identity?.serial || "", "Config Saved", d.identity?.config_saved || ""],
-    ["SSH Users", sshUsers, "", ""],
+    ["SSH Users", sshUsers, "Analyzer", `${d.analyzer_version || "unknown"} (schema ${d.schema_version})`],
   ];
   idRows.forEach(v => sheet.row(r++).cell(1).value([v]));
 
@@ -136,7 +160,8 @@ function buildSummarySheet(sheet, d, name) {
   const count = [
     ["Interfaces", d.interfaces?.length || 0, "SFPs", d.hardware?.sfp?.length || 0],
     ["Cards", d.hardware?.cards?.length || 0, "PICs", d.hardware?.pics?.length || 0],
-    ["Alarms", d.alarms?.length || 0, "Licenses", d.licenses?.length || 0],
+    ["Active Alarms", d.alarms?.active?.length || 0, "Licenses", d.licenses?.length || 0],
+    ["Findings", findingsOf(d).length, "Masked Values", maskedText(d.masking)],
     ["Eth-Trunks", d.protocols?.trunks?.eth_trunks?.length || 0, "E-Trunks", d.protocols?.trunks?.e_trunks?.length || 0],
     ["VXLAN VNIs", d.protocols?.vxlan?.vnis?.length || 0, "EVPN Instances", d.protocols?.evpn?.instances?.length || 0],
   ];
@@ -147,6 +172,49 @@ function buildSummarySheet(sheet, d, name) {
   autoFitColumns(sheet);
 }
 
+function buildFindingsSheet(wb, d) {
+  const sh = wb.addSheet("Findings");
+  sh.cell("A1").value("Health Findings").style({ bold: true, fill: "BDD7EE" });
+  setHeader(sh, 3, ["Severity", "Rule", "Object", "Message"]);
+  const findings = findingsOf(d);
+  if (!findings.length) {
+    sh.cell("A4").value("✅ No findings").style({ italic: true, fill: "C6EFCE" });
+    autoFitColumns(sh); return;
+  }
+  let r = 4;
+  for (const f of findings) {
+    const vals = [f.severity || "", f.rule_id || "", f.object || "", f.message || ""];
+    sh.row(r).cell(1).value([vals]); applyConditionalColor(sh.cell(r, 1), f.severity); r++;
+  }
+  sh.usedRange().style("border", true);
+  autoFitColumns(sh);
+}
+
+function buildSecuritySheet(wb, d) {
+  const sh = wb.addSheet("Security");
+  const sec = securityOf(d);
+  const score = sec.score;
+  sh.cell("A1").value("Security Audit").style({ bold: true, fill: "BDD7EE" });
+  sh.cell("A2").value("Score");
+  sh.cell("B2").value(score == null ? "N/A (no configuration)" : `${score}/100`).style({
+    bold: true,
+    fill: score == null ? "D9D9D9" : score >= 80 ? "C6EFCE" : score >= 50 ? "FFF2CC" : "F8CECC"
+  });
+  setHeader(sh, 4, ["Severity", "Check", "Object", "Message", "Recommendation", "Config Line"]);
+  const findings = sec.findings || [];
+  if (!findings.length) {
+    sh.cell("A5").value("✅ No hardening issues").style({ italic: true, fill: "C6EFCE" });
+    autoFitColumns(sh); return;
+  }
+  let r = 5;
+  for (const f of findings) {
+    const vals = [f.severity || "", f.check_id || "", f.object || "", f.message || "", f.recommendation || "", f.line ?? ""];
+    sh.row(r).cell(1).value([vals]); applyConditionalColor(sh.cell(r, 1), f.severity); r++;
+  }
+  sh.range(4, 1, r - 1, 6).style("border", true);
+  autoFitColumns(sh);
+}
+
 function buildInterfacesSheet(wb, d) {
   const sh = wb.addSheet("Interfaces");
   const head = [
@@ -156,7 +224,7 @@ function buildInterfacesSheet(wb, d) {
     "OSPF | ISIS cost", "OSPF MultiArea", "OSPF MultiArea cost", "Rx(dBm)", "Tx(dBm)"
   ];
   setHeader(sh, 1, head);
-  const ifs = d.interfaces || d.data?.interfaces || [];
+  const ifs = d.interfaces || [];
   if (!ifs.length) {
     sh.cell("A2").value("⚠️ No interface data found").style({ italic: true, fill: "FFF2CC" });
     autoFitColumns(sh); return;
@@ -212,9 +280,10 @@ function buildRoutingSheet(wb, d) {
       sh.row(r).cell(1).value([vals]); applyConditionalColor(sh.cell(r, 3), b.state); r++;
   }
   
-  r += 2; setHeader(sh, r++, ["BGP Config Peer", "Local AS", "Peer AS", "Description", "BFD Enabled"]);
+  r += 2; setHeader(sh, r++, ["BGP Config Peer", "VRF", "Local AS", "Peer AS", "Description", "BFD Enabled", "Group", "Import Policies", "Export Policies"]);
   for (const b of d.protocols?.bgp?.config_peers || []) {
-      const vals = [b.peer_ip || "", b.local_as || "", b.peer_as || "", b.description || "", b.bfd || false];
+      const vals = [b.peer_ip || "", b.vrf || "", b.local_as || "", b.peer_as || "", b.description || "", b.bfd || false, b.group || "",
+        (b.import_policies || []).join(", "), (b.export_policies || []).join(", ")];
       sh.row(r).cell(1).value([vals]); r++;
   }
 
@@ -229,6 +298,28 @@ function buildRoutingSheet(wb, d) {
     const vals = [i.id || "", i.network_entity || "", i.is_level || ""];
     sh.row(r).cell(1).value([vals]); r++;
   }
+
+  r += 2; setHeader(sh, r++, ["ISIS Process", "System ID", "Interface", "Circuit ID", "State", "Hold Time(s)", "Level", "Priority"]);
+  for (const n of d.protocols?.isis?.neighbors || []) {
+    const vals = [n.process || "", n.system_id || "", n.interface || "", n.circuit_id || "", n.state || "", n.hold_time ?? "", n.level || "", n.priority ?? ""];
+    sh.row(r).cell(1).value([vals]); applyConditionalColor(sh.cell(r, 5), n.state); r++;
+  }
+
+  const ldp = d.protocols?.mpls?.ldp || {};
+  r += 2; setHeader(sh, r++, ["LDP Peer ID", "VRF", "State", "LAM", "Role", "Uptime", "KA Sent/Rcv"]);
+  for (const s of ldp.sessions || []) {
+    const vals = [s.peer_id || "", s.vrf || "", s.state || "", s.lam || "", s.role || "", s.uptime || "", s.ka_sent_rcv || ""];
+    sh.row(r).cell(1).value([vals]); applyConditionalColor(sh.cell(r, 3), s.state); r++;
+  }
+
+  r += 2; setHeader(sh, r++, ["LDP Peer ID", "VRF", "Transport Address", "Discovery Source"]);
+  for (const p of ldp.peers || []) {
+    sh.row(r++).cell(1).value([[p.peer_id || "", p.vrf || "", p.transport_address || "", p.discovery_source || ""]]);
+  }
+
+  const lsp = ldp.lsp_stats || {};
+  r += 2; setHeader(sh, r++, ["LDP LSPs", "Ingress", "Transit", "Egress", "Total"]);
+  sh.row(r++).cell(1).value([["LDP", lsp.ingress ?? "", lsp.transit ?? "", lsp.egress ?? "", lsp.total ?? ""]]);
   
   r += 2; setHeader(sh, r++, ["Routing Proto", "Total", "Active", "Added", "Deleted", "Freed"]);
   for (const s of d.routing?.table_summary || []) {
@@ -302,15 +393,196 @@ function buildEvpnSheet(wb, d) {
   autoFitColumns(sh);
 }
 
+function buildL2vpnSheet(wb, d) {
+  const sh = wb.addSheet("L2VPN");
+  sh.cell("A1").value("L2VPN (VLL / VPLS)").style({ bold: true, fill: "BDD7EE" });
+  const l2 = d.l2vpn || {};
+  let r = 3;
+
+  setHeader(sh, r++, ["VC ID", "Type", "Peer", "AC Interface", "AC State", "VC State", "Session", "Encapsulation", "Local Label", "Remote Label", "MTU", "Up Time"]);
+  for (const v of l2.vcs || []) {
+    const vals = [v.vc_id ?? "", v.type || "", v.peer || "", v.interface || "", v.ac_state || "", v.vc_state || "", v.session_state || "",
+      v.encapsulation || "", v.local_label ?? "", v.remote_label ?? "", v.mtu ?? "", v.up_time || ""];
+    sh.row(r).cell(1).value([vals]);
+    applyConditionalColor(sh.cell(r, 5), v.ac_state);
+    applyConditionalColor(sh.cell(r, 6), v.vc_state); r++;
+  }
+
+  r += 2; setHeader(sh, r++, ["VSI Name", "State", "Signaling", "Encapsulation", "MTU", "PWs Up/Total", "ACs"]);
+  for (const v of l2.vsis || []) {
+    const pws = v.pws || [];
+    const up = pws.filter(p => /^up$/i.test(p.state || "")).length;
+    const vals = [v.name || "", v.state || "", v.signaling || "", v.encapsulation || "", v.mtu ?? "", `${up}/${pws.length}`,
+      (v.acs || []).map(a => a.interface).join(", ")];
+    sh.row(r).cell(1).value([vals]); applyConditionalColor(sh.cell(r, 2), v.state); r++;
+  }
+
+  r += 2; setHeader(sh, r++, ["VSI Name", "PW Peer", "VC ID", "PW State", "Local Label", "Remote Label"]);
+  for (const v of l2.vsis || []) {
+    for (const p of v.pws || []) {
+      const vals = [v.name || "", p.peer || "", p.vc_id ?? "", p.state || "", p.local_label ?? "", p.remote_label ?? ""];
+      sh.row(r).cell(1).value([vals]); applyConditionalColor(sh.cell(r, 4), p.state); r++;
+    }
+  }
+
+  r += 2; setHeader(sh, r++, ["VSI Name", "AC Interface", "AC State"]);
+  for (const v of l2.vsis || []) {
+    for (const a of v.acs || []) {
+      sh.row(r).cell(1).value([[v.name || "", a.interface || "", a.state || ""]]); applyConditionalColor(sh.cell(r, 3), a.state); r++;
+    }
+  }
+
+  r += 2; setHeader(sh, r++, ["PW-APS ID", "State", "Working PW", "Protect PW", "Active PW"]);
+  for (const a of l2.pw_aps || []) {
+    sh.row(r++).cell(1).value([[a.id || "", a.state || "", a.working_pw || "", a.protect_pw || "", a.active_pw || ""]]);
+  }
+
+  sh.usedRange().style("border", true);
+  autoFitColumns(sh);
+}
+
+function buildPoliciesSheet(wb, d) {
+  const sh = wb.addSheet("Policies");
+  sh.cell("A1").value("Routing Policies & ACLs").style({ bold: true, fill: "BDD7EE" });
+  const pol = d.policies || {};
+  const xref = pol.cross_ref || {};
+  let r = 3;
+
+  setHeader(sh, r++, ["Cross-Reference", "Kind", "Name", "Config Line", "Referenced From"]);
+  for (const u of xref.undefined || []) {
+    sh.row(r).cell(1).value([["Undefined", u.kind || "", u.name || "", u.line ?? "", u.context || ""]]);
+    sh.cell(r, 1).style("fill", "F8CECC"); r++;
+  }
+  for (const u of xref.unused || []) {
+    sh.row(r).cell(1).value([["Unused", u.kind || "", u.name || "", u.line ?? "", ""]]);
+    sh.cell(r, 1).style("fill", "FFF2CC"); r++;
+  }
+
+  r += 2; setHeader(sh, r++, ["Route-Policy", "Node", "Action", "If-Match", "Apply", "Goto"]);
+  for (const p of pol.route_policies || []) {
+    for (const n of p.nodes || []) {
+      const vals = [p.name || "", n.node ?? "", n.action || "", (n.matches || []).join("; "), (n.applies || []).join("; "), n.goto || ""];
+      sh.row(r++).cell(1).value([vals]);
+    }
+  }
+
+  r += 2; setHeader(sh, r++, ["Prefix List", "Family", "Index", "Action", "Prefix", "Length", "GE", "LE"]);
+  for (const l of pol.ip_prefixes || []) {
+    for (const e of l.entries || []) {
+      const vals = [l.name || "", l.family || "", e.index ?? "", e.action || "", e.prefix || "", e.length ?? "", e.ge ?? "", e.le ?? ""];
+      sh.row(r++).cell(1).value([vals]);
+    }
+  }
+
+  r += 2; setHeader(sh, r++, ["Community Filter", "Kind", "Type", "Index", "Action", "Value"]);
+  for (const f of pol.community_filters || []) {
+    for (const e of f.entries || []) {
+      sh.row(r++).cell(1).value([[f.name || "", f.kind || "", f.type || "", e.index ?? "", e.action || "", e.value || ""]]);
+    }
+  }
+
+  r += 2; setHeader(sh, r++, ["ACL", "Number", "Family", "Type", "Description", "Rule", "Action", "Match"]);
+  for (const a of pol.acls || []) {
+    const head = [a.name || "", a.number || "", a.family || "", a.type || "", a.description || ""];
+    if (!(a.rules || []).length) { sh.row(r++).cell(1).value([[...head, "", "", ""]]); continue; }
+    for (const rule of a.rules) sh.row(r++).cell(1).value([[...head, rule.id ?? "", rule.action || "", rule.text || ""]]);
+  }
+
+  sh.usedRange().style("border", true);
+  autoFitColumns(sh);
+}
+
+function buildCoverageSheet(wb, d) {
+  const sh = wb.addSheet("Coverage");
+  sh.cell("A1").value("Parser Coverage").style({ bold: true, fill: "BDD7EE" });
+  const cov = d.coverage;
+  if (!cov) {
+    sh.cell("A3").value("Parsed before the coverage report existed; parse the log again").style({ italic: true });
+    autoFitColumns(sh); return;
+  }
+  const rows = [
+    ["Coverage", cov.ratio == null ? "N/A" : `${Math.round(cov.ratio * 100)}%`],
+    ["Command Blocks", cov.blocks],
+    ["Parsed", cov.parsed],
+    ["Parser Errors", cov.error],
+    ["Unhandled", cov.unhandled],
+    ["Empty Output", cov.empty],
+    ["Ignored (not display)", cov.ignored ?? 0],
+  ];
+  sh.cell("A2").value(rows);
+  sh.cell("B2").style({ bold: true, fill: cov.ratio == null ? "D9D9D9" : cov.ratio >= 0.8 ? "C6EFCE" : cov.ratio >= 0.5 ? "FFF2CC" : "F8CECC" });
+
+  const commands = [...(cov.commands || [])].sort((a, b) => COVERAGE_STATUSES.indexOf(a.status) - COVERAGE_STATUSES.indexOf(b.status));
+  let r = 10;
+  setHeader(sh, r++, ["Command", "Status", "Blocks", "Error"]);
+  for (const c of commands) {
+    sh.row(r).cell(1).value([[c.command || "", c.status || "", c.blocks ?? "", c.error || ""]]);
+    const fill = c.status === "error" ? "F8CECC" : c.status === "unhandled" ? "FFF2CC" : c.status === "parsed" ? "C6EFCE" : null;
+    if (fill) sh.cell(r, 2).style("fill", fill);
+    r++;
+  }
+  sh.range(10, 1, r - 1, 4).style("border", true);
+  autoFitColumns(sh);
+}
+
+// One sheet per parser plugin that declares `excel` (model.plugins, parser_registry.js)
+function buildPluginSheets(wb, d) {
+  for (const p of d.plugins?.loaded || []) {
+    if (!p.excel) continue;
+    // Excel sheet names: max 31 chars, no []:*?/\, unique in the workbook
+    const base = String(p.excel.sheet).replace(/[\[\]:*?\/\\]/g, "_").slice(0, 31);
+    let name = base;
+    const taken = (n) => wb.sheets().some(sh => sh.name().toLowerCase() === n.toLowerCase());
+    for (let n = 2; taken(name); n++) name = `${base.slice(0, 27)} (${n})`;
+    const sh = wb.addSheet(name);
+    sh.cell("A1").value(`${p.excel.sheet} (plugin ${p.name})`).style({ bold: true, fill: "BDD7EE" });
+
+    const value = valueAt(d, p.target);
+    const rows = Array.isArray(value) ? value : value && typeof value === "object" ? [value] : [];
+    const columns = p.excel.columns;
+    setHeader(sh, 3, columns.map(c => c.header));
+    let r = 4;
+    for (const row of rows) {
+      const vals = columns.map(c => {
+        const v = row?.[c.key];
+        return v != null && typeof v === "object" ? JSON.stringify(v) : safe(v);
+      });
+      sh.row(r++).cell(1).value([vals]);
+    }
+    sh.range(3, 1, Math.max(r - 1, 3), columns.length).style("border", true);
+    autoFitColumns(sh);
+  }
+}
+
+const ALARM_COLUMNS = [
+  ["Alarms", "list"], ["Sequence", "sequence"], ["Severity", "severity"], ["State", "state"],
+  ["Start Time", "start_time"], ["End Time", "end_time"], ["Alarm ID", "alarm_id"], ["Name", "name"],
+  ["Type", "type"], ["Description", "description"]
+];
 
 function buildAlarmsSheet(wb, d) {
   const sh = wb.addSheet("Alarms & Lic");
   sh.cell("A1").value("Alarms").style({ bold: true, fill: "BDD7EE" });
-  setHeader(sh, 3, ["Severity", "State", "Date", "Time", "Description"]);
+  setHeader(sh, 3, ALARM_COLUMNS.map(([h]) => h));
+  // newest first; ISO times sort as text, the autofilter allows re-sorting / filtering
+  const byTime = (a, b) => String(b.start_time || "").localeCompare(String(a.start_time || ""));
+  const rows = [
+    ...[...(d.alarms?.active || [])].sort(byTime).map(a => ({ ...a, list: "Active" })),
+    ...[...(d.alarms?.history || [])].sort(byTime).map(a => ({ ...a, list: "History" })),
+  ];
   let r = 4;
-  for (const a of d.alarms || []) {
-    const vals = [a.severity || "", a.state || "", a.date || "", a.time || "", a.description || ""];
-    sh.row(r).cell(1).value([vals]); applyConditionalColor(sh.cell(r, 1), a.severity); r++;
+  for (const a of rows) {
+    sh.row(r).cell(1).value([ALARM_COLUMNS.map(([, k]) => safe(a[k]))]);
+    applyConditionalColor(sh.cell(r, 3), a.severity); r++;
+  }
+  if (rows.length) sh.autoFilter(sh.range(3, 1, r - 1, ALARM_COLUMNS.length));
+  else sh.cell("A4").value("✅ No alarms").style({ italic: true });
+
+  r += 2; sh.cell(`A${r}`).value("Configured Alarm Severities").style({ bold: true, fill: "BDD7EE" }); r += 2;
+  setHeader(sh, r++, ["Alarm Name", "Severity", "Config Line"]);
+  for (const c of d.alarms?.configured || []) {
+    sh.row(r).cell(1).value([[safe(c.name), safe(c.severity), safe(c.line)]]);
+    applyConditionalColor(sh.cell(r, 2), c.severity); r++;
   }
   r += 2; sh.cell(`A${r}`).value("Licenses").style({ bold: true, fill: "BDD7EE" }); r += 2;
   setHeader(sh, r++, ["Item", "Used", "Control", "Description"]);
@@ -322,26 +594,214 @@ function buildAlarmsSheet(wb, d) {
   autoFitColumns(sh);
 }
 
+// ───────────────── diff workbook ─────────────────
+function buildDiffSheet(sheet, diff) {
+  const l = diff.left.device || diff.left.file || "Left";
+  const r = diff.right.device || diff.right.file || "Right";
+  let row = 1;
+  sheet.cell(`A${row}`).value(`Diff: ${l} → ${r}`).style({ bold: true, fill: "BDD7EE" });
+  row += 2;
+
+  setHeader(sheet, row++, ["Section", "Added", "Removed", "Changed"]);
+  for (const s of diff.sections) {
+    sheet.row(row++).cell(1).value([[s.section, s.added.length, s.removed.length, s.changed.length]]);
+  }
+  if (diff.config.available) {
+    sheet.row(row++).cell(1).value([["config lines", diff.config.added, diff.config.removed, ""]]);
+  }
+
+  row += 2;
+  setHeader(sheet, row++, ["Section", "Change", "Key", "Field", "Before", "After"]);
+  for (const s of diff.sections) {
+    for (const key of s.added) {
+      sheet.row(row).cell(1).value([[s.section, "added", key, "", "", ""]]);
+      sheet.cell(row++, 2).style("fill", "C6EFCE");
+    }
+    for (const key of s.removed) {
+      sheet.row(row).cell(1).value([[s.section, "removed", key, "", "", ""]]);
+      sheet.cell(row++, 2).style("fill", "F8CECC");
+    }
+    for (const c of s.changed) {
+      for (const f of c.fields) {
+        const fmt = (v) => (v == null ? "" : typeof v === "object" ? JSON.stringify(v) : v);
+        sheet.row(row).cell(1).value([[s.section, "changed", c.key, f.field, fmt(f.before), fmt(f.after)]]);
+        sheet.cell(row++, 2).style("fill", "FFF2CC");
+      }
+    }
+  }
+  sheet.usedRange().style("border", true);
+  autoFitColumns(sheet);
+}
+
+function buildConfigDiffSheet(wb, diff) {
+  const sh = wb.addSheet("Config Diff");
+  setHeader(sh, 1, ["Line (before)", "Before", "Line (after)", "After"]);
+  if (!diff.config.available) {
+    sh.cell("A2").value("⚠️ One of the files has no display current-configuration text").style({ italic: true, fill: "FFF2CC" });
+    autoFitColumns(sh); return;
+  }
+  let r = 2;
+  diff.config.hunks.forEach((h, i) => {
+    if (i > 0) { sh.row(r++).cell(1).value([["…", "", "…", ""]]); }
+    for (const ln of h.lines) {
+      const left = ln.op === "+" ? "" : ln.text;
+      const right = ln.op === "-" ? "" : ln.text;
+      sh.row(r).cell(1).value([[ln.a ?? "", left, ln.b ?? "", right]]);
+      if (ln.op === "-") sh.cell(r, 2).style("fill", "F8CECC");
+      if (ln.op === "+") sh.cell(r, 4).style("fill", "C6EFCE");
+      r++;
+    }
+  });
+  sh.usedRange().style("border", true);
+  autoFitColumns(sh);
+}
+
+/**
+ * Compares two parsed JSONs and writes a "Diff" workbook.
+ * @param {string} leftPath - "Before" parsed_*.json.
+ * @param {string} rightPath - "After" parsed_*.json.
+ * @param {object} [options] - { outDir, collision, quiet }
+ * @returns {object} - { outDir, outPath }
+ */
+async function exportDiff(leftPath, rightPath, options = {}) {
+  const outDir = outDirFor(options);
+  const left = readModel(leftPath);
+  const right = readModel(rightPath);
+  const diff = diffModels(left, right, { leftFile: path.basename(leftPath), rightFile: path.basename(rightPath) });
+
+  const wb = await XlsxPopulate.fromBlankAsync();
+  const sheet = wb.sheet(0);
+  sheet.name("Diff");
+  buildDiffSheet(sheet, diff);
+  buildConfigDiffSheet(wb, diff);
+
+  const outPath = claimPath(outDir, `diff_${path.basename(leftPath, ".json")}_vs_${path.basename(rightPath, ".json")}`, ".xlsx", options.collision, options.runStarted);
+  await wb.toFileAsync(outPath);
+  if (!options.quiet) console.log("✅ Diff Excel created:", outPath);
+
+  return { outDir, outPath };
+}
+
+// ───────────────── fleet workbook ─────────────────
+// [sheet name, fleet table, [[header, key]], key to colour]
+const FLEET_SHEETS = [
+  ["Inventory", "inventory", [
+    ["Device", "device"], ["Sysname", "sysname"], ["Model", "model"], ["Version", "version"], ["ESN", "esn"],
+    ["Uptime", "uptime"], ["Router ID", "router_id"], ["LSR ID", "lsr_id"], ["Patch", "patch_status"],
+    ["Active Alarms", "active_alarms"], ["Findings", "findings"], ["Source File", "file"]
+  ], null],
+  ["SFPs", "sfps", [
+    ["Device", "device"], ["Port", "port"], ["Status", "status"], ["Type", "type"], ["Rx(dBm)", "rx_dbm"],
+    ["Tx(dBm)", "tx_dbm"], ["Wavelength(nm)", "wavelength_nm"], ["Vendor PN", "vendor_pn"]
+  ], "status"],
+  ["Cards", "cards", [
+    ["Device", "device"], ["Slot", "slot"], ["Type", "type"], ["Online", "online"], ["Register", "register"],
+    ["Status", "status"], ["Role", "role"]
+  ], "status"],
+  ["E-Labels", "elabels", [
+    ["Device", "device"], ["Scope", "scope"], ["Slot", "slot"], ["Board Type", "model"], ["Part Number", "part_number"],
+    ["BarCode", "barcode"], ["Manufacturer", "manufacturer"], ["Description", "description"]
+  ], null],
+  ["Licenses", "licenses", [
+    ["Device", "device"], ["Sale Name", "sale_name"], ["Item", "item_name"], ["Used", "used_value"],
+    ["Control", "control_value"], ["Description", "description"]
+  ], null],
+  ["Active Alarms", "alarms", [
+    ["Device", "device"], ["Sequence", "sequence"], ["Severity", "severity"], ["Start Time", "time"],
+    ["Alarm ID", "alarm_id"], ["Name", "name"], ["Description", "description"]
+  ], "severity"],
+];
+
+function buildFleetSheet(sheet, columns, rows, colorKey) {
+  setHeader(sheet, 1, columns.map(([h]) => h));
+  if (!rows.length) {
+    sheet.cell("A2").value("⚠️ No data found").style({ italic: true, fill: "FFF2CC" });
+    autoFitColumns(sheet); return;
+  }
+  const colorCol = columns.findIndex(([, k]) => k === colorKey) + 1;
+  let r = 2;
+  for (const row of rows) {
+    sheet.row(r).cell(1).value([columns.map(([, k]) => safe(row[k]))]);
+    if (colorCol > 0) applyConditionalColor(sheet.cell(r, colorCol), row[colorKey]);
+    r++;
+  }
+  sheet.usedRange().style("border", true);
+  autoFitColumns(sheet);
+}
+
+/**
+ * Writes one consolidated workbook for many parsed JSONs.
+ * @param {string|Array<string>} input - Directory of parsed JSONs or a list of JSON paths.
+ * @param {object} [options] - { profiles, outDir, collision, quiet, anonymize } profile store for colours,
+ * output folder, anonymizer mapping.
+ * @returns {object} - { outDir, outPath, devices }
+ */
+async function exportFleet(input, options = {}) {
+  const outDir = outDirFor(options);
+  let files;
+  if (Array.isArray(input)) files = input;
+  else if (input && fs.statSync(input).isDirectory()) files = findParsedFilesRecursively(input);
+  else throw new Error("Fleet export needs a directory or a list of .json files.");
+  if (!files.length) throw new Error(`No .json files found in: ${input}`);
+
+  const entries = files.map(file => readEntry(file, options.anonymize));
+  activeProfile = resolveProfile(options.profiles, null);
+  const fleet = buildFleet(entries);
+
+  const wb = await XlsxPopulate.fromBlankAsync();
+  FLEET_SHEETS.forEach(([name, table, columns, colorKey], i) => {
+    const sheet = i === 0 ? wb.sheet(0).name(name) : wb.addSheet(name);
+    buildFleetSheet(sheet, columns, fleet[table], colorKey);
+  });
+
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "_").slice(0, 15);
+  const outPath = claimPath(outDir, `fleet_inventory_${stamp}`, ".xlsx", options.collision, options.runStarted);
+  await wb.toFileAsync(outPath);
+  if (!options.quiet) console.log("✅ Fleet Excel created:", outPath, `(${entries.length} devices)`);
+
+  return { outDir, outPath, devices: entries.length };
+}
+
 // ───────────────── export API ─────────────────
-async function exportOne(jsonPath) {
-  const outDir = getOutputDir(); // logs where we save
-  const data = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
-  const deviceName = data.identity?.sysname || data.identity?.hostname || path.basename(jsonPath, ".json");
+// { file, data } of a parsed JSON; with a mapping both the model and the file name are anonymized
+function readEntry(jsonPath, mapping) {
+  const data = readModel(jsonPath);
+  if (!mapping) return { file: jsonPath, data };
+  return { file: anonymizeFileName(mapping, jsonPath), data: anonymizeModel(mapping, data) };
+}
+
+/**
+ * Exports one parsed JSON to an xlsx workbook.
+ * @param {string} jsonPath - Path to parsed_*.json.
+ * @param {object} [options] - { profiles, outDir, nameTemplate, collision, quiet, anonymize } profile store for
+ * colours/thresholds, output folder, workbook naming template (output_manager.js), anonymizer mapping.
+ */
+async function exportOne(jsonPath, options = {}) {
+  const outDir = outDirFor(options); // logs where we save
+  const { file, data } = readEntry(jsonPath, options.anonymize);
+  activeProfile = resolveProfile(options.profiles, data);
+  const deviceName = data.identity?.sysname || data.identity?.hostname || path.basename(file, ".json");
 
   const wb = await XlsxPopulate.fromBlankAsync();
   const sheet = wb.sheet(0);
   sheet.name("Summary");
 
   buildSummarySheet(sheet, data, deviceName);
+  buildFindingsSheet(wb, data);
+  buildSecuritySheet(wb, data);
   buildInterfacesSheet(wb, data);
   buildRoutingSheet(wb, data);
   buildHardwareSheet(wb, data);
   buildEvpnSheet(wb, data); // New sheet
+  buildL2vpnSheet(wb, data);
+  buildPoliciesSheet(wb, data);
   buildAlarmsSheet(wb, data);
+  buildPluginSheets(wb, data);
+  buildCoverageSheet(wb, data);
 
-  const outPath = path.join(outDir, `${path.basename(jsonPath, ".json")}.xlsx`);
+  const outPath = outputPath(outDir, options.nameTemplate || DEFAULT_OUTPUT_SETTINGS.excel_name, data, file, ".xlsx", options.collision, options.runStarted);
   await wb.toFileAsync(outPath);
-  console.log("✅ Excel created:", outPath);
+  if (!options.quiet) console.log("✅ Excel created:", outPath);
 
   return { outDir, outPath };
 }
@@ -362,9 +822,8 @@ function findParsedFilesRecursively(currentDir) {
     return logFiles;
 }
 
-async function exportAll(dir) {
-  const outDir = getOutputDir(); // ensures existence and logs
-  const src = dir || outDir; // if no dir passed, use output dir (JSONs usually there)
+async function exportAll(dir, options = {}) {
+  const src = dir || getOutputDir(); // if no dir passed, use output dir (JSONs usually there)
   
   let files;
   // Check if `dir` is a directory or a file
@@ -384,14 +843,14 @@ async function exportAll(dir) {
   
   const results = [];
   for (const f of files) {
-    const model = await exportOne(f);
+    const model = await exportOne(f, options);
     results.push(model);
   }
 
   return results;
 }
 
-module.exports = { exportOne, exportAll };
+module.exports = { exportOne, exportAll, exportDiff, exportFleet, findParsedFilesRecursively };
 
 // ───────────────── CLI (optional) ─────────────────
 if (require.main === module) {
@@ -406,14 +865,18 @@ if (require.main === module) {
       };
       const DIR_PATH = getArg("--dir");
       const FILE_PATH = getArg("--file");
+      const PROFILES_PATH = getArg("--profiles"); // health_profiles.json
+      const options = PROFILES_PATH ? { profiles: JSON.parse(fs.readFileSync(PROFILES_PATH, "utf8")) } : {};
 
-      if (DIR_PATH) {
-          await exportAll(DIR_PATH);
+      if (DIR_PATH && process.argv.includes("--fleet")) {
+          await exportFleet(DIR_PATH, options);
+      } else if (DIR_PATH) {
+          await exportAll(DIR_PATH, options);
       } else if (FILE_PATH) {
-          await exportOne(FILE_PATH);
+          await exportOne(FILE_PATH, options);
       } else {
           console.log("No --file or --dir specified, exporting all .json from default output dir...");
-          await exportAll(); // will default to output dir near exe/cwd
+          await exportAll(undefined, options); // will default to output dir near exe/cwd
       }
       
     } catch (e) {
@@ -0,0 +1,63 @@
+/**
+ * fleet.js — Cross-device inventory from many parsed models
+ * ----------------------------------------------------
+ * `buildFleet(entries)` takes [{ file, data }] (data = parsed model) and
+ * returns flat tables, one row per device / item, each with a `device` column:
+ *   { inventory, sfps, cards, elabels, licenses, alarms }
+ * Used by the fleet workbook (export_to_excel.js `exportFleet`) and the
+ * renderer fleet view (`fleet:load` IPC).
+ */
+const path = require("path");
+
+function deviceNameOf(d, file) {
+  return d?.identity?.sysname || d?.identity?.hostname || (file ? path.basename(file, ".json") : "unknown");
+}
+
+/**
+ * Flattens parsed models into fleet-wide tables.
+ * @param {Array<{file: string, data: object}>} entries
+ * @returns {object} - { inventory, sfps, cards, elabels, licenses, alarms }
+ */
+function buildFleet(entries) {
+  const fleet = { inventory: [], sfps: [], cards: [], elabels: [], licenses: [], alarms: [] };
+
+  for (const { file, data } of entries || []) {
+    const d = data || {};
+    const device = deviceNameOf(d, file);
+    const activeAlarms = d.alarms?.active || [];
+
+    fleet.inventory.push({
+      device,
+      sysname: d.identity?.sysname || "",
+      model: d.identity?.model || "",
+      version: d.software?.version || d.identity?.version || "",
+      esn: d.identity?.serial || "",
+      uptime: d.software?.uptime || "",
+      router_id: d.identity?.router_id_public || "",
+      lsr_id: d.identity?.lsr_id || "",
+      patch_status: d.identity?.patch_status || "",
+      active_alarms: activeAlarms.length,
+      findings: (d.findings || []).length,
+      file: file ? path.basename(file) : ""
+    });
+
+    for (const s of d.hardware?.sfp || []) fleet.sfps.push({ device, ...s });
+    for (const c of d.hardware?.cards || []) fleet.cards.push({ device, ...c });
+    for (const e of d.hardware?.elabels || []) fleet.elabels.push({ device, ...e });
+    for (const l of d.licenses || []) fleet.licenses.push({ device, ...l });
+    for (const a of activeAlarms) {
+      fleet.alarms.push({
+        device,
+        sequence: a.sequence ?? "",
+        severity: a.severity || "",
+        time: a.start_time || a.time_text || "", // ISO, sorts as text
+        alarm_id: a.alarm_id || "",
+        name: a.name || "",
+        description: a.description || ""
+      });
+    }
+  }
+  return fleet;
+}
+
+module.exports = { buildFleet };
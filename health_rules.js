@@ -0,0 +1,198 @@
+/**
+ * health_rules.js — Health-check rule engine for parsed VRP models
+ * ----------------------------------------------------
+ * Runs every rule in `RULES` over a model built by analyzer.js `newModel()`
+ * and returns a flat findings array:
+ *   [{ severity, rule_id, object, message }]
+ * Severities follow the VRP alarm levels (Critical / Major / Minor / Warning)
+ * so the existing colour logic in the UI and Excel picks them up as-is.
+ * Thresholds come from the selected profile (see profiles.js).
+ */
+
+// ---------- Default thresholds ----------
+const DEFAULT_THRESHOLDS = {
+  cpu_pct: 80,                        // CPU avg/max above this is flagged
+  memory_pct: 80,                     // memory usage_pct above this is flagged
+  temperature_c: 70,                  // any sensor above this is flagged
+  sfp_rx_dbm: { min: -20, max: 2 },   // acceptable optical Rx window
+  sfp_tx_dbm: { min: -10, max: 8 },   // acceptable optical Tx window
+  required_ntp_servers: [],           // IPs that must be configured as NTP servers
+};
+
+const SEVERITY_ORDER = ["Critical", "Major", "Minor", "Warning"];
+
+// ---------- Utils ----------
+const lower = (s) => String(s || "").toLowerCase();
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// ---------- Rules ----------
+// Every rule receives (model, thresholds, add) and calls
+// add(severity, object, message) once per finding.
+function r_bgp_peer_state(model, t, add) {
+  const bgp = model.protocols?.bgp || {};
+  const groups = [["ipv4", bgp.neighbors], ["vpnv4", bgp.vpnv4], ["vpnv6", bgp.vpnv6], ["evpn", bgp.evpn_peers]];
+  for (const [af, peers] of groups) {
+    for (const p of peers || []) {
+      if (!p.state || /^established$/i.test(p.state)) continue;
+      add("Major", `BGP ${af} peer ${p.neighbor}`, `BGP peer ${p.neighbor} (AS ${p.as ?? "?"}) is ${p.state}, expected Established`);
+    }
+  }
+}
+
+function r_bfd_session_down(model, t, add) {
+  for (const s of model.protocols?.bfd?.sessions || []) {
+    if (!s.state || /^up$/i.test(s.state)) continue;
+    const where = s.interface ? ` on ${s.interface}` : "";
+    add("Major", `BFD ${s.local}/${s.remote}`, `BFD session to ${s.peer_ip || "?"}${where} is ${s.state}`);
+  }
+}
+
+function r_cpu_high(model, t, add) {
+  (model.resources?.cpu || []).forEach((c, i) => {
+    const val = isNum(c.avg) ? c.avg : null;
+    if (val !== null && val > t.cpu_pct) {
+      add("Major", `CPU sample ${i + 1}`, `CPU usage ${val}% exceeds ${t.cpu_pct}%`);
+    } else if (isNum(c.max) && c.max > t.cpu_pct) {
+      add("Minor", `CPU sample ${i + 1}`, `CPU peak ${c.max}% exceeds ${t.cpu_pct}%`);
+    }
+  });
+}
+
+function r_memory_high(model, t, add) {
+  (model.resources?.memory || []).forEach((m, i) => {
+    let pct = isNum(m.usage_pct) ? m.usage_pct : null;
+    if (pct === null && isNum(m.used_mb) && isNum(m.total_mb) && m.total_mb > 0) {
+      pct = Math.round((m.used_mb / m.total_mb) * 100);
+    }
+    if (pct !== null && pct > t.memory_pct) {
+      add("Major", `Memory sample ${i + 1}`, `Memory usage ${pct}% exceeds ${t.memory_pct}%`);
+    }
+  });
+}
+
+function r_temperature(model, t, add) {
+  for (const s of model.resources?.temperature || []) {
+    const obj = `Sensor ${s.pcb || "?"}${s.slot ? ` slot ${s.slot}` : ""}`;
+    if (s.status && !/^normal$/i.test(s.status)) {
+      add(/fatal|major/i.test(s.status) ? "Critical" : "Major", obj, `Temperature sensor status is ${s.status} (${s.temp_c ?? "?"} °C)`);
+    } else if (isNum(s.temp_c) && s.temp_c > t.temperature_c) {
+      add("Minor", obj, `Temperature ${s.temp_c} °C exceeds ${t.temperature_c} °C`);
+    }
+  }
+}
+
+function r_fan_status(model, t, add) {
+  (model.resources?.fan || []).forEach((f, i) => {
+    // "AUTO" is the normal speed-control mode reported by `display fan`
+    if (f.status && !/^(normal|auto)$/i.test(f.status)) {
+      add("Major", `Fan ${i + 1}`, `Fan status is ${f.status}, expected Normal`);
+    }
+  });
+  for (const c of model.hardware?.cards || []) {
+    if (/^fan$/i.test(c.type || "") && c.status && !/^normal$/i.test(c.status)) {
+      add("Major", `Fan slot ${c.slot}`, `Fan board in slot ${c.slot} is ${c.status}, expected Normal`);
+    }
+  }
+}
+
+function r_card_status(model, t, add) {
+  for (const c of model.hardware?.cards || []) {
+    if (/^fan$/i.test(c.type || "")) continue; // covered by FAN_STATUS
+    if (c.status && !/^normal$/i.test(c.status)) {
+      add("Major", `Slot ${c.slot} (${c.type || "?"})`, `Board status is ${c.status}, expected Normal`);
+    }
+  }
+}
+
+function r_sfp_rx_power(model, t, add) {
+  const { min, max } = t.sfp_rx_dbm;
+  for (const s of model.hardware?.sfp || []) {
+    if (!isNum(s.rx_dbm)) continue;
+    if (s.rx_dbm < min || s.rx_dbm > max) {
+      const state = s.status ? ` (port ${lower(s.status)})` : "";
+      add(/^up$/i.test(s.status || "") ? "Major" : "Minor", `SFP ${s.port}`,
+        `Rx power ${s.rx_dbm} dBm is outside ${min}..${max} dBm${state}`);
+    }
+  }
+}
+
+function r_sfp_tx_power(model, t, add) {
+  const { min, max } = t.sfp_tx_dbm;
+  for (const s of model.hardware?.sfp || []) {
+    if (!isNum(s.tx_dbm)) continue;
+    if (s.tx_dbm < min || s.tx_dbm > max) {
+      add("Minor", `SFP ${s.port}`, `Tx power ${s.tx_dbm} dBm is outside ${min}..${max} dBm`);
+    }
+  }
+}
+
+function r_ntp_unsynchronized(model, t, add) {
+  const ntp = model.ntp || {};
+  if (ntp.state && /unsynchron/i.test(ntp.state)) {
+    add("Major", "NTP", `NTP clock is ${ntp.state}${ntp.stratum != null ? ` (stratum ${ntp.stratum})` : ""}`);
+  }
+}
+
+function r_ntp_required_servers(model, t, add) {
+  const configured = new Set((model.ntp?.servers || []).map(s => s.ip));
+  for (const ip of t.required_ntp_servers || []) {
+    if (!configured.has(ip)) add("Major", `NTP server ${ip}`, `Required NTP server ${ip} is not configured`);
+  }
+}
+
+// An undefined route-policy denies every route it is applied to (BGP peer / VPN import / export)
+function r_policy_undefined(model, t, add) {
+  for (const r of model.policies?.cross_ref?.undefined || []) {
+    add(r.kind === "route-policy" ? "Critical" : "Major", `${r.kind} ${r.name}`,
+      `${r.kind} "${r.name}" is referenced but not defined (config line ${r.line}: ${r.context})`);
+  }
+}
+
+function r_policy_unused(model, t, add) {
+  for (const u of model.policies?.cross_ref?.unused || []) {
+    add("Warning", `${u.kind} ${u.name}`, `${u.kind} "${u.name}" is defined but not referenced anywhere`);
+  }
+}
+
+// ---------- Rule map ----------
+const RULES = [
+  ["BGP_PEER_NOT_ESTABLISHED", r_bgp_peer_state],
+  ["BFD_SESSION_DOWN", r_bfd_session_down],
+  ["CPU_HIGH", r_cpu_high],
+  ["MEMORY_HIGH", r_memory_high],
+  ["TEMPERATURE", r_temperature],
+  ["FAN_STATUS", r_fan_status],
+  ["CARD_STATUS", r_card_status],
+  ["SFP_RX_POWER", r_sfp_rx_power],
+  ["SFP_TX_POWER", r_sfp_tx_power],
+  ["NTP_UNSYNCHRONIZED", r_ntp_unsynchronized],
+  ["NTP_REQUIRED_SERVERS", r_ntp_required_servers],
+  ["POLICY_UNDEFINED", r_policy_undefined],
+  ["POLICY_UNUSED", r_policy_unused],
+];
+
+/**
+ * Evaluates all health rules against a parsed model.
+ * @param {object} model - The model built by analyzer.js.
+ * @param {object} [thresholds] - Overrides for DEFAULT_THRESHOLDS.
+ * @returns {Array<object>} - Findings sorted by severity.
+ */
+function evaluateHealth(model, thresholds = {}) {
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const findings = [];
+  for (const [ruleId, fn] of RULES) {
+    const add = (severity, object, message) => findings.push({ severity, rule_id: ruleId, object, message });
+    try {
+      fn(model || {}, t, add);
+    } catch (e) {
+      console.error(`Error in health rule '${ruleId}': ${e.message}`);
+    }
+  }
+  const rank = (s) => {
+    const i = SEVERITY_ORDER.indexOf(s);
+    return i < 0 ? SEVERITY_ORDER.length : i;
+  };
+  return findings.sort((a, b) => rank(a.severity) - rank(b.severity));
+}
+
+module.exports = { evaluateHealth, RULES, DEFAULT_THRESHOLDS, SEVERITY_ORDER };
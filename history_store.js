@@ -0,0 +1,313 @@
+/**
+ * history_store.js — Per-device metric history from repeated collections
+ * ----------------------------------------------------
+ * Every analyzed log adds a snapshot of key metrics to the history of its
+ * device; the store is a folder (userData/history in the app, `--history` on
+ * the analyzer CLI) with one `<key>.json` per device:
+ *   {
+ *     key, esn, sysname, model,
+ *     snapshots: [{ collected_at, collected_at_source, analyzed_at, source_file, parsed_file, metrics }]
+ *   }
+ * The device key is the ESN (identity.serial), else the sysname, so a renamed
+ * device keeps its history. `collected_at` is the device clock of the log
+ * (`display clock` -> identity.current_time, collected_at_source "device"),
+ * else the log file mtime ("file"). Snapshots are sorted by `collected_at`;
+ * re-analyzing the same collection replaces its snapshot.
+ * `trendSeries` turns the snapshots into chart series and `detectChanges`
+ * flags sudden changes between consecutive snapshots (TREND_THRESHOLDS). A VRF missing
+ * from a snapshot that has route summaries for other VRFs has 0 routes (it vanished);
+ * without any route summary the routes were not collected.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseAlarmTime } = require("./alarms");
+const { DEFAULT_PROFILE } = require("./profiles");
+
+const HISTORY_DIR = "history";
+
+// Change between two consecutive snapshots that is flagged
+const TREND_THRESHOLDS = {
+  route_drop_pct: 20,      // routes of a VRF fell by more than this share
+  optical_drop_db: 2,      // Rx / Tx power of a port fell by more than this
+  cpu_rise_pct: 30,        // CPU avg rose by more than this many points
+  memory_rise_pct: 20,     // memory usage rose by more than this many points
+  disk_free_drop_pct: 30,  // free disk space fell by more than this share
+  temp_rise_c: 10,         // hottest sensor rose by more than this
+  alarm_rise: 5,           // active alarms grew by more than this
+};
+
+// Scalar metrics charted by the trend view: [metric, label, unit]
+const TREND_METRICS = [
+  ["cpu_avg", "CPU avg", "%"],
+  ["cpu_max", "CPU max", "%"],
+  ["memory_pct", "Memory", "%"],
+  ["disk_free_mb", "Disk free", "MB"],
+  ["temp_max_c", "Max temperature", "°C"],
+  ["routes_total", "Routes", ""],
+  ["alarms_active", "Active alarms", ""],
+  ["alarms_critical", "Critical alarms", ""],
+];
+
+// ---------- Utils ----------
+const lower = (s) => String(s || "").toLowerCase();
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const maxOf = (values) => {
+  const nums = values.filter(isNum);
+  return nums.length ? Math.max(...nums) : null;
+};
+const round1 = (v) => (isNum(v) ? Math.round(v * 10) / 10 : null);
+
+// ESN / sysname -> file name
+function deviceKey(model) {
+  const id = model?.identity || {};
+  return String(id.serial || id.sysname || id.hostname || "").trim() || null;
+}
+
+const keyFile = (dir, key) => path.join(dir, `${String(key).replace(/[^\w.-]+/g, "_")}.json`);
+
+// ---------- Snapshot ----------
+/**
+ * Extracts the tracked metrics from a parsed model.
+ * @param {object} model - Parsed model (current schema).
+ * @param {Array<string>} [criticalSeverities] - Alarm severities counted as critical.
+ * @returns {object} - { cpu_avg, cpu_max, memory_pct, disk_free_mb, temp_max_c, routes_total, routes_by_vrf, alarms_active, alarms_critical, optics }
+ */
+function snapshotMetrics(model, criticalSeverities = DEFAULT_PROFILE.alarms.critical_severities) {
+  const res = model?.resources || {};
+  const memory = (res.memory || []).map(m => (isNum(m.usage_pct) ? m.usage_pct
+    : isNum(m.used_mb) && m.total_mb > 0 ? Math.round((m.used_mb / m.total_mb) * 100) : null));
+  const disks = (res.disk || []).filter(d => isNum(d.free_kb));
+
+  // The same VRF can be summarized twice in one log: keep the larger count
+  const routesByVrf = {};
+  for (const t of model?.routing?.table_summary || []) {
+    if (!isNum(t.total_routes)) continue;
+    const vrf = t.vrf || "public";
+    routesByVrf[vrf] = Math.max(routesByVrf[vrf] ?? 0, t.total_routes);
+  }
+  const routeCounts = Object.values(routesByVrf);
+
+  const optics = {};
+  for (const s of model?.hardware?.sfp || []) {
+    if (!s.port || (!isNum(s.rx_dbm) && !isNum(s.tx_dbm))) continue;
+    optics[s.port] = { rx_dbm: isNum(s.rx_dbm) ? s.rx_dbm : null, tx_dbm: isNum(s.tx_dbm) ? s.tx_dbm : null };
+  }
+
+  const active = model?.alarms?.active || [];
+  const critical = criticalSeverities.map(lower);
+  return {
+    cpu_avg: maxOf((res.cpu || []).map(c => c.avg)),
+    cpu_max: maxOf((res.cpu || []).map(c => c.max)),
+    memory_pct: maxOf(memory),
+    disk_free_mb: disks.length ? round1(disks.reduce((sum, d) => sum + d.free_kb, 0) / 1024) : null,
+    temp_max_c: maxOf((res.temperature || []).map(t => t.temp_c)),
+    routes_total: routeCounts.length ? routeCounts.reduce((a, b) => a + b, 0) : null,
+    routes_by_vrf: routesByVrf,
+    alarms_active: active.length,
+    alarms_critical: active.filter(a => critical.includes(lower(a.severity))).length,
+    optics,
+  };
+}
+
+/**
+ * Collection time of a log: the device clock, else the log file mtime.
+ * @param {object} model
+ * @param {string} [sourceFile]
+ * @returns {{ at: string|null, source: string|null }}
+ */
+function collectionTime(model, sourceFile) {
+  const clock = parseAlarmTime(model?.identity?.current_time);
+  if (clock) return { at: clock.iso, source: "device" };
+  try {
+    return { at: fs.statSync(sourceFile).mtime.toISOString(), source: "file" };
+  } catch {
+    return { at: null, source: null };
+  }
+}
+
+// ISO times with different offsets do not sort as text
+const timeOf = (s) => {
+  const t = Date.parse(s.collected_at);
+  return Number.isFinite(t) ? t : 0;
+};
+
+// ---------- Store ----------
+/**
+ * Loads the history of one device.
+ * @param {string} dir - History folder.
+ * @param {string} key - Device key (ESN / sysname).
+ * @returns {object|null} - The device history, null when there is none.
+ */
+function loadDevice(dir, key) {
+  const file = keyFile(dir, key);
+  if (!fs.existsSync(file)) return null;
+  const h = JSON.parse(fs.readFileSync(file, "utf8"));
+  h.snapshots = Array.isArray(h.snapshots) ? h.snapshots : [];
+  return h;
+}
+
+/**
+ * Adds the snapshot of a parsed model to the history of its device.
+ * @param {string} dir - History folder (created on first use).
+ * @param {object} model - Parsed model (current schema).
+ * @param {object} [opts] - { sourceFile, parsedFile, criticalSeverities }
+ * @returns {object|null} - { key, snapshot, count }, null when the device has no ESN / sysname.
+ */
+function recordSnapshot(dir, model, opts = {}) {
+  const key = deviceKey(model);
+  if (!key) return null;
+  const id = model.identity || {};
+  const { at, source } = collectionTime(model, opts.sourceFile);
+  const snapshot = {
+    collected_at: at,
+    collected_at_source: source,
+    analyzed_at: new Date().toISOString(),
+    source_file: opts.sourceFile || null,
+    parsed_file: opts.parsedFile || null,
+    metrics: snapshotMetrics(model, opts.criticalSeverities),
+  };
+
+  fs.mkdirSync(dir, { recursive: true });
+  const history = loadDevice(dir, key) || { key, snapshots: [] };
+  Object.assign(history, {
+    esn: id.serial || history.esn || null,
+    sysname: id.sysname || id.hostname || history.sysname || null,
+    model: id.model || history.model || null,
+  });
+  // Same collection analyzed again (device clock, else same log file): replace
+  const same = (s) => (source === "device" && s.collected_at_source === "device"
+    ? s.collected_at === at
+    : s.source_file && s.source_file === snapshot.source_file);
+  history.snapshots = [...history.snapshots.filter(s => !same(s)), snapshot].sort((a, b) => timeOf(a) - timeOf(b));
+  fs.writeFileSync(keyFile(dir, key), JSON.stringify(history, null, 2), "utf8");
+  return { key, snapshot, count: history.snapshots.length };
+}
+
+/**
+ * Lists the devices with a history.
+ * @param {string} dir - History folder.
+ * @returns {Array<object>} - [{ key, esn, sysname, model, snapshots, first, last }] sorted by name.
+ */
+function listDevices(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const devices = [];
+  for (const f of fs.readdirSync(dir).filter(f => f.endsWith(".json"))) {
+    try {
+      const h = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+      const snaps = Array.isArray(h.snapshots) ? h.snapshots : [];
+      devices.push({
+        key: h.key, esn: h.esn || null, sysname: h.sysname || null, model: h.model || null,
+        snapshots: snaps.length,
+        first: snaps[0]?.collected_at || null,
+        last: snaps[snaps.length - 1]?.collected_at || null,
+      });
+    } catch (e) {
+      console.warn(`⚠️ Skipping unreadable history file ${f}: ${e.message}`);
+    }
+  }
+  return devices.sort((a, b) => String(a.sysname || a.key).localeCompare(String(b.sysname || b.key)));
+}
+
+// ---------- Trends ----------
+// Routes of a VRF in a snapshot: 0 when the snapshot counted other VRFs but not this one
+function vrfRoutes(metrics, vrf) {
+  const byVrf = metrics.routes_by_vrf || {};
+  if (vrf in byVrf) return byVrf[vrf];
+  return Object.keys(byVrf).length ? 0 : null;
+}
+
+/**
+ * Turns snapshots into chart series (one point per snapshot, null = not collected).
+ * @param {Array<object>} snapshots - Sorted by collected_at.
+ * @returns {object} - { times, metrics: { <metric>: [] }, routes_by_vrf: { vrf: [] }, optics: { port: { rx_dbm: [], tx_dbm: [] } } }
+ */
+function trendSeries(snapshots) {
+  const snaps = snapshots || [];
+  const vrfs = [...new Set(snaps.flatMap(s => Object.keys(s.metrics?.routes_by_vrf || {})))].sort();
+  const ports = [...new Set(snaps.flatMap(s => Object.keys(s.metrics?.optics || {})))].sort();
+  const series = (fn) => snaps.map(s => {
+    const v = fn(s.metrics || {});
+    return isNum(v) ? v : null;
+  });
+  return {
+    times: snaps.map(s => s.collected_at),
+    metrics: Object.fromEntries(TREND_METRICS.map(([m]) => [m, series(x => x[m])])),
+    routes_by_vrf: Object.fromEntries(vrfs.map(v => [v, series(x => vrfRoutes(x, v))])),
+    optics: Object.fromEntries(ports.map(p => [p, {
+      rx_dbm: series(x => x.optics?.[p]?.rx_dbm),
+      tx_dbm: series(x => x.optics?.[p]?.tx_dbm),
+    }])),
+  };
+}
+
+/**
+ * Flags sudden changes between consecutive snapshots.
+ * @param {Array<object>} snapshots - Sorted by collected_at.
+ * @param {object} [thresholds] - Overrides for TREND_THRESHOLDS.
+ * @returns {Array<object>} - [{ severity, kind, at, object, metric, before, after, message }], newest first.
+ */
+function detectChanges(snapshots, thresholds = {}) {
+  const t = { ...TREND_THRESHOLDS, ...thresholds };
+  const flags = [];
+  const snaps = snapshots || [];
+  for (let i = 1; i < snaps.length; i++) {
+    const prev = snaps[i - 1].metrics || {};
+    const cur = snaps[i].metrics || {};
+    const add = (severity, kind, object, metric, before, after, message) =>
+      flags.push({ severity, kind, at: snaps[i].collected_at, object, metric, before, after, message });
+    const both = (a, b) => isNum(a) && isNum(b);
+
+    for (const [vrf, before] of Object.entries(prev.routes_by_vrf || {})) {
+      const after = vrfRoutes(cur, vrf);
+      if (!both(before, after) || before === 0) continue;
+      const drop = ((before - after) / before) * 100;
+      if (drop > t.route_drop_pct) {
+        add(drop >= 50 ? "Critical" : "Major", "route_drop", `VRF ${vrf}`, "routes", before, after,
+          `Routes in VRF ${vrf} dropped from ${before} to ${after} (-${Math.round(drop)}%)`);
+      }
+    }
+
+    for (const [port, o] of Object.entries(prev.optics || {})) {
+      for (const [metric, label] of [["rx_dbm", "Rx"], ["tx_dbm", "Tx"]]) {
+        const before = o[metric];
+        const after = cur.optics?.[port]?.[metric];
+        if (!both(before, after) || before - after <= t.optical_drop_db) continue;
+        add(metric === "rx_dbm" ? "Major" : "Minor", "optical_degradation", `SFP ${port}`, metric, before, after,
+          `${label} power on ${port} fell from ${before} to ${after} dBm (${round1(after - before)} dB)`);
+      }
+    }
+
+    const rise = (metric, limit, severity, kind, label, unit) => {
+      const before = prev[metric];
+      const after = cur[metric];
+      if (both(before, after) && after - before > limit) {
+        add(severity, kind, label, metric, before, after, `${label} rose from ${before}${unit} to ${after}${unit}`);
+      }
+    };
+    rise("cpu_avg", t.cpu_rise_pct, "Minor", "cpu_rise", "CPU avg", "%");
+    rise("memory_pct", t.memory_rise_pct, "Minor", "memory_rise", "Memory usage", "%");
+    rise("temp_max_c", t.temp_rise_c, "Minor", "temperature_rise", "Max temperature", " °C");
+    rise("alarms_active", t.alarm_rise, "Major", "alarm_rise", "Active alarms", "");
+
+    const dBefore = prev.disk_free_mb;
+    const dAfter = cur.disk_free_mb;
+    if (both(dBefore, dAfter) && dBefore > 0 && ((dBefore - dAfter) / dBefore) * 100 > t.disk_free_drop_pct) {
+      add("Minor", "disk_free_drop", "Disk", "disk_free_mb", dBefore, dAfter,
+        `Free disk space fell from ${dBefore} MB to ${dAfter} MB`);
+    }
+  }
+  return flags.reverse();
+}
+
+module.exports = {
+  HISTORY_DIR,
+  TREND_THRESHOLDS,
+  TREND_METRICS,
+  deviceKey,
+  snapshotMetrics,
+  recordSnapshot,
+  loadDevice,
+  listDevices,
+  trendSeries,
+  detectChanges,
+};
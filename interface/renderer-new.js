@@ -1,4 +1,87 @@
-// renderer.js (v14)
+// renderer.js (v36)
+// - "Parse TXT/LOG" also opens .zip / .gz / .tar.gz collection bundles; a device parsed from an archive
+//   shows the archive-relative path of its log in the sidebar tooltip. Logs of a bundle that fail are
+//   counted as failed and named in the progress row of the bundle.
+// - Table, findings, security and protocol panels escape the device text they show (escapeHtml);
+//   callers pass raw values.
+//
+// v35:
+// - Sanitized logs: "Masked Values" summary row and panel (model.masking); table rows holding a
+//   masked value are shown in italics.
+//
+// v34:
+// - "Anonymize & Share" sidebar item: parsed JSONs, workbooks and raw logs written with pseudonyms
+//   (anonymizer.js); shows where the local mapping is kept and what it holds.
+//
+// v33:
+// - "Merged Sources" panel (model.sources of a device merged from several files: files per section,
+//   ignored conflicting values) and a "Merge devices" output setting (model_merge.js).
+//
+// v32:
+// - "Output Settings" sidebar item: output folder, naming templates for parsed JSONs / workbooks,
+//   collision handling and per-run subfolders (output_manager.js); exports list the written files.
+//
+// v31:
+// - "Customer Report" sidebar item: makeMainHtml sections of one parsed JSON or a folder saved as a
+//   standalone HTML / PDF report (report.js) with a company logo / header text template.
+//
+// v30:
+// - "Device Trends" sidebar item: per-device metric history (history_store.js) as SVG line
+//   charts (CPU, memory, disk, temperature, routes, alarms, optical Rx/Tx) with flagged changes.
+//
+// v29:
+// - Alarms are shown as "Active Alarms" / "Alarm History" panels (model.alarms, alarms.js) with a
+//   severity + text filter and a start-time sort, and a "Configured Alarm Severities" table.
+//
+// v28:
+// - Parsed JSONs are migrated to the current schema_version (model_schema.js) after reading;
+//   the Summary shows the analyzer / schema version of the file.
+//
+// v27:
+// - Tables declared by parser plugins (model.plugins) are rendered after the protocol details;
+//   "Parser Plugins" sidebar item lists loaded / rejected plugins of userData/parsers.
+//
+// v26:
+// - Added "Parser Coverage" panel (model.coverage) with a browser of unparsed command output (raw_sections).
+//
+// v25:
+// - Parsing shows a live per-file progress list (analyze:progress events) with a Cancel button;
+//   failed / cancelled files stay listed after the run.
+//
+// v24:
+// - Added "Security Audit" panel (model.security from security_audit.js) with a 0-100 score.
+//
+// v23:
+// - Added "Routing Policies" section (cross-reference report, route-policies, prefix lists,
+//   community filters, ACLs); BGP Configured Peers show VRF, group and import / export policies.
+//
+// v22:
+// - Added "Configuration Browser": collapsible stanza tree of model.config_tree with a stanza filter.
+//
+// v21:
+// - Added L2VPN section (VCs, VSIs, VSI PWs, PW-APS); down PWs are highlighted.
+//
+// v20:
+// - Added IS-IS Neighbors, MPLS LDP Sessions / Peers and LDP LSP statistics sections.
+//
+// v19:
+// - Added "Topology" sidebar item: draggable device graph (LLDP / subnet / OSPF / BGP links)
+//   with GraphML / DOT export.
+//
+// v18:
+// - Added "Fleet Overview" sidebar item when an analysis returns several devices,
+//   with export of one consolidated fleet workbook.
+//
+// v17:
+// - Added "Compare" mode: side-by-side diff of two parsed JSONs (sections + config lines).
+//
+// v16:
+// - Added "Health Profiles" editor; "Critical Alarms" now counts the severities of the resolved profile.
+//
+// v15:
+// - Added highlighted "Health Findings" section (model.findings from health_rules.js).
+//
+// v14:
 // - Added filtering to only show files with a `deviceName` in the sidebar.
 // - Sidebar now displays the `deviceName` instead of the `fileName`.
 // - "Parse JSON" button now reads the file to get the `deviceName`.
@@ -44,7 +127,7 @@ function flatten(obj, prefix = "", out = {}) {
 /**
  * Creates an HTML Key-Value table with an accordion header.
  * @param {string} title - Section title.
- * @param {Array<Array<string>>} rows - Array of [key, value] pairs.
+ * @param {Array<Array<string>>} rows - Array of [key, value] pairs (raw text, escaped here).
  * @param {boolean} isExpanded - Default expanded state.
  */
 function renderKeyValueTable(title, rows, isExpanded = false) {
@@ -58,7 +141,7 @@ function renderKeyValueTable(title, rows, isExpanded = false) {
     rows.forEach(([key, value]) => {
         const isCritical = (key.includes('Критичні тривоги') && parseInt(value) > 0) || (typeof value === 'string' && /down|fail/i.test(value));
         const valueClass = isCritical ? 'critical' : '';
-        html += `<tr><th>${safe(key)}</th><td class="${valueClass}">${safe(value)}</td></tr>`;
+        html += `<tr><th>${escapeHtml(key)}</th><td class="${valueClass}">${escapeHtml(value)}</td></tr>`;
     });
     
     html += '</tbody></table>';
@@ -70,7 +153,7 @@ function renderKeyValueTable(title, rows, isExpanded = false) {
  * Creates an HTML structured table (for lists) with an accordion header.
  * @param {string} title - Section title.
  * @param {Array<string>} headers - Column headers.
- * @param {Array<object>} data - Array of data objects.
+ * @param {Array<object>} data - Array of data objects (raw values, escaped here).
  * @param {string} keyForCritical - Key to check for critical state.
  * @param {boolean} isExpanded - Default expanded state.
  */
@@ -92,9 +175,9 @@ function renderStructuredTable(title, headers, data, keyForCritical = null, isEx
     data.forEach(item => {
         const severityValue = item[keyForCritical] || '';
         const isCritical = keyForCritical && /critical|major|down|fail/i.test(String(severityValue));
-        const rowClass = isCritical ? 'critical' : '';
+        const rowClass = isCritical ? 'critical' : item.masked ? 'masked' : '';
         
-        html += `<tr class="${rowClass}">`;
+        html += `<tr class="${rowClass}"${item.masked ? ' title="Holds a value masked in the log"' : ''}>`;
         
         headers.forEach(headerKey => {
             // Find the item key. We'll check for a few common formats.
@@ -122,7 +205,7 @@ function renderStructuredTable(title, headers, data, keyForCritical = null, isEx
                  }
             }
             
-            value = safe(value); // Ensure it's not null/undefined
+            value = escapeHtml(value); // Device text: never markup
 
             let cellClass = '';
             if (itemKey.includes('status') || itemKey.includes('protocol') || itemKey.includes('state') || headerKey === "Статус" || headerKey === "Протокол" || headerKey === "State") {
@@ -141,6 +224,150 @@ function renderStructuredTable(title, headers, data, keyForCritical = null, isEx
     return html;
 }
 
+/**
+ * Renders health-check findings as a highlighted table (expanded by default).
+ * Rows are tinted by severity: Critical/Major red, Minor/Warning amber.
+ * @param {string} title - Section title.
+ * @param {Array<object>} findings - Array of { severity, rule_id, object, message }.
+ */
+function renderFindingsTable(title, findings) {
+    const count = findings ? findings.length : 0;
+
+    let html = `<h2 class="collapsible-header findings-header">${title} (${count})</h2>`;
+    html += `<div class="collapsible-content">`;
+    html += `<div class="table-wrapper findings-wrapper">`;
+
+    if (count === 0) {
+        html += `<p class="up p-4">✅ No health issues detected.</p></div></div>`;
+        return html;
+    }
+
+    html += `<table class="data-table wide-cols"><thead><tr>`;
+    ["Severity", "Rule", "Object", "Message"].forEach(h => html += `<th>${h}</th>`);
+    html += `</tr></thead><tbody>`;
+
+    findings.forEach(f => {
+        let rowClass = '';
+        if (/critical|major/i.test(f.severity)) rowClass = 'critical';
+        else if (/minor|warning/i.test(f.severity)) rowClass = 'warning';
+
+        html += `<tr class="${rowClass}">
+            <td>${escapeHtml(f.severity)}</td>
+            <td>${escapeHtml(f.rule_id)}</td>
+            <td>${escapeHtml(f.object)}</td>
+            <td>${escapeHtml(f.message)}</td>
+        </tr>`;
+    });
+
+    html += '</tbody></table>';
+    html += `</div></div>`;
+    return html;
+}
+
+/**
+ * Renders the security audit: a score badge and the hardening findings.
+ * Score colours: 80+ good, 50-79 fair, below 50 poor.
+ * @param {object} security - model.security ({ score, findings }).
+ */
+function renderSecurityPanel(security) {
+    const findings = security?.findings || [];
+    const score = security?.score;
+    const level = score == null ? 'none' : score >= 80 ? 'good' : score >= 50 ? 'fair' : 'poor';
+    const badge = `<span class="security-score ${level}">${score == null ? 'N/A' : `${score}/100`}</span>`;
+
+    let html = `<h2 class="collapsible-header security-header">Security Audit ${badge} (${findings.length})</h2>`;
+    html += `<div class="collapsible-content">`;
+    html += `<div class="table-wrapper security-wrapper">`;
+
+    if (!security) {
+        html += `<p class="text-gray-400 p-4">This JSON was parsed before the security audit existed. Parse the log again to audit it.</p></div></div>`;
+        return html;
+    }
+    if (score == null) {
+        html += `<p class="text-gray-400 p-4">No configuration in this file, the audit covers the login banner and SSH users only.</p>`;
+    }
+    if (findings.length === 0) {
+        html += score == null ? `</div></div>` : `<p class="up p-4">✅ No hardening issues detected.</p></div></div>`;
+        return html;
+    }
+
+    html += `<table class="data-table wide-cols"><thead><tr>`;
+    ["Severity", "Check", "Object", "Message", "Recommendation", "Line"].forEach(h => html += `<th>${h}</th>`);
+    html += `</tr></thead><tbody>`;
+
+    findings.forEach(f => {
+        let rowClass = '';
+        if (/critical|major/i.test(f.severity)) rowClass = 'critical';
+        else if (/minor|warning/i.test(f.severity)) rowClass = 'warning';
+
+        html += `<tr class="${rowClass}">
+            <td>${escapeHtml(f.severity)}</td>
+            <td>${escapeHtml(f.check_id)}</td>
+            <td>${escapeHtml(f.object)}</td>
+            <td>${escapeHtml(f.message)}</td>
+            <td>${escapeHtml(f.recommendation)}</td>
+            <td>${escapeHtml(f.line)}</td>
+        </tr>`;
+    });
+
+    html += '</tbody></table>';
+    html += `</div></div>`;
+    return html;
+}
+
+/**
+ * Renders one alarm collection (model.alarms.active / history) with a severity
+ * filter, a text filter and a start-time sort (newest first; click the header to flip).
+ * @param {string} title
+ * @param {Array<object>} alarms - Normalized records (alarms.js).
+ * @param {boolean} [isExpanded]
+ */
+function renderAlarmsPanel(title, alarms, isExpanded = false) {
+    const list = [...(alarms || [])].sort((a, b) => String(b.start_time || '').localeCompare(String(a.start_time || '')));
+    const collapsedClass = isExpanded ? '' : 'collapsed';
+    let html = `<h2 class="collapsible-header ${collapsedClass}">${title} (${list.length})</h2>`;
+    html += `<div class="collapsible-content ${collapsedClass}"><div class="table-wrapper alarm-panel">`;
+    if (list.length === 0) {
+        return html + `<p class="text-gray-400 p-4">Empty data.</p></div></div>`;
+    }
+
+    const severities = [...new Set(list.map(a => a.severity).filter(Boolean))];
+    html += `<div class="alarm-toolbar">
+        <select class="alarm-filter alarm-severity"><option value="">All severities</option>${severities.map(s => `<option value="${escapeHtml(s)}">${escapeHtml(s)}</option>`).join('')}</select>
+        <input class="alarm-filter alarm-text" type="text" placeholder="Filter (name, ID, description)">
+    </div>`;
+    html += `<table class="data-table wide-cols"><thead><tr>`;
+    html += `<th class="alarm-sort" data-order="desc" title="Sort by start time">Start Time ▼</th>`;
+    ["Severity", "State", "Sequence", "Alarm ID", "Name", "Description"].forEach(h => html += `<th>${h}</th>`);
+    html += `</tr></thead><tbody>`;
+    list.forEach(a => {
+        const rowClass = /critical|major/i.test(a.severity || '') ? 'critical' : '';
+        const search = [a.name, a.alarm_id, a.description, a.sequence].filter(v => v != null).join(' ').toLowerCase();
+        html += `<tr class="${rowClass}" data-severity="${escapeHtml(a.severity)}" data-time="${escapeHtml(a.start_time)}" data-search="${escapeHtml(search)}">
+            <td title="${escapeHtml(a.start_time)}">${escapeHtml(a.time_text || a.start_time)}</td>
+            <td>${escapeHtml(a.severity)}</td>
+            <td>${escapeHtml(a.state)}</td>
+            <td>${escapeHtml(a.sequence)}</td>
+            <td>${escapeHtml(a.alarm_id)}</td>
+            <td>${escapeHtml(a.name)}</td>
+            <td>${escapeHtml(a.description)}</td>
+        </tr>`;
+    });
+    html += '</tbody></table>';
+    html += `</div></div>`;
+    return html;
+}
+
+// Shows the rows of an alarm panel that match its severity / text filters
+function applyAlarmFilter(panel) {
+    const severity = panel.querySelector('.alarm-severity').value;
+    const q = panel.querySelector('.alarm-text').value.trim().toLowerCase();
+    panel.querySelectorAll('tbody tr').forEach(tr => {
+        const visible = (!severity || tr.dataset.severity === severity) && (!q || tr.dataset.search.includes(q));
+        tr.style.display = visible ? '' : 'none';
+    });
+}
+
 /**
  * Renders Protocol Details into a grid of cards.
  * @param {string} title - Section title.
@@ -172,19 +399,19 @@ function renderProtocolDetails(title, data) {
     for (const [protocolName, rows] of Object.entries(grouped)) {
         html += `
             <div class="protocol-card">
-                <div class="protocol-card-header">${protocolName} (${rows.length})</div>
+                <div class="protocol-card-header">${escapeHtml(protocolName)} (${rows.length})</div>
                 <div class="protocol-card-content">
                     <table class="data-table minimal"><tbody>
         `;
         
         rows.forEach(row => {
-            const value = safe(row.Value); // Use the correct capitalized key
+            const value = escapeHtml(row.Value); // Use the correct capitalized key
             let valueClass = '';
             if (/up|master|normal/i.test(value)) valueClass = 'up';
             if (/down|fail|slave/i.test(value)) valueClass = 'down';
             
             html += `<tr>
-                <th>${safe(row.Field)}</th>
+                <th>${escapeHtml(row.Field)}</th>
                 <td class="${valueClass}">${value}</td>
             </tr>`;
         });
@@ -211,9 +438,12 @@ function makeMainHtml(d) {
 
     // 1. Summary (Зведення)
     const activeInterfaces = (d.interfaces || []).filter(i => /up/i.test(i.status) && i.name && !i.name.includes("LoopBack") && !i.name.includes("NULL")).length;
-    const criticalAlarms = (d.alarms || []).filter(a => /critical|major/i.test(a.severity || a.level)).length;
+    const profile = window.electronAPI.resolveProfile(profileStore, d);
+    const criticalSeverities = (profile.alarms?.critical_severities || []).map(s => String(s).toLowerCase());
+    const criticalAlarms = (d.alarms?.active || []).filter(a => criticalSeverities.includes(String(a.severity || '').toLowerCase())).length;
     const totalPower = (d.resources?.power?.reduce((s, p) => s + (p.total_power_w || 0), 0) || 0) + " W";
     const sshUsers = (d.identity?.ssh_users || []).map(u => u.name).join(', ');
+    const findings = d.findings || [];
     
     const summaryRows = [
         ["Device name", d.identity?.sysname || deviceName],
@@ -230,8 +460,19 @@ function makeMainHtml(d) {
         ["Total Power", totalPower],
         ["Critical Alarms", criticalAlarms],
         ["Active Interfaces", activeInterfaces],
+        ["Health Findings", findings.length],
+        ["Health Profile", d.profile || profile.name],
+        ["Security Score", d.security?.score != null ? `${d.security.score}/100` : "N/A"],
+        ["Masked Values", d.masking?.values ? `${d.masking.values} in ${d.masking.rows} row(s)` : "None"],
+        ["Analyzer", `${d.analyzer_version || "unknown"} (schema ${d.schema_version})`],
     ];
     html += renderKeyValueTable("Summary", summaryRows, true); // Expanded by default
+
+    // 1a. Health findings (highlighted, always expanded)
+    html += renderFindingsTable("Health Findings", findings);
+
+    // 1b. Security audit (score + hardening findings)
+    html += renderSecurityPanel(d.security);
     
     // 2. Resources (Ресурси)
     const resourceRows = [];
@@ -275,11 +516,31 @@ function makeMainHtml(d) {
     const isisHeaders = ["ID", "Network Entity", "IS Level"];
     html += renderStructuredTable("ISIS Processes", isisHeaders, d.protocols?.isis?.processes, null);
 
+    const isisPeerHeaders = ["Process", "System ID", "Interface", "Circuit ID", "State", "Hold Time", "Level", "Priority"];
+    html += renderStructuredTable("ISIS Neighbors", isisPeerHeaders, d.protocols?.isis?.neighbors, 'state');
+
+    const ldp = d.protocols?.mpls?.ldp || {};
+    const ldpSessionHeaders = ["Peer ID", "VRF", "State", "LAM", "Role", "Uptime", "KA Sent Rcv"];
+    html += renderStructuredTable("MPLS LDP Sessions", ldpSessionHeaders, ldp.sessions, 'state');
+
+    const ldpPeerHeaders = ["Peer ID", "VRF", "Transport Address", "Discovery Source"];
+    html += renderStructuredTable("MPLS LDP Peers", ldpPeerHeaders, ldp.peers, null);
+
+    const lsp = ldp.lsp_stats || {};
+    html += renderKeyValueTable("MPLS LDP LSP Statistics", [
+        ["Ingress", lsp.ingress], ["Transit", lsp.transit], ["Egress", lsp.egress], ["Total", lsp.total]
+    ]);
+
     const ospfHeaders = ["Area","Interface","Neighbor ID","State"];
     html += renderStructuredTable("OSPF Neighbors", ospfHeaders, d.protocols?.ospf?.neighbors, 'State');
 
-    const bgpConfigHeaders = ["Peer IP", "Local AS", "Peer AS", "Description", "BFD"];
-    html += renderStructuredTable("BGP Configured Peers", bgpConfigHeaders, d.protocols?.bgp?.config_peers, null);
+    const bgpConfigHeaders = ["Peer IP", "VRF", "Local AS", "Peer AS", "Description", "BFD", "Group", "Import Policies", "Export Policies"];
+    const bgpConfigData = (d.protocols?.bgp?.config_peers || []).map(p => ({
+        ...p,
+        import_policies: (p.import_policies || []).join(', '),
+        export_policies: (p.export_policies || []).join(', ')
+    }));
+    html += renderStructuredTable("BGP Configured Peers", bgpConfigHeaders, bgpConfigData, null);
     
     const bgpEvpnHeaders = ["Neighbor", "AS", "State", "Uptime", "Routes"];
     html += renderStructuredTable("BGP EVPN Peers", bgpEvpnHeaders, d.protocols?.bgp?.evpn_peers, 'State');
@@ -297,17 +558,67 @@ function makeMainHtml(d) {
     const vxlanHeaders = ["VNI", "BD ID", "Peer IP", "Interface", "State"];
     html += renderStructuredTable("VXLAN VNIs", vxlanHeaders, d.protocols?.vxlan?.vnis, 'State');
 
-    // 7. Licenses (Ліцензії)
+    // 7. L2VPN (VLL / VPLS)
+    const l2 = d.l2vpn || {};
+    const vsiPws = (l2.vsis || []).flatMap(v => (v.pws || []).map(p => ({ vsi: v.name, ...p })));
+    const downVcs = (l2.vcs || []).filter(v => /down/i.test(v.vc_state || '')).length;
+    const downVsiPws = vsiPws.filter(p => /down/i.test(p.state || '')).length;
+
+    const vcHeaders = ["VC ID", "Type", "Peer", "Interface", "AC State", "VC State", "Session State", "Encapsulation", "Up Time"];
+    html += renderStructuredTable(`L2VPN VCs${downVcs ? ` — ⚠️ ${downVcs} down` : ''}`, vcHeaders, l2.vcs, 'vc_state', downVcs > 0);
+
+    const vsiHeaders = ["Name", "State", "Signaling", "Encapsulation", "MTU", "PWs", "ACs"];
+    const vsiData = (l2.vsis || []).map(v => ({
+        ...v,
+        pws: `${(v.pws || []).filter(p => /^up$/i.test(p.state || '')).length}/${(v.pws || []).length} up`,
+        acs: (v.acs || []).map(a => `${a.interface} (${a.state || '?'})`).join(', ')
+    }));
+    html += renderStructuredTable("VPLS VSIs", vsiHeaders, vsiData, 'state');
+
+    const vsiPwHeaders = ["VSI", "Peer", "VC ID", "State", "Local Label", "Remote Label"];
+    html += renderStructuredTable(`VPLS PWs${downVsiPws ? ` — ⚠️ ${downVsiPws} down` : ''}`, vsiPwHeaders, vsiPws, 'state', downVsiPws > 0);
+
+    const pwApsHeaders = ["ID", "State", "Working PW", "Protect PW", "Active PW"];
+    html += renderStructuredTable("PW-APS Groups", pwApsHeaders, l2.pw_aps, null);
+
+    // 8. Routing Policies (route-policy / ip-prefix / community-filter / ACL)
+    const pol = d.policies || {};
+    const undefinedRefs = pol.cross_ref?.undefined || [];
+    const xrefHeaders = ["Severity", "Status", "Kind", "Name", "Line", "Referenced From"];
+    const xrefData = [
+        ...undefinedRefs.map(u => ({ ...u, severity: u.kind === 'route-policy' ? 'Critical' : 'Major', status: 'Undefined', referenced_from: u.context })),
+        ...(pol.cross_ref?.unused || []).map(u => ({ ...u, severity: 'Warning', status: 'Unused' }))
+    ];
+    html += renderStructuredTable(`Policy Cross-Reference${undefinedRefs.length ? ` — ⚠️ ${undefinedRefs.length} undefined` : ''}`, xrefHeaders, xrefData, 'severity', undefinedRefs.length > 0);
+
+    const rpHeaders = ["Name", "Node", "Action", "If-Match", "Apply", "Goto"];
+    const rpData = (pol.route_policies || []).flatMap(p => (p.nodes || []).map(n => ({
+        ...n, name: p.name, 'if-match': (n.matches || []).join('; '), apply: (n.applies || []).join('; ')
+    })));
+    html += renderStructuredTable("Route-Policies", rpHeaders, rpData, null);
+
+    const prefixHeaders = ["Name", "Family", "Index", "Action", "Prefix", "Length", "GE", "LE"];
+    const prefixData = (pol.ip_prefixes || []).flatMap(l => (l.entries || []).map(e => ({ ...e, name: l.name, family: l.family })));
+    html += renderStructuredTable("IP Prefix Lists", prefixHeaders, prefixData, null);
+
+    const commHeaders = ["Name", "Kind", "Type", "Index", "Action", "Value"];
+    const commData = (pol.community_filters || []).flatMap(f => (f.entries || []).map(e => ({ ...e, name: f.name, kind: f.kind, type: f.type })));
+    html += renderStructuredTable("Community Filters", commHeaders, commData, null);
+
+    const aclHeaders = ["Name", "Number", "Family", "Type", "Description", "Rules"];
+    const aclData = (pol.acls || []).map(a => ({
+        ...a, rules: (a.rules || []).map(r => `${r.id ?? ''} ${r.action} ${r.text}`.trim()).join('; ')
+    }));
+    html += renderStructuredTable("ACLs", aclHeaders, aclData, null);
+
+    // 9. Licenses (Ліцензії)
     const licenseHeaders = ["item_name", "used_value", "control_value", "description"];
     html += renderStructuredTable("Licenses", licenseHeaders, d.licenses);
 
-    // 8. Alarms (Аварійні сигнали)
-    const alarmHeaders = ["severity", "state", "date", "time", "description"];
-    const alarmData = (d.alarms || []).map(a => ({ 
-        ...a, 
-        severity: a.severity || a.level // Normalize key for sorting/color
-    }));
-    html += renderStructuredTable("Alarms", alarmHeaders, alarmData, 'severity');
+    // 10. Alarms (Аварійні сигнали): active, history, severities configured on the device
+    html += renderAlarmsPanel("Active Alarms", d.alarms?.active);
+    html += renderAlarmsPanel("Alarm History", d.alarms?.history);
+    html += renderStructuredTable("Configured Alarm Severities", ["Name", "Severity", "Line"], d.alarms?.configured);
 
     return html;
 }
@@ -363,6 +674,933 @@ function extractProtocolsHtml(d) {
 }
 
 
+/**
+ * Renders model.config_tree as nested <details> stanzas with config line numbers.
+ * The filter input (bound in the accordion listener) hides top-level stanzas whose
+ * subtree doesn't contain the text.
+ * @param {object} tree - Root node { children: [{ text, line, children }] }.
+ */
+function renderConfigBrowser(tree) {
+    const stanzas = tree?.children || [];
+    if (stanzas.length === 0) {
+        return `<h2 class="collapsible-header collapsed">Configuration Browser (0)</h2><div class="collapsible-content collapsed"><div class="table-wrapper"><p class="text-gray-400 p-4">No configuration in this file.</p></div></div>`;
+    }
+
+    const renderNode = (node) => {
+        const line = `<span class="cfg-line">${node.line}</span>${escapeHtml(node.text)}`;
+        if (!node.children.length) return `<div class="cfg-leaf">${line}</div>`;
+        return `<details><summary>${line}</summary><div class="cfg-children">${node.children.map(renderNode).join('')}</div></details>`;
+    };
+    // Text of the whole stanza for the filter, built once at render time
+    const stanzaText = (node) => [node.text, ...node.children.map(stanzaText)].join('\n');
+
+    let html = `<h2 class="collapsible-header collapsed">Configuration Browser (${stanzas.length})</h2>`;
+    html += `<div class="collapsible-content collapsed"><div class="table-wrapper config-browser">`;
+    html += `<input id="config-filter" type="text" placeholder="Filter stanzas (e.g. bgp, vpn-instance, GE0/1/0)" class="w-full mb-2 p-2 rounded-md bg-[#202225] text-white">`;
+    stanzas.forEach(node => {
+        html += `<div class="cfg-stanza" data-search="${escapeHtml(stanzaText(node).toLowerCase())}">${renderNode(node)}</div>`;
+    });
+    html += `</div></div>`;
+    return html;
+}
+
+/**
+ * Renders model.coverage (which commands the parsers understood) and a browser of
+ * model.raw_sections: the output of unhandled / failed commands, one <details> per command.
+ * @param {object} coverage - { blocks, parsed, error, unhandled, empty, ignored, ratio, commands }
+ * @param {object} rawSections - { normalizedCmd: [{ raw, error? }] }
+ */
+function renderCoveragePanel(coverage, rawSections) {
+    const sections = Object.entries(rawSections || {});
+    const percent = coverage?.ratio == null ? 'N/A' : `${Math.round(coverage.ratio * 100)}%`;
+
+    let html = `<h2 class="collapsible-header collapsed">Parser Coverage ${percent}${coverage ? ` (${coverage.commands.length})` : ''}</h2>`;
+    html += `<div class="collapsible-content collapsed"><div class="table-wrapper">`;
+
+    if (!coverage) {
+        html += `<p class="text-gray-400 p-4">This JSON was parsed before the coverage report existed. Parse the log again to see it.</p>`;
+    } else {
+        html += `<p class="text-gray-400 p-4">${coverage.blocks} command block(s): ${coverage.parsed} parsed, ${coverage.error} with parser errors, ` +
+            `${coverage.unhandled} unhandled, ${coverage.empty} with empty output, ${coverage.ignored ?? 0} ignored (not display commands).</p>`;
+        const order = ['error', 'unhandled', 'parsed', 'empty', 'ignored'];
+        const commands = [...coverage.commands].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+
+        html += `<table class="data-table wide-cols"><thead><tr>`;
+        ["Command", "Status", "Blocks", "Error"].forEach(h => html += `<th>${h}</th>`);
+        html += `</tr></thead><tbody>`;
+        commands.forEach(c => {
+            const rowClass = c.status === 'error' ? 'critical' : c.status === 'unhandled' ? 'warning' : '';
+            html += `<tr class="${rowClass}">
+                <td>${escapeHtml(c.command)}</td>
+                <td>${escapeHtml(c.status)}</td>
+                <td>${safe(c.blocks)}</td>
+                <td>${escapeHtml(c.error)}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+    }
+
+    html += `<div class="raw-sections">`;
+    html += `<p class="text-gray-400 p-4">Unparsed output (${sections.length} command${sections.length === 1 ? '' : 's'})</p>`;
+    sections.forEach(([key, entries]) => {
+        const failed = entries.some(e => e.error);
+        html += `<details><summary${failed ? ' class="down"' : ''}>${escapeHtml(key)} (${entries.length})</summary>`;
+        entries.forEach(e => {
+            if (e.error) html += `<p class="down">❌ ${escapeHtml(e.error)}</p>`;
+            html += `<pre>${escapeHtml(e.raw)}</pre>`;
+        });
+        html += `</details>`;
+    });
+    html += `</div></div></div>`;
+    return html;
+}
+
+/**
+ * Renders model.sources of a device merged from several files (model_merge.js): the files,
+ * which files filled each section and the conflicting values that were ignored.
+ * @param {object} sources - { files, sections, conflicts }
+ */
+/**
+ * Renders model.masking: how many values of a sanitized log were masked, per model section.
+ * Nothing for a log without masked values (or a JSON parsed before masking was recorded).
+ * @param {object} masking - { values, rows, sections }
+ */
+function renderMaskingPanel(masking) {
+    if (!masking?.values) return '';
+    const sections = Object.entries(masking.sections).sort((a, b) => b[1] - a[1]);
+    let html = `<h2 class="collapsible-header collapsed">Masked Values (${masking.values})</h2>`;
+    html += `<div class="collapsible-content collapsed"><div class="table-wrapper">`;
+    html += `<p class="text-gray-400 p-4">The log was sanitized before it was shared: ${masking.values} value(s) in ${masking.rows} table row(s) ` +
+        `are masked ("***", "x.x.x.x", "&lt;masked&gt;"). The rows are kept and shown in italics; counts and matches on these values are approximate.</p>`;
+    html += `<table class="data-table wide-cols"><thead><tr><th>Section</th><th>Masked</th></tr></thead><tbody>`;
+    sections.forEach(([section, count]) => {
+        html += `<tr><td>${escapeHtml(section)}</td><td>${count}</td></tr>`;
+    });
+    html += '</tbody></table>';
+    html += `</div></div>`;
+    return html;
+}
+
+function renderSourcesPanel(sources) {
+    if (!sources) return '';
+    const fileName = (f) => escapeHtml(String(f).split(/[/\\]/).pop());
+    let html = `<h2 class="collapsible-header collapsed">Merged Sources (${sources.files.length} files, ${sources.conflicts.length} conflicts)</h2>`;
+    html += `<div class="collapsible-content collapsed"><div class="table-wrapper">`;
+    html += `<p class="text-gray-400 p-4">Merge order (the first file with a value wins): ${sources.files.map(fileName).join(' → ')}</p>`;
+
+    html += `<table class="data-table wide-cols"><thead><tr><th>Section</th><th>Files</th></tr></thead><tbody>`;
+    Object.entries(sources.sections).forEach(([section, files]) => {
+        html += `<tr><td>${escapeHtml(section)}</td><td>${files.map(fileName).join(', ')}</td></tr>`;
+    });
+    html += '</tbody></table>';
+
+    if (sources.conflicts.length) {
+        html += `<table class="data-table wide-cols"><thead><tr>`;
+        ["Field", "Kept", "From", "Ignored", "From"].forEach(h => html += `<th>${h}</th>`);
+        html += `</tr></thead><tbody>`;
+        sources.conflicts.forEach(c => {
+            html += `<tr class="warning">
+                <td>${escapeHtml(c.path)}</td>
+                <td>${escapeHtml(c.kept == null ? '' : JSON.stringify(c.kept))}</td>
+                <td>${fileName(c.kept_file)}</td>
+                <td>${escapeHtml(c.ignored == null ? '' : JSON.stringify(c.ignored))}</td>
+                <td>${fileName(c.ignored_file)}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+    }
+    html += `</div></div>`;
+    return html;
+}
+
+/**
+ * Renders the tables declared by parser plugins (model.plugins from parser_registry.js)
+ * and the plugins that failed to load.
+ * @param {object} d - The parsed model.
+ */
+function renderPluginTables(d) {
+    const plugins = d.plugins || { loaded: [], errors: [] };
+    let html = '';
+
+    (plugins.loaded || []).filter(p => p.table).forEach(p => {
+        const value = String(p.target).split('.').reduce((node, key) => (node == null ? undefined : node[key]), d);
+        const rows = Array.isArray(value) ? value : value && typeof value === 'object' ? [value] : [];
+        const columns = p.table.columns;
+        // renderStructuredTable looks values up by header
+        const data = rows.map(row => Object.fromEntries(columns.map(c => [escapeHtml(c.header), row?.[c.key]])));
+        const critical = columns.find(c => c.key === p.table.critical_key);
+        html += renderStructuredTable(escapeHtml(p.table.title), columns.map(c => escapeHtml(c.header)), data, critical ? escapeHtml(critical.header) : null);
+    });
+
+    if ((plugins.errors || []).length) {
+        html += renderStructuredTable('Parser Plugin Errors', ['File', 'Error'],
+            plugins.errors.map(e => ({ File: e.file, Error: e.error })));
+    }
+    return html;
+}
+
+/**
+ * Shows the parser plugins of userData/parsers: what loaded, what was rejected and why.
+ */
+async function openParsersView() {
+    const outputDiv = document.getElementById('json-output');
+    document.getElementById('device-title').textContent = 'Parser Plugins';
+    currentActiveFile = null;
+    updateFilelistActiveState();
+    outputDiv.innerHTML = '<p class="text-lg text-gray-400">Loading parser plugins...</p>';
+
+    try {
+        const res = await window.electronAPI.listParsers();
+        if (!res || !res.success) throw new Error(res?.error || 'Could not load parser plugins');
+
+        let html = `<div class="flex items-center justify-between mb-4">
+                <p class="text-gray-400">Plugins are loaded from <code>${escapeHtml(res.dir)}</code> when a log is parsed.</p>
+                <div>
+                    <button id="parsers-reload-btn" class="bg-gray-600 hover:bg-gray-700 text-white font-semibold py-1 px-4 rounded-md">Reload</button>
+                    <button id="parsers-folder-btn" class="bg-[#5865F2] hover:bg-[#4752c4] text-white font-semibold py-1 px-4 rounded-md">Open Folder</button>
+                </div>
+            </div>`;
+        const loaded = res.loaded.map(p => ({
+            Name: p.name,
+            File: p.file,
+            Command: p.command,
+            Target: p.target,
+            'Excel Sheet': p.excel?.sheet || '',
+            Table: p.table?.title || ''
+        }));
+        html += renderStructuredTable('Loaded Parsers', ['Name', 'File', 'Command', 'Target', 'Excel Sheet', 'Table'], loaded, null, true);
+        const errors = res.errors.map(e => ({ File: e.file, Error: e.error, Status: 'failed' }));
+        html += renderStructuredTable('Rejected Parsers', ['File', 'Error'], errors, 'Status', errors.length > 0);
+        outputDiv.innerHTML = html;
+
+        document.getElementById('parsers-reload-btn').addEventListener('click', () => openParsersView());
+        document.getElementById('parsers-folder-btn').addEventListener('click', async () => {
+            const r = await window.electronAPI.openParsersFolder();
+            if (!r || !r.success) alert(`Could not open the folder: ${r?.error || 'unknown error'}`);
+        });
+    } catch (err) {
+        console.error('Error loading parser plugins:', err);
+        outputDiv.innerHTML = `<p class="text-lg text-red-500">❌ Error: ${err.message}</p>`;
+    }
+}
+
+/**
+ * Escapes text for safe insertion into HTML (config lines contain < and >).
+ */
+function escapeHtml(v) {
+    return String(safe(v)).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders a model diff (from model_diff.js) as a side-by-side view.
+ * @param {object} diff - { left, right, sections, config }
+ */
+function makeDiffHtml(diff) {
+    const leftName = escapeHtml(diff.left.device || diff.left.file || 'Before');
+    const rightName = escapeHtml(diff.right.device || diff.right.file || 'After');
+    let html = '';
+
+    // 1. Summary per section
+    const summaryRows = diff.sections.map(s => [s.section, `+${s.added.length} / -${s.removed.length} / ~${s.changed.length}`]);
+    if (diff.config.available) summaryRows.push(['config lines', `+${diff.config.added} / -${diff.config.removed}`]);
+    html += renderKeyValueTable(`Diff Summary: ${leftName} → ${rightName}`, summaryRows, true);
+
+    // 2. Section changes, side by side
+    diff.sections.forEach(s => {
+        const total = s.added.length + s.removed.length + s.changed.length;
+        let body = `<table class="data-table wide-cols diff-table"><thead><tr><th>Key</th><th>Field</th><th>${leftName}</th><th>${rightName}</th></tr></thead><tbody>`;
+        s.removed.forEach(key => body += `<tr class="diff-removed"><td>${escapeHtml(key)}</td><td>removed</td><td>present</td><td></td></tr>`);
+        s.added.forEach(key => body += `<tr class="diff-added"><td>${escapeHtml(key)}</td><td>added</td><td></td><td>present</td></tr>`);
+        s.changed.forEach(c => c.fields.forEach(f => {
+            const fmt = (v) => escapeHtml(v !== null && typeof v === 'object' ? JSON.stringify(v) : v);
+            body += `<tr class="diff-changed"><td>${escapeHtml(c.key)}</td><td>${escapeHtml(f.field)}</td><td>${fmt(f.before)}</td><td>${fmt(f.after)}</td></tr>`;
+        }));
+        body += '</tbody></table>';
+
+        html += `<h2 class="collapsible-header ${total ? '' : 'collapsed'}">${s.section} (${total})</h2>`;
+        html += `<div class="collapsible-content ${total ? '' : 'collapsed'}"><div class="table-wrapper">`;
+        html += total ? body : '<p class="text-gray-400 p-4">No differences.</p>';
+        html += '</div></div>';
+    });
+
+    // 3. Configuration text, side by side
+    const cfgCount = diff.config.added + diff.config.removed;
+    html += `<h2 class="collapsible-header">Configuration (${cfgCount})</h2>`;
+    html += `<div class="collapsible-content"><div class="table-wrapper">`;
+    if (!diff.config.available) {
+        html += '<p class="text-yellow-400 p-4">⚠️ One of the files has no display current-configuration text (re-analyze the log to include it).</p>';
+    } else if (!diff.config.hunks.length) {
+        html += '<p class="up p-4">Configurations are identical.</p>';
+    } else {
+        html += `<table class="data-table wide-cols diff-table config-diff"><thead><tr><th>#</th><th>${leftName}</th><th>#</th><th>${rightName}</th></tr></thead><tbody>`;
+        diff.config.hunks.forEach((h, i) => {
+            if (i > 0) html += '<tr class="diff-gap"><td colspan="4">…</td></tr>';
+            h.lines.forEach(ln => {
+                const rowClass = ln.op === '-' ? 'diff-removed' : ln.op === '+' ? 'diff-added' : '';
+                const left = ln.op === '+' ? '' : escapeHtml(ln.text);
+                const right = ln.op === '-' ? '' : escapeHtml(ln.text);
+                html += `<tr class="${rowClass}"><td>${safe(ln.a)}</td><td><pre>${left}</pre></td><td>${safe(ln.b)}</td><td><pre>${right}</pre></td></tr>`;
+            });
+        });
+        html += '</tbody></table>';
+    }
+    html += '</div></div>';
+    return html;
+}
+
+/**
+ * Renders cross-device tables (from fleet.js) for the fleet view.
+ * @param {object} fleet - { inventory, sfps, cards, elabels, licenses, alarms }
+ */
+function makeFleetHtml(fleet) {
+    let html = '';
+    const inventoryHeaders = ["Device", "Model", "Version", "ESN", "Uptime", "Router ID", "LSR ID", "Patch Status", "Active Alarms", "Findings"];
+    html += renderStructuredTable("Inventory", inventoryHeaders, fleet.inventory, null, true);
+
+    const sfpHeaders = ["Device", "port", "status", "type", "rx_dbm", "tx_dbm", "wavelength_nm", "vendor_pn"];
+    html += renderStructuredTable("All SFPs", sfpHeaders, fleet.sfps, 'status');
+
+    const cardHeaders = ["Device", "Slot", "Type", "Online", "Status", "Role"];
+    html += renderStructuredTable("All Cards", cardHeaders, fleet.cards, 'status');
+
+    const elabelHeaders = ["Device", "Scope", "Slot", "Model", "Part Number", "Barcode", "Description"];
+    html += renderStructuredTable("All E-Labels", elabelHeaders, fleet.elabels);
+
+    const licenseHeaders = ["Device", "item_name", "used_value", "control_value", "description"];
+    html += renderStructuredTable("All Licenses", licenseHeaders, fleet.licenses);
+
+    const alarmHeaders = ["Device", "Severity", "Time", "Alarm ID", "Name", "Description"];
+    html += renderStructuredTable("All Active Alarms", alarmHeaders, fleet.alarms, 'severity');
+    return html;
+}
+
+/**
+ * Shows the fleet view for all JSON files currently listed in the sidebar.
+ */
+async function openFleetView() {
+    const outputDiv = document.getElementById('json-output');
+    outputDiv.innerHTML = '<p class="text-lg text-gray-400">Building fleet view...</p>';
+    currentActiveFile = FLEET_KEY;
+    updateFilelistActiveState();
+    document.getElementById('device-title').textContent = `Fleet Overview — ${fleetPaths.length} devices`;
+
+    try {
+        const res = await window.electronAPI.loadFleet(fleetPaths);
+        if (!res || !res.success) throw new Error(res?.error || 'Fleet view failed');
+        outputDiv.innerHTML = makeFleetHtml(res.fleet);
+    } catch (err) {
+        console.error('Error building fleet view:', err);
+        outputDiv.innerHTML = `<p class="text-lg text-red-500">❌ Error: ${err.message}</p>`;
+    }
+}
+
+// === Topology view ===
+const LINK_COLORS = { lldp: '#5865F2', subnet: '#3BA55D', ospf: '#FAA61A', bgp: '#ED4245' };
+const TOPO_WIDTH = 1000, TOPO_HEIGHT = 600;
+let topologyState = null; // { topo, pos: Map(id -> {x, y}) } of the graph on screen
+
+/**
+ * Force-directed layout (Fruchterman-Reingold), deterministic start on a circle.
+ * @returns {Map} - id -> { x, y }
+ */
+function layoutTopology(topo) {
+    const n = topo.nodes.length;
+    const pos = new Map();
+    topo.nodes.forEach((node, i) => {
+        const a = (2 * Math.PI * i) / Math.max(n, 1);
+        pos.set(node.id, { x: TOPO_WIDTH / 2 + Math.cos(a) * TOPO_WIDTH / 3, y: TOPO_HEIGHT / 2 + Math.sin(a) * TOPO_HEIGHT / 3 });
+    });
+    if (n < 2) return pos;
+
+    const k = Math.sqrt((TOPO_WIDTH * TOPO_HEIGHT) / n) * 0.4;
+    const pairs = new Set(topo.links.map(l => `${l.source}|${l.target}`)); // one spring per device pair
+    let temp = TOPO_WIDTH / 10;
+    for (let iter = 0; iter < 300; iter++) {
+        const disp = new Map(topo.nodes.map(node => [node.id, { x: 0, y: 0 }]));
+        for (const a of topo.nodes) {
+            for (const b of topo.nodes) {
+                if (a === b) continue;
+                const pa = pos.get(a.id), pb = pos.get(b.id);
+                const dx = pa.x - pb.x, dy = pa.y - pb.y;
+                const dist = Math.max(Math.hypot(dx, dy), 0.01);
+                const f = (k * k) / dist;
+                disp.get(a.id).x += (dx / dist) * f;
+                disp.get(a.id).y += (dy / dist) * f;
+            }
+        }
+        for (const pair of pairs) {
+            const [s, t] = pair.split('|');
+            const ps = pos.get(s), pt = pos.get(t);
+            if (!ps || !pt) continue;
+            const dx = ps.x - pt.x, dy = ps.y - pt.y;
+            const dist = Math.max(Math.hypot(dx, dy), 0.01);
+            const f = (dist * dist) / k;
+            disp.get(s).x -= (dx / dist) * f; disp.get(s).y -= (dy / dist) * f;
+            disp.get(t).x += (dx / dist) * f; disp.get(t).y += (dy / dist) * f;
+        }
+        for (const node of topo.nodes) {
+            const p = pos.get(node.id), d = disp.get(node.id);
+            // Gravity keeps unlinked devices from drifting into the corners
+            d.x -= (p.x - TOPO_WIDTH / 2) * 0.5;
+            d.y -= (p.y - TOPO_HEIGHT / 2) * 0.5;
+            const len = Math.max(Math.hypot(d.x, d.y), 0.01);
+            p.x = Math.min(TOPO_WIDTH - 60, Math.max(60, p.x + (d.x / len) * Math.min(len, temp)));
+            p.y = Math.min(TOPO_HEIGHT - 40, Math.max(40, p.y + (d.y / len) * Math.min(len, temp)));
+        }
+        temp *= 0.98;
+    }
+    return pos;
+}
+
+// Parallel links of one device pair are drawn as curves fanned out around the straight line
+function topologyLinkPath(link, index, count, pos) {
+    const a = pos.get(link.source), b = pos.get(link.target);
+    const bend = (index - (count - 1) / 2) * 30;
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len = Math.max(Math.hypot(dx, dy), 0.01);
+    const cx = (a.x + b.x) / 2 - (dy / len) * bend, cy = (a.y + b.y) / 2 + (dx / len) * bend;
+    return `M${a.x.toFixed(1)},${a.y.toFixed(1)} Q${cx.toFixed(1)},${cy.toFixed(1)} ${b.x.toFixed(1)},${b.y.toFixed(1)}`;
+}
+
+function topologyLinkPaths(topo, pos) {
+    const groups = new Map();
+    topo.links.forEach((l, i) => {
+        const key = `${l.source}|${l.target}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(i);
+    });
+    const paths = [];
+    for (const idxs of groups.values()) {
+        idxs.forEach((linkIdx, j) => paths[linkIdx] = topologyLinkPath(topo.links[linkIdx], j, idxs.length, pos));
+    }
+    return paths;
+}
+
+/**
+ * Renders the topology (from topology.js) as an SVG graph plus a links table.
+ * @param {object} topo - { nodes, links }
+ * @param {Map} pos - Node positions from layoutTopology.
+ */
+function makeTopologyHtml(topo, pos) {
+    let html = `<div class="flex flex-wrap items-center gap-4 mb-2">`;
+    Object.entries(LINK_COLORS).forEach(([kind, color]) => {
+        const count = topo.links.filter(l => l.kind === kind).length;
+        html += `<label class="flex items-center gap-1 text-sm"><input type="checkbox" class="topo-kind" data-kind="${kind}" checked>
+            <span style="color:${color}">■</span> ${kind.toUpperCase()} (${count})</label>`;
+    });
+    html += `<span class="flex-grow"></span>
+        <button class="topo-export-btn bg-gray-600 hover:bg-gray-700 text-white font-semibold py-1 px-4 rounded-md" data-format="graphml">Export GraphML</button>
+        <button class="topo-export-btn bg-gray-600 hover:bg-gray-700 text-white font-semibold py-1 px-4 rounded-md" data-format="dot">Export DOT</button>
+    </div>`;
+
+    html += `<div class="topology-wrapper"><svg id="topology-svg" viewBox="0 0 ${TOPO_WIDTH} ${TOPO_HEIGHT}">`;
+    const paths = topologyLinkPaths(topo, pos);
+    topo.links.forEach((l, i) => {
+        const ends = [l.source_if ? `${l.source}:${l.source_if}` : l.source, l.target_if ? `${l.target}:${l.target_if}` : l.target].join(' — ');
+        html += `<path class="topo-link" data-index="${i}" data-kind="${l.kind}" d="${paths[i]}" stroke="${LINK_COLORS[l.kind] || '#b9bbbe'}">
+            <title>${escapeHtml(`${l.kind.toUpperCase()} ${ends}${l.detail ? `\n${l.detail}` : ''}`)}</title></path>`;
+    });
+    topo.nodes.forEach(node => {
+        const p = pos.get(node.id);
+        html += `<g class="topo-node" data-id="${escapeHtml(node.id)}" transform="translate(${p.x.toFixed(1)},${p.y.toFixed(1)})">
+            <title>${escapeHtml([node.id, node.model, node.router_id, node.file].filter(Boolean).join('\n'))}</title>
+            <circle r="14"></circle><text y="30" text-anchor="middle">${escapeHtml(node.id)}</text></g>`;
+    });
+    html += `</svg></div>`;
+
+    if (!topo.links.length) {
+        html += '<p class="text-yellow-400 p-4">⚠️ No links found: the devices share no LLDP neighbors, /30-/31 subnets, OSPF neighbors or BGP peers (masked IPs cannot be matched).</p>';
+    }
+    const linkHeaders = ["Kind", "Source", "Source IF", "Target", "Target IF", "Detail"];
+    html += renderStructuredTable("Links", linkHeaders, topo.links, null, true);
+    return html;
+}
+
+/**
+ * Wires node dragging, link-kind filters and export buttons of the topology view.
+ */
+function bindTopologyView(outputDiv) {
+    const svg = document.getElementById('topology-svg');
+    if (!svg || !topologyState) return;
+    let dragging = null;
+
+    const toSvgPoint = (e) => {
+        const r = svg.getBoundingClientRect();
+        return { x: ((e.clientX - r.left) / r.width) * TOPO_WIDTH, y: ((e.clientY - r.top) / r.height) * TOPO_HEIGHT };
+    };
+    svg.addEventListener('mousedown', (e) => {
+        const node = e.target.closest('.topo-node');
+        if (node) { dragging = node; e.preventDefault(); }
+    });
+    svg.addEventListener('mousemove', (e) => {
+        if (!dragging) return;
+        const { topo, pos } = topologyState;
+        const p = toSvgPoint(e);
+        pos.set(dragging.dataset.id, p);
+        dragging.setAttribute('transform', `translate(${p.x.toFixed(1)},${p.y.toFixed(1)})`);
+        const paths = topologyLinkPaths(topo, pos);
+        svg.querySelectorAll('.topo-link').forEach(el => el.setAttribute('d', paths[el.dataset.index]));
+    });
+    ['mouseup', 'mouseleave'].forEach(ev => svg.addEventListener(ev, () => dragging = null));
+
+    outputDiv.querySelectorAll('.topo-kind').forEach(cb => cb.addEventListener('change', () => {
+        svg.querySelectorAll(`.topo-link[data-kind="${cb.dataset.kind}"]`).forEach(el => el.style.display = cb.checked ? '' : 'none');
+    }));
+
+    outputDiv.querySelectorAll('.topo-export-btn').forEach(btn => btn.addEventListener('click', async () => {
+        const label = btn.textContent;
+        btn.textContent = 'Exporting...';
+        const res = await window.electronAPI.exportTopology(fleetPaths, btn.dataset.format);
+        btn.textContent = res && res.success ? `✅ Saved: ${res.outPath.split(/[/\\]/).pop()}` : res?.canceled ? label : `❌ ${res?.error || 'Export failed'}`;
+    }));
+}
+
+/**
+ * Shows the topology graph for all JSON files currently listed in the sidebar.
+ */
+async function openTopologyView() {
+    const outputDiv = document.getElementById('json-output');
+    outputDiv.innerHTML = '<p class="text-lg text-gray-400">Building topology...</p>';
+    currentActiveFile = TOPOLOGY_KEY;
+    updateFilelistActiveState();
+    document.getElementById('device-title').textContent = `Topology — ${fleetPaths.length} devices`;
+
+    try {
+        const res = await window.electronAPI.loadTopology(fleetPaths);
+        if (!res || !res.success) throw new Error(res?.error || 'Topology failed');
+        topologyState = { topo: res.topology, pos: layoutTopology(res.topology) };
+        outputDiv.innerHTML = makeTopologyHtml(topologyState.topo, topologyState.pos);
+        bindTopologyView(outputDiv);
+    } catch (err) {
+        console.error('Error building topology:', err);
+        outputDiv.innerHTML = `<p class="text-lg text-red-500">❌ Error: ${err.message}</p>`;
+    }
+}
+
+// === Device trends view ===
+// Charts of history_store.js trendSeries: [metric, title, unit]
+const TREND_CHARTS = [
+    ['cpu_avg', 'CPU avg', '%'],
+    ['cpu_max', 'CPU max', '%'],
+    ['memory_pct', 'Memory', '%'],
+    ['disk_free_mb', 'Disk free', 'MB'],
+    ['temp_max_c', 'Max temperature', '°C'],
+    ['routes_total', 'Routes', ''],
+    ['alarms_active', 'Active alarms', ''],
+    ['alarms_critical', 'Critical alarms', '']
+];
+const TREND_COLORS = ['#5865F2', '#3BA55D', '#FAA61A', '#ED4245', '#EB459E', '#57F287'];
+const CHART_WIDTH = 420, CHART_HEIGHT = 170, CHART_PAD = { left: 46, right: 10, top: 10, bottom: 24 };
+
+/**
+ * Renders one SVG line chart; x is the collection time, null values break the line.
+ * @param {string} title
+ * @param {Array<string>} times - ISO collection times.
+ * @param {Array<{name: string, values: Array<number|null>}>} lines
+ * @param {string} unit
+ */
+function renderTrendChart(title, times, lines, unit) {
+    const all = lines.flatMap(l => l.values).filter(v => v != null);
+    let html = `<div class="trend-chart"><div class="trend-title">${escapeHtml(title)}${unit ? ` (${escapeHtml(unit)})` : ''}</div>`;
+    if (!all.length) return html + `<p class="text-gray-500 p-4">Not collected</p></div>`;
+
+    const t = times.map(s => Date.parse(s));
+    const tMin = Math.min(...t), tMax = Math.max(...t);
+    let vMin = Math.min(...all), vMax = Math.max(...all);
+    if (vMin === vMax) { vMin -= 1; vMax += 1; }
+    const w = CHART_WIDTH - CHART_PAD.left - CHART_PAD.right, h = CHART_HEIGHT - CHART_PAD.top - CHART_PAD.bottom;
+    const x = (i) => CHART_PAD.left + (tMax === tMin ? w / 2 : ((t[i] - tMin) / (tMax - tMin)) * w);
+    const y = (v) => CHART_PAD.top + (1 - (v - vMin) / (vMax - vMin)) * h;
+
+    html += `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}">`;
+    [vMin, (vMin + vMax) / 2, vMax].forEach(v => {
+        html += `<line class="trend-grid" x1="${CHART_PAD.left}" x2="${CHART_WIDTH - CHART_PAD.right}" y1="${y(v).toFixed(1)}" y2="${y(v).toFixed(1)}"></line>`;
+        html += `<text class="trend-axis" x="${CHART_PAD.left - 4}" y="${(y(v) + 4).toFixed(1)}" text-anchor="end">${+v.toFixed(1)}</text>`;
+    });
+    [0, times.length - 1].filter((i, n, a) => a.indexOf(i) === n).forEach(i => {
+        html += `<text class="trend-axis" x="${x(i).toFixed(1)}" y="${CHART_HEIGHT - 6}" text-anchor="${i === 0 && times.length > 1 ? 'start' : 'end'}">${escapeHtml(String(times[i]).slice(0, 10))}</text>`;
+    });
+    lines.forEach((line, li) => {
+        const color = TREND_COLORS[li % TREND_COLORS.length];
+        let d = '';
+        line.values.forEach((v, i) => {
+            if (v == null) return;
+            d += `${d && line.values[i - 1] != null ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)} `;
+        });
+        html += `<path class="trend-line" d="${d.trim()}" stroke="${color}"></path>`;
+        line.values.forEach((v, i) => {
+            if (v == null) return;
+            html += `<circle cx="${x(i).toFixed(1)}" cy="${y(v).toFixed(1)}" r="3" fill="${color}"><title>${escapeHtml(`${line.name}: ${v}${unit ? ` ${unit}` : ''}\n${times[i]}`)}</title></circle>`;
+        });
+    });
+    html += `</svg>`;
+    if (lines.length > 1) {
+        html += `<div class="trend-legend">${lines.map((l, li) => `<span style="color:${TREND_COLORS[li % TREND_COLORS.length]}">■</span> ${escapeHtml(l.name)}`).join(' ')}</div>`;
+    }
+    return html + `</div>`;
+}
+
+/**
+ * Renders the history of one device: flagged changes, metric charts, per-VRF
+ * route counts, per-port optical power and the snapshot list.
+ * @param {object} res - history:load result { history, series, changes }.
+ */
+function makeTrendsHtml(res) {
+    const { history, series, changes } = res;
+    const snaps = history.snapshots;
+    let html = `<p class="text-gray-400 mb-2">${escapeHtml(history.model || '')} ESN ${escapeHtml(history.esn || 'N/A')} — ${snaps.length} snapshot(s)</p>`;
+    if (snaps.length < 2) {
+        html += '<p class="text-yellow-400 mb-2">⚠️ Only one collection of this device so far: parse a later log of it to see trends.</p>';
+    }
+
+    const changeRows = changes.map(c => ({
+        Time: c.at, Severity: c.severity, Object: c.object, Change: c.message
+    }));
+    html += renderStructuredTable('Flagged Changes', ['Time', 'Severity', 'Object', 'Change'], changeRows, 'Severity', true);
+
+    html += `<h2 class="collapsible-header">Metrics</h2><div class="collapsible-content"><div class="trend-grid-wrapper">`;
+    TREND_CHARTS.forEach(([metric, title, unit]) => {
+        html += renderTrendChart(title, series.times, [{ name: title, values: series.metrics[metric] || [] }], unit);
+    });
+    const vrfs = Object.entries(series.routes_by_vrf);
+    if (vrfs.length > 1) {
+        html += renderTrendChart('Routes per VRF', series.times, vrfs.map(([vrf, values]) => ({ name: vrf, values })), '');
+    }
+    html += `</div></div>`;
+
+    const ports = Object.entries(series.optics);
+    html += `<h2 class="collapsible-header${ports.length ? '' : ' collapsed'}">Optical Power (${ports.length})</h2>`;
+    html += `<div class="collapsible-content${ports.length ? '' : ' collapsed'}"><div class="trend-grid-wrapper">`;
+    ports.forEach(([port, o]) => {
+        html += renderTrendChart(port, series.times, [{ name: 'Rx', values: o.rx_dbm }, { name: 'Tx', values: o.tx_dbm }], 'dBm');
+    });
+    if (!ports.length) html += '<p class="text-gray-400 p-4">No optical power readings (display interface transceiver) in the collections.</p>';
+    html += `</div></div>`;
+
+    const snapRows = [...snaps].reverse().map(s => ({
+        Collected: s.collected_at,
+        Clock: s.collected_at_source === 'device' ? 'device' : 'file time',
+        Analyzed: s.analyzed_at,
+        'Source File': s.source_file || ''
+    }));
+    html += renderStructuredTable('Snapshots', ['Collected', 'Clock', 'Analyzed', 'Source File'], snapRows, null, false);
+    return html;
+}
+
+/**
+ * Shows the metric history of one device (userData/history) picked from a list.
+ * @param {string} [key] - Device key to open; defaults to the first device.
+ */
+async function openTrendsView(key) {
+    const outputDiv = document.getElementById('json-output');
+    document.getElementById('device-title').textContent = 'Device Trends';
+    currentActiveFile = null;
+    updateFilelistActiveState();
+    outputDiv.innerHTML = '<p class="text-lg text-gray-400">Loading device history...</p>';
+
+    try {
+        const list = await window.electronAPI.listHistory();
+        if (!list || !list.success) throw new Error(list?.error || 'Could not load the device history');
+        if (!list.devices.length) {
+            outputDiv.innerHTML = `<p class="text-gray-400">No device history yet. Every parsed log adds a snapshot to <code>${escapeHtml(list.dir)}</code>; parse logs of the same device collected at different times to see its trends.</p>`;
+            return;
+        }
+        const selected = list.devices.some(d => d.key === key) ? key : list.devices[0].key;
+        const res = await window.electronAPI.loadHistory(selected);
+        if (!res || !res.success) throw new Error(res?.error || 'Could not load the device history');
+
+        let html = `<div class="flex items-center gap-2 mb-4"><label for="trends-device" class="text-gray-400">Device</label>
+            <select id="trends-device" class="p-2 rounded-md bg-[#202225] text-white">`;
+        list.devices.forEach(d => {
+            const label = `${d.sysname || d.key}${d.esn && d.esn !== d.sysname ? ` (${d.esn})` : ''} — ${d.snapshots} snapshot(s)`;
+            html += `<option value="${escapeHtml(d.key)}"${d.key === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+        });
+        html += `</select></div>`;
+        document.getElementById('device-title').textContent = `Device Trends — ${res.history.sysname || selected}`;
+        outputDiv.innerHTML = html + makeTrendsHtml(res);
+        document.getElementById('trends-device').addEventListener('change', (e) => openTrendsView(e.target.value));
+    } catch (err) {
+        console.error('Error loading device history:', err);
+        outputDiv.innerHTML = `<p class="text-lg text-red-500">❌ Error: ${err.message}</p>`;
+    }
+}
+
+// === Customer report ===
+// Report template fields (report.js): [label, key, input type]
+const REPORT_TEMPLATE_FIELDS = [
+    ['Company', 'company', 'text'],
+    ['Header text', 'header_text', 'text'],
+    ['Footer text', 'footer_text', 'text'],
+    ['Accent colour', 'accent_color', 'color']
+];
+
+/**
+ * Renders the report form: template fields, logo picker, device list and save buttons.
+ * @param {Array<object>} entries - [{ file, data }]
+ * @param {object} template - Normalized report template.
+ * @param {string} templatePath
+ */
+function renderReportForm(entries, template, templatePath) {
+    let html = `<div class="bg-[#2f3136] p-6 rounded-lg shadow-lg" id="report-form">`;
+    html += `<p class="text-gray-400 mb-4">Template saved in <code>${escapeHtml(templatePath)}</code>. Header / footer text may use {company}, {date} and {devices}.</p>`;
+    html += '<table class="data-table"><tbody>';
+    REPORT_TEMPLATE_FIELDS.forEach(([label, key, type]) => {
+        html += `<tr><th>${label}</th><td><input data-report-key="${key}" type="${type}" class="w-full bg-[#202225] text-white rounded-md p-2" value="${escapeHtml(template[key])}"></td></tr>`;
+    });
+    html += `<tr><th>Logo</th><td class="flex items-center gap-2">
+        <input id="report-logo" data-report-key="logo" type="text" class="flex-1 bg-[#202225] text-white rounded-md p-2" placeholder="PNG, JPEG, SVG or GIF file" value="${escapeHtml(template.logo || '')}">
+        <button id="report-logo-btn" class="bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-md">Choose...</button>
+    </td></tr>`;
+    html += '</tbody></table>';
+
+    html += `<div class="flex items-center gap-4 mt-6">
+        <button class="report-save-btn bg-[#5865F2] hover:bg-[#4752C4] text-white font-semibold py-2 px-4 rounded-md" data-format="pdf">Save PDF</button>
+        <button class="report-save-btn bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-md" data-format="html">Save HTML</button>
+        <span id="report-status" class="text-sm text-gray-400"></span>
+    </div></div>`;
+
+    const devices = entries.map(e => ({
+        Device: e.data.identity?.sysname || e.data.identity?.hostname || '',
+        Model: e.data.identity?.model || '',
+        'Health Findings': (e.data.findings || []).length,
+        'Active Alarms': (e.data.alarms?.active || []).length,
+        File: e.file
+    }));
+    html += renderStructuredTable('Devices in the Report', ['Device', 'Model', 'Health Findings', 'Active Alarms', 'File'], devices, null, true);
+    return html;
+}
+
+/**
+ * Customer report for one parsed JSON or a folder of them: the sections of
+ * makeMainHtml per device, wrapped by report.js into a standalone HTML / PDF file.
+ * @param {string} mode - 'file' | 'directory' (sidebar mode switch).
+ */
+async function openReportView(mode) {
+    const outputDiv = document.getElementById('json-output');
+    document.getElementById('device-title').textContent = 'Customer Report';
+    currentActiveFile = null;
+    updateFilelistActiveState();
+    outputDiv.innerHTML = '<p class="text-lg text-gray-400">Choosing json file(s) for the report...</p>';
+
+    try {
+        const inputPath = await window.electronAPI.openFileDialog('report_input_path', [
+            { name: 'Parsed Files', extensions: ['json'] },
+            { name: 'All Files', extensions: ['*'] }
+        ], mode);
+        if (!inputPath) {
+            outputDiv.innerHTML = '<p class="text-gray-400">Choose cancelled.</p>';
+            return;
+        }
+        outputDiv.innerHTML = '<p class="text-lg text-gray-400">Loading parsed file(s)...</p>';
+        const res = await window.electronAPI.loadReport(inputPath, mode);
+        if (!res || !res.success) throw new Error(res?.error || 'Could not load the parsed files');
+
+        outputDiv.innerHTML = renderReportForm(res.entries, res.template, res.templatePath);
+        const readTemplate = () => Object.fromEntries([...outputDiv.querySelectorAll('[data-report-key]')].map(el => [el.dataset.reportKey, el.value]));
+
+        document.getElementById('report-logo-btn').addEventListener('click', async () => {
+            const logo = await window.electronAPI.openFileDialog('report_logo', [
+                { name: 'Images', extensions: ['png', 'jpg', 'jpeg', 'svg', 'gif'] }
+            ], 'file');
+            if (logo) document.getElementById('report-logo').value = logo;
+        });
+        outputDiv.querySelectorAll('.report-save-btn').forEach(btn => btn.addEventListener('click', async () => {
+            const status = document.getElementById('report-status');
+            status.className = 'text-sm text-gray-400';
+            status.textContent = 'Building report...';
+            const sections = res.entries.map(e => ({ file: e.file, html: makeMainHtml(e.data) }));
+            const saved = await window.electronAPI.saveReport(sections, btn.dataset.format, readTemplate());
+            if (saved?.canceled) {
+                status.textContent = '';
+            } else if (!saved || !saved.success) {
+                status.className = 'text-sm critical';
+                status.textContent = `❌ ${saved?.error || 'Report failed'}`;
+            } else {
+                status.className = 'text-sm up';
+                status.textContent = `✅ Saved: ${saved.outPath}`;
+            }
+        }));
+    } catch (err) {
+        console.error('Error building report:', err);
+        outputDiv.innerHTML = `<p class="text-lg text-red-500">❌ Error: ${err.message}</p>`;
+    }
+}
+
+// === Output settings ===
+/**
+ * Renders the output settings form: root folder, naming templates, collision handling, run folders.
+ * @param {object} settings - Normalized output settings (output_manager.js).
+ * @param {string} defaultDir - Folder used when no root is set.
+ * @param {Array<string>} fields - Template field names.
+ */
+function renderOutputSettings(settings, defaultDir, fields) {
+    const option = (value, label) => `<option value="${value}" ${value === settings.collision ? 'selected' : ''}>${label}</option>`;
+    let html = `<div class="bg-[#2f3136] p-6 rounded-lg shadow-lg" id="output-settings">`;
+    html += `<p class="text-gray-400 mb-4">Naming templates may use ${fields.map(f => `<code>{${f}}</code>`).join(', ')}. ` +
+        `Empty fields are dropped, e.g. <code>{sysname}_{esn}_{date}</code>.</p>`;
+    html += '<table class="data-table"><tbody>';
+    html += `<tr><th>Output folder</th><td class="flex items-center gap-2">
+        <input id="output-root" data-output-key="root" type="text" class="flex-1 bg-[#202225] text-white rounded-md p-2" placeholder="${escapeHtml(defaultDir)}" value="${escapeHtml(settings.root || '')}">
+        <button id="output-root-btn" class="bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-md">Choose...</button>
+        <button id="output-open-btn" class="bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-md">Open</button>
+    </td></tr>`;
+    html += `<tr><th>Parsed JSON name</th><td><input data-output-key="json_name" type="text" class="w-full bg-[#202225] text-white rounded-md p-2" value="${escapeHtml(settings.json_name)}"></td></tr>`;
+    html += `<tr><th>Excel workbook name</th><td><input data-output-key="excel_name" type="text" class="w-full bg-[#202225] text-white rounded-md p-2" value="${escapeHtml(settings.excel_name)}"></td></tr>`;
+    html += `<tr><th>When the name is taken</th><td>
+        <select data-output-key="collision" class="w-full bg-[#202225] text-white rounded-md p-2">
+            ${option('suffix', 'Keep both within a run (add _2, _3, ...), replace earlier runs')}
+            ${option('overwrite', 'Overwrite the existing file')}
+        </select></td></tr>`;
+    html += `<tr><th>Per-run subfolder</th><td><label class="text-gray-300"><input data-output-key="run_folder" type="checkbox" ${settings.run_folder ? 'checked' : ''}>
+        Put every analysis / export in a new <code>run_&lt;date&gt;_&lt;time&gt;</code> folder</label></td></tr>`;
+    html += `<tr><th>Merge devices</th><td><label class="text-gray-300"><input data-output-key="merge_devices" type="checkbox" ${settings.merge_devices ? 'checked' : ''}>
+        One parsed JSON per device when its logs are spread over several files (sources and conflicts are recorded)</label></td></tr>`;
+    html += '</tbody></table>';
+
+    html += `<div class="flex items-center gap-4 mt-6">
+        <button id="output-save" class="bg-[#5865F2] hover:bg-[#4752C4] text-white font-semibold py-2 px-4 rounded-md">Save settings</button>
+        <span id="output-status" class="text-sm text-gray-400">Changes apply to the next analysis / export.</span>
+    </div></div>`;
+    return html;
+}
+
+/**
+ * Shows the output settings in the main output area.
+ */
+async function openOutputSettingsView() {
+    const outputDiv = document.getElementById('json-output');
+    document.getElementById('device-title').textContent = 'Output Settings';
+    currentActiveFile = null;
+    updateFilelistActiveState();
+    outputDiv.innerHTML = '<p class="text-lg text-gray-400">Loading output settings...</p>';
+
+    try {
+        const res = await window.electronAPI.loadOutputSettings();
+        if (!res || !res.success) throw new Error(res?.error || 'Could not load the output settings');
+        outputDiv.innerHTML = renderOutputSettings(res.settings, res.defaultDir, res.fields);
+
+        document.getElementById('output-root-btn').addEventListener('click', async () => {
+            const dir = await window.electronAPI.openFileDialog('output_root', null, 'directory');
+            if (dir) document.getElementById('output-root').value = dir;
+        });
+        document.getElementById('output-open-btn').addEventListener('click', async () => {
+            const r = await window.electronAPI.openOutputFolder();
+            if (!r || !r.success) alert(`Could not open the folder: ${r?.error || 'unknown error'}`);
+        });
+        document.getElementById('output-save').addEventListener('click', async () => {
+            const settings = {};
+            outputDiv.querySelectorAll('[data-output-key]').forEach(el => {
+                settings[el.dataset.outputKey] = el.type === 'checkbox' ? el.checked : (el.value.trim() || null);
+            });
+            const status = document.getElementById('output-status');
+            const saved = await window.electronAPI.saveOutputSettings(settings);
+            if (!saved || !saved.success) {
+                status.className = 'text-sm critical';
+                status.textContent = `❌ ${saved?.error || 'Save failed'}`;
+                return;
+            }
+            status.className = 'text-sm up';
+            status.textContent = '✅ Saved.';
+        });
+    } catch (err) {
+        console.error('Error loading output settings:', err);
+        outputDiv.innerHTML = `<p class="text-lg text-red-500">❌ Error: ${err.message}</p>`;
+    }
+}
+
+const ANONYMIZER_KIND_LABELS = { ip: 'IP addresses', mac: 'MAC addresses', host: 'Hostnames', esn: 'ESNs', user: 'Users', vpn: 'VPN instances', description: 'Descriptions' };
+
+// "IP addresses: 12 · Hostnames: 3 ..." for the mapping stats
+function anonymizerStatsText(stats) {
+    return Object.entries(stats).map(([kind, n]) => `${ANONYMIZER_KIND_LABELS[kind] || kind}: ${n}`).join(' · ');
+}
+
+/**
+ * Renders the "Anonymize & Share" view.
+ * @param {object} info - { path, exists, stats } of the anonymizer mapping.
+ * @param {string} mode - 'file' | 'directory' (inputs picked by the sidebar mode).
+ */
+function renderShareView(info, mode) {
+    let html = `<div class="bg-[#2f3136] p-6 rounded-lg shadow-lg" id="share-view">`;
+    html += `<p class="text-gray-400 mb-4">Writes copies for sharing with IP / MAC addresses, hostnames, ESNs, users, VPN instances and ` +
+        `descriptions replaced by pseudonyms. The same value always gets the same pseudonym and addresses keep their subnets; ` +
+        `passwords and cipher strings are removed. Files go to the output folder; pick a ${mode === 'file' ? 'file' : 'folder'} ` +
+        `(sidebar mode).</p>`;
+    html += '<table class="data-table"><tbody>';
+    html += `<tr><th>Mapping</th><td class="flex items-center gap-2">
+        <code class="flex-1">${escapeHtml(info.path)}</code>
+        <button id="share-mapping-btn" class="bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-md">Show</button>
+    </td></tr>`;
+    html += `<tr><th></th><td class="text-yellow-400">The mapping restores the original values: keep it on this machine and never share it.</td></tr>`;
+    html += `<tr><th>Known values</th><td id="share-stats">${escapeHtml(anonymizerStatsText(info.stats))}</td></tr>`;
+    html += `<tr><th>Anonymize</th><td><label class="text-gray-300"><input id="share-anonymize" type="checkbox" checked>
+        Replace sensitive values in exported JSONs / workbooks (raw logs are always anonymized)</label></td></tr>`;
+    html += '</tbody></table>';
+
+    html += `<div class="flex items-center gap-4 mt-6">
+        <button id="share-json-btn" class="bg-[#5865F2] hover:bg-[#4752C4] text-white font-semibold py-2 px-4 rounded-md">Export JSON...</button>
+        <button id="share-xlsx-btn" class="bg-[#5865F2] hover:bg-[#4752C4] text-white font-semibold py-2 px-4 rounded-md">Export XLSX...</button>
+        <button id="share-logs-btn" class="bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-md">Anonymize logs...</button>
+    </div>
+    <div id="share-status" class="mt-4 text-gray-400"></div></div>`;
+    return html;
+}
+
+/**
+ * Shows the "Anonymize & Share" view in the main output area.
+ * @param {string} mode - 'file' | 'directory'
+ */
+async function openShareView(mode) {
+    const outputDiv = document.getElementById('json-output');
+    document.getElementById('device-title').textContent = 'Anonymize & Share';
+    currentActiveFile = null;
+    updateFilelistActiveState();
+    outputDiv.innerHTML = '<p class="text-lg text-gray-400">Loading anonymizer mapping...</p>';
+
+    try {
+        const info = await window.electronAPI.loadAnonymizerInfo();
+        if (!info || !info.success) throw new Error(info?.error || 'Could not load the anonymizer mapping');
+        outputDiv.innerHTML = renderShareView(info, mode);
+
+        const status = document.getElementById('share-status');
+        const anonymize = () => ({ anonymize: document.getElementById('share-anonymize').checked });
+        const jsonFilters = [{ name: 'Parsed Files', extensions: ['json'] }, { name: 'All Files', extensions: ['*'] }];
+        const logFilters = [{ name: 'Log Files', extensions: ['txt', 'log'] }, { name: 'All Files', extensions: ['*'] }];
+        // Pick the input, write the copies, list them and refresh the mapping counts
+        const run = async (key, filters, exportFn) => {
+            const inputPath = await window.electronAPI.openFileDialog(key, filters, mode);
+            if (!inputPath) return;
+            status.className = 'mt-4 text-gray-400';
+            status.textContent = 'Writing files...';
+            const res = await exportFn(inputPath);
+            if (!res || !res.success) {
+                status.className = 'mt-4 critical';
+                status.textContent = `❌ ${res?.error || 'Export failed'}`;
+                return;
+            }
+            status.className = 'mt-4';
+            status.innerHTML = `<p class="up">✅ Files saved to: <code>${escapeHtml(res.outputDir)}</code></p>` +
+                `<ul class="text-gray-400 mt-2">${res.result.map(r => `<li>${escapeHtml(r.outPath)}</li>`).join('')}</ul>`;
+            const refreshed = await window.electronAPI.loadAnonymizerInfo();
+            if (refreshed && refreshed.success) document.getElementById('share-stats').textContent = anonymizerStatsText(refreshed.stats);
+        };
+
+        document.getElementById('share-mapping-btn').addEventListener('click', async () => {
+            const r = await window.electronAPI.showAnonymizerMapping();
+            if (!r || !r.success) alert(r?.error || 'Could not show the mapping');
+        });
+        document.getElementById('share-json-btn').addEventListener('click', () =>
+            run('share_json_path', jsonFilters, (p) => window.electronAPI.exportJson(p, mode, anonymize())));
+        document.getElementById('share-xlsx-btn').addEventListener('click', () =>
+            run('share_xlsx_path', jsonFilters, (p) => window.electronAPI.exportToExcel(p, mode, anonymize())));
+        document.getElementById('share-logs-btn').addEventListener('click', () =>
+            run('share_logs_path', logFilters, (p) => window.electronAPI.anonymizeLogs(p, mode)));
+    } catch (err) {
+        console.error('Error loading the anonymizer:', err);
+        outputDiv.innerHTML = `<p class="text-lg text-red-500">❌ Error: ${err.message}</p>`;
+    }
+}
+
 // =================================================================
 // === ГОЛОВНЕ ВИКОНАННЯ ===
 // =================================================================
@@ -370,6 +1608,171 @@ function extractProtocolsHtml(d) {
 // Global cache for file content
 const loadedFilesCache = new Map();
 let currentActiveFile = null;
+let profileStore = null; // Health profiles store (loaded from main on startup)
+const FLEET_KEY = '::fleet'; // pseudo file path of the "Fleet Overview" sidebar item
+const TOPOLOGY_KEY = '::topology'; // pseudo file path of the "Topology" sidebar item
+let fleetPaths = []; // JSON paths listed in the sidebar (fleet / topology views, fleet export)
+
+// =================================================================
+// === HEALTH PROFILE EDITOR ===
+// =================================================================
+
+const PROFILE_FIELDS = [
+    // [label, path inside profile, kind]
+    ["Match model (e.g. NetEngine 8000 M4)", "match.model", "text"],
+    ["Match sysname (regex)", "match.sysname", "text"],
+    ["CPU threshold (%)", "thresholds.cpu_pct", "number"],
+    ["Memory threshold (%)", "thresholds.memory_pct", "number"],
+    ["Temperature threshold (°C)", "thresholds.temperature_c", "number"],
+    ["SFP Rx min (dBm)", "thresholds.sfp_rx_dbm.min", "number"],
+    ["SFP Rx max (dBm)", "thresholds.sfp_rx_dbm.max", "number"],
+    ["SFP Tx min (dBm)", "thresholds.sfp_tx_dbm.min", "number"],
+    ["SFP Tx max (dBm)", "thresholds.sfp_tx_dbm.max", "number"],
+    ["Required NTP servers", "thresholds.required_ntp_servers", "list"],
+    ["Critical alarm severities", "alarms.critical_severities", "list"],
+    ["Status keywords: good", "status_colors.good", "list"],
+    ["Status keywords: bad", "status_colors.bad", "list"],
+    ["Status keywords: warning", "status_colors.warn", "list"],
+];
+
+function getPath(obj, dotted) {
+    return dotted.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, dotted, value) {
+    const keys = dotted.split('.');
+    let o = obj;
+    keys.slice(0, -1).forEach(k => { if (o[k] == null || typeof o[k] !== 'object') o[k] = {}; o = o[k]; });
+    o[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Renders the profile editor form for one profile.
+ * @param {object} store - { selected, profiles }
+ * @param {string} editName - Name of the profile being edited.
+ */
+function renderProfileEditor(store, editName) {
+    const profile = store.profiles.find(p => p.name === editName) || store.profiles[0];
+    const option = (value, label, current) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`;
+
+    let html = `<div class="bg-[#2f3136] p-6 rounded-lg shadow-lg" id="profile-editor">`;
+    html += `<div class="flex gap-4 mb-6 items-end">
+        <label class="flex-1 text-sm text-gray-400">Active profile
+            <select id="profile-selected" class="w-full mt-1 bg-[#202225] text-white rounded-md p-2">
+                ${option('auto', 'auto (match by device model / sysname)', store.selected)}
+                ${store.profiles.map(p => option(p.name, p.name, store.selected)).join('')}
+            </select>
+        </label>
+        <label class="flex-1 text-sm text-gray-400">Edit profile
+            <select id="profile-edit" class="w-full mt-1 bg-[#202225] text-white rounded-md p-2">
+                ${store.profiles.map(p => option(p.name, p.name, profile.name)).join('')}
+            </select>
+        </label>
+        <button id="profile-new" class="bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-md">New</button>
+        <button id="profile-delete" class="bg-red-700 hover:bg-red-800 text-white font-semibold py-2 px-4 rounded-md" ${profile.name === 'default' ? 'disabled' : ''}>Delete</button>
+    </div>`;
+
+    html += '<table class="data-table"><tbody>';
+    html += `<tr><th>Profile name</th><td><input id="profile-name" class="w-full bg-[#202225] text-white rounded-md p-2" value="${safe(profile.name)}" ${profile.name === 'default' ? 'disabled' : ''}></td></tr>`;
+    PROFILE_FIELDS.forEach(([label, key, kind]) => {
+        let value = getPath(profile, key);
+        if (kind === 'list') value = (value || []).join(', ');
+        html += `<tr><th>${label}</th><td><input data-profile-key="${key}" data-kind="${kind}" type="${kind === 'number' ? 'number' : 'text'}" step="any" class="w-full bg-[#202225] text-white rounded-md p-2" value="${safe(value)}"></td></tr>`;
+    });
+    html += '</tbody></table>';
+
+    html += `<div class="flex items-center gap-4 mt-6">
+        <button id="profile-save" class="bg-[#5865F2] hover:bg-[#4752C4] text-white font-semibold py-2 px-4 rounded-md">Save profiles</button>
+        <span id="profile-status" class="text-sm text-gray-400">Changes apply to the next analysis / export.</span>
+    </div>`;
+    html += `</div>`;
+    return html;
+}
+
+/**
+ * Reads the editor form back into the profile named `editName` (in place).
+ * @returns {string} - The (possibly renamed) profile name.
+ */
+function readProfileForm(store, editName) {
+    const profile = store.profiles.find(p => p.name === editName);
+    if (!profile) return editName;
+    const nameInput = document.getElementById('profile-name');
+    if (nameInput && !nameInput.disabled && nameInput.value.trim()) profile.name = nameInput.value.trim();
+
+    document.querySelectorAll('#profile-editor [data-profile-key]').forEach(input => {
+        const key = input.dataset.profileKey;
+        const raw = input.value.trim();
+        let value;
+        if (input.dataset.kind === 'number') value = raw === '' ? null : Number(raw);
+        else if (input.dataset.kind === 'list') value = raw ? raw.split(',').map(x => x.trim()).filter(Boolean) : [];
+        else value = raw || null;
+        setPath(profile, key, value);
+    });
+    if (profile.match && !profile.match.model && !profile.match.sysname) profile.match = null;
+    const selected = document.getElementById('profile-selected').value;
+    store.selected = selected === editName ? profile.name : selected;
+    return profile.name;
+}
+
+/**
+ * Shows the profile editor in the main output area.
+ */
+async function openProfileEditor(editName) {
+    const outputDiv = document.getElementById('json-output');
+    document.getElementById('device-title').textContent = 'Health Profiles';
+    currentActiveFile = null;
+    updateFilelistActiveState();
+
+    if (!profileStore) {
+        const res = await window.electronAPI.loadProfiles();
+        profileStore = res?.store || { selected: 'auto', profiles: [] };
+    }
+    // Work on a copy so unsaved edits don't leak into rendering
+    const draft = JSON.parse(JSON.stringify(profileStore));
+    let editing = editName || draft.profiles[0]?.name;
+    outputDiv.innerHTML = renderProfileEditor(draft, editing);
+
+    const rerender = (name) => {
+        editing = name;
+        outputDiv.innerHTML = renderProfileEditor(draft, editing);
+        bind();
+    };
+    const bind = () => {
+        document.getElementById('profile-edit').addEventListener('change', (e) => {
+            readProfileForm(draft, editing);
+            rerender(e.target.value);
+        });
+        document.getElementById('profile-new').addEventListener('click', () => {
+            editing = readProfileForm(draft, editing);
+            let n = 1;
+            while (draft.profiles.some(p => p.name === `profile-${n}`)) n++;
+            const base = JSON.parse(JSON.stringify(draft.profiles.find(p => p.name === 'default') || {}));
+            draft.profiles.push({ ...base, name: `profile-${n}`, match: null });
+            rerender(`profile-${n}`);
+        });
+        document.getElementById('profile-delete').addEventListener('click', () => {
+            if (editing === 'default') return;
+            draft.profiles = draft.profiles.filter(p => p.name !== editing);
+            if (draft.selected === editing) draft.selected = 'auto';
+            rerender('default');
+        });
+        document.getElementById('profile-save').addEventListener('click', async () => {
+            editing = readProfileForm(draft, editing);
+            const status = document.getElementById('profile-status');
+            const res = await window.electronAPI.saveProfiles(draft);
+            if (!res || !res.success) {
+                status.className = 'text-sm critical';
+                status.textContent = `❌ ${res?.error || 'Save failed'}`;
+                return;
+            }
+            profileStore = res.store;
+            loadedFilesCache.clear(); // re-render with new profile next time
+            status.className = 'text-sm up';
+            status.textContent = '✅ Saved.';
+        });
+    };
+    bind();
+}
 
 async function handleFileSelect(jsonPath) {
     if (!jsonPath) {
@@ -399,8 +1802,8 @@ async function handleFileSelect(jsonPath) {
                 throw new Error("File is empty or could not be read.");
             }
 
-            // 2. Parse the JSON string
-            data = JSON.parse(jsonString);
+            // 2. Parse the JSON string (files of older analyzers are migrated)
+            data = window.electronAPI.migrateModel(JSON.parse(jsonString));
             loadedFilesCache.set(jsonPath, data); // Store in cache
         }
         
@@ -415,6 +1818,11 @@ async function handleFileSelect(jsonPath) {
 
         let htmlOutput = makeMainHtml(data);
         htmlOutput += extractProtocolsHtml(data);
+        htmlOutput += renderPluginTables(data);
+        htmlOutput += renderConfigBrowser(data.config_tree);
+        htmlOutput += renderCoveragePanel(data.coverage, data.raw_sections);
+        htmlOutput += renderMaskingPanel(data.masking);
+        htmlOutput += renderSourcesPanel(data.sources);
         outputDiv.innerHTML = htmlOutput;
         
     } catch (error) {
@@ -427,11 +1835,70 @@ async function handleFileSelect(jsonPath) {
     }
 }
 
+// Icons of analyzer_pool.js progress events
+const PROGRESS_ICONS = { queued: '•', started: '⏳', finished: '✅', failed: '❌', cancelled: '⏹' };
+
+/**
+ * Renders the (empty) live progress panel of a running analysis.
+ * @returns {string} HTML
+ */
+function renderAnalysisProgress() {
+    return `
+        <div class="analysis-progress">
+            <div class="flex items-center justify-between">
+                <p id="analysis-summary" class="text-lg text-gray-400">Parsing log file(s)...</p>
+                <button id="analysis-cancel-btn" class="bg-red-600 hover:bg-red-700 text-white font-semibold py-1 px-4 rounded-md">Cancel</button>
+            </div>
+            <ul id="analysis-progress-list"></ul>
+        </div>`;
+}
+
+/**
+ * Applies one progress event to the panel of renderAnalysisProgress.
+ * @param {object} progress - { type, file, index, total, deviceName, error }
+ * @param {object} counts - Running totals per event type, updated in place.
+ */
+function updateAnalysisProgress(progress, counts) {
+    const list = document.getElementById('analysis-progress-list');
+    if (!list) return;
+
+    let item = list.querySelector(`li[data-index="${progress.index}"]`);
+    if (!item) {
+        item = document.createElement('li');
+        item.dataset.index = progress.index;
+        list.appendChild(item);
+    }
+    const previous = item.dataset.status;
+    if (previous) counts[previous]--;
+    counts[progress.type] = (counts[progress.type] || 0) + 1;
+    item.dataset.status = progress.type;
+    item.className = progress.type;
+
+    const fileName = window.electronAPI.path.basename(progress.file || '');
+    // a finished archive may still have logs that failed (progress.error)
+    const detail = progress.type === 'finished' ? (progress.deviceName || 'no device data') + (progress.error ? ` — failed: ${progress.error}` : '')
+        : progress.type === 'failed' ? progress.error
+        : progress.type;
+    item.innerHTML = `<span class="progress-icon">${PROGRESS_ICONS[progress.type] || ''}</span>
+        <span title="${escapeHtml(progress.file)}">${escapeHtml(fileName)}</span>
+        <span class="progress-detail">${escapeHtml(detail)}</span>`;
+
+    const summary = document.getElementById('analysis-summary');
+    if (summary) {
+        const done = (counts.finished || 0) + (counts.failed || 0) + (counts.cancelled || 0);
+        summary.textContent = `Parsing log file(s)... ${done} / ${progress.total} done` +
+            (counts.started ? `, ${counts.started} running` : '') +
+            (counts.failed ? `, ${counts.failed} failed` : '');
+    }
+}
+
 /**
  * Populates the sidebar with a list of file paths.
- * @param {Array<object>} filesToShow - Array of { outputPath, deviceName } objects.
+ * @param {Array<object>} filesToShow - Array of { outputPath, deviceName } objects
+ *   (+ `archive` / `entry` for a log read from an archive).
+ * @param {boolean} [autoSelect=true] - Open the fleet view / first file right away.
  */
-function populateFileList(filesToShow) {
+function populateFileList(filesToShow, autoSelect = true) {
     const fileListDiv = document.getElementById('file-list');
     const fileListContainer = document.getElementById('file-list-container');
     if (!fileListDiv || !fileListContainer) return;
@@ -446,6 +1913,35 @@ function populateFileList(filesToShow) {
     }
     
     fileListContainer.style.display = 'flex'; // Show the container
+    fleetPaths = filesToShow.filter(f => f && f.outputPath).map(f => f.outputPath);
+
+    // Several devices: add a "Fleet Overview" entry on top
+    if (fleetPaths.length > 1) {
+        const fleetDiv = document.createElement('div');
+        fleetDiv.className = 'file-item';
+        fleetDiv.dataset.filePath = FLEET_KEY;
+        fleetDiv.innerHTML = `
+            <div class="file-item-main" title="All ${fleetPaths.length} devices">
+                <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 10h16M4 14h16M4 18h16"></path></svg>
+                <span>Fleet Overview (${fleetPaths.length})</span>
+            </div>
+            <button class="file-export-btn" data-export-mode="fleet" title="Export fleet workbook to Excel">
+                <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path></svg>
+            </button>
+        `;
+        fileListDiv.appendChild(fleetDiv);
+
+        const topoDiv = document.createElement('div');
+        topoDiv.className = 'file-item';
+        topoDiv.dataset.filePath = TOPOLOGY_KEY;
+        topoDiv.innerHTML = `
+            <div class="file-item-main" title="Links between the ${fleetPaths.length} devices">
+                <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path></svg>
+                <span>Topology</span>
+            </div>
+        `;
+        fileListDiv.appendChild(topoDiv);
+    }
 
     filesToShow.forEach(file => {
         if (!file || !file.outputPath) return; // Safeguard against bad data
@@ -453,6 +1949,7 @@ function populateFileList(filesToShow) {
         const filePath = file.outputPath;
         const displayName = file.deviceName; // This is the new display name
         const fileName = filePath.split(/[/\\]/).pop(); // Keep filename for tooltip
+        const source = file.entry ? `${file.archive.split(/[/\\]/).pop()}/${file.entry} → ` : '';
 
         const itemDiv = document.createElement('div');
         itemDiv.className = 'file-item';
@@ -460,7 +1957,7 @@ function populateFileList(filesToShow) {
         
         // New HTML structure with export button
         itemDiv.innerHTML = `
-            <div class="file-item-main" title="${displayName} (${fileName})">
+            <div class="file-item-main" title="${escapeHtml(displayName)} (${escapeHtml(source + fileName)})">
                 <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0011.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z"></path></svg>
                 <span>${displayName}</span>
             </div>
@@ -472,9 +1969,12 @@ function populateFileList(filesToShow) {
         fileListDiv.appendChild(itemDiv);
     });
 
-    // Auto-select the first file if one exists
+    // Auto-select the fleet view for several devices, else the first file
+    if (!autoSelect) return;
     const firstItem = fileListDiv.querySelector('.file-item');
-    if (firstItem) {
+    if (firstItem && firstItem.dataset.filePath === FLEET_KEY) {
+        openFleetView();
+    } else if (firstItem) {
         handleFileSelect(firstItem.dataset.filePath);
     }
 }
@@ -505,6 +2005,13 @@ document.addEventListener('DOMContentLoaded', () => {
     const jsonFileInput = document.getElementById('json-file-input');
     const logFileInput = document.getElementById('log-file-input');
     const xlsxFileInput = document.getElementById('xlsx-file-input');
+    const profilesBtn = document.getElementById('profiles-btn');
+    const diffBtn = document.getElementById('diff-btn');
+    const parsersBtn = document.getElementById('parsers-btn');
+    const trendsBtn = document.getElementById('trends-btn');
+    const reportBtn = document.getElementById('report-btn');
+    const outputSettingsBtn = document.getElementById('output-settings-btn');
+    const shareBtn = document.getElementById('share-btn');
     const outputDiv = document.getElementById('json-output');
     const fileListDiv = document.getElementById('file-list');
 
@@ -530,6 +2037,72 @@ document.addEventListener('DOMContentLoaded', () => {
     modeFileBtn.addEventListener('click', () => updateMode('file'));
     modeFolderBtn.addEventListener('click', () => updateMode('directory'));
 
+    // Load health profiles once; makeMainHtml resolves against this store
+    window.electronAPI.loadProfiles().then(res => {
+        if (res && res.success) profileStore = res.store;
+    });
+
+    // HEALTH PROFILES button
+    profilesBtn.addEventListener('click', () => openProfileEditor());
+
+    // PARSER PLUGINS button
+    parsersBtn.addEventListener('click', () => openParsersView());
+
+    // DEVICE TRENDS button
+    trendsBtn.addEventListener('click', () => openTrendsView());
+
+    // CUSTOMER REPORT button (file or folder, like Export to XLSX)
+    reportBtn.addEventListener('click', () => openReportView(currentMode));
+
+    // OUTPUT SETTINGS button
+    outputSettingsBtn.addEventListener('click', () => openOutputSettingsView());
+
+    // ANONYMIZE & SHARE button (file or folder, like Export to XLSX)
+    shareBtn.addEventListener('click', () => openShareView(currentMode));
+
+    // COMPARE button: pick "before" and "after" JSON, show side-by-side diff
+    diffBtn.addEventListener('click', async () => {
+        const jsonFilters = [
+            { name: 'Parsed Files', extensions: ['json'] },
+            { name: 'All Files', extensions: ['*'] }
+        ];
+        try {
+            outputDiv.innerHTML = '<p class="text-lg text-gray-400">Choose the BEFORE json file...</p>';
+            const leftPath = await window.electronAPI.openFileDialog('diff_left_path', jsonFilters, 'file');
+            if (!leftPath) {
+                outputDiv.innerHTML = '<p class="text-gray-400">Choose cancelled.</p>';
+                return;
+            }
+            outputDiv.innerHTML = '<p class="text-lg text-gray-400">Choose the AFTER json file...</p>';
+            const rightPath = await window.electronAPI.openFileDialog('diff_right_path', jsonFilters, 'file');
+            if (!rightPath) {
+                outputDiv.innerHTML = '<p class="text-gray-400">Choose cancelled.</p>';
+                return;
+            }
+
+            outputDiv.innerHTML = '<p class="text-lg text-gray-400">Comparing...</p>';
+            const res = await window.electronAPI.diffStart(leftPath, rightPath);
+            if (!res || !res.success) throw new Error(res?.error || 'Diff failed');
+
+            currentActiveFile = null;
+            updateFilelistActiveState();
+            document.getElementById('device-title').textContent = 'Compare — Diff View';
+            outputDiv.innerHTML = `<div class="flex justify-end mb-2">
+                    <button id="diff-export-btn" class="bg-gray-600 hover:bg-gray-700 text-white font-semibold py-1 px-4 rounded-md">Export Diff to XLSX</button>
+                </div>` + makeDiffHtml(res.diff);
+
+            document.getElementById('diff-export-btn').addEventListener('click', async (e) => {
+                const btn = e.currentTarget;
+                btn.textContent = 'Exporting...';
+                const exp = await window.electronAPI.exportDiff(leftPath, rightPath);
+                btn.textContent = exp && exp.success ? `✅ Saved: ${exp.result.outPath.split(/[/\\]/).pop()}` : `❌ ${exp?.error || 'Export failed'}`;
+            });
+        } catch (err) {
+            console.error('Error comparing files:', err);
+            outputDiv.innerHTML = `<p class="text-lg text-red-500">❌ Error: ${err.message}</p>`;
+        }
+    });
+
     // Handle clicks on the file list (event delegation)
     if (fileListDiv) {
         fileListDiv.addEventListener('click', async (e) => {
@@ -539,20 +2112,23 @@ document.addEventListener('DOMContentLoaded', () => {
             if (exportBtn) {
                 // --- Handle Export Button Click ---
                 e.stopPropagation(); // Stop click from bubbling to file-item
+                const isFleet = exportBtn.dataset.exportMode === 'fleet';
                 const filePath = exportBtn.dataset.exportPath;
-                if (!filePath) return;
+                if (!filePath && !isFleet) return;
 
-                console.log(`Exporting single file: ${filePath}`);
+                console.log(isFleet ? `Exporting fleet workbook (${fleetPaths.length} files)` : `Exporting single file: ${filePath}`);
                 // Show temporary feedback in the main title
                 const originalTitle = document.getElementById('device-title').textContent;
-                document.getElementById('device-title').textContent = `Exporting ${filePath.split(/[/\\]/).pop()}...`;
+                document.getElementById('device-title').textContent = isFleet ? 'Exporting fleet workbook...' : `Exporting ${filePath.split(/[/\\]/).pop()}...`;
                 
                 try {
-                    const res = await window.electronAPI.exportToExcel(filePath, 'file');
+                    const res = isFleet
+                        ? await window.electronAPI.exportToExcel(fleetPaths, 'fleet')
+                        : await window.electronAPI.exportToExcel(filePath, 'file');
                     if (!res || !res.success) throw new Error(res?.error || 'Export failed');
                     
                     // Show success
-                    document.getElementById('device-title').textContent = `✅ Exported!`;
+                    document.getElementById('device-title').textContent = `✅ Exported: ${res.result[0].outPath.split(/[/\\]/).pop()}`;
                     
                 } catch (err) {
                     console.error('Error exporting file:', err);
@@ -570,7 +2146,11 @@ document.addEventListener('DOMContentLoaded', () => {
             } else if (fileItem && fileItem.dataset.filePath) {
                 // --- Handle View File Click ---
                 const filePath = fileItem.dataset.filePath;
-                if (filePath !== currentActiveFile) {
+                if (filePath === FLEET_KEY) {
+                    openFleetView();
+                } else if (filePath === TOPOLOGY_KEY) {
+                    openTopologyView();
+                } else if (filePath !== currentActiveFile) {
                     handleFileSelect(filePath);
                 }
             }
@@ -597,7 +2177,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!ipcResponse || !ipcResponse.success) {
                 throw new Error(ipcResponse?.error || "Could not read selected JSON file.");
             }
-            const data = JSON.parse(ipcResponse.content);
+            const data = window.electronAPI.migrateModel(JSON.parse(ipcResponse.content));
             const deviceName = data.identity?.sysname || data.identity?.hostname || inputPath.split(/[/\\]/).pop();
 
             // Populate the file list with this single file object
@@ -612,10 +2192,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // PARSE TXT/LOG button
     logFileInput.addEventListener('click', async () => {
+        let unsubscribeProgress = null; // analyze:progress listener of this run
         outputDiv.innerHTML = '<p class="text-lg text-gray-400">Choosing log file(s)...</p>';
         try {
             const inputPath = await window.electronAPI.openFileDialog('analyze_input_path',[
                 { name: 'Log Files', extensions: ['txt', 'log'] },
+                { name: 'Collection Bundles', extensions: ['zip', 'gz', 'tgz'] },
                 { name: 'All Files', extensions: ['*'] }
             ], currentMode); // Use 'file' or 'directory' mode
 
@@ -623,7 +2205,14 @@ document.addEventListener('DOMContentLoaded', () => {
                 outputDiv.innerHTML = '<p class="text-gray-400">Choose cancelled.</p>';
                 return;
             }
-            outputDiv.innerHTML = '<p class="text-lg text-gray-400">Parsing log file(s)...</p>';
+            outputDiv.innerHTML = renderAnalysisProgress();
+            document.getElementById('analysis-cancel-btn').addEventListener('click', (event) => {
+                event.target.disabled = true;
+                event.target.textContent = 'Cancelling...';
+                window.electronAPI.cancelAnalysis();
+            });
+            const counts = {};
+            unsubscribeProgress = window.electronAPI.onAnalyzeProgress(progress => updateAnalysisProgress(progress, counts));
             
             const modeFlag = currentMode === 'directory' ? '--dir' : '--file';
             const res = await window.electronAPI.analyzeStart(modeFlag, inputPath);
@@ -631,6 +2220,23 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // v14: Filter the results to only show files with a deviceName
             const validFiles = res.analysisResults.filter(file => file.deviceName);
+            const failed = res.failed || [];
+            const cancelled = res.cancelled || [];
+
+            if (failed.length || cancelled.length) {
+                // Keep the progress list visible so the failed / skipped files can be reviewed
+                const cancelBtn = document.getElementById('analysis-cancel-btn');
+                if (cancelBtn) cancelBtn.remove();
+                const summary = document.getElementById('analysis-summary');
+                if (summary) {
+                    summary.textContent = `Parsed ${validFiles.length} device log(s)` +
+                        (failed.length ? `, ${failed.length} failed` : '') +
+                        (cancelled.length ? `, ${cancelled.length} cancelled` : '') +
+                        (validFiles.length ? ' — select a device in the sidebar.' : '.');
+                }
+                populateFileList(validFiles, false);
+                return;
+            }
 
             if (validFiles.length === 0) {
                 // Show a message if no valid device logs were found
@@ -647,6 +2253,8 @@ document.addEventListener('DOMContentLoaded', () => {
         } catch (err) {
             console.error('Error parsing log file:', err);
             outputDiv.innerHTML = `<p class="text-lg text-red-500">❌ Error: ${err.message}</p>`;
+        } finally {
+            if (unsubscribeProgress) unsubscribeProgress();
         }
     });
 
@@ -669,7 +2277,8 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!res || !res.success) throw new Error(res?.error || 'Export failed');
             
             // Show feedback in the main output div for the global button
-            outputDiv.innerHTML = `✅ Export completed. Files saved to: ${res.result[0].outDir}`;
+            outputDiv.innerHTML = `<p class="text-lg up">✅ Export completed. Files saved to: <code>${escapeHtml(res.outputDir)}</code></p>` +
+                `<ul class="text-gray-400 mt-2">${res.result.map(r => `<li>${escapeHtml(r.outPath)}</li>`).join('')}</ul>`;
             
         } catch (err) {
             console.error('Error exporting file:', err);
@@ -688,4 +2297,31 @@ document.addEventListener('DOMContentLoaded', () => {
             content.classList.toggle('collapsed');
         }
     });
+
+    // --- Alarm panels: start-time sort ---
+    outputDiv.addEventListener('click', (event) => {
+        const th = event.target.closest('th.alarm-sort');
+        if (!th) return;
+        const order = th.dataset.order === 'desc' ? 'asc' : 'desc';
+        th.dataset.order = order;
+        th.textContent = `Start Time ${order === 'desc' ? '▼' : '▲'}`;
+        const tbody = th.closest('table').querySelector('tbody');
+        const rows = [...tbody.rows].sort((a, b) => a.dataset.time.localeCompare(b.dataset.time) * (order === 'desc' ? -1 : 1));
+        rows.forEach(tr => tbody.appendChild(tr));
+    });
+
+    // --- Alarm panels: severity / text filter ---
+    outputDiv.addEventListener('input', (event) => {
+        if (!event.target.classList.contains('alarm-filter')) return;
+        applyAlarmFilter(event.target.closest('.alarm-panel'));
+    });
+
+    // --- Configuration Browser filter ---
+    outputDiv.addEventListener('input', (event) => {
+        if (event.target.id !== 'config-filter') return;
+        const q = event.target.value.trim().toLowerCase();
+        outputDiv.querySelectorAll('.cfg-stanza').forEach(el => {
+            el.style.display = !q || el.dataset.search.includes(q) ? '' : 'none';
+        });
+    });
 });
\ No newline at end of file
@@ -1,14 +1,69 @@
-// main.js - v14
+// main.js - v27
+// - `analyze:start` takes .zip / .gz / .tar.gz collection bundles (a file, or inside the folder), read
+//   in memory by the analyzer (archive_reader.js); the logs of one archive are merged by device in
+//   its worker, following `merge_devices`. `anonymize:logs` skips archives.
+// v26:
+// - Anonymized sharing (anonymizer.js): `export:excel` takes { anonymize }, `export:json` copies parsed
+//   JSONs to the output folder (anonymized on request), `anonymize:logs` writes anonymized raw logs;
+//   the mapping that restores the originals stays in userData/anonymizer_mapping.json
+//   (`anonymize:info` / `anonymize:showMapping`).
+// v25:
+// - `analyze:start` merges a device found in several files into one parsed JSON
+//   (analyzer.js `mergeResults`, model_merge.js) unless the `merge_devices` output setting is off.
+// v24:
+// - Output settings (output_manager.js) in userData/output_settings.json: output root, naming
+//   templates, collision handling and per-run subfolders, edited via `output:load` / `output:save`;
+//   `analyze:start` / `export:excel` / `export:diff` write there and return the real paths and `outputDir`.
+// v23:
+// - `report:load` / `report:save` build the customer report (report.js) from the renderer's
+//   device sections and save it as HTML or as PDF (`webContents.printToPDF` of a hidden window);
+//   the report template (logo, header text) is kept in userData/report_template.json.
+// v22:
+// - Every analyzed file adds a metrics snapshot to userData/history (history_store.js);
+//   `history:list` / `history:load` feed the device trend view.
+// v21:
+// - Parsed JSONs read for fleet / topology / diff are migrated to the current schema_version (model_schema.js).
+// v20:
+// - Parser plugins from userData/parsers (parser_registry.js) are passed to the analyzer;
+//   `parsers:list` / `parsers:openFolder` let the renderer show and manage them.
+// v19:
+// - `analyze:start` runs the analyzer in a worker-thread pool (analyzer_pool.js) and streams
+//   per-file `analyze:progress` events; `analyze:cancel` stops it. Results also list `failed` / `cancelled`.
+// v18:
+// - `topology:load` / `topology:export` (topology.js): device graph and GraphML / DOT export.
+// v17:
+// - `export:excel` gained mode 'fleet' (one consolidated workbook); `fleet:load` feeds the fleet view.
+// v16:
+// - `diff:start` compares two parsed JSONs (model_diff.js); `export:diff` writes the "Diff" workbook.
+// v15:
+// - Health profiles (profiles.js) are stored in userData/health_profiles.json, edited via
+//   `profiles:load` / `profiles:save`, and passed to the analyzer and Excel exporter.
+// v14:
 // - `analyze:start` now receives and forwards an array of { outputPath, deviceName } objects
 //   to the renderer as `analysisResults`.
 
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const profiles = require('./profiles');
+const historyStore = require('./history_store');
+const report = require('./report');
+const outputManager = require('./output_manager');
+const anonymizer = require('./anonymizer');
+const { migrateModel } = require('./model_schema');
 // Setup IPC handlers once
 let isIPCSetup = false;
 const settingsPath = path.join(app.getPath('userData'), 'last_paths.json');
+const profilesPath = path.join(app.getPath('userData'), profiles.PROFILES_FILE);
+const parsersDir = path.join(app.getPath('userData'), 'parsers'); // parser plugins (parser_registry.js)
+const historyDir = path.join(app.getPath('userData'), historyStore.HISTORY_DIR); // per-device snapshots (history_store.js)
+const reportTemplatePath = path.join(app.getPath('userData'), report.REPORT_TEMPLATE_FILE); // report logo / header text
+const outputSettingsPath = path.join(app.getPath('userData'), outputManager.OUTPUT_SETTINGS_FILE); // output root / naming
+const anonymizerMappingPath = path.join(app.getPath('userData'), anonymizer.MAPPING_FILE); // pseudonyms -> originals, never shared
 let lastPaths = {}; // Буфер для хранения путей в памяти
+let profileStore = profiles.normalizeStore(null); // Health profiles (thresholds, colours)
+let outputSettings = outputManager.normalizeSettings(null); // Output root, naming templates
+let currentAnalysis = null; // { promise, cancel } of the running analyzer_pool.js run
 
 /**
  * Загружает сохраненные пути из файла.
@@ -35,6 +90,128 @@ async function saveLastPaths() {
   }
 }
 
+/**
+ * Loads the health profile store from userData.
+ */
+async function loadProfiles() {
+  try {
+    const data = await fs.promises.readFile(profilesPath, 'utf8');
+    profileStore = profiles.normalizeStore(JSON.parse(data));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      console.log('Health profiles file not found, using defaults.');
+    } else {
+      console.error('Error loading health profiles:', error);
+    }
+    profileStore = profiles.normalizeStore(null);
+  }
+}
+
+async function saveProfiles() {
+  await fs.promises.writeFile(profilesPath, JSON.stringify(profileStore, null, 2), 'utf8');
+}
+
+/**
+ * Loads the output settings from userData; a missing file yields the defaults.
+ */
+async function loadOutputSettings() {
+  try {
+    outputSettings = outputManager.normalizeSettings(JSON.parse(await fs.promises.readFile(outputSettingsPath, 'utf8')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error loading output settings:', error);
+    outputSettings = outputManager.normalizeSettings(null);
+  }
+}
+
+/**
+ * Output options of one analysis / export run (a new run folder when `run_folder` is set).
+ * `template` is the settings key of the naming template ('json_name' | 'excel_name').
+ */
+function outputOptions(template) {
+  return {
+    outDir: outputManager.resolveRunDir(outputSettings),
+    nameTemplate: template ? outputSettings[template] : undefined,
+    collision: outputSettings.collision,
+    runStarted: Date.now() // an earlier output of the same name is replaced, not suffixed
+  };
+}
+
+/**
+ * Reads a parsed JSON file, migrated to the current schema_version.
+ */
+async function readParsedModel(file) {
+  return migrateModel(JSON.parse(await fs.promises.readFile(file, 'utf8')));
+}
+
+/**
+ * Reads parsed JSON files as [{ file, data }] entries (fleet / topology).
+ */
+async function readParsedEntries(jsonPaths) {
+  return Promise.all((jsonPaths || []).map(async (file) => ({ file, data: await readParsedModel(file) })));
+}
+
+/**
+ * Adds the snapshot of every analyzed file to the device history.
+ * A failure only skips that snapshot; the analysis result stays valid.
+ */
+async function recordHistory(results) {
+  for (const r of results) {
+    try {
+      const model = await readParsedModel(r.outputPath);
+      const criticalSeverities = profiles.resolveProfile(profileStore, model).alarms.critical_severities;
+      historyStore.recordSnapshot(historyDir, model, { sourceFile: r.file, parsedFile: r.outputPath, criticalSeverities });
+    } catch (err) {
+      console.error(`history: snapshot of ${r.outputPath} skipped:`, err);
+    }
+  }
+}
+
+/**
+ * Loads the report template; a missing file yields the defaults.
+ */
+async function loadReportTemplate() {
+  try {
+    return report.normalizeTemplate(JSON.parse(await fs.promises.readFile(reportTemplatePath, 'utf8')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error loading report template:', error);
+    return report.normalizeTemplate(null);
+  }
+}
+
+/**
+ * Reads the template logo as a data URL so the report stays a single file.
+ */
+async function readLogoDataUrl(logoPath) {
+  if (!logoPath) return null;
+  const mime = report.logoMimeType(logoPath);
+  if (!mime) throw new Error(`Unsupported logo format: ${path.basename(logoPath)} (use PNG, JPEG, SVG or GIF)`);
+  const data = await fs.promises.readFile(logoPath);
+  return `data:${mime};base64,${data.toString('base64')}`;
+}
+
+/**
+ * Prints an HTML document to PDF in a hidden window (offline, no scripts run).
+ */
+async function printHtmlToPdf(html) {
+  const tmpFile = path.join(app.getPath('temp'), `report_${process.pid}_${Date.now()}.html`);
+  await fs.promises.writeFile(tmpFile, html, 'utf8');
+  const win = new BrowserWindow({ show: false, webPreferences: { javascript: false, sandbox: true } });
+  try {
+    await win.loadFile(tmpFile);
+    return await win.webContents.printToPDF({
+      landscape: true,
+      pageSize: 'A4',
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: '<div style="font-size:8px;width:100%;text-align:center;color:#57606a"><span class="pageNumber"></span> / <span class="totalPages"></span></div>'
+    });
+  } finally {
+    win.destroy();
+    fs.promises.unlink(tmpFile).catch(() => {});
+  }
+}
+
 function setupIPC() {
     if (isIPCSetup) return;
     
@@ -76,40 +253,62 @@ function setupIPC() {
     await saveLastPaths();
     return selectedPath;
 });
-    // Handle analyzer start
+    // Handle analyzer start: files are analyzed in a worker pool (analyzer_pool.js),
+    // per-file progress is pushed to the renderer as 'analyze:progress' events
     ipcMain.handle('analyze:start', async (event,  mode, inputPath ) => {
         try {
-            // This will be an array of { outputPath, deviceName } objects
-            let analysisResults; 
-            
+            if (currentAnalysis) throw new Error("An analysis is already running.");
+
             const analyzer = require('./analyzer');
+            const { runAnalysis } = require('./analyzer_pool');
             console.log(`Running analyzer on: ${inputPath} in mode: ${mode}`); // Debug log
 
-            if (mode === '--file') {
-                // analyzeFile now returns a single { outputPath, deviceName } object
-                const analysisResult = await analyzer.analyzeFile(inputPath);
-                analysisResults = [analysisResult]; // Wrap in an array
-            } else {
-                // analyzeDirectory now returns an array of { outputPath, deviceName } objects
-                analysisResults = await analyzer.analyzeDirectory(inputPath);
+            const files = mode === '--file' ? [path.resolve(inputPath)] : analyzer.listLogFiles(inputPath);
+            const output = outputOptions('json_name');
+            currentAnalysis = runAnalysis(files, {
+                options: { profiles: profileStore, pluginDir: parsersDir, merge: outputSettings.merge_devices, ...output },
+                onProgress: (progress) => {
+                    if (!event.sender.isDestroyed()) event.sender.send('analyze:progress', progress);
+                }
+            });
+            // { results: [{ file, outputPath, deviceName }], failed: [{ file, error }], cancelled: [file] }
+            // (an archive log: `file` is "<archive>/<entry>", plus `archive` and `entry`)
+            let { results, failed, cancelled } = await currentAnalysis.promise;
+            // A device found in several files: its parsed JSONs are replaced by one merged model
+            if (outputSettings.merge_devices && results.length > 1) {
+                results = analyzer.mergeResults(results, { profiles: profileStore, ...output });
             }
 
-            console.log('Analyzer results:', analysisResults); // Debug log
+            console.log('Analyzer results:', results); // Debug log
+            await recordHistory(results);
 
-            if (!analysisResults || analysisResults.length === 0) {
-                 throw new Error("Analyzer finished but returned no valid output files.");
+            if (!results.length && !cancelled.length) {
+                 const reason = failed.length ? `: ${failed[0].error}` : "";
+                 throw new Error(`Analyzer finished but returned no valid output files${reason}`);
             }
 
             return { 
                 success: true, 
-                analysisResults: analysisResults // Pass the array of objects
+                outputDir: output.outDir,
+                analysisResults: results, // Array of { file, outputPath, deviceName } (+ files of a merged device)
+                failed,
+                cancelled
             };
         } catch (error) {
             console.error('analyze:start error', error);
             return { success: false, error: error.message };
+        } finally {
+            currentAnalysis = null;
         }
     });
 
+    // Cancel the running analysis (queued files are skipped, running workers terminated)
+    ipcMain.handle('analyze:cancel', async () => {
+        if (!currentAnalysis) return { success: false, error: "No analysis is running." };
+        currentAnalysis.cancel();
+        return { success: true };
+    });
+
     // Read arbitrary file (used by renderer to open JSON files)
     ipcMain.handle('file:read', async (event, filePath) => {
         try {
@@ -121,28 +320,339 @@ function setupIPC() {
         }
     });
 
-    // Handle Excel export
-    ipcMain.handle('export:excel', async (event, inputPath, mode) => {
+    // Handle Excel export; exportOptions.anonymize builds the workbooks from anonymized models
+    ipcMain.handle('export:excel', async (event, inputPath, mode, exportOptions = {}) => {
       try {
         const exportToExcel = require('./export_to_excel');
+        const options = { profiles: profileStore, ...outputOptions('excel_name') };
+        if (exportOptions.anonymize) options.anonymize = anonymizer.loadMapping(anonymizerMappingPath);
         let result; // This will be an array of result objects
         
-        if (mode === 'file') {
-          // exportOne returns a single { outDir, outPath } object
-          const exportResult = await exportToExcel.exportOne(inputPath);
-          result = [exportResult]; // Wrap in an array
-        } else {
-          // exportAll returns an array of { outDir, outPath } objects
-          result = await exportToExcel.exportAll(inputPath); 
+        try {
+          if (mode === 'file') {
+            // exportOne returns a single { outDir, outPath } object
+            const exportResult = await exportToExcel.exportOne(inputPath, options);
+            result = [exportResult]; // Wrap in an array
+          } else if (mode === 'fleet') {
+            // inputPath is a directory or an array of JSON paths; one workbook for all devices
+            const exportResult = await exportToExcel.exportFleet(inputPath, options);
+            result = [exportResult];
+          } else {
+            // exportAll returns an array of { outDir, outPath } objects
+            result = await exportToExcel.exportAll(inputPath, options); 
+          }
+        } finally {
+          // also when a later file fails: the workbooks already written use these pseudonyms
+          if (options.anonymize) anonymizer.saveMapping(anonymizerMappingPath, options.anonymize);
         }
         
-        return { success: true, result }; // result is always an array
+        return { success: true, outputDir: options.outDir, result }; // result is always an array
       } catch (err) {
         console.error('export:excel error', err);
         return { success: false, error: err.message };
       }
     });
 
+    // Copy parsed JSONs (a file, a folder or a list) to the output folder, anonymized on request
+    ipcMain.handle('export:json', async (event, inputPath, mode, exportOptions = {}) => {
+      try {
+        const { findParsedFilesRecursively } = require('./export_to_excel');
+        const files = Array.isArray(inputPath) ? inputPath : mode === 'file' ? [inputPath] : findParsedFilesRecursively(inputPath);
+        if (!files.length) throw new Error(`No .json files found in: ${inputPath}`);
+        const options = outputOptions();
+        if (exportOptions.anonymize) options.anonymize = anonymizer.loadMapping(anonymizerMappingPath);
+        const result = [];
+        try {
+          for (const file of files) result.push(anonymizer.exportJson(file, options));
+        } finally {
+          // also when a later file fails: the copies already written use these pseudonyms
+          if (options.anonymize) anonymizer.saveMapping(anonymizerMappingPath, options.anonymize);
+        }
+        return { success: true, outputDir: options.outDir, result };
+      } catch (err) {
+        console.error('export:json error', err);
+        return { success: false, error: err.message };
+      }
+    });
+
+    // Anonymized copies of raw logs (a file or a folder); their parsed models supply the names
+    // the text rules miss (LLDP neighbors, descriptions)
+    ipcMain.handle('anonymize:logs', async (event, inputPath, mode) => {
+      try {
+        const analyzer = require('./analyzer');
+        const { isArchive } = require('./archive_reader');
+        if (mode === 'file' && isArchive(inputPath)) throw new Error('Archives are not anonymized: extract the logs first.');
+        const files = mode === 'file' ? [inputPath] : analyzer.listLogFiles(inputPath).filter(f => !isArchive(f));
+        if (!files.length) throw new Error(`No .txt or .log files found in: ${inputPath}`);
+        const options = outputOptions();
+        const mapping = anonymizer.loadMapping(anonymizerMappingPath);
+        const result = [];
+        try {
+          for (const file of files) {
+            const models = await analyzer.parseDevicesStream(file, { quiet: true, pluginDir: parsersDir }).catch(() => []);
+            result.push(anonymizer.anonymizeLogFile(file, mapping, { ...options, models }));
+          }
+        } finally {
+          anonymizer.saveMapping(anonymizerMappingPath, mapping); // the logs already written use it
+        }
+        return { success: true, outputDir: options.outDir, result };
+      } catch (err) {
+        console.error('anonymize:logs error', err);
+        return { success: false, error: err.message };
+      }
+    });
+
+    // Anonymizer mapping: where it is kept and how many values it holds per kind
+    ipcMain.handle('anonymize:info', async () => {
+      try {
+        const exists = fs.existsSync(anonymizerMappingPath);
+        const stats = anonymizer.mappingStats(exists ? anonymizer.loadMapping(anonymizerMappingPath) : anonymizer.newMapping());
+        return { success: true, path: anonymizerMappingPath, exists, stats };
+      } catch (err) {
+        console.error('anonymize:info error', err);
+        return { success: false, error: err.message };
+      }
+    });
+
+    // Show the mapping file in the file manager (to back it up, or to restore shared files)
+    ipcMain.handle('anonymize:showMapping', async () => {
+      try {
+        if (!fs.existsSync(anonymizerMappingPath)) return { success: false, error: 'No mapping yet: anonymize something first.' };
+        shell.showItemInFolder(anonymizerMappingPath);
+        return { success: true, path: anonymizerMappingPath };
+      } catch (err) {
+        console.error('anonymize:showMapping error', err);
+        return { success: false, error: err.message };
+      }
+    });
+
+    // Fleet view: cross-device tables for a list of parsed JSON files
+    ipcMain.handle('fleet:load', async (event, jsonPaths) => {
+        try {
+            const { buildFleet } = require('./fleet');
+            return { success: true, fleet: buildFleet(await readParsedEntries(jsonPaths)) };
+        } catch (err) {
+            console.error('fleet:load error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Topology graph correlated across parsed JSON files
+    ipcMain.handle('topology:load', async (event, jsonPaths) => {
+        try {
+            const { buildTopology } = require('./topology');
+            return { success: true, topology: buildTopology(await readParsedEntries(jsonPaths)) };
+        } catch (err) {
+            console.error('topology:load error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Save the topology as GraphML or DOT ('graphml' | 'dot')
+    ipcMain.handle('topology:export', async (event, jsonPaths, format) => {
+        try {
+            const { buildTopology, toGraphML, toDot } = require('./topology');
+            const isDot = format === 'dot';
+            const { canceled, filePath } = await dialog.showSaveDialog({
+                defaultPath: path.join(lastPaths['topology'] || app.getPath('documents'), isDot ? 'topology.dot' : 'topology.graphml'),
+                filters: isDot ? [{ name: 'Graphviz DOT', extensions: ['dot', 'gv'] }] : [{ name: 'GraphML', extensions: ['graphml'] }]
+            });
+            if (canceled || !filePath) return { success: false, canceled: true };
+
+            const topo = buildTopology(await readParsedEntries(jsonPaths));
+            await fs.promises.writeFile(filePath, isDot ? toDot(topo) : toGraphML(topo), 'utf8');
+            lastPaths['topology'] = path.dirname(filePath);
+            await saveLastPaths();
+            return { success: true, outPath: filePath };
+        } catch (err) {
+            console.error('topology:export error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Compare two parsed JSON files (before / after)
+    ipcMain.handle('diff:start', async (event, leftPath, rightPath) => {
+        try {
+            const { diffModels } = require('./model_diff');
+            const [left, right] = await Promise.all([leftPath, rightPath].map(readParsedModel));
+            const diff = diffModels(left, right, { leftFile: path.basename(leftPath), rightFile: path.basename(rightPath) });
+            return { success: true, diff };
+        } catch (err) {
+            console.error('diff:start error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Export a diff of two parsed JSON files to Excel
+    ipcMain.handle('export:diff', async (event, leftPath, rightPath) => {
+        try {
+            const exportToExcel = require('./export_to_excel');
+            const options = outputOptions();
+            const result = await exportToExcel.exportDiff(leftPath, rightPath, options);
+            return { success: true, outputDir: options.outDir, result };
+        } catch (err) {
+            console.error('export:diff error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Health profiles: read the whole store
+    ipcMain.handle('profiles:load', async () => {
+        return { success: true, store: profileStore, path: profilesPath };
+    });
+
+    // Health profiles: validate and persist the whole store
+    ipcMain.handle('profiles:save', async (event, store) => {
+        try {
+            const errors = profiles.validateStore(store);
+            if (errors.length) return { success: false, error: errors.join('\n') };
+            profileStore = profiles.normalizeStore(store);
+            await saveProfiles();
+            return { success: true, store: profileStore };
+        } catch (err) {
+            console.error('profiles:save error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Output settings: the stored settings plus the folder used when no root is set
+    ipcMain.handle('output:load', async () => {
+        try {
+            return {
+                success: true,
+                settings: outputSettings,
+                defaultDir: outputManager.getOutputDir(),
+                fields: outputManager.TEMPLATE_FIELDS,
+                path: outputSettingsPath
+            };
+        } catch (err) {
+            console.error('output:load error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Output settings: validate and persist
+    ipcMain.handle('output:save', async (event, settings) => {
+        try {
+            const errors = outputManager.validateSettings(settings);
+            if (errors.length) return { success: false, error: errors.join('\n') };
+            outputSettings = outputManager.normalizeSettings(settings);
+            await fs.promises.writeFile(outputSettingsPath, JSON.stringify(outputSettings, null, 2), 'utf8');
+            return { success: true, settings: outputSettings };
+        } catch (err) {
+            console.error('output:save error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Open the output root in the file manager
+    ipcMain.handle('output:openFolder', async () => {
+        try {
+            const dir = outputSettings.root || outputManager.getOutputDir();
+            await fs.promises.mkdir(dir, { recursive: true });
+            const error = await shell.openPath(dir);
+            return error ? { success: false, error } : { success: true, dir };
+        } catch (err) {
+            console.error('output:openFolder error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Parser plugins found in userData/parsers (loaded and validated, nothing is parsed)
+    ipcMain.handle('parsers:list', async () => {
+        try {
+            const registry = require('./parser_registry');
+            const { loaded, errors } = registry.describePlugins(registry.loadPlugins(parsersDir));
+            return { success: true, dir: parsersDir, loaded, errors };
+        } catch (err) {
+            console.error('parsers:list error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Open the plugin folder in the file manager (created on first use)
+    ipcMain.handle('parsers:openFolder', async () => {
+        try {
+            await fs.promises.mkdir(parsersDir, { recursive: true });
+            const error = await shell.openPath(parsersDir);
+            return error ? { success: false, error } : { success: true, dir: parsersDir };
+        } catch (err) {
+            console.error('parsers:openFolder error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Customer report: parsed models of a file / folder (the renderer builds their sections)
+    ipcMain.handle('report:load', async (event, inputPath, mode) => {
+        try {
+            const { findParsedFilesRecursively } = require('./export_to_excel');
+            const files = mode === 'file' ? [inputPath] : findParsedFilesRecursively(inputPath);
+            if (!files.length) throw new Error(`No .json files found in: ${inputPath}`);
+            return { success: true, entries: await readParsedEntries(files), template: await loadReportTemplate(), templatePath: reportTemplatePath };
+        } catch (err) {
+            console.error('report:load error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Customer report: save the template, then write the report as 'html' | 'pdf'
+    // sections: [{ file, html }] from the renderer's makeMainHtml
+    ipcMain.handle('report:save', async (event, sections, format, template) => {
+        try {
+            const tpl = report.normalizeTemplate(template);
+            await fs.promises.writeFile(reportTemplatePath, JSON.stringify(tpl, null, 2), 'utf8');
+
+            const isPdf = format === 'pdf';
+            const name = `report_${new Date().toISOString().slice(0, 10)}.${isPdf ? 'pdf' : 'html'}`;
+            const { canceled, filePath } = await dialog.showSaveDialog({
+                defaultPath: path.join(lastPaths['report'] || app.getPath('documents'), name),
+                filters: isPdf ? [{ name: 'PDF', extensions: ['pdf'] }] : [{ name: 'HTML', extensions: ['html', 'htm'] }]
+            });
+            if (canceled || !filePath) return { success: false, canceled: true };
+
+            const models = await readParsedEntries(sections.map(s => s.file));
+            const devices = sections.map((s, i) => ({ ...models[i], html: s.html }));
+            const html = report.buildReportHtml(devices, {
+                template: tpl,
+                logoDataUrl: await readLogoDataUrl(tpl.logo),
+                profiles: profileStore
+            });
+            await fs.promises.writeFile(filePath, isPdf ? await printHtmlToPdf(html) : html, isPdf ? undefined : 'utf8');
+            lastPaths['report'] = path.dirname(filePath);
+            await saveLastPaths();
+            return { success: true, outPath: filePath };
+        } catch (err) {
+            console.error('report:save error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Devices with a metric history (history_store.js)
+    ipcMain.handle('history:list', async () => {
+        try {
+            return { success: true, dir: historyDir, devices: historyStore.listDevices(historyDir) };
+        } catch (err) {
+            console.error('history:list error', err);
+            return { success: false, error: err.message };
+        }
+    });
+
+    // Snapshots of one device with chart series and flagged changes
+    ipcMain.handle('history:load', async (event, key) => {
+        try {
+            const history = historyStore.loadDevice(historyDir, key);
+            if (!history) throw new Error(`No history for device ${key}`);
+            return {
+                success: true,
+                history,
+                series: historyStore.trendSeries(history.snapshots),
+                changes: historyStore.detectChanges(history.snapshots)
+            };
+        } catch (err) {
+            console.error('history:load error', err);
+            return { success: false, error: err.message };
+        }
+    });
 
     isIPCSetup = true;
 }
@@ -171,6 +681,8 @@ function createWindow () {
 }
 app.whenReady().then(async () => {
     await loadLastPaths();
+    await loadProfiles();
+    await loadOutputSettings();
     setupIPC();  // Setup IPC handlers first
     createWindow();
 });
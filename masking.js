@@ -0,0 +1,107 @@
+/**
+ * masking.js — Values masked in sanitized logs
+ * ----------------------------------------------------
+ * Customers often mask their logs before sending them: "172.***.***.***", "x.x.x.x",
+ * "****-****-****", "<masked>", or a whole name replaced by "******". A parser regex that
+ * expects digits silently drops such rows, so analyzer.js builds its address patterns with
+ * `maskAware`: `{IP}` in a regex stands for a plain or masked IPv4 address.
+ *   maskAware(/RouterID\s*:\s*({IP})/i)
+ * After parsing, `markMaskedRows` flags every table row holding a masked value
+ * (`masked: true`) and returns the `model.masking` summary:
+ *   { values, rows, sections: { "protocols.bfd.sessions": 3, "identity.router_id_public": 1, ... } }
+ * `values` counts the masked strings, `rows` the flagged rows; `sections` counts flagged rows
+ * per table and masked values per field outside tables. Raw text (config, raw sections) is
+ * not counted.
+ */
+
+const OCTET = String.raw`(?:\d{1,3}|\*+|[xX]{1,3})`;
+// A plain or masked IPv4 address (at least one octet of digits, stars or x), or "<masked>"
+const IPV4 = String.raw`(?:<masked>|${OCTET}(?:\.${OCTET}){3})`;
+
+const IPV4_REGEX = new RegExp(String.raw`^${OCTET}(?:\.${OCTET}){3}$`);
+const MASKED_MAC_REGEX = /^(?:[0-9a-f*]{4}[-.]){2}[0-9a-f*]{4}$|^(?:[0-9a-f*]{2}[-:]){5}[0-9a-f*]{2}$|^x{4}-x{4}-x{4}$/i;
+const MASK_CHAR_REGEX = /[*xX]/;
+
+// Model sections that hold raw text or derived data, not parsed values
+const SKIPPED_SECTIONS = ["config_text", "config_tree", "raw_sections", "coverage", "masking", "findings", "security", "sources"];
+
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const patternCache = new Map();
+
+/**
+ * A regex with every `{IP}` placeholder replaced by the plain-or-masked IPv4 pattern.
+ * Compiled once per source and flags.
+ * @param {RegExp} regex
+ * @returns {RegExp}
+ */
+function maskAware(regex) {
+  const key = `${regex.flags}/${regex.source}`;
+  if (!patternCache.has(key)) patternCache.set(key, new RegExp(regex.source.replace(/\{IP\}/g, IPV4), regex.flags));
+  const compiled = patternCache.get(key);
+  compiled.lastIndex = 0;
+  return compiled;
+}
+
+/**
+ * An IPv4 address, plain or masked ("10.1.1.1", "172.***.***.***", "x.x.x.x", "<masked>").
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isIpv4(value) {
+  const s = String(value ?? "").trim();
+  return s.toLowerCase() === "<masked>" || IPV4_REGEX.test(s);
+}
+
+/**
+ * A value that was masked before the log reached us: a masked address or MAC inside it,
+ * "<masked>", or a value made of stars only ("******").
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isMasked(value) {
+  if (typeof value !== "string" || !/[*<xX]/.test(value)) return false;
+  if (/<masked>/i.test(value) || /^\s*\*{3,}\s*$/.test(value)) return true;
+  return value.split(/[\s()\/,:]+/).some(token =>
+    MASK_CHAR_REGEX.test(token) && (IPV4_REGEX.test(token) || MASKED_MAC_REGEX.test(token)));
+}
+
+/**
+ * Flags the table rows (objects inside arrays) holding a masked value with `masked: true`
+ * and counts the masked values of the model.
+ * @param {object} model
+ * @returns {object} - { values, rows, sections }
+ */
+function markMaskedRows(model) {
+  const summary = { values: 0, rows: 0, sections: {} };
+  const count = (at) => { summary.sections[at] = (summary.sections[at] || 0) + 1; };
+
+  const walk = (value, at, isRow) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => walk(item, at, true));
+      return;
+    }
+    if (!isObj(value)) return;
+    let masked = 0;
+    for (const [key, v] of Object.entries(value)) {
+      if (!at && SKIPPED_SECTIONS.includes(key)) continue;
+      // a masked map key ("router_ids": { "***": ... }) counts on the map itself
+      const keyAt = isMasked(key) ? at : at ? `${at}.${key}` : key;
+      const n = (isMasked(key) ? 1 : 0) + (isMasked(v) ? 1 : 0);
+      if (n) {
+        summary.values += n;
+        masked += n;
+        if (!isRow) count(keyAt);
+      }
+      if (typeof v !== "string") walk(v, keyAt, false);
+    }
+    if (isRow && masked) {
+      value.masked = true;
+      summary.rows++;
+      count(at);
+    }
+  };
+  walk(model, "", false);
+  return summary;
+}
+
+module.exports = { IPV4, maskAware, isIpv4, isMasked, markMaskedRows };
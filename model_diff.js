@@ -0,0 +1,205 @@
+/**
+ * model_diff.js — Compare two parsed models (two devices or two snapshots)
+ * ----------------------------------------------------
+ * `diffModels(left, right)` compares the models section by section and
+ * returns:
+ *   {
+ *     left:  { device, file },  right: { device, file },
+ *     sections: [{ section, added: [key], removed: [key],
+ *                  changed: [{ key, fields: [{ field, before, after }] }] }],
+ *     config: { available, added, removed, hunks: [{ lines: [{ op, a, b, text }] }] }
+ *   }
+ * `op` is "=" (unchanged), "-" (only in left) or "+" (only in right);
+ * `a` / `b` are 1-based line numbers in the left / right config_text. Blank lines and
+ * trailing spaces are not compared, but the line numbers count them.
+ */
+
+// ---------- Section map ----------
+// [section, getter, key function, volatile fields ignored for "changed"]
+const SECTIONS = [
+  ["interfaces", (d) => d.interfaces, (x) => x.name, ["in_util", "out_util"]],
+  ["bgp_config_peers", (d) => d.protocols?.bgp?.config_peers, (x) => (x.vrf ? `${x.vrf} ${x.peer_ip}` : x.peer_ip), []],
+  ["vrfs", (d) => d.protocols?.vrfs, (x) => x.name, []],
+  ["static_routes", (d) => d.routing?.static, (x) => [x.vrf || "", x.prefix, x.mask, x.next_hop].join(" "), []],
+  ["licenses", (d) => d.licenses, (x) => x.item_name || x.sale_name, []],
+  ["alarms", (d) => d.alarms?.active, (x) => (x.sequence != null ? `#${x.sequence}` : x.alarm_id || x.description), []],
+  ["configured_alarms", (d) => d.alarms?.configured, (x) => x.name, ["line"]],
+  ["hardware_cards", (d) => d.hardware?.cards, (x) => `slot ${x.slot}`, []],
+];
+
+const CONTEXT_LINES = 3;     // unchanged lines kept around each hunk
+const MAX_EDIT_DISTANCE = 4000; // beyond this the line diff degrades to remove-all/add-all
+
+// ---------- Utils ----------
+const str = (v) => (v == null ? "" : typeof v === "object" ? JSON.stringify(v) : String(v));
+
+function deviceNameOf(d) {
+  return d?.identity?.sysname || d?.identity?.hostname || null;
+}
+
+// ---------- Section diff ----------
+function diffSection(leftItems, rightItems, keyFn, ignore) {
+  const index = (items) => {
+    const map = new Map();
+    for (const item of items || []) {
+      if (!item || typeof item !== "object") continue;
+      const key = keyFn(item);
+      if (key == null || key === "" || map.has(key)) continue; // first occurrence wins
+      map.set(key, item);
+    }
+    return map;
+  };
+  const L = index(leftItems);
+  const R = index(rightItems);
+  const added = [], removed = [], changed = [];
+
+  for (const key of L.keys()) if (!R.has(key)) removed.push(key);
+  for (const [key, after] of R) {
+    const before = L.get(key);
+    if (!before) { added.push(key); continue; }
+    const fields = [];
+    const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const field of names) {
+      if (ignore.includes(field)) continue;
+      if (str(before[field]) !== str(after[field])) {
+        fields.push({ field, before: before[field] ?? null, after: after[field] ?? null });
+      }
+    }
+    if (fields.length) changed.push({ key, fields });
+  }
+  return { added, removed, changed };
+}
+
+// ---------- Line diff (Myers O(ND)) ----------
+// The non-blank lines of the config and their line numbers in config_text
+function configLines(d) {
+  const txt = d?.config_text;
+  if (typeof txt !== "string") return null;
+  const texts = [], numbers = [];
+  txt.split(/\r?\n/).forEach((l, i) => {
+    const t = l.replace(/\s+$/, "");
+    if (!t) return;
+    texts.push(t);
+    numbers.push(i + 1);
+  });
+  return { texts, numbers };
+}
+
+/**
+ * Line-level diff of two string arrays.
+ * @returns {Array<object>} - [{ op, a, b, text }] in order.
+ */
+function diffLines(a, b) {
+  // Trim common prefix / suffix first: snapshots of one device differ in few places
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const out = [];
+  for (let i = 0; i < start; i++) out.push({ op: "=", a: i + 1, b: i + 1, text: a[i] });
+  out.push(...myers(a.slice(start, endA), b.slice(start, endB), start, start));
+  for (let i = 0; endA + i < a.length; i++) out.push({ op: "=", a: endA + i + 1, b: endB + i + 1, text: a[endA + i] });
+  return out;
+}
+
+function myers(a, b, offA, offB) {
+  const n = a.length, m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const off = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = n === 0 && m === 0;
+
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(off - d - 1, off + d + 2)); // snapshot of diagonals -d-1..d+1
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[off + k - 1] < v[off + k + 1]) ? v[off + k + 1] : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[off + k] = x;
+      if (x >= n && y >= m) { found = true; break; }
+    }
+  }
+
+  if (!found) {
+    // Too different: report as a full replacement
+    return [
+      ...a.map((text, i) => ({ op: "-", a: offA + i + 1, b: null, text })),
+      ...b.map((text, j) => ({ op: "+", a: null, b: offB + j + 1, text })),
+    ];
+  }
+
+  // Backtrack through the saved snapshots
+  const ops = [];
+  let x = n, y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snap = trace[d];
+    const at = (k) => snap[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { ops.push({ op: "=", a: offA + x, b: offB + y, text: a[x - 1] }); x--; y--; }
+    if (d === 0) break;
+    if (x === prevX) ops.push({ op: "+", a: null, b: offB + y, text: b[y - 1] });
+    else ops.push({ op: "-", a: offA + x, b: null, text: a[x - 1] });
+    x = prevX; y = prevY;
+  }
+  return ops.reverse();
+}
+
+// Groups changed lines into hunks with CONTEXT_LINES of unchanged context
+function toHunks(ops) {
+  const hunks = [];
+  let current = null, lastChange = -Infinity;
+  ops.forEach((o, i) => {
+    if (o.op === "=") return;
+    if (!current || i - lastChange > CONTEXT_LINES * 2) {
+      current = { start: Math.max(0, i - CONTEXT_LINES), end: i };
+      hunks.push(current);
+    }
+    current.end = i;
+    lastChange = i;
+  });
+  return hunks.map(h => ({ lines: ops.slice(h.start, Math.min(ops.length, h.end + CONTEXT_LINES + 1)) }));
+}
+
+function diffConfig(left, right) {
+  const a = configLines(left), b = configLines(right);
+  if (!a || !b) return { available: false, added: 0, removed: 0, hunks: [] };
+  // diffLines numbers the compared lines; report the lines of config_text
+  const ops = diffLines(a.texts, b.texts).map(o => ({
+    ...o,
+    a: o.a == null ? null : a.numbers[o.a - 1],
+    b: o.b == null ? null : b.numbers[o.b - 1],
+  }));
+  return {
+    available: true,
+    added: ops.filter(o => o.op === "+").length,
+    removed: ops.filter(o => o.op === "-").length,
+    hunks: toHunks(ops)
+  };
+}
+
+/**
+ * Compares two parsed models section by section plus their configuration text.
+ * @param {object} left - "Before" model.
+ * @param {object} right - "After" model.
+ * @param {object} [meta] - { leftFile, rightFile } recorded in the result.
+ * @returns {object} - Diff result (see header).
+ */
+function diffModels(left, right, meta = {}) {
+  const sections = SECTIONS.map(([section, get, keyFn, ignore]) => ({
+    section,
+    ...diffSection(get(left || {}), get(right || {}), keyFn, ignore)
+  }));
+  return {
+    left: { device: deviceNameOf(left), file: meta.leftFile || null },
+    right: { device: deviceNameOf(right), file: meta.rightFile || null },
+    sections,
+    config: diffConfig(left, right)
+  };
+}
+
+module.exports = { diffModels, diffLines, SECTIONS };
@@ -0,0 +1,333 @@
+/**
+ * model_merge.js — Merges the models of one device parsed from several input files
+ * ----------------------------------------------------
+ * A device is often collected in pieces (the config in one file, `display` outputs in
+ * another, a later session in a third). `mergeEntries(entries)` groups [{ file, data }]
+ * by device and merges each group into one model:
+ *   - same ESN (`identity.serial`), else a shared sysname / hostname (case-insensitive);
+ *     two different ESNs are never the same device. A name never matches when it is the
+ *     factory default ("HUAWEI", FACTORY_NAMES) or is carried by several ESNs: such a file
+ *     stays a device of its own, returned with `unmerged` (the reason)
+ *   - sources are ordered newest device clock (`display clock`) first, then by file path;
+ *     sources without a clock come last
+ *   - a scalar keeps the value of the first source that has one; a different value of a
+ *     later source is ignored and listed in `sources.conflicts`
+ *   - keyed collections (MERGE_KEYS: interfaces by name, BGP peers by VRF + peer, ...)
+ *     merge item by item with the same rule; other arrays are united without duplicates
+ *   - the config (config_text / config_tree / policies) is taken as a whole from the
+ *     first source that has one
+ *   - coverage is summed, raw_sections concatenated; findings, security, profile and the
+ *     masking summary are evaluated again on the merged model
+ * The merged model records its provenance in `sources`:
+ *   {
+ *     files: [file],                          // merge order
+ *     sections: { "identity.serial": [file], "interfaces": [file], "protocols.bgp": [file], ... },
+ *     conflicts: [{ path, kept, kept_file, ignored, ignored_file }]
+ *   }
+ * A device found in one file only is returned unchanged (no `sources`).
+ * Pure functions; reading and writing the files is done by analyzer.js.
+ */
+const { evaluateHealth } = require("./health_rules");
+const { auditSecurity } = require("./security_audit");
+const { resolveProfile } = require("./profiles");
+const { isMasked, markMaskedRows } = require("./masking");
+const { parseAlarmTime, alarmKey } = require("./alarms");
+const { SCHEMA_VERSION, COVERAGE_STATUSES } = require("./model_schema");
+
+// Collections merged item by item (path without indexes -> item key)
+// A masked field ("x.x.x.x") identifies nothing: such items are only united when identical
+const byFields = (...fields) => (item) =>
+  (item && item[fields[0]] != null && !fields.some(f => isMasked(item[f])) ? fields.map(f => item[f] ?? "").join("|") : null);
+const MERGE_KEYS = {
+  "identity.ssh_users": byFields("name"),
+  "ntp.servers": byFields("ip", "vpn_instance"),
+  "hardware.cards": byFields("slot"),
+  "hardware.pics": byFields("pic"),
+  "hardware.sfp": byFields("port"),
+  "interfaces": byFields("name"),
+  "protocols.vlans": byFields("id"),
+  "protocols.trunks.eth_trunks": byFields("id"),
+  "protocols.trunks.e_trunks": byFields("id"),
+  "protocols.lldp.neighbors": byFields("local_interface", "neighbor_device"),
+  "protocols.bgp.neighbors": byFields("neighbor"),
+  "protocols.bgp.config_peers": byFields("peer_ip", "vrf"),
+  "protocols.isis.processes": byFields("id"),
+  "protocols.vrfs": byFields("name"),
+  "protocols.mpls.ldp.sessions": byFields("peer_id", "vrf"),
+  "protocols.mpls.ldp.peers": byFields("peer_id", "vrf"),
+  "l2vpn.vsis": byFields("name"),
+  "routing.static": byFields("prefix", "mask", "next_hop", "vrf"),
+  "licenses": byFields("item_name"),
+  "alarms.active": alarmKey,
+  "alarms.history": alarmKey,
+};
+
+// Taken together from one source: the tree and policies are built from config_text
+const CONFIG_KEYS = ["config_text", "config_tree", "policies"];
+// Rebuilt after the merge instead of merged
+const DERIVED_KEYS = ["schema_version", "analyzer_version", "findings", "security", "profile", "coverage", "masking", "raw_sections", "sources"];
+// Sections recorded per sub-key in `sources.sections`
+const NESTED_SECTIONS = ["identity", "software", "ntp", "resources", "hardware", "protocols", "l2vpn", "routing", "alarms"];
+
+// ---------- Utils ----------
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const clone = (v) => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const lower = (s) => String(s || "").trim().toLowerCase();
+const join = (at, key) => (at ? `${at}.${key}` : key);
+// "interfaces[GE0/0/1].ip" -> "interfaces.ip"
+const keyPath = (at) => at.replace(/\[[^\]]*\]/g, "");
+// "a.b[k].c" -> "a.b[k]" -> "a.b"
+const parentPath = (at) => at.replace(/(\[[^\]]*\]|\.[^.[\]]+|^[^.[\]]+)$/, "");
+
+function isEmpty(v) {
+  if (v == null || v === "") return true;
+  if (Array.isArray(v)) return v.length === 0;
+  if (isObj(v)) return Object.values(v).every(isEmpty);
+  return false;
+}
+
+// ---------- Grouping ----------
+// sysnames of unconfigured devices: shared by unrelated boxes
+const FACTORY_NAMES = ["huawei"];
+
+/**
+ * Identity keys of a model.
+ * @param {object} model
+ * @returns {object} - { esn, names: [lowercase sysname / hostname] }
+ */
+function deviceKeys(model) {
+  const id = model?.identity || {};
+  return {
+    esn: id.serial ? String(id.serial).trim().toUpperCase() : null,
+    names: [...new Set([id.sysname, id.hostname].map(lower).filter(Boolean))],
+  };
+}
+
+// Why a name cannot tell devices apart, or null
+function ambiguousName(name, esnsByName) {
+  if (FACTORY_NAMES.includes(name)) return `"${name.toUpperCase()}" is the factory default name`;
+  const esns = esnsByName.get(name);
+  return esns && esns.size > 1 ? `"${name}" is the name of ${esns.size} devices with different ESNs` : null;
+}
+
+/**
+ * Groups entries by device, with the reason a device known by name only was not merged.
+ * Entries with an ESN are placed first, so an entry known only by name joins the ESN group
+ * of that name; entries without ESN and usable name stay alone.
+ * @param {Array<object>} entries - [{ file, data }]
+ * @returns {Array<object>} - [{ entries, unmerged }] in the order of their first entry.
+ */
+function groupDevices(entries) {
+  const keyed = entries.map((entry, index) => ({ entry, index, ...deviceKeys(entry.data) }));
+  const esnsByName = new Map();
+  const filesByName = new Map();
+  keyed.forEach(k => k.names.forEach(n => filesByName.set(n, (filesByName.get(n) || 0) + 1)));
+  for (const k of keyed.filter(k => k.esn)) {
+    k.names.forEach(n => esnsByName.set(n, (esnsByName.get(n) || new Set()).add(k.esn)));
+  }
+  const ordered = [...keyed.filter(k => k.esn), ...keyed.filter(k => !k.esn)];
+  const groups = [];
+  for (const k of ordered) {
+    // reported only when another file carries the name
+    const reasons = k.names.filter(n => filesByName.get(n) > 1).map(n => ambiguousName(n, esnsByName)).filter(Boolean);
+    const names = k.names.filter(n => !ambiguousName(n, esnsByName));
+    const group = (k.esn || names.length) && groups.find(g => (k.esn && g.esn === k.esn)
+      || (!(k.esn && g.esn) && names.some(n => g.names.has(n))));
+    if (group) {
+      group.members.push(k);
+      if (!group.esn) group.esn = k.esn;
+      names.forEach(n => group.names.add(n));
+    } else {
+      groups.push({ esn: k.esn, names: new Set(names), members: [k], unmerged: !k.esn && reasons.length ? reasons.join("; ") : null });
+    }
+  }
+  return groups
+    .map(g => ({ members: g.members.sort((a, b) => a.index - b.index), unmerged: g.members.length === 1 ? g.unmerged : null }))
+    .sort((a, b) => a.members[0].index - b.members[0].index)
+    .map(g => ({ entries: g.members.map(m => m.entry), unmerged: g.unmerged }));
+}
+
+/**
+ * Groups entries by device (see `groupDevices`).
+ * @param {Array<object>} entries - [{ file, data }]
+ * @returns {Array<Array<object>>} - Groups in the order of their first entry.
+ */
+function groupEntries(entries) {
+  return groupDevices(entries).map(g => g.entries);
+}
+
+// Newest device clock first, then file path (input order breaks the remaining ties)
+function orderSources(entries) {
+  const clock = (e) => parseAlarmTime(e.data?.identity?.current_time)?.iso || "";
+  return entries
+    .map((entry, index) => ({ entry, index, clock: clock(entry), file: String(entry.file || "") }))
+    .sort((a, b) => (a.clock === b.clock ? 0 : !a.clock ? 1 : !b.clock ? -1 : a.clock < b.clock ? 1 : -1)
+      || (a.file < b.file ? -1 : a.file > b.file ? 1 : 0)
+      || a.index - b.index)
+    .map(s => s.entry);
+}
+
+// ---------- Merging ----------
+// The file the kept value at `at` came from (nearest recorded parent)
+function originOf(ctx, at) {
+  for (let p = at; p; p = parentPath(p)) {
+    if (ctx.origin.has(p)) return ctx.origin.get(p);
+  }
+  return ctx.primary;
+}
+
+function mergeValue(kept, value, at, file, ctx) {
+  if (isEmpty(value)) return kept;
+  if (isEmpty(kept)) {
+    ctx.origin.set(at, file);
+    return clone(value);
+  }
+  if (Array.isArray(kept) && Array.isArray(value)) return mergeArray(kept, value, at, file, ctx);
+  if (isObj(kept) && isObj(value)) {
+    for (const key of Object.keys(value)) kept[key] = mergeValue(kept[key], value[key], join(at, key), file, ctx);
+    return kept;
+  }
+  if (!same(kept, value)) {
+    ctx.conflicts.push({ path: at, kept, kept_file: originOf(ctx, at), ignored: value, ignored_file: file });
+  }
+  return kept;
+}
+
+function mergeArray(kept, value, at, file, ctx) {
+  const keyOf = MERGE_KEYS[keyPath(at)];
+  for (const item of value) {
+    const key = keyOf ? keyOf(item) : null;
+    const i = key == null ? -1 : kept.findIndex(k => keyOf(k) === key);
+    if (i >= 0) {
+      kept[i] = mergeValue(kept[i], item, `${at}[${key}]`, file, ctx);
+    } else if (!kept.some(k => same(k, item))) {
+      if (key != null) ctx.origin.set(`${at}[${key}]`, file);
+      kept.push(clone(item));
+    }
+  }
+  return kept;
+}
+
+// Counts summed; per command the blocks summed and the worst status kept
+function mergeCoverage(sources) {
+  const cov = { blocks: 0, parsed: 0, error: 0, unhandled: 0, empty: 0, ignored: 0, ratio: null, commands: [] };
+  for (const src of sources) {
+    const c = src.data.coverage;
+    if (!c) continue;
+    for (const k of ["blocks", "parsed", "error", "unhandled", "empty", "ignored"]) cov[k] += c[k] || 0;
+    for (const cmd of c.commands || []) {
+      const entry = cov.commands.find(e => e.key === cmd.key);
+      if (!entry) {
+        cov.commands.push({ ...cmd });
+        continue;
+      }
+      entry.blocks += cmd.blocks;
+      if (COVERAGE_STATUSES.indexOf(cmd.status) < COVERAGE_STATUSES.indexOf(entry.status)) entry.status = cmd.status;
+      if (cmd.error && !entry.error) entry.error = cmd.error;
+    }
+  }
+  const relevant = cov.blocks - cov.empty - cov.ignored;
+  cov.ratio = relevant > 0 ? Math.round((cov.parsed / relevant) * 1000) / 1000 : null;
+  return cov;
+}
+
+function mergeRawSections(sources) {
+  const raw = {};
+  for (const src of sources) {
+    for (const [key, items] of Object.entries(src.data.raw_sections || {})) raw[key] = [...(raw[key] || []), ...items];
+  }
+  return raw;
+}
+
+// { "identity.serial": [file], "interfaces": [file], ... }: the files that filled each section
+function sectionSources(sources, configFile) {
+  const sections = {};
+  const add = (section, file) => {
+    if (!sections[section]) sections[section] = [];
+    if (!sections[section].includes(file)) sections[section].push(file);
+  };
+  for (const src of sources) {
+    for (const [key, value] of Object.entries(src.data)) {
+      if (DERIVED_KEYS.includes(key) || CONFIG_KEYS.includes(key)) continue;
+      if (NESTED_SECTIONS.includes(key) && isObj(value)) {
+        for (const [sub, v] of Object.entries(value)) if (!isEmpty(v)) add(`${key}.${sub}`, src.file);
+      } else if (!isEmpty(value)) {
+        add(key, src.file);
+      }
+    }
+  }
+  if (configFile) CONFIG_KEYS.forEach(key => add(key, configFile));
+  return Object.fromEntries(Object.entries(sections).sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+/**
+ * Merges the models of one device (see the header for the rules).
+ * @param {Array<object>} entries - [{ file, data }] of the same device.
+ * @param {object} [options] - { profiles } for the findings of the merged model.
+ * @returns {object} - The merged model, with `sources`.
+ */
+function mergeModels(entries, options = {}) {
+  const sources = orderSources(entries);
+  const files = sources.map(s => s.file);
+  const ctx = { primary: files[0], origin: new Map(), conflicts: [] };
+
+  let model = {};
+  for (const src of sources) {
+    for (const [key, value] of Object.entries(src.data)) {
+      if (DERIVED_KEYS.includes(key) || CONFIG_KEYS.includes(key)) continue;
+      model[key] = key in model ? mergeValue(model[key], value, key, src.file, ctx) : clone(value);
+    }
+  }
+
+  // --- CONFIG (one source) ---
+  const withConfig = sources.filter(s => s.data.config_text);
+  const config = withConfig[0] || sources[0];
+  for (const key of CONFIG_KEYS) model[key] = clone(config.data[key] ?? null);
+  for (const other of withConfig.slice(1)) {
+    if (other.data.config_text !== config.data.config_text) {
+      ctx.conflicts.push({ path: "config_text", kept: null, kept_file: config.file, ignored: null, ignored_file: other.file });
+    }
+  }
+
+  model.schema_version = SCHEMA_VERSION;
+  model.analyzer_version = sources[0].data.analyzer_version ?? null;
+  model.raw_sections = mergeRawSections(sources);
+  model.coverage = mergeCoverage(sources);
+  model.masking = markMaskedRows(model);
+  // Keys in the order of a parsed model
+  const order = [...Object.keys(sources[0].data), ...Object.keys(model)];
+  model = Object.fromEntries([...new Set(order)].filter(key => key in model).map(key => [key, model[key]]));
+
+  // --- HEALTH CHECKS / SECURITY AUDIT (as analyzer.js `finishModel`) ---
+  const profile = resolveProfile(options.profiles, model);
+  model.profile = profile.name;
+  model.findings = evaluateHealth(model, profile.thresholds);
+  model.security = auditSecurity(model);
+
+  model.sources = {
+    files,
+    sections: sectionSources(sources, withConfig.length ? config.file : null),
+    conflicts: ctx.conflicts,
+  };
+  return model;
+}
+
+/**
+ * Groups entries by device and merges every group of several files.
+ * @param {Array<object>} entries - [{ file, data, ... }]
+ * @param {object} [options] - Passed to `mergeModels`.
+ * @returns {Array<object>} - One entry per device: a single-file device as given (+ `unmerged`,
+ *   the reason, when its name alone could not identify it); a merged one as its first source
+ *   entry with `files` (merge order), `parts` (the merged entries) and the merged `data`.
+ */
+function mergeEntries(entries, options = {}) {
+  return groupDevices(entries).map(({ entries: group, unmerged }) => {
+    if (group.length === 1) return unmerged ? { ...group[0], unmerged } : group[0];
+    const data = mergeModels(group, options);
+    const first = group.find(e => e.file === data.sources.files[0]) || group[0];
+    return { ...first, files: data.sources.files, parts: group, data };
+  });
+}
+
+module.exports = { MERGE_KEYS, deviceKeys, groupEntries, mergeModels, mergeEntries };
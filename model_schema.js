@@ -0,0 +1,288 @@
+/**
+ * model_schema.js — JSON Schema, versioning and migrations of the parsed model
+ * ----------------------------------------------------
+ * Every parsed_*.json written by analyzer.js is stamped with
+ *   schema_version    // SCHEMA_VERSION of the model layout (files without it are version 0)
+ *   analyzer_version  // the analyzer that wrote it (informational)
+ * and validated against model.schema.json (draft-07) before it is written.
+ * `migrateModel` upgrades a model read from disk to SCHEMA_VERSION, one step
+ * per entry of `MIGRATIONS`, so older files still open in the UI and export
+ * after the layout changes. Changing the layout means:
+ *   1. bump SCHEMA_VERSION and update `newModel` and model.schema.json,
+ *   2. add a `MIGRATIONS[<old version>]` step that upgrades the old layout, and a model
+ *      in that layout as test/fixtures/parsed_v<old version>.json (test/golden.js migrates it),
+ *   3. regenerate the goldens (npm run test:update) and review the diff.
+ * Pure functions apart from `readModel`; the validator supports the subset of
+ * JSON Schema used by model.schema.json (type, enum, pattern, required, properties,
+ * additionalProperties, items, minimum, maximum, $ref to #/definitions).
+ */
+const fs = require("fs");
+const SCHEMA = require("./model.schema.json");
+const { normalizeAlarm, normalizeSeverity, addAlarm } = require("./alarms");
+
+const SCHEMA_VERSION = 2;
+const MAX_ERRORS = 50;
+// `coverage.commands[].status`, worst first: a command is reported with the worst status of
+// its blocks (analyzer.js `recordCoverage`, model_merge.js `mergeCoverage`)
+const COVERAGE_STATUSES = ["error", "unhandled", "parsed", "empty", "ignored"];
+
+// ---------- Model ----------
+/**
+ * An empty model of the current schema version (filled by analyzer.js).
+ * @param {string} [analyzerVersion] - Version of the analyzer that fills it.
+ * @returns {object}
+ */
+function newModel(analyzerVersion = null) {
+  return {
+    schema_version: SCHEMA_VERSION,
+    analyzer_version: analyzerVersion, // analyzer.js ANALYZER_VERSION, e.g. "v26"
+
+    identity: {
+      hostname: null,
+      sysname: null,
+      model: null,               // e.g., "NetEngine 8000 M4"
+      version: null,             // software version (pure)
+      serial: null,              // ESN
+      lsr_id: null,
+      router_id_public: null,    // LoopBack0/public
+      router_ids: {},            // { vrfName: routerId }
+      timezone: null,            // full TZ string (e.g., "Europe/Kiev add 02:00:00")
+      current_time: null,        // parsed from display clock
+      patch_status: null,        // "none" or exact phrase ("Info: No patch exists.")
+      config_saved: null,        // saved-configuration path/time if present
+      ssh_users: [],             // [{ name, auth_type, service_type, rsa_key }]
+      password_warnings: [],     // login banner, e.g. "The initial password poses security risks."
+      mac_addrs: { chassis: null, base: null }
+    },
+    software: { version: null, uptime: null },
+
+    ntp: { state: null, stratum: null, servers: [] }, // servers: [{ ip, vpn_instance }]
+
+    resources: {
+      cpu: [],         // [{ avg,max,ts,per_service:[{name,pct}] }]
+      memory: [],      // [{ used_mb,total_mb,free_mb,phys_total_mb,cache_mb,usage_pct }]
+      disk: [],        // [{ source,total_kb,free_kb,used_kb }]
+      power: [],       // [{ slot,input_voltage_v,input_current_a,total_power_w }]
+      temperature: [], // [{ pcb,slot,status,temp_c }]
+      fan: []          // [{ status, speeds: [{id,speed_percent}] }]
+    },
+
+    hardware: {
+      cards: [],       // [{ slot,type,online,register,status,role }]
+      pics: [],        // [{ pic,status,type,port_count,init_result,logic_down }]
+      elabels: [],     // [{ scope,slot,manufacturer,part_number,barcode,item,description,model }]
+      sfp: []          // [{ port,status,type,rx_dbm,tx_dbm,wavelength_nm,vendor_pn }]
+    },
+
+    interfaces: [],     // [{ name,status,protocol,ip,mask,ipv6,vpn_instance,bandwidth_mbps,duplex,description,rx_dbm,tx_dbm }]
+
+    protocols: {
+      mac: [],         // [{ vlan,mac,interface,type }]
+      arp: [],         // [{ ip,mac,interface,expire,type,vpn }]
+      vlans: [],       // [{ id,name,type,vxlan_vni,members:[] }]
+      trunks: { eth_trunks: [], e_trunks: [] }, // [{ type:'Eth-Trunk|E-Trunk|LACP',id,mode,state,members:[], ...}]
+      lldp: { enabled: null, neighbors: [] }, // neighbors: [{ local_interface, neighbor_device, neighbor_interface, chassis_id, mgmt_ip, exptime }]
+      vrrp: { enabled: null, groups: [] },
+      bfd: { sessions: [], config: {}, reflector: {} },
+      ospf: { neighbors: [], areas: [], router_ids: {} },
+      isis: { neighbors: [], areas: [], processes: [] }, // neighbors: [{ process,system_id,interface,circuit_id,state,hold_time,level,priority }]; processes: [{ id, network_entity, is_level }]
+      bgp: { neighbors: [], vpnv4: [], vpnv6: [], evpn_peers: [], config_peers: [] }, // config_peers: [{ peer_ip, local_as, peer_as, vrf, description, bfd, group, import_policies, export_policies }]
+      vrfs: [],        // [{ name, af:['ipv4','ipv6'], router_id, rd }]
+      mpls: {
+        // ldp.sessions: [{ vrf,peer_id,state,lam,role,uptime,ka_sent_rcv }]; ldp.peers: [{ vrf,peer_id,transport_address,discovery_source }]
+        ldp: { sessions: [], peers: [], lsp_stats: { total: null, ingress: null, transit: null, egress: null } },
+        te: {},
+        sr: { srgb: null, srlb: null, lsp_stats: { srbe: null } }
+      },
+      evpn: { instances: [] }, // instances: [{ vpn_instance, evi, vni }]
+      vxlan: { vnis: [] } // vnis: [{ vni, bd, peer_ip, iface, state }]
+    },
+
+    l2vpn: {
+      vcs: [],         // [{ type:'ldp'|'static',vc_id,peer,interface,ac_state,vc_state,session_state,encapsulation,local_label,remote_label,mtu,up_time }]
+      vsis: [],        // [{ name,state,signaling,encapsulation,mtu,pws:[{ peer,vc_id,state,local_label,remote_label }],acs:[{ interface,state }] }]
+      pw_aps: []       // [{ id,state,working_pw,protect_pw,active_pw,fields:{} }]
+    },
+
+    // route_policies / ip_prefixes / community_filters / acls / references / cross_ref (see policies.js)
+    policies: { route_policies: [], ip_prefixes: [], community_filters: [], acls: [], references: [], cross_ref: { undefined: [], unused: [] } },
+
+    routing: {
+      table_summary: [], // [{ vrf,total_routes,summary_prefixes:[{proto, total, active,...}] }]
+      static: []         // [{ vrf,prefix,mask,next_hop,iface,preference,description }]
+    },
+
+    licenses: [],        // [{ sale_name,item_name,control_value,used_value,description }]
+    alarms: {            // normalized records, see alarms.js
+      active: [],        // [{ sequence,alarm_id,name,type,severity,state,start_time,end_time,time_text,description }]
+      history: [],       // same records, from `display alarm all` / `display alarm history`
+      configured: []     // [{ name,severity,line }] from the `alarm` view of the config
+    },
+    findings: [],        // [{ severity,rule_id,object,message }] from health_rules.js
+    security: { score: null, findings: [] }, // findings: [{ severity,check_id,object,message,recommendation,line }] from security_audit.js
+    profile: null,       // name of the health profile the findings were evaluated with
+    config_text: null,   // raw `display current-configuration` text (line-level diffs)
+    config_tree: null,   // { text, line, children } stanza tree of config_text (config_tree.js)
+    plugins: { loaded: [], errors: [] }, // parser plugins of the run (parser_registry.js `describePlugins`)
+    raw_sections: {},    // { normalizedCmd: [ {raw, error?} ] } for diagnostics
+    coverage: {          // which commands the parsers understood (see `recordCoverage`)
+      blocks: 0, parsed: 0, error: 0, unhandled: 0, empty: 0,
+      ignored: 0,        // mode / file commands (`system`, `dir cfcard:`): not display commands
+      ratio: null,       // parsed / (blocks - empty - ignored), null when nothing was detected
+      commands: []       // [{ command,key,status,blocks,error }]
+    },
+    masking: { values: 0, rows: 0, sections: {} } // values masked in a sanitized log, see masking.js `markMaskedRows`
+  };
+}
+
+// ---------- Validation ----------
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number" && Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+function typeMatches(v, type) {
+  const t = typeOf(v);
+  return [].concat(type).some(want => want === t || (want === "number" && t === "integer"));
+}
+
+function resolveRef(schema) {
+  if (!schema.$ref) return schema;
+  const m = schema.$ref.match(/^#\/definitions\/(.+)$/);
+  if (!m || !SCHEMA.definitions[m[1]]) throw new Error(`Unsupported $ref: ${schema.$ref}`);
+  return SCHEMA.definitions[m[1]];
+}
+
+function check(v, schema, at, errors) {
+  if (errors.length >= MAX_ERRORS) return;
+  const s = resolveRef(schema);
+  const label = at || "(root)";
+  if (s.type && !typeMatches(v, s.type)) {
+    errors.push(`${label}: expected ${[].concat(s.type).join(" or ")}, got ${typeOf(v)}`);
+    return;
+  }
+  if (s.enum && !s.enum.includes(v)) errors.push(`${label}: ${JSON.stringify(v)} is not one of ${s.enum.join(", ")}`);
+  if (s.pattern && typeof v === "string" && !new RegExp(s.pattern).test(v)) errors.push(`${label}: ${JSON.stringify(v)} does not match ${s.pattern}`);
+  if (typeof v === "number") {
+    if (s.minimum != null && v < s.minimum) errors.push(`${label}: ${v} is below ${s.minimum}`);
+    if (s.maximum != null && v > s.maximum) errors.push(`${label}: ${v} is above ${s.maximum}`);
+  }
+  if (isObj(v)) {
+    for (const key of s.required || []) {
+      if (!(key in v)) errors.push(`${at ? `${at}.` : ""}${key}: missing`);
+    }
+    for (const [key, value] of Object.entries(v)) {
+      const p = at ? `${at}.${key}` : key;
+      if (s.properties && s.properties[key]) check(value, s.properties[key], p, errors);
+      else if (s.additionalProperties === false) errors.push(`${p}: unexpected property`);
+      else if (isObj(s.additionalProperties)) check(value, s.additionalProperties, p, errors);
+    }
+  }
+  if (Array.isArray(v) && s.items) v.forEach((item, i) => check(item, s.items, `${at}[${i}]`, errors));
+}
+
+/**
+ * Validates a model against model.schema.json.
+ * @param {object} model
+ * @returns {Array<string>} - Problems found, "path: message" (empty when valid; at most 50).
+ */
+function validateModel(model) {
+  const errors = [];
+  check(model, SCHEMA, "", errors);
+  return errors;
+}
+
+// ---------- Migrations ----------
+// Fills keys missing in `target` from `defaults`, recursing into plain objects
+function fillDefaults(target, defaults) {
+  for (const [key, value] of Object.entries(defaults)) {
+    if (target[key] === undefined) target[key] = value;
+    else if (isObj(target[key]) && isObj(value)) fillDefaults(target[key], value);
+  }
+  return target;
+}
+
+// Sections whose absence means "not computed": consumers evaluate them on the fly
+const COMPUTED_SECTIONS = ["findings", "security", "coverage", "masking"];
+
+// MIGRATIONS[n] upgrades a version n model to version n + 1 (in place)
+const MIGRATIONS = {
+  // 0 -> 1: unversioned files written before the schema existed
+  0(data) {
+    // early exports wrapped the model: { data: { identity, interfaces, ... } }
+    let model = data;
+    if (isObj(data.data) && !data.identity && (data.data.identity || data.data.interfaces)) model = data.data;
+    // alarms once had only `level`
+    for (const a of Array.isArray(model.alarms) ? model.alarms : []) {
+      if (isObj(a) && a.severity == null && a.level != null) a.severity = a.level;
+    }
+    // sections added since (l2vpn, policies, plugins, mpls.ldp, ...)
+    const defaults = newModel();
+    for (const key of COMPUTED_SECTIONS) delete defaults[key];
+    delete defaults.schema_version;
+    delete defaults.analyzer_version;
+    return fillDefaults(model, defaults);
+  },
+
+  // 1 -> 2: one `alarms` array (table / verbose / "Configured" records) -> { active, history, configured }
+  1(model) {
+    const alarms = { active: [], history: [], configured: [] };
+    for (const a of Array.isArray(model.alarms) ? model.alarms : []) {
+      if (!isObj(a)) continue;
+      if (/^configured$/i.test(a.state || "")) {
+        const name = a.name || a.description || null;
+        if (!alarms.configured.some(c => c.name === name)) alarms.configured.push({ name, severity: normalizeSeverity(a.severity || a.level), line: null });
+        continue;
+      }
+      // table rows ({ level, date, time }) came from `display alarm all`, whose first column is a row index
+      const fromTable = "date" in a && !("alarm_id" in a);
+      const list = fromTable || /^(cleared|history)$/i.test(a.state || "") ? alarms.history : alarms.active;
+      addAlarm(list, normalizeAlarm({
+        ...a,
+        sequence: fromTable ? null : a.sequence,
+        state: fromTable ? null : a.state,
+        time_text: a.start_time || [a.date, a.time].filter(Boolean).join(" "),
+      }));
+    }
+    model.alarms = isObj(model.alarms) ? fillDefaults(model.alarms, alarms) : alarms;
+    return model;
+  },
+};
+
+/**
+ * Upgrades a model read from disk to SCHEMA_VERSION.
+ * A model from a newer analyzer is returned unchanged (with a warning).
+ * @param {object} data - Parsed JSON.
+ * @returns {object} - The migrated model (`data` itself, modified in place, unless unwrapped).
+ */
+function migrateModel(data) {
+  if (!isObj(data)) throw new Error("Not a parsed model (expected a JSON object)");
+  let version = Number.isInteger(data.schema_version) ? data.schema_version : 0;
+  if (version > SCHEMA_VERSION) {
+    console.warn(`Model schema_version ${version} is newer than ${SCHEMA_VERSION}; some sections may be missing in this version`);
+    return data;
+  }
+  let model = data;
+  while (version < SCHEMA_VERSION) {
+    model = MIGRATIONS[version](model);
+    version++;
+    model.schema_version = version;
+  }
+  if (model.analyzer_version === undefined) model.analyzer_version = null;
+  return model;
+}
+
+/**
+ * Reads a parsed_*.json file and migrates it to SCHEMA_VERSION.
+ * @param {string} file
+ * @returns {object}
+ */
+function readModel(file) {
+  return migrateModel(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+module.exports = { SCHEMA, SCHEMA_VERSION, COVERAGE_STATUSES, MIGRATIONS, newModel, validateModel, migrateModel, readModel };
@@ -0,0 +1,300 @@
+/**
+ * output_manager.js — Output folder and file naming of parsed JSONs / workbooks
+ * ----------------------------------------------------
+ * Settings live in userData as `output_settings.json` (next to `last_paths.json`):
+ *   {
+ *     root: "<folder>" | null,      // null: output/ next to the app (APPDATA / HOME fallback)
+ *     json_name: "parsed_{input}",  // naming template of parsed JSONs (no extension)
+ *     excel_name: "{input}",        // naming template of per-device workbooks
+ *     collision: "suffix" | "overwrite",
+ *     run_folder: false,            // one run_<YYYYMMDD_HHMMSS> subfolder per analysis / export
+ *     merge_devices: true           // one model per device found in several files (model_merge.js)
+ *   }
+ * Template fields (TEMPLATE_FIELDS): {input} input file name without extension, {device}
+ * (sysname, else hostname, else input), {sysname}, {hostname}, {esn}, {model}, and {date} /
+ * {time} of the device clock (`display clock`), else of the run. Empty fields are dropped
+ * with their separator: "{sysname}_{esn}_{date}" without ESN gives "R1_2025-01-31".
+ * "suffix" keeps the files of one run apart: a name already written in this run (by another
+ * input or device) gets _2, _3, ... A file left by an earlier run is replaced, so analyzing
+ * the same log again does not pile up copies. The run is `runStarted` (ms; callers pass the
+ * start of the analysis / export, default: when this module was loaded): a file modified
+ * since then belongs to the run. The name is claimed by creating the file exclusively, so
+ * parallel analyzer workers cannot pick the same one.
+ * Pure path / name logic plus folder creation; settings file IO is done by main.js.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseAlarmTime } = require("./alarms");
+
+const OUTPUT_SETTINGS_FILE = "output_settings.json";
+const COLLISION_MODES = ["suffix", "overwrite"];
+const LOADED_AT = Date.now(); // default start of the run
+// File times can lag the clock (coarse kernel clock, 2 s on FAT): a file this close to the
+// start of the run counts as written by it
+const CLOCK_SLACK_MS = 2000;
+const TEMPLATE_FIELDS = ["input", "device", "sysname", "hostname", "esn", "model", "date", "time"];
+
+const DEFAULT_OUTPUT_SETTINGS = {
+  root: null,
+  json_name: "parsed_{input}",
+  excel_name: "{input}",
+  collision: "suffix",
+  run_folder: false,
+  merge_devices: true,
+};
+
+// ---------- Utils ----------
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const fieldsOf = (template) => [...String(template || "").matchAll(/\{([^{}]*)\}/g)].map(m => m[1]);
+// Characters Windows does not allow in file names
+const cleanPart = (s) => String(s ?? "").replace(/[<>:"/\\|?*\x00-\x1f]/g, "_");
+const SEPARATOR_START = /^[_\-. ]/;
+const SEPARATOR_END = /[_\-. ]$/;
+const stamp = (d) => d.toISOString().replace(/[-:]/g, "").replace("T", "_").slice(0, 15);
+
+// ---------- Base directory & default output folder (EXE/Node safe) ----------
+function isDevElectronExecPath(p) {
+  return /node_modules[\\\/]electron[\\\/]dist/i.test(p || "");
+}
+
+function resolveBaseDir() {
+  if (process.env.PORTABLE_EXECUTABLE_DIR) return process.env.PORTABLE_EXECUTABLE_DIR;
+
+  const exeDir = path.dirname(process.execPath || "");
+  if (isDevElectronExecPath(exeDir)) return process.cwd(); // dev mode / npm start
+  return exeDir || process.cwd();
+}
+
+function ensureDir(p) {
+  try {
+    fs.mkdirSync(p, { recursive: true });
+    return true;
+  } catch (e) {
+    console.error("⚠️ ensureDir failed:", p, e.message);
+    return false;
+  }
+}
+
+function canWriteDir(dir) {
+  try {
+    const test = path.join(dir, ".write-test.tmp");
+    fs.writeFileSync(test, "ok");
+    fs.unlinkSync(test);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Default output folder: output/ next to the app, else <APPDATA or HOME>/Huawei-Analyzer/output.
+ * @returns {string}
+ */
+function getOutputDir() {
+  const base = resolveBaseDir();
+  const primary = path.join(base, "output");
+  if (ensureDir(primary) && canWriteDir(primary)) {
+    console.log("📦 Output dir:", primary, "(primary)");
+    return primary;
+  }
+
+  // Fallback to user profile (Windows/Linux/macOS safe)
+  const appName = "Huawei-Analyzer";
+  const home = process.env.APPDATA || process.env.HOME || process.cwd();
+  const fallback = path.join(home, appName, "output");
+  ensureDir(fallback);
+  console.log("📦 Output dir:", fallback, "(fallback)");
+  return fallback;
+}
+
+// ---------- Settings ----------
+/**
+ * Returns a list of human-readable problems with the settings (empty = valid).
+ * @param {object} s - Output settings.
+ * @returns {Array<string>}
+ */
+function validateSettings(s) {
+  if (!isObj(s)) return ["Output settings must be an object"];
+  const errors = [];
+  if (s.root != null && (typeof s.root !== "string" || !path.isAbsolute(s.root))) {
+    errors.push("root: must be an absolute folder path (or empty for the default)");
+  }
+  for (const key of ["json_name", "excel_name"]) {
+    if (s[key] == null) continue;
+    if (typeof s[key] !== "string" || !s[key].trim()) { errors.push(`${key}: must be a non-empty template`); continue; }
+    const unknown = fieldsOf(s[key]).filter(f => !TEMPLATE_FIELDS.includes(f));
+    if (unknown.length) errors.push(`${key}: unknown field(s) ${unknown.map(f => `{${f}}`).join(", ")}`);
+    if (/[/\\]/.test(s[key].replace(/\{[^{}]*\}/g, ""))) errors.push(`${key}: must not contain folders`);
+  }
+  if (s.collision != null && !COLLISION_MODES.includes(s.collision)) {
+    errors.push(`collision: must be one of ${COLLISION_MODES.join(", ")}`);
+  }
+  return errors;
+}
+
+/**
+ * Fills missing / blank settings from DEFAULT_OUTPUT_SETTINGS.
+ * @param {object|null} raw - Parsed output_settings.json.
+ * @returns {object}
+ */
+function normalizeSettings(raw) {
+  const src = isObj(raw) ? raw : {};
+  const blank = (v) => typeof v !== "string" || !v.trim();
+  return {
+    root: blank(src.root) ? null : src.root.trim(),
+    json_name: blank(src.json_name) ? DEFAULT_OUTPUT_SETTINGS.json_name : src.json_name.trim(),
+    excel_name: blank(src.excel_name) ? DEFAULT_OUTPUT_SETTINGS.excel_name : src.excel_name.trim(),
+    collision: COLLISION_MODES.includes(src.collision) ? src.collision : DEFAULT_OUTPUT_SETTINGS.collision,
+    run_folder: src.run_folder === true,
+    merge_devices: src.merge_devices !== false,
+  };
+}
+
+/**
+ * Output folder of one analysis / export run: the root (or the default folder),
+ * plus a new run_<stamp> subfolder when `run_folder` is set.
+ * @param {object} settings - Normalized output settings.
+ * @param {Date} [now]
+ * @returns {string} - Existing folder.
+ */
+function resolveRunDir(settings, now = new Date()) {
+  const s = normalizeSettings(settings);
+  let root = s.root;
+  if (root && !ensureDir(root)) throw new Error(`Cannot create the output folder: ${root}`);
+  if (!root) root = getOutputDir();
+  if (!s.run_folder) return root;
+
+  const base = path.join(root, `run_${stamp(now)}`);
+  for (let n = 1; ; n++) {
+    const dir = n === 1 ? base : `${base}_${n}`;
+    try {
+      fs.mkdirSync(dir);
+      return dir;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+  }
+}
+
+// ---------- Naming ----------
+/**
+ * Values of the template fields for a model.
+ * @param {object|null} model - Parsed model (null: only input / date / time).
+ * @param {string} inputFile - Source file ({input}).
+ * @param {Date} [now] - {date} / {time} when the log has no device clock.
+ * @returns {object} - { field: string }
+ */
+function templateValues(model, inputFile, now = new Date()) {
+  const id = model?.identity || {};
+  const input = path.basename(String(inputFile || ""), path.extname(String(inputFile || "")));
+  const clock = parseAlarmTime(id.current_time);
+  const iso = clock ? clock.iso : now.toISOString();
+  return {
+    input,
+    device: id.sysname || id.hostname || input,
+    sysname: id.sysname || "",
+    hostname: id.hostname || "",
+    esn: id.serial || "",
+    model: id.model || "",
+    date: iso.slice(0, 10),
+    time: iso.slice(11, 19).replace(/:/g, ""),
+  };
+}
+
+/**
+ * Expands a naming template into a safe file name (no extension).
+ * @param {string} template - e.g. "{sysname}_{esn}_{date}".
+ * @param {object|null} model
+ * @param {string} inputFile
+ * @param {Date} [now]
+ * @returns {string} - Falls back to the input name when the template expands to nothing.
+ */
+function formatName(template, model, inputFile, now) {
+  const values = templateValues(model, inputFile, now);
+  let name = "";
+  let dropLead = false; // an empty field at the start drops the separator after it
+  String(template || "").split(/(\{[^{}]*\})/).forEach((part, i) => {
+    if (i % 2 === 0) {
+      name += cleanPart(dropLead ? part.replace(SEPARATOR_START, "") : part);
+      dropLead = false;
+      return;
+    }
+    const value = cleanPart(String(values[part.slice(1, -1)] ?? "").trim());
+    if (value) name += value;
+    else if (SEPARATOR_END.test(name)) name = name.slice(0, -1);
+    else dropLead = true;
+  });
+  name = name.replace(/^[_\-. ]+|[_\-. ]+$/g, "").slice(0, 150);
+  return name || cleanPart(values.input) || "output";
+}
+
+// Removes a file written before the run started; false when the run owns it (or it is gone)
+function dropEarlierRun(file, runStarted) {
+  try {
+    if (fs.statSync(file).mtimeMs >= runStarted - CLOCK_SLACK_MS) return false;
+    fs.unlinkSync(file);
+    return true;
+  } catch (e) {
+    if (e.code === "ENOENT") return true;
+    throw e;
+  }
+}
+
+/**
+ * Picks the file path for `<name><ext>` in `dir`. With "suffix" a name taken in this run
+ * gets _2, _3, ..., a file of an earlier run is replaced; the chosen file is created empty
+ * (exclusive) so no other writer takes it.
+ * @param {string} dir - Existing folder.
+ * @param {string} name - File name without extension.
+ * @param {string} ext - e.g. ".json".
+ * @param {string} [collision] - "suffix" (default) | "overwrite".
+ * @param {number} [runStarted] - Start of the run (ms since epoch).
+ * @returns {string}
+ */
+function claimPath(dir, name, ext, collision = DEFAULT_OUTPUT_SETTINGS.collision, runStarted = LOADED_AT) {
+  if (collision === "overwrite") return path.join(dir, name + ext);
+  for (let n = 1; ; n++) {
+    const file = path.join(dir, (n === 1 ? name : `${name}_${n}`) + ext);
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(file, "wx"));
+        return file;
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+      }
+      if (!dropEarlierRun(file, runStarted)) break; // taken in this run: next suffix
+    }
+  }
+}
+
+/**
+ * `formatName` + `claimPath`: the path a model is written to.
+ * @param {string} dir
+ * @param {string} template
+ * @param {object|null} model
+ * @param {string} inputFile
+ * @param {string} ext
+ * @param {string} [collision]
+ * @param {number} [runStarted]
+ * @returns {string}
+ */
+function outputPath(dir, template, model, inputFile, ext, collision, runStarted) {
+  return claimPath(dir, formatName(template, model, inputFile), ext, collision, runStarted);
+}
+
+module.exports = {
+  OUTPUT_SETTINGS_FILE,
+  COLLISION_MODES,
+  TEMPLATE_FIELDS,
+  DEFAULT_OUTPUT_SETTINGS,
+  resolveBaseDir,
+  ensureDir,
+  getOutputDir,
+  validateSettings,
+  normalizeSettings,
+  resolveRunDir,
+  templateValues,
+  formatName,
+  claimPath,
+  outputPath,
+};
@@ -0,0 +1,199 @@
+/**
+ * parser_registry.js — Command parser registry: built-in routes plus plugin modules
+ * ----------------------------------------------------
+ * analyzer.js keeps its built-in `ROUTES` ([regex, fn(block, model)]); this module
+ * loads user parsers from a folder (userData/parsers in the app, `--parsers` on the
+ * CLI) and merges both into one route table. A plugin is a CommonJS file:
+ *   module.exports = {
+ *     name: "vrrp-brief",
+ *     command: /^dis(?:play)?\s+vrrp\s+brief/i,    // RegExp or regex source (case-insensitive)
+ *     target: "protocols.vrrp",                     // model path the result is stored at
+ *     parse(text, helpers) { return [...] },         // array -> appended, object -> merged
+ *     excel: { sheet: "VRRP", columns: [{ header: "VRID", key: "vrid" }] },      // optional
+ *     table: { title: "VRRP", columns: [{ header: "VRID", key: "vrid" }], critical_key: "state" } // optional
+ *   };
+ * `text` is the command output without the command line; `helpers` holds small
+ * parsing utils (PLUGIN_HELPERS). Built-in routes are matched first, so a plugin
+ * can add commands but never shadow a built-in parser. A plugin that fails to
+ * load or validate is reported in `errors` and skipped; one that throws while
+ * parsing is reported like a built-in parser error (raw_sections, coverage).
+ */
+const fs = require("fs");
+const path = require("path");
+
+const PLUGIN_EXTENSIONS = [".js", ".cjs"];
+// Model sections a plugin may not write to: the stamps of `newModel` and what the analyzer
+// computes or records itself (`finishModel`, model_merge.js)
+const RESERVED_TARGETS = [
+  "schema_version", "analyzer_version", "raw_sections", "coverage", "findings", "security", "profile",
+  "masking", "sources", "config_text", "config_tree", "plugins",
+];
+
+// ---------- Utils ----------
+const lower = (s) => String(s || "").toLowerCase();
+const toInt = (v) => {
+  const n = parseInt(String(v ?? "").replace(/[^0-9\-]/g, ""), 10);
+  return Number.isFinite(n) ? n : null;
+};
+const toFloat = (v) => {
+  const n = parseFloat(String(v ?? "").replace(/[^0-9.\-]/g, ""));
+  return Number.isFinite(n) ? n : null;
+};
+const lines = (text) => String(text || "").split(/\r?\n/);
+
+// Handed to every plugin `parse(text, helpers)`
+const PLUGIN_HELPERS = Object.freeze({
+  lines,
+  lower,
+  toInt,
+  toFloat,
+  // "  10  Vlanif100  Master  ..." -> ["10", "Vlanif100", "Master", ...]
+  columns: (line) => String(line || "").trim().split(/\s+/).filter(Boolean),
+});
+
+// ---------- Validation ----------
+function validColumns(columns) {
+  return Array.isArray(columns) && columns.length > 0 &&
+    columns.every(c => c && typeof c.header === "string" && c.header && typeof c.key === "string" && c.key);
+}
+
+/**
+ * Checks a plugin definition.
+ * @param {object} def - The plugin's module.exports.
+ * @returns {Array<string>} - Problems found (empty when valid).
+ */
+function validatePlugin(def) {
+  if (!def || typeof def !== "object") return ["module.exports must be an object"];
+  const problems = [];
+  if (typeof def.name !== "string" || !/^[a-z0-9_.-]+$/i.test(def.name)) problems.push("`name` must be a word (letters, digits, - _ .)");
+  if (!(def.command instanceof RegExp)) {
+    if (typeof def.command !== "string" || !def.command) problems.push("`command` must be a RegExp or a regex string");
+    else {
+      try { new RegExp(def.command, "i"); } catch (e) { problems.push(`\`command\` is not a valid regex: ${e.message}`); }
+    }
+  }
+  const segments = typeof def.target === "string" ? def.target.split(".") : [];
+  if (!segments.length || !segments.every(s => /^[a-z_][a-z0-9_]*$/i.test(s))) problems.push("`target` must be a model path such as \"protocols.vrrp\"");
+  else if (RESERVED_TARGETS.includes(segments[0])) problems.push(`\`target\` may not write to "${segments[0]}"`);
+  if (typeof def.parse !== "function") problems.push("`parse` must be a function");
+  if (def.excel != null) {
+    if (typeof def.excel.sheet !== "string" || !def.excel.sheet.trim()) problems.push("`excel.sheet` must be a sheet name");
+    if (!validColumns(def.excel.columns)) problems.push("`excel.columns` must be a list of { header, key }");
+  }
+  if (def.table != null) {
+    if (typeof def.table.title !== "string" || !def.table.title.trim()) problems.push("`table.title` must be a string");
+    if (!validColumns(def.table.columns)) problems.push("`table.columns` must be a list of { header, key }");
+  }
+  return problems;
+}
+
+// ---------- Loading ----------
+/**
+ * Loads and validates every plugin in a folder (not recursive).
+ * A missing folder simply yields no plugins.
+ * @param {string} dir
+ * @returns {object} - { plugins: [{ name, file, command, target, parse, excel, table }], errors: [{ file, error }] }
+ */
+function loadPlugins(dir) {
+  const plugins = [];
+  const errors = [];
+  let files = [];
+  try {
+    files = fs.readdirSync(dir)
+      .filter(f => PLUGIN_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+      .sort()
+      .map(f => path.join(dir, f));
+  } catch (e) {
+    if (e.code !== "ENOENT") errors.push({ file: dir, error: e.message });
+    return { plugins, errors };
+  }
+
+  for (const file of files) {
+    try {
+      delete require.cache[require.resolve(file)]; // pick up edits without a restart
+      const def = require(file);
+      const problems = validatePlugin(def);
+      if (problems.length) throw new Error(problems.join("; "));
+      if (plugins.some(p => p.name === def.name)) throw new Error(`duplicate plugin name "${def.name}"`);
+      plugins.push({
+        name: def.name,
+        file,
+        // a global regex would keep `lastIndex` between blocks
+        command: def.command instanceof RegExp ? new RegExp(def.command.source, def.command.flags.replace(/[gy]/g, "")) : new RegExp(def.command, "i"),
+        target: def.target,
+        parse: def.parse,
+        excel: def.excel || null,
+        table: def.table || null,
+      });
+    } catch (e) {
+      console.error(`Parser plugin ${path.basename(file)} skipped: ${e.message}`);
+      errors.push({ file, error: e.message });
+    }
+  }
+  return { plugins, errors };
+}
+
+// ---------- Routes ----------
+// Stores a plugin result at `target`: arrays are appended, objects merged
+function storeResult(model, target, result) {
+  const segments = target.split(".");
+  const key = segments.pop();
+  let node = model;
+  for (const s of segments) {
+    if (node[s] == null || typeof node[s] !== "object") node[s] = {};
+    node = node[s];
+  }
+  if (Array.isArray(result)) {
+    node[key] = (Array.isArray(node[key]) ? node[key] : []).concat(result);
+  } else if (result && typeof result === "object") {
+    node[key] = Object.assign(node[key] && typeof node[key] === "object" ? node[key] : {}, result);
+  } else if (result != null) {
+    throw new Error(`plugin returned ${typeof result}, expected an array or object`);
+  }
+}
+
+/**
+ * Merges built-in routes with plugin routes (built-ins first, first match wins).
+ * @param {Array} builtins - [[regex, fn(block, model)]]
+ * @param {Array<object>} plugins - From `loadPlugins`.
+ * @returns {Array} - [[regex, fn(block, model)]]
+ */
+function buildRoutes(builtins, plugins) {
+  const pluginRoutes = (plugins || []).map(p => [
+    p.command,
+    (block, model) => storeResult(model, p.target, p.parse(block, PLUGIN_HELPERS)),
+  ]);
+  return [...builtins, ...pluginRoutes];
+}
+
+/**
+ * What the model records about the plugins of a run (`model.plugins`); the
+ * Excel exporter and the renderer build plugin sheets / tables from it.
+ * @param {object} loaded - Result of `loadPlugins`.
+ * @returns {object} - { loaded: [{ name, file, command, target, excel, table }], errors }
+ */
+function describePlugins(loaded) {
+  return {
+    loaded: (loaded?.plugins || []).map(p => ({
+      name: p.name,
+      file: path.basename(p.file),
+      command: p.command.source,
+      target: p.target,
+      excel: p.excel,
+      table: p.table,
+    })),
+    errors: (loaded?.errors || []).map(e => ({ file: path.basename(e.file), error: e.error })),
+  };
+}
+
+/**
+ * Reads a model path ("protocols.vrrp") — used for plugin sheets / tables.
+ * @param {object} model
+ * @param {string} target
+ * @returns {*}
+ */
+function valueAt(model, target) {
+  return String(target || "").split(".").reduce((node, s) => (node == null ? undefined : node[s]), model);
+}
+
+module.exports = { loadPlugins, validatePlugin, buildRoutes, describePlugins, valueAt, PLUGIN_HELPERS, RESERVED_TARGETS };
@@ -0,0 +1,211 @@
+/**
+ * policies.js — Routing policy / filter / ACL extraction from the config tree
+ * ----------------------------------------------------
+ * `extractPolicies(tree)` takes the stanza tree of config_tree.js and returns
+ * the `model.policies` section:
+ *   {
+ *     route_policies:    [{ name, nodes: [{ node, action, matches: [], applies: [], goto, line }] }],
+ *     ip_prefixes:       [{ name, family: 'ipv4'|'ipv6', description, entries: [{ index, action, prefix, length, ge, le }] }],
+ *     community_filters: [{ name, kind: 'community'|'extcommunity', type, entries: [{ index, action, value }] }],
+ *     acls:              [{ name, number, family, type, description, rules: [{ id, action, text }] }],
+ *     references:        [{ kind, name, context, line }],
+ *     cross_ref:         { undefined: [{ kind, name, context, line }], unused: [{ kind, name, line }] }
+ *   }
+ * `kind` is one of REFERENCE_KINDS. A reference to an undefined route-policy
+ * denies every route on VRP, hence the cross-reference report.
+ */
+const { walkTree } = require("./config_tree");
+
+const REFERENCE_KINDS = ["route-policy", "ip-prefix", "ipv6-prefix", "community-filter", "extcommunity-filter", "acl"];
+
+// ---------- Utils ----------
+const lower = (s) => String(s || "").toLowerCase();
+const toInt = (v) => (v == null || v === "" || isNaN(Number(v)) ? null : parseInt(v, 10));
+
+// Basic / advanced / layer-2 ranges of numbered ACLs
+function aclTypeOf(number) {
+  const n = toInt(number);
+  if (n === null) return null;
+  if (n >= 2000 && n <= 2999) return "basic";
+  if (n >= 3000 && n <= 3999) return "advanced";
+  if (n >= 4000 && n <= 4999) return "layer2";
+  return null;
+}
+
+// ---------- Definitions ----------
+function addRoutePolicyNode(out, node) {
+  const m = node.text.match(/^route-policy\s+(\S+)\s+(permit|deny)\s+node\s+(\d+)/i);
+  if (!m) return null;
+  let policy = out.route_policies.find(p => p.name === m[1]);
+  if (!policy) {
+    policy = { name: m[1], nodes: [] };
+    out.route_policies.push(policy);
+  }
+  const kids = node.children.map(c => c.text);
+  const gotoLine = kids.find(t => /^goto\s+/i.test(t));
+  policy.nodes.push({
+    node: toInt(m[3]),
+    action: lower(m[2]),
+    matches: kids.filter(t => /^if-match\s+/i.test(t)),
+    applies: kids.filter(t => /^apply\s+/i.test(t)),
+    goto: gotoLine ? gotoLine.replace(/^goto\s+/i, "") : null,
+    line: node.line
+  });
+  policy.nodes.sort((a, b) => a.node - b.node);
+  return { kind: "route-policy", name: policy.name };
+}
+
+// ip ip-prefix NAME [index N] permit|deny IP LEN [greater-equal G] [less-equal L]
+// ip ipv6-prefix NAME [index N] permit|deny IPV6 LEN [...]
+function addPrefixEntry(out, node) {
+  const m = node.text.match(/^ip\s+(ip|ipv6)-prefix\s+(\S+)\s+(.*)$/i);
+  if (!m) return null;
+  const family = lower(m[1]) === "ip" ? "ipv4" : "ipv6";
+  let list = out.ip_prefixes.find(p => p.name === m[2] && p.family === family);
+  if (!list) {
+    list = { name: m[2], family, description: null, entries: [] };
+    out.ip_prefixes.push(list);
+  }
+  const def = { kind: family === "ipv6" ? "ipv6-prefix" : "ip-prefix", name: list.name };
+  const rest = m[3];
+  const descMatch = rest.match(/^description\s+(.+)$/i);
+  if (descMatch) { list.description = descMatch[1].trim(); return def; }
+
+  const e = rest.match(/^(?:index\s+(\d+)\s+)?(permit|deny)\s+(\S+)\s+(\d+)(.*)$/i);
+  if (!e) return def;
+  const ge = e[5].match(/greater-equal\s+(\d+)/i);
+  const le = e[5].match(/less-equal\s+(\d+)/i);
+  list.entries.push({
+    index: toInt(e[1]),
+    action: lower(e[2]),
+    prefix: e[3],
+    length: toInt(e[4]),
+    ge: ge ? toInt(ge[1]) : null,
+    le: le ? toInt(le[1]) : null
+  });
+  return def;
+}
+
+// ip community-filter basic|advanced NAME [index N] permit|deny VALUE...
+// ip community-filter NUMBER [index N] permit|deny VALUE... (1-99 basic, 100-199 advanced)
+function addCommunityEntry(out, node) {
+  const m = node.text.match(/^ip\s+(community|extcommunity)-filter\s+(?:(basic|advanced)\s+)?(\S+)\s+(?:index\s+(\d+)\s+)?(permit|deny)\s*(.*)$/i);
+  if (!m) return null;
+  const kind = lower(m[1]);
+  const type = m[2] ? lower(m[2]) : /^\d+$/.test(m[3]) ? (toInt(m[3]) < 100 ? "basic" : "advanced") : null;
+  let filter = out.community_filters.find(f => f.name === m[3] && f.kind === kind);
+  if (!filter) {
+    filter = { name: m[3], kind, type, entries: [] };
+    out.community_filters.push(filter);
+  }
+  filter.entries.push({ index: toInt(m[4]), action: lower(m[5]), value: m[6].trim() });
+  return { kind: `${kind}-filter`, name: filter.name };
+}
+
+// acl number N | acl N | acl name NAME [N|basic|advanced] | acl ipv6 number N
+function addAcl(out, node) {
+  const m = node.text.match(/^acl\s+(ipv6\s+)?(?:(?:number\s+)?(\d+)|name\s+(\S+)(?:\s+(\d+|basic|advanced|layer2|mpls))?)/i);
+  if (!m) return null;
+  const number = m[2] || (/^\d+$/.test(m[4] || "") ? m[4] : null);
+  const explicitType = m[4] && !/^\d+$/.test(m[4]) ? lower(m[4]) : null;
+  const descMatch = node.children.map(c => c.text.match(/^description\s+(.+)$/i)).find(Boolean);
+  out.acls.push({
+    name: m[3] || number,
+    number,
+    family: m[1] ? "ipv6" : "ipv4",
+    type: explicitType || aclTypeOf(number),
+    description: descMatch ? descMatch[1].trim() : null,
+    rules: node.children
+      .map(c => c.text.match(/^rule\s+(?:(\d+)\s+)?(permit|deny)\s*(.*)$/i))
+      .filter(Boolean)
+      .map(r => ({ id: toInt(r[1]), action: lower(r[2]), text: r[3].trim() }))
+  });
+  return { kind: "acl", name: m[3] || number };
+}
+
+// ---------- References ----------
+// [kind, regex] — group 1 holds the referenced name(s)
+const REFERENCE_PATTERNS = [
+  ["route-policy", /\broute-policy\s+(\S+)/i],
+  ["ip-prefix", /\bip-prefix\s+(\S+)/i],
+  ["ipv6-prefix", /\b(?:ipv6-prefix|prefix-list)\s+(\S+)/i],
+  ["community-filter", /\b(?:community-filter|comm-filter)\s+(.+)$/i],
+  ["extcommunity-filter", /\bextcommunity-filter\s+(\S+)/i],
+  ["acl", /\bacl(?:-name)?\s+(?:(?:ipv6\s+)?(?:name\s+|number\s+)?)(\S+)/i],
+  ["acl", /\bfilter-policy\s+(\d+)\b/i],
+];
+
+// Lines that define objects (top-level) rather than reference them
+const DEFINITION_REGEX = /^(route-policy\s|ip\s+(ip|ipv6)-prefix\s|ip\s+(community|extcommunity)-filter\s|acl\s)/i;
+
+function referencedNames(kind, captured) {
+  if (kind !== "community-filter") return [captured];
+  // "if-match community-filter 1 whole-match 2", "apply comm-filter X delete"
+  return captured.split(/\s+/).filter(t => t && !/^(whole-match|delete)$/i.test(t));
+}
+
+function collectReferences(tree) {
+  const refs = [];
+  walkTree(tree, (node, parents) => {
+    if (!parents.length && DEFINITION_REGEX.test(node.text)) return;
+    if (/^(undo|description)\s/i.test(node.text)) return;
+    const context = [...parents, node].map(n => n.text).join(" > ");
+    for (const [kind, rx] of REFERENCE_PATTERNS) {
+      const m = node.text.match(rx);
+      if (!m) continue;
+      for (const name of referencedNames(kind, m[1])) {
+        if (!refs.some(r => r.kind === kind && r.name === name && r.line === node.line)) {
+          refs.push({ kind, name, context, line: node.line });
+        }
+      }
+    }
+  });
+  return refs;
+}
+
+// ---------- Cross-reference ----------
+function definedNames(out) {
+  const defs = [];
+  for (const p of out.route_policies) defs.push({ kind: "route-policy", names: [p.name] });
+  for (const l of out.ip_prefixes) defs.push({ kind: l.family === "ipv6" ? "ipv6-prefix" : "ip-prefix", names: [l.name] });
+  for (const f of out.community_filters) defs.push({ kind: `${f.kind}-filter`, names: [f.name] });
+  for (const a of out.acls) defs.push({ kind: "acl", names: [a.name, a.number].filter(Boolean) });
+  return defs;
+}
+
+// lineOf(def) -> line of the first definition, reported with unused objects
+function crossReference(out, lineOf) {
+  const defs = definedNames(out);
+  const isDefined = (kind, name) => defs.some(d => d.kind === kind && d.names.includes(name));
+  const isUsed = (d) => out.references.some(r => r.kind === d.kind && d.names.includes(r.name));
+  return {
+    undefined: out.references.filter(r => !isDefined(r.kind, r.name)),
+    unused: defs.filter(d => !isUsed(d)).map(d => ({ kind: d.kind, name: d.names[0], line: lineOf(d) }))
+  };
+}
+
+/**
+ * Extracts route-policies, prefix lists, community filters and ACLs with a cross-reference report.
+ * @param {object} tree - Root node from config_tree.js `parseConfigTree`.
+ * @returns {object} - The `model.policies` section (see header).
+ */
+function extractPolicies(tree) {
+  const out = { route_policies: [], ip_prefixes: [], community_filters: [], acls: [], references: [], cross_ref: { undefined: [], unused: [] } };
+  const firstLine = new Map(); // "kind|name" -> line of the first definition
+
+  for (const node of tree?.children || []) {
+    const t = node.text;
+    let def = null;
+    if (/^route-policy\s/i.test(t)) def = addRoutePolicyNode(out, node);
+    else if (/^ip\s+(ip|ipv6)-prefix\s/i.test(t)) def = addPrefixEntry(out, node);
+    else if (/^ip\s+(community|extcommunity)-filter\s/i.test(t)) def = addCommunityEntry(out, node);
+    else if (/^acl\s/i.test(t)) def = addAcl(out, node);
+    if (def && !firstLine.has(`${def.kind}|${def.name}`)) firstLine.set(`${def.kind}|${def.name}`, node.line);
+  }
+
+  out.references = collectReferences(tree);
+  out.cross_ref = crossReference(out, (d) => firstLine.get(`${d.kind}|${d.names[0]}`) ?? null);
+  return out;
+}
+
+module.exports = { extractPolicies, REFERENCE_KINDS };
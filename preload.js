@@ -1,5 +1,7 @@
 const { contextBridge, ipcRenderer } = require('electron');
 const path = require('path');
+const profiles = require('./profiles');
+const modelSchema = require('./model_schema');
 
 contextBridge.exposeInMainWorld('electronAPI', {
     // Expose path module for path operations in renderer
@@ -14,10 +16,58 @@ contextBridge.exposeInMainWorld('electronAPI', {
     
     // Для вызова Вашего анализатора (передаем режим и путь)
     analyzeStart: (mode, inputPath) => ipcRenderer.invoke('analyze:start', mode, inputPath),
+    cancelAnalysis: () => ipcRenderer.invoke('analyze:cancel'),
+    // Per-file progress of analyzeStart; returns an unsubscribe function
+    onAnalyzeProgress: (callback) => {
+        const listener = (event, progress) => callback(progress);
+        ipcRenderer.on('analyze:progress', listener);
+        return () => ipcRenderer.removeListener('analyze:progress', listener);
+    },
     
     // Прочитать файл (JSON viewer)
     readFile: (filePath) => ipcRenderer.invoke('file:read', filePath),
+    // Upgrade a parsed JSON written by an older analyzer to the current schema_version
+    migrateModel: (data) => modelSchema.migrateModel(data),
     
-    // Export to Excel
-    exportToExcel: (inputPath, mode) => ipcRenderer.invoke('export:excel', inputPath, mode)
+    // Export to Excel; options { anonymize } builds the workbooks from anonymized models
+    exportToExcel: (inputPath, mode, options) => ipcRenderer.invoke('export:excel', inputPath, mode, options),
+
+    // Anonymized sharing (anonymizer.js): parsed JSON copies, raw log copies, the local mapping
+    exportJson: (inputPath, mode, options) => ipcRenderer.invoke('export:json', inputPath, mode, options),
+    anonymizeLogs: (inputPath, mode) => ipcRenderer.invoke('anonymize:logs', inputPath, mode),
+    loadAnonymizerInfo: () => ipcRenderer.invoke('anonymize:info'),
+    showAnonymizerMapping: () => ipcRenderer.invoke('anonymize:showMapping'),
+
+    // Fleet view tables for many parsed JSON files
+    loadFleet: (jsonPaths) => ipcRenderer.invoke('fleet:load', jsonPaths),
+
+    // Topology graph across parsed JSON files; export as 'graphml' | 'dot'
+    loadTopology: (jsonPaths) => ipcRenderer.invoke('topology:load', jsonPaths),
+    exportTopology: (jsonPaths, format) => ipcRenderer.invoke('topology:export', jsonPaths, format),
+
+    // Compare two parsed JSON files and export the comparison
+    diffStart: (leftPath, rightPath) => ipcRenderer.invoke('diff:start', leftPath, rightPath),
+    exportDiff: (leftPath, rightPath) => ipcRenderer.invoke('export:diff', leftPath, rightPath),
+
+    // Parser plugins (userData/parsers): loaded / broken modules, open the folder
+    listParsers: () => ipcRenderer.invoke('parsers:list'),
+    openParsersFolder: () => ipcRenderer.invoke('parsers:openFolder'),
+
+    // Customer report: load the parsed models of a file / folder, save the report as 'html' | 'pdf'
+    loadReport: (inputPath, mode) => ipcRenderer.invoke('report:load', inputPath, mode),
+    saveReport: (sections, format, template) => ipcRenderer.invoke('report:save', sections, format, template),
+
+    // Device metric history (userData/history): devices, then snapshots / series / changes of one
+    listHistory: () => ipcRenderer.invoke('history:list'),
+    loadHistory: (key) => ipcRenderer.invoke('history:load', key),
+
+    // Output settings: root folder, naming templates, collision handling, per-run subfolders
+    loadOutputSettings: () => ipcRenderer.invoke('output:load'),
+    saveOutputSettings: (settings) => ipcRenderer.invoke('output:save', settings),
+    openOutputFolder: () => ipcRenderer.invoke('output:openFolder'),
+
+    // Health profiles (thresholds / colours / critical severities)
+    loadProfiles: () => ipcRenderer.invoke('profiles:load'),
+    saveProfiles: (store) => ipcRenderer.invoke('profiles:save', store),
+    resolveProfile: (store, model) => profiles.resolveProfile(store, model)
 });
\ No newline at end of file
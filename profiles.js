@@ -0,0 +1,150 @@
+/**
+ * profiles.js — Health threshold / rule profiles
+ * ----------------------------------------------------
+ * A profile store lives in userData as `health_profiles.json` (next to
+ * `last_paths.json`) and looks like:
+ *   {
+ *     selected: "auto" | "<profile name>",
+ *     profiles: [{ name, match: { model, sysname }, thresholds, alarms, status_colors }]
+ *   }
+ * "auto" picks the first profile whose `match` fits the device identity
+ * (e.g. model "NetEngine 8000 M4"), falling back to "default".
+ * Pure functions only: file IO is done by main.js / the CLI callers.
+ */
+const { DEFAULT_THRESHOLDS } = require("./health_rules");
+
+const PROFILES_FILE = "health_profiles.json";
+const AUTO = "auto";
+
+const DEFAULT_PROFILE = {
+  name: "default",
+  match: null,
+  thresholds: { ...DEFAULT_THRESHOLDS },
+  alarms: {
+    critical_severities: ["Critical", "Major"] // counted as "Critical Alarms" in the UI
+  },
+  status_colors: {
+    // keywords (case-insensitive) that colour status cells in the Excel export
+    good: ["UP", "OK", "TRUE", "GOOD", "MASTER", "NORMAL", "PRESENT", "FULL", "OPERATIONAL"],
+    bad: ["DOWN", "FAIL", "FALSE", "CRIT", "MAJOR", "ERROR", "SLAVE", "ABNORMAL"],
+    warn: ["WARN", "MINOR", "ALARM", "ISSUE"]
+  }
+};
+
+// ---------- Utils ----------
+const lower = (s) => String(s || "").toLowerCase();
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+// Drop null/undefined so blank editor fields fall back to the defaults
+const compact = (o) => Object.fromEntries(Object.entries(isObj(o) ? o : {}).filter(([, v]) => v != null));
+
+// Profiles are stored sparse; fill every section from DEFAULT_PROFILE
+function mergeProfile(p) {
+  const src = isObj(p) ? p : {};
+  const t = { ...DEFAULT_PROFILE.thresholds, ...compact(src.thresholds) };
+  t.sfp_rx_dbm = { ...DEFAULT_PROFILE.thresholds.sfp_rx_dbm, ...compact(src.thresholds?.sfp_rx_dbm) };
+  t.sfp_tx_dbm = { ...DEFAULT_PROFILE.thresholds.sfp_tx_dbm, ...compact(src.thresholds?.sfp_tx_dbm) };
+  return {
+    name: src.name || DEFAULT_PROFILE.name,
+    match: isObj(src.match) ? src.match : null,
+    thresholds: t,
+    alarms: { ...DEFAULT_PROFILE.alarms, ...compact(src.alarms) },
+    status_colors: { ...DEFAULT_PROFILE.status_colors, ...compact(src.status_colors) }
+  };
+}
+
+/**
+ * Returns a list of human-readable problems with a profile (empty = valid).
+ * @param {object} p - Profile object.
+ * @returns {Array<string>}
+ */
+function validateProfile(p) {
+  const errors = [];
+  if (!isObj(p)) return ["Profile must be an object"];
+  if (!p.name || typeof p.name !== "string") errors.push("Profile name is required");
+  if (p.name && lower(p.name) === AUTO) errors.push(`"${AUTO}" is reserved and cannot be a profile name`);
+  const t = p.thresholds || {};
+  for (const key of ["cpu_pct", "memory_pct", "temperature_c"]) {
+    if (t[key] != null && !isNum(t[key])) errors.push(`${p.name}: ${key} must be a number`);
+  }
+  for (const key of ["sfp_rx_dbm", "sfp_tx_dbm"]) {
+    const w = t[key];
+    if (w == null) continue;
+    if (!isObj(w) || [w.min, w.max].some(v => v != null && !isNum(v))) errors.push(`${p.name}: ${key} must be { min, max } numbers`);
+    else if (isNum(w.min) && isNum(w.max) && w.min > w.max) errors.push(`${p.name}: ${key} min is greater than max`);
+  }
+  if (t.required_ntp_servers != null && !Array.isArray(t.required_ntp_servers)) {
+    errors.push(`${p.name}: required_ntp_servers must be a list`);
+  }
+  if (p.match != null && !isObj(p.match)) errors.push(`${p.name}: match must be an object`);
+  return errors;
+}
+
+/**
+ * Normalizes whatever was read from disk into a valid store.
+ * The built-in "default" profile is always present.
+ * @param {object} raw - Parsed JSON (or null).
+ * @returns {{ selected: string, profiles: Array<object> }}
+ */
+function normalizeStore(raw) {
+  const src = isObj(raw) ? raw : {};
+  const profiles = (Array.isArray(src.profiles) ? src.profiles : [])
+    .filter(p => isObj(p) && p.name)
+    .map(mergeProfile);
+  if (!profiles.some(p => p.name === DEFAULT_PROFILE.name)) profiles.unshift(mergeProfile(DEFAULT_PROFILE));
+  const names = profiles.map(p => p.name);
+  const selected = src.selected && (src.selected === AUTO || names.includes(src.selected)) ? src.selected : AUTO;
+  return { selected, profiles };
+}
+
+/**
+ * Validates a whole store before it is written to disk.
+ * @param {object} store
+ * @returns {Array<string>}
+ */
+function validateStore(store) {
+  if (!isObj(store) || !Array.isArray(store.profiles)) return ["Store must be { selected, profiles: [] }"];
+  const errors = store.profiles.flatMap(validateProfile);
+  const names = store.profiles.map(p => p && p.name);
+  const dup = names.find((n, i) => n && names.indexOf(n) !== i);
+  if (dup) errors.push(`Duplicate profile name: ${dup}`);
+  return errors;
+}
+
+function matchesDevice(match, model) {
+  if (!isObj(match)) return false;
+  const id = model?.identity || {};
+  const checks = [];
+  if (match.model) checks.push(lower(id.model).includes(lower(match.model)));
+  if (match.sysname) {
+    try {
+      checks.push(new RegExp(match.sysname, "i").test(id.sysname || id.hostname || ""));
+    } catch {
+      checks.push(false); // invalid pattern never matches
+    }
+  }
+  return checks.length > 0 && checks.every(Boolean);
+}
+
+/**
+ * Picks the effective profile for a parsed model.
+ * @param {object} store - Profile store (normalized or raw).
+ * @param {object} [model] - Parsed model, used for "auto" matching.
+ * @returns {object} - Fully merged profile.
+ */
+function resolveProfile(store, model) {
+  const s = normalizeStore(store);
+  if (s.selected !== AUTO) return s.profiles.find(p => p.name === s.selected);
+  const hit = s.profiles.find(p => matchesDevice(p.match, model));
+  return hit || s.profiles.find(p => p.name === DEFAULT_PROFILE.name);
+}
+
+module.exports = {
+  PROFILES_FILE,
+  AUTO,
+  DEFAULT_PROFILE,
+  normalizeStore,
+  validateProfile,
+  validateStore,
+  resolveProfile
+};
@@ -0,0 +1,246 @@
+/**
+ * report.js — Standalone HTML customer report from parsed models
+ * ----------------------------------------------------
+ * `buildReportHtml(devices, options)` wraps the device sections the renderer
+ * already builds (`makeMainHtml`: summary, health findings, security, inventory,
+ * interfaces, routing, alarms) into one self-contained HTML document:
+ *   header (logo, header text, company) -> executive summary -> one chapter per device
+ * `devices` is [{ file, data, html }] (data = parsed model, html = its sections).
+ * The result has no scripts or external links, so it opens anywhere and prints to
+ * PDF offline (main.js `report:save`, `webContents.printToPDF`).
+ * Templating hook: a report template (userData/report_template.json) holds
+ *   { company, header_text, footer_text, logo, accent_color }
+ * `logo` is an image path, inlined by the caller as a data URL (`logoDataUrl`);
+ * `header_text` / `footer_text` may use {company}, {date} and {devices}.
+ * Outside Electron (cli.js) `renderDeviceSections` runs the renderer's `makeMainHtml`
+ * in a vm sandbox, so the CLI report has the same sections as the app.
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { SEVERITY_ORDER } = require("./health_rules");
+const { resolveProfile } = require("./profiles");
+
+const REPORT_TEMPLATE_FILE = "report_template.json";
+const RENDERER_FILE = path.join(__dirname, "interface", "renderer-new.js");
+
+const DEFAULT_TEMPLATE = {
+  company: "",
+  header_text: "Network Health Report",
+  footer_text: "{company} — generated {date}",
+  logo: null,          // path to a .png / .jpg / .svg file
+  accent_color: "#5865F2",
+};
+
+const LOGO_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".svg": "image/svg+xml", ".gif": "image/gif" };
+
+// ---------- Utils ----------
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const lower = (s) => String(s || "").toLowerCase();
+
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+// "{company} — {date}" -> "ACME — 2025-10-09 16:27"
+function fillPlaceholders(text, values) {
+  return String(text || "").replace(/\{(\w+)\}/g, (m, k) => (k in values ? String(values[k]) : m));
+}
+
+/**
+ * Fills a (sparse) template from DEFAULT_TEMPLATE.
+ * @param {object} raw - Parsed report_template.json (or null).
+ * @returns {object}
+ */
+function normalizeTemplate(raw) {
+  const src = isObj(raw) ? raw : {};
+  const t = { ...DEFAULT_TEMPLATE };
+  for (const k of Object.keys(DEFAULT_TEMPLATE)) {
+    if (typeof src[k] === "string") t[k] = src[k].trim() || DEFAULT_TEMPLATE[k];
+  }
+  if (!/^#[0-9a-f]{3,8}$/i.test(t.accent_color)) t.accent_color = DEFAULT_TEMPLATE.accent_color;
+  return t;
+}
+
+/**
+ * MIME type of a logo file, null when it is not a supported image.
+ * @param {string} file
+ * @returns {string|null}
+ */
+function logoMimeType(file) {
+  return LOGO_TYPES[path.extname(String(file || "")).toLowerCase()] || null;
+}
+
+// ---------- Executive summary ----------
+/**
+ * One executive-summary row per device.
+ * @param {{ file: string, data: object }} entry
+ * @param {object} [profiles] - Health profile store (critical alarm severities).
+ * @returns {object} - { device, model, version, esn, collected, findings: { Critical, Major, ... }, active_alarms, critical_alarms, security_score, status }
+ */
+function summarizeDevice({ file, data }, profiles) {
+  const d = data || {};
+  const findings = Object.fromEntries(SEVERITY_ORDER.map(s => [s, 0]));
+  for (const f of d.findings || []) {
+    if (f.severity in findings) findings[f.severity]++;
+  }
+  const critical = (resolveProfile(profiles, d).alarms?.critical_severities || []).map(lower);
+  const active = d.alarms?.active || [];
+  const criticalAlarms = active.filter(a => critical.includes(lower(a.severity))).length;
+  // Critical alarms make a device at least "Major"
+  let status = SEVERITY_ORDER.find(s => findings[s] > 0) || "OK";
+  if (criticalAlarms > 0 && !["Critical", "Major"].includes(status)) status = "Major";
+  return {
+    device: d.identity?.sysname || d.identity?.hostname || path.basename(file || "unknown", ".json"),
+    model: d.identity?.model || "",
+    version: d.software?.version || d.identity?.version || "",
+    esn: d.identity?.serial || "",
+    collected: d.identity?.current_time || "",
+    findings,
+    active_alarms: active.length,
+    critical_alarms: criticalAlarms,
+    security_score: d.security?.score ?? null,
+    status,
+  };
+}
+
+function renderExecutiveSummary(rows) {
+  const withIssues = rows.filter(r => r.status === "Critical" || r.status === "Major").length;
+  const alarms = rows.reduce((n, r) => n + r.active_alarms, 0);
+  const scores = rows.map(r => r.security_score).filter(s => s != null);
+  const avgScore = scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : null;
+
+  let html = `<section class="executive-summary"><h1>Executive Summary</h1>`;
+  html += `<p>${rows.length} device(s) analyzed: ${withIssues} with critical or major health findings, ` +
+    `${alarms} active alarm(s) in total${avgScore != null ? `, average security score ${avgScore}/100` : ""}.</p>`;
+  html += `<table class="data-table"><thead><tr>`;
+  ["Device", "Model", "Version", "ESN", "Collected", ...SEVERITY_ORDER, "Active Alarms", "Security", "Status"].forEach(h => html += `<th>${h}</th>`);
+  html += `</tr></thead><tbody>`;
+  for (const r of rows) {
+    const rowClass = /critical|major/i.test(r.status) ? "critical" : /minor|warning/i.test(r.status) ? "warning" : "";
+    html += `<tr class="${rowClass}"><td><a href="#device-${escapeHtml(r.anchor)}">${escapeHtml(r.device)}</a></td>` +
+      `<td>${escapeHtml(r.model)}</td><td>${escapeHtml(r.version)}</td><td>${escapeHtml(r.esn)}</td><td>${escapeHtml(r.collected)}</td>` +
+      SEVERITY_ORDER.map(s => `<td>${r.findings[s]}</td>`).join("") +
+      `<td>${r.active_alarms}${r.critical_alarms ? ` (${r.critical_alarms} critical)` : ""}</td>` +
+      `<td>${r.security_score == null ? "N/A" : `${r.security_score}/100`}</td><td>${escapeHtml(r.status)}</td></tr>`;
+  }
+  html += `</tbody></table></section>`;
+  return html;
+}
+
+// ---------- Device sections ----------
+// Sections without rows ("Title (0)" + "Empty data.") only add noise to a printed report
+const EMPTY_SECTION = /<h2 class="collapsible-header[^"]*">[^<]*\(0\)<\/h2><div class="collapsible-content[^"]*"><div class="table-wrapper[^"]*"><p class="text-gray-400 p-4">[^<]*<\/p><\/div><\/div>/g;
+
+function printableSections(html) {
+  return String(html || "")
+    .replace(EMPTY_SECTION, "")
+    .replace(/<div class="alarm-toolbar">[\s\S]*?<\/div>/g, "")
+    .replace(/ ▼<\/th>/g, "</th>");
+}
+
+// makeMainHtml only reads `window.electronAPI.resolveProfile` and the `profileStore` global;
+// the DOMContentLoaded wiring of the script never runs in the sandbox
+let rendererSandbox = null;
+
+/**
+ * Builds the device sections of the renderer (`makeMainHtml`) without a browser window.
+ * @param {object} model - Parsed model (current schema).
+ * @param {object} [profiles] - Health profile store.
+ * @returns {string} - HTML sections.
+ */
+function renderDeviceSections(model, profiles) {
+  if (!rendererSandbox) {
+    rendererSandbox = vm.createContext({
+      console,
+      document: { addEventListener() {} },
+      window: { electronAPI: { resolveProfile } },
+    });
+    vm.runInContext(fs.readFileSync(RENDERER_FILE, "utf8"), rendererSandbox, { filename: RENDERER_FILE });
+  }
+  rendererSandbox.reportModel = model;
+  rendererSandbox.reportProfiles = profiles || null;
+  return vm.runInContext("profileStore = reportProfiles; makeMainHtml(reportModel)", rendererSandbox);
+}
+
+// ---------- Document ----------
+function reportCss(accent) {
+  return `
+    * { box-sizing: border-box; }
+    body { font-family: "Segoe UI", Arial, sans-serif; font-size: 11px; color: #1f2328; margin: 0; padding: 24px; }
+    header.report-header { display: flex; align-items: center; gap: 16px; border-bottom: 3px solid ${accent}; padding-bottom: 12px; margin-bottom: 16px; }
+    header.report-header img { max-height: 56px; max-width: 220px; }
+    header.report-header .title { font-size: 22px; font-weight: 700; }
+    header.report-header .meta { color: #57606a; }
+    h1 { font-size: 18px; color: ${accent}; margin: 20px 0 8px; }
+    h2.collapsible-header { font-size: 13px; margin: 14px 0 4px; padding: 4px 8px; background: #f0f2f5; border-left: 4px solid ${accent}; }
+    section.device { page-break-before: always; }
+    .data-table { width: 100%; border-collapse: collapse; margin-bottom: 6px; page-break-inside: auto; }
+    .data-table th, .data-table td { border: 1px solid #d0d7de; padding: 3px 5px; text-align: left; vertical-align: top; word-break: break-word; }
+    .data-table thead th, .data-table tbody th { background: #f6f8fa; }
+    .data-table tr { page-break-inside: avoid; }
+    tr.critical td, td.critical { background: #ffebe9; }
+    tr.warning td { background: #fff8c5; }
+    .up { color: #1a7f37; }
+    .down { color: #cf222e; }
+    .text-gray-400, .text-gray-500 { color: #57606a; }
+    .p-4 { padding: 6px 8px; }
+    .security-score { padding: 1px 6px; border-radius: 4px; color: #fff; background: #57606a; }
+    .security-score.good { background: #1a7f37; }
+    .security-score.fair { background: #bf8700; }
+    .security-score.poor { background: #cf222e; }
+    footer.report-footer { margin-top: 24px; border-top: 1px solid #d0d7de; padding-top: 6px; color: #57606a; }
+    a { color: ${accent}; text-decoration: none; }
+    @page { size: A4 landscape; margin: 12mm; }
+  `;
+}
+
+/**
+ * Builds the standalone report document.
+ * @param {Array<{file: string, data: object, html: string}>} devices - Parsed models with their makeMainHtml sections.
+ * @param {object} [options] - { template, logoDataUrl, profiles, generatedAt: Date }
+ * @returns {string} - HTML document.
+ */
+function buildReportHtml(devices, options = {}) {
+  const list = devices || [];
+  if (!list.length) throw new Error("Nothing to report: no parsed files given.");
+  const t = normalizeTemplate(options.template);
+  const generatedAt = options.generatedAt || new Date();
+  const values = {
+    company: t.company,
+    date: generatedAt.toISOString().slice(0, 16).replace("T", " "),
+    devices: list.length,
+  };
+
+  const rows = list.map((entry, i) => ({ ...summarizeDevice(entry, options.profiles), anchor: i + 1 }));
+  const title = fillPlaceholders(t.header_text, values);
+
+  let html = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>`;
+  html += `<style>${reportCss(t.accent_color)}</style></head><body>`;
+  html += `<header class="report-header">`;
+  if (options.logoDataUrl) html += `<img src="${escapeHtml(options.logoDataUrl)}" alt="">`;
+  html += `<div><div class="title">${escapeHtml(title)}</div>`;
+  html += `<div class="meta">${[t.company, `Generated ${values.date}`, `${list.length} device(s)`].filter(Boolean).map(escapeHtml).join(" · ")}</div></div></header>`;
+
+  html += renderExecutiveSummary(rows);
+  list.forEach((entry, i) => {
+    const r = rows[i];
+    html += `<section class="device" id="device-${r.anchor}"><h1>${escapeHtml(r.device)}${r.model ? ` — ${escapeHtml(r.model)}` : ""}</h1>`;
+    html += printableSections(entry.html);
+    html += `</section>`;
+  });
+
+  const footer = fillPlaceholders(t.footer_text, values).replace(/^\s*[—-]\s*/, "");
+  if (footer.trim()) html += `<footer class="report-footer">${escapeHtml(footer)}</footer>`;
+  return html + `</body></html>`;
+}
+
+module.exports = {
+  REPORT_TEMPLATE_FILE,
+  DEFAULT_TEMPLATE,
+  normalizeTemplate,
+  logoMimeType,
+  summarizeDevice,
+  renderDeviceSections,
+  buildReportHtml,
+};
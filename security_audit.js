@@ -0,0 +1,171 @@
+/**
+ * security_audit.js — Hardening audit of a parsed VRP model
+ * ----------------------------------------------------
+ * Runs every check in `CHECKS` over a model built by analyzer.js (mostly its
+ * `config_tree`) and returns the `model.security` section:
+ *   {
+ *     score,        // 0..100, 100 = no findings; null when the log has no configuration
+ *     findings: [{ severity, check_id, object, message, recommendation, line }]
+ *   }
+ * `line` is the config line of the offending command (null when the finding
+ * comes from elsewhere, e.g. the login banner). Severities follow the VRP alarm
+ * levels used by health_rules.js. Each failed check lowers the score once, by
+ * the weight of its worst finding, so ten password-only SSH users don't weigh
+ * more than an enabled FTP server.
+ */
+const { childrenOf, findDeep } = require("./config_tree");
+const { SEVERITY_ORDER } = require("./health_rules");
+
+const SEVERITY_WEIGHTS = { Critical: 25, Major: 15, Minor: 7, Warning: 3 };
+
+// Algorithms considered weak in `ssh server|client cipher|hmac|key-exchange`
+const WEAK_SSH = {
+  cipher: ["des_cbc", "3des_cbc", "aes128_cbc", "aes192_cbc", "aes256_cbc", "arcfour128", "arcfour256", "blowfish_cbc"],
+  hmac: ["md5", "md5_96", "sha1", "sha1_96", "sha2_256_96"],
+  "key-exchange": ["dh_group1_sha1", "dh_group14_sha1", "dh_group_exchange_sha1"],
+};
+
+const WEAK_TLS_VERSIONS = ["ssl3.0", "tls1.0", "tls1.1"];
+
+// ---------- Utils ----------
+const lower = (s) => String(s || "").toLowerCase();
+const topLevel = (model, rx) => childrenOf(model.config_tree, rx);
+
+// ---------- Checks ----------
+// Every check receives (model, add) and calls
+// add(severity, object, message, recommendation, line) once per finding.
+function c_ftp_server(model, add) {
+  for (const n of topLevel(model, /^ftp\s+(ipv6\s+)?server\s+enable$/i)) {
+    add("Major", "FTP server", `FTP server is enabled (\`${n.text}\`); credentials and files travel in clear text`,
+      "Disable it with `undo ftp server enable` and use SFTP", n.line);
+  }
+}
+
+function c_telnet_server(model, add) {
+  for (const n of topLevel(model, /^telnet\s+(ipv6\s+)?server\s+enable$/i)) {
+    add("Major", "Telnet server", `Telnet server is enabled (\`${n.text}\`); sessions are not encrypted`,
+      "Disable it with `undo telnet server enable` and use STelnet (SSH)", n.line);
+  }
+}
+
+function c_snmp_v1_v2c(model, add) {
+  for (const n of topLevel(model, /^snmp-agent\s+sys-info\s+version\s+/i)) {
+    const versions = n.text.split(/\s+/).slice(3).map(lower);
+    const weak = versions.filter(v => v === "v1" || v === "v2c" || v === "all");
+    if (weak.length) {
+      add("Major", "SNMP version", `SNMP ${weak.join(", ")} is enabled; community strings are sent in clear text`,
+        "Enable SNMPv3 only: `snmp-agent sys-info version v3` and `undo snmp-agent sys-info version v1 v2c`", n.line);
+    }
+  }
+  for (const n of topLevel(model, /^snmp-agent\s+community\s+(read|write)\s+/i)) {
+    const access = lower(n.text.split(/\s+/)[2]);
+    add(access === "write" ? "Major" : "Minor", `SNMP ${access} community`, `SNMPv1/v2c ${access} community is configured`,
+      "Remove communities and use SNMPv3 USM users with authentication and privacy", n.line);
+  }
+}
+
+function c_ssh_weak_algorithms(model, add) {
+  for (const n of topLevel(model, /^ssh\s+(server|client)\s+(cipher|hmac|key-exchange)\s+/i)) {
+    const [, side, kind] = n.text.match(/^ssh\s+(server|client)\s+(cipher|hmac|key-exchange)/i).map(lower);
+    const algorithms = n.text.split(/\s+/).slice(3).map(lower);
+    const weak = algorithms.filter(a => WEAK_SSH[kind].includes(a));
+    if (!weak.length) continue;
+    add(side === "server" ? "Minor" : "Warning", `SSH ${side} ${kind}`, `Weak SSH ${side} ${kind} algorithms allowed: ${weak.join(", ")}`,
+      `Remove them from \`ssh ${side} ${kind}\``, n.line);
+  }
+}
+
+function c_ssl_minimum_version(model, add) {
+  for (const n of findDeep(model.config_tree, /^ssl\s+minimum\s+version\s+\S+/i)) {
+    const version = lower(n.text.split(/\s+/)[3]);
+    if (WEAK_TLS_VERSIONS.includes(version)) {
+      add("Major", "SSL minimum version", `SSL minimum version is ${version}, below tls1.2`,
+        "Set `ssl minimum version tls1.2` in every ssl policy", n.line);
+    }
+  }
+}
+
+function c_local_user_password_policy(model, add) {
+  for (const aaa of topLevel(model, /^aaa$/i)) {
+    const userLines = childrenOf(aaa, /^local-user\s+\S+/i);
+    const users = [...new Set(userLines.map(n => n.text.split(/\s+/)[1]))];
+    if (!users.length) continue;
+
+    if (!childrenOf(aaa, /^local-aaa-user\s+password\s+policy\s+/i).length) {
+      add("Minor", "AAA local users", `No local-user password policy (expiry / history) for ${users.length} local user(s): ${users.join(", ")}`,
+        "Configure `local-aaa-user password policy administrator` with `password expire` and `password history record number`", aaa.line);
+    }
+    for (const n of childrenOf(aaa, /^user-password\s+password-force-change\s+disable$/i)) {
+      add("Minor", "AAA local users", "Forced change of the initial password is disabled",
+        "Remove `user-password password-force-change disable`", n.line);
+    }
+    for (const name of users) {
+      const own = userLines.filter(n => n.text.split(/\s+/)[1] === name);
+      if (!own.some(n => lower(n.text.split(/\s+/)[2]) === "password")) {
+        add("Major", `Local user ${name}`, `Local user ${name} has no password configured`,
+          `Set a password: \`local-user ${name} password irreversible-cipher\``, own[0].line);
+      }
+    }
+  }
+}
+
+// Login banner warnings kept by analyzer.js ("The initial password poses security risks.")
+function c_password_warnings(model, add) {
+  for (const w of model.identity?.password_warnings || []) {
+    const initial = /initial password/i.test(w);
+    add("Major", initial ? "Initial password" : "Account password", `Device warned at login: "${w}"`,
+      "Change the initial / default passwords of all accounts", null);
+  }
+}
+
+function c_ssh_password_only(model, add) {
+  for (const u of model.identity?.ssh_users || []) {
+    if (lower(u.auth_type) !== "password") continue;
+    add("Warning", `SSH user ${u.name}`, `SSH user ${u.name} authenticates with a password only`,
+      `Use key-based login: \`ssh user ${u.name} authentication-type rsa\` (or password-rsa / ecc)`, null);
+  }
+}
+
+// ---------- Check map ----------
+const CHECKS = [
+  ["FTP_SERVER_ENABLED", c_ftp_server],
+  ["TELNET_SERVER_ENABLED", c_telnet_server],
+  ["SNMP_V1_V2C", c_snmp_v1_v2c],
+  ["SSH_WEAK_ALGORITHMS", c_ssh_weak_algorithms],
+  ["SSL_MIN_VERSION", c_ssl_minimum_version],
+  ["LOCAL_USER_PASSWORD_POLICY", c_local_user_password_policy],
+  ["PASSWORD_WARNING", c_password_warnings],
+  ["SSH_PASSWORD_ONLY", c_ssh_password_only],
+];
+
+/**
+ * Audits the configuration hardening of a parsed model.
+ * @param {object} model - The model built by analyzer.js.
+ * @returns {object} - { score, findings } (see header).
+ */
+function auditSecurity(model) {
+  const findings = [];
+  let score = 100;
+  for (const [checkId, fn] of CHECKS) {
+    const before = findings.length;
+    const add = (severity, object, message, recommendation, line) =>
+      findings.push({ severity, check_id: checkId, object, message, recommendation, line: line ?? null });
+    try {
+      fn(model || {}, add);
+    } catch (e) {
+      console.error(`Error in security check '${checkId}': ${e.message}`);
+    }
+    const worst = Math.max(0, ...findings.slice(before).map(f => SEVERITY_WEIGHTS[f.severity] || 0));
+    score -= worst;
+  }
+  const rank = (s) => {
+    const i = SEVERITY_ORDER.indexOf(s);
+    return i < 0 ? SEVERITY_ORDER.length : i;
+  };
+  return {
+    score: model?.config_tree ? Math.max(0, score) : null,
+    findings: findings.sort((a, b) => rank(a.severity) - rank(b.severity))
+  };
+}
+
+module.exports = { auditSecurity, CHECKS, SEVERITY_WEIGHTS };
@@ -0,0 +1,138 @@
+/**
+ * test/anonymizer.js — Round-trip and leak tests for anonymizer.js
+ * ----------------------------------------------------
+ * For every sample log of the repository root (SAMPLE_LOGS), with the models `parseDevices`
+ * finds in it:
+ *   - round trip: `deanonymizeText(anonymizeText(log))` gives back the log, apart from the
+ *     secrets, which are redacted for good (`redactSecrets`)
+ *   - no leak: no collected host / ESN / user / VPN name (MIN_NAME_LENGTH characters or more)
+ *     is left as a whole word in the anonymized log or the anonymized models
+ *   - prefixes: two mapped IPv4 addresses share as many leading bits after the mapping as
+ *     before, so two addresses of one /30 (a point-to-point link) stay in one /30
+ * The mapping gets a fixed key, so a failure is reproducible.
+ * Usage:
+ *   node test/anonymizer.js   (run first by `npm test`)
+ */
+const fs = require("fs");
+const path = require("path");
+const anonymizer = require("../anonymizer");
+const { parseDevices } = require("../analyzer");
+
+const ROOT = path.resolve(__dirname, "..");
+const SAMPLE_LOGS = ["log_example1.log", "log_example2.txt", "CommonCollectResult.txt"];
+const LEAK_KINDS = ["host", "esn", "user", "vpn"];
+const MIN_NAME_LENGTH = 3; // shorter names are only replaced in their defining lines
+const KEY = "5c".repeat(32);
+const MAX_REPORTED = 10; // per check
+
+// ---------- Helpers ----------
+// The analyzer logs a summary per file; keep the test output readable
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// Whole words, as the anonymizer replaces them
+const wordRegex = (name) => new RegExp(`(?<![A-Za-z0-9])${escapeRe(name)}(?![A-Za-z0-9])`);
+const ipv4ToInt = (ip) => ip.split(".").reduce((n, b) => n * 256 + Number(b), 0);
+// Number of leading bits two IPv4 addresses share
+const commonBits = (a, b) => Math.clz32((ipv4ToInt(a) ^ ipv4ToInt(b)) >>> 0);
+const isIpv4 = (s) => /^\d+\.\d+\.\d+\.\d+$/.test(s);
+
+// ---------- Checks ----------
+// The first differing line of two texts, or null
+function firstDifference(expected, actual) {
+  const a = expected.split("\n");
+  const b = actual.split("\n");
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return `line ${i + 1}: expected ${JSON.stringify(a[i])}, got ${JSON.stringify(b[i])}`;
+  }
+  return null;
+}
+
+function checkRoundTrip(mapping, raw, anonymized) {
+  const diff = firstDifference(anonymizer.redactSecrets(raw), anonymizer.deanonymizeText(mapping, anonymized));
+  return diff ? [`round trip differs at ${diff}`] : [];
+}
+
+function checkLeaks(mapping, texts) {
+  const problems = [];
+  for (const kind of LEAK_KINDS) {
+    for (const name of Object.keys(mapping[kind])) {
+      if (name.length < MIN_NAME_LENGTH) continue;
+      const re = wordRegex(name);
+      texts.forEach(([where, text]) => {
+        if (re.test(text)) problems.push(`${kind} "${name}" left in the ${where}`);
+      });
+    }
+  }
+  return problems;
+}
+
+function checkPrefixes(mapping) {
+  const problems = [];
+  const pairs = Object.entries(mapping.ip).filter(([real]) => isIpv4(real));
+  for (let i = 0; i < pairs.length; i++) {
+    for (let j = i + 1; j < pairs.length; j++) {
+      const [realA, pseudoA] = pairs[i];
+      const [realB, pseudoB] = pairs[j];
+      const before = commonBits(realA, realB);
+      const after = commonBits(pseudoA, pseudoB);
+      if (before !== after) problems.push(`${realA} / ${realB} share ${before} bits, ${pseudoA} / ${pseudoB} share ${after}`);
+    }
+  }
+  return problems;
+}
+
+// A /30 written out, so the check does not depend on the sample logs holding one
+function checkSlash30() {
+  const mapping = { ...anonymizer.newMapping(), key: KEY };
+  const out = anonymizer.anonymizeText(mapping, "ip address 10.20.30.41 255.255.255.252\npeer 10.20.30.42\n");
+  const [a, b] = [mapping.ip["10.20.30.41"], mapping.ip["10.20.30.42"]];
+  if (!a || !b) return [`10.20.30.41 / 10.20.30.42 not mapped: ${JSON.stringify(out)}`];
+  if (commonBits(a, b) < 30) return [`10.20.30.41 / 10.20.30.42 became ${a} / ${b}: not one /30`];
+  if (!out.includes("255.255.255.252")) return ["the /30 netmask was not kept"];
+  return [];
+}
+
+// ---------- Main ----------
+function report(name, problems) {
+  if (!problems.length) {
+    console.log(`✅ ${name}`);
+    return true;
+  }
+  console.log(`❌ ${name}`);
+  problems.slice(0, MAX_REPORTED).forEach(p => console.log(`   ${p}`));
+  if (problems.length > MAX_REPORTED) console.log(`   ... ${problems.length - MAX_REPORTED} more`);
+  return false;
+}
+
+function main() {
+  let failed = 0;
+  for (const file of SAMPLE_LOGS) {
+    const inFile = path.join(ROOT, file);
+    const raw = fs.readFileSync(inFile, "utf8");
+    const models = quietly(() => parseDevices(inFile)).map(m => JSON.parse(JSON.stringify(m)));
+    const mapping = { ...anonymizer.newMapping(), key: KEY };
+    const anonymized = anonymizer.anonymizeText(mapping, raw, models);
+    const anonymizedModels = JSON.stringify(models.map(m => anonymizer.anonymizeModel(mapping, m)));
+
+    if (!report(`${file}: round trip`, checkRoundTrip(mapping, raw, anonymized))) failed++;
+    if (!report(`${file}: no names left`, checkLeaks(mapping, [["log", anonymized], ["models", anonymizedModels]]))) failed++;
+    if (!report(`${file}: IPv4 prefixes kept`, checkPrefixes(mapping))) failed++;
+  }
+  if (!report("a /30 stays a /30", checkSlash30())) failed++;
+
+  console.log(failed ? `\n${failed} anonymizer check(s) failed` : "\nAll anonymizer checks passed");
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,122 @@
+/**
+ * test/archive.js — Failed logs inside collection bundles are reported, not dropped
+ * ----------------------------------------------------
+ * Builds a .zip (in a temporary folder) holding a good log and a corrupt nested archive,
+ * then checks that the corrupt entry comes back as failed from every way in:
+ *   - `archiveEntries`: { entries, failed, logs }
+ *   - `analyzeFile`: the failed log follows the written devices as { file, archive, entry, error }
+ *   - analyzer_pool.js `runAnalysis` (the app): listed under `failed`, the bundle 'finished'
+ *   - `cli.js analyze`: exit code 2 (EXIT.PARTIAL)
+ * Usage:
+ *   node test/archive.js   (run by `npm test`)
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const JSZip = require("jszip");
+
+const ROOT = path.resolve(__dirname, "..");
+const GOOD_LOG = path.join(__dirname, "fixtures", "display_version.txt");
+const CLI_TIMEOUT_MS = 60000;
+
+// The analyzer logs a summary per file; keep the test output readable
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    console.error = error;
+  }
+}
+
+// bundle.zip: PE1/good.log and PE1/broken.gz (not gzip data); all_broken.zip: only the latter
+function writeBundles(dir) {
+  const broken = Buffer.from("this is not gzip data\n".repeat(8));
+  const bundle = new JSZip();
+  bundle.file("PE1/good.log", fs.readFileSync(GOOD_LOG));
+  bundle.file("PE1/broken.gz", broken);
+  const allBroken = new JSZip();
+  allBroken.file("PE2/broken.gz", broken);
+  const files = { bundle: path.join(dir, "bundle.zip"), allBroken: path.join(dir, "all_broken.zip") };
+  fs.writeFileSync(files.bundle, bundle.generate({ type: "nodebuffer" }));
+  fs.writeFileSync(files.allBroken, allBroken.generate({ type: "nodebuffer" }));
+  return files;
+}
+
+// ---------- Cases ----------
+const CASES = [
+  ["archiveEntries returns the corrupt entry as failed", async ({ bundle }) => {
+    const analyzer = require("../analyzer");
+    const { entries, failed, logs } = await quietly(() => analyzer.archiveEntries(bundle, { quiet: true }));
+    assert.strictEqual(logs, 2);
+    assert.deepStrictEqual(entries.map(e => e.entry), ["PE1/good.log"]);
+    assert.deepStrictEqual(failed.map(f => [f.entry, f.archive, f.file]), [
+      ["PE1/broken.gz", bundle, path.join(bundle, "PE1", "broken.gz")],
+    ]);
+    assert.match(failed[0].error, /unreadable archive/);
+  }],
+
+  ["analyzeFile lists the failed log after the written devices", async ({ bundle }, outDir) => {
+    const analyzer = require("../analyzer");
+    const results = await quietly(() => analyzer.analyzeFile(bundle, { quiet: true, outDir }));
+    assert.strictEqual(results.length, 2);
+    assert.ok(results[0].outputPath && fs.existsSync(results[0].outputPath));
+    assert.strictEqual(results[1].entry, "PE1/broken.gz");
+    assert.ok(results[1].error && !results[1].outputPath);
+  }],
+
+  ["runAnalysis lists the failed log under failed", async ({ bundle, allBroken }, outDir) => {
+    const { runAnalysis } = require("../analyzer_pool");
+    const events = [];
+    const { results, failed } = await quietly(() => runAnalysis([bundle, allBroken], {
+      options: { quiet: true, outDir },
+      concurrency: 1,
+      onProgress: (p) => { if (p.type === "finished" || p.type === "failed") events.push([path.basename(p.file), p.type, !!p.error]); },
+    }).promise);
+    assert.deepStrictEqual(results.map(r => r.entry), ["PE1/good.log"]);
+    assert.deepStrictEqual(failed.map(f => f.entry), ["PE1/broken.gz", "PE2/broken.gz"]);
+    assert.deepStrictEqual(events, [["bundle.zip", "finished", true], ["all_broken.zip", "failed", true]]);
+  }],
+
+  ["cli.js analyze exits with the partial-failure code", async ({ bundle }, outDir) => {
+    const run = spawnSync(process.execPath, [path.join(ROOT, "cli.js"), "analyze", bundle, "-o", outDir, "-q"], {
+      encoding: "utf8",
+      timeout: CLI_TIMEOUT_MS,
+    });
+    assert.strictEqual(run.status, 2, run.stderr);
+    assert.match(run.stderr, /broken\.gz/);
+  }],
+];
+
+// ---------- Main ----------
+async function main() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scrappy-archive-"));
+  let failed = 0;
+  try {
+    const bundles = writeBundles(dir);
+    for (const [name, fn] of CASES) {
+      const outDir = fs.mkdtempSync(path.join(dir, "out-"));
+      try {
+        await fn(bundles, outDir);
+        console.log(`✅ ${name}`);
+      } catch (e) {
+        failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   ${String(e.message).split("\n").join("\n   ")}`);
+      }
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log(failed ? `\n${failed} archive check(s) failed` : "\nAll archive checks passed");
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
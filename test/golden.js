@@ -0,0 +1,215 @@
+/**
+ * test/golden.js — Golden-file regression tests for the analyzer parsers
+ * ----------------------------------------------------
+ * Runs `parseDevices` on every fixture log and compares the model with the
+ * committed golden JSON in test/golden/<fixture>.json (an array of models when the
+ * fixture is a capture of several devices):
+ *   - the sample logs of the repository root (SAMPLE_LOGS)
+ *   - per-command snippets and synthetic logs in test/fixtures/
+ *   - folders of test/fixtures/: the logs of one collection, parsed file by file and
+ *     merged by device (model_merge.js `mergeEntries`, files named relative to the folder)
+ *   - archives of test/fixtures/ (.zip, .gz, .tgz): the same for the logs inside, read in
+ *     memory by `archiveEntries` (files named by their archive-relative path)
+ *   - parsed JSONs of older schema versions in test/fixtures/ (parsed_v0.json, ...): opened
+ *     through model_schema.js `migrateModel`, so every step of `MIGRATIONS` is covered
+ * `parseDevicesStream` must produce the same models as `parseDevices` (archives and saved
+ * JSONs are not streamed, so they are read once), and every model must
+ * validate against model.schema.json (model_schema.js). `analyzer_version` is left
+ * out of the goldens so a version bump alone does not fail every fixture.
+ * A mismatch prints a structural diff (one line per changed path):
+ *   ~ path: expected → actual    (changed value)
+ *   - path: expected             (missing in the new model)
+ *   + path: actual               (new in the new model)
+ * Usage:
+ *   npm test                              # compare every fixture
+ *   npm test -- display_fan bgp           # only fixtures whose name contains a filter
+ *   npm run test:update [-- filters]      # (re)write the goldens after an intended change
+ * Every new parser gets a fixture here; review the golden diff (git diff test/golden)
+ * before committing it.
+ */
+const fs = require("fs");
+const path = require("path");
+const { validateModel, migrateModel } = require("../model_schema");
+const { mergeEntries } = require("../model_merge");
+
+const ROOT = path.resolve(__dirname, "..");
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const GOLDEN_DIR = path.join(__dirname, "golden");
+const SAMPLE_LOGS = ["log_example1.log", "log_example2.txt", "CommonCollectResult.txt"];
+const FIXTURE_EXTENSIONS = [".txt", ".log"];
+const ARCHIVE_EXTENSIONS = [".zip", ".gz", ".tgz"];
+const SAVED_MODEL_EXTENSIONS = [".json"];
+const MAX_DIFF_LINES = 40; // per fixture
+
+// ---------- Fixtures ----------
+const isLog = (f) => FIXTURE_EXTENSIONS.includes(path.extname(f).toLowerCase());
+const isArchive = (f) => ARCHIVE_EXTENSIONS.includes(path.extname(f).toLowerCase());
+const isSavedModel = (f) => SAVED_MODEL_EXTENSIONS.includes(path.extname(f).toLowerCase());
+
+// { name, files, golden }: one log, the logs of a fixture folder, { name, archive, golden }
+// or { name, saved, golden } (a parsed JSON of an older schema version)
+function listFixtures() {
+  const samples = SAMPLE_LOGS.map(f => path.join(ROOT, f));
+  const items = fs.readdirSync(FIXTURES_DIR, { withFileTypes: true });
+  const snippets = items.filter(d => d.isFile() && isLog(d.name)).map(d => d.name).sort().map(f => path.join(FIXTURES_DIR, f));
+  const folders = items.filter(d => d.isDirectory()).map(d => d.name).sort().map(f => path.join(FIXTURES_DIR, f));
+  const archives = items.filter(d => d.isFile() && isArchive(d.name)).map(d => d.name).sort().map(f => path.join(FIXTURES_DIR, f));
+  const saved = items.filter(d => d.isFile() && isSavedModel(d.name)).map(d => d.name).sort().map(f => path.join(FIXTURES_DIR, f));
+  return [
+    ...[...samples, ...snippets].map(file => ({ name: path.basename(file), files: [file] })),
+    ...folders.map(dir => ({
+      name: path.basename(dir),
+      dir,
+      files: fs.readdirSync(dir).filter(isLog).sort().map(f => path.join(dir, f)),
+    })),
+    ...archives.map(archive => ({ name: path.basename(archive), archive })),
+    ...saved.map(file => ({ name: path.basename(file), saved: file })),
+  ].map(fx => ({ ...fx, golden: path.join(GOLDEN_DIR, `${fx.name}.json`) }));
+}
+
+// The analyzer logs a summary per file; keep the test output readable
+async function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+// Plain JSON, as written by analyzeFile
+const toJson = (model) => JSON.parse(JSON.stringify(model));
+// ... compared without the analyzer version stamp
+const comparable = (model) => {
+  const { analyzer_version, ...rest } = toJson(model);
+  return rest;
+};
+
+// ---------- Structural diff ----------
+function preview(v) {
+  const s = JSON.stringify(v);
+  if (s === undefined) return "undefined";
+  return s.length > 80 ? `${s.slice(0, 77)}...` : s;
+}
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Lists the differences between two JSON values.
+ * Arrays are compared by index, so an inserted element shows up as changes from there on.
+ * @param {*} expected
+ * @param {*} actual
+ * @param {string} [at] - Path of the values ("" = root).
+ * @param {Array<string>} [out]
+ * @returns {Array<string>}
+ */
+function diffJson(expected, actual, at = "", out = []) {
+  const label = at || "(root)";
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    const n = Math.max(expected.length, actual.length);
+    for (let i = 0; i < n; i++) {
+      const p = `${at}[${i}]`;
+      if (i >= actual.length) out.push(`- ${p}: ${preview(expected[i])}`);
+      else if (i >= expected.length) out.push(`+ ${p}: ${preview(actual[i])}`);
+      else diffJson(expected[i], actual[i], p, out);
+    }
+  } else if (isObject(expected) && isObject(actual)) {
+    for (const key of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+      const p = at ? `${at}.${key}` : key;
+      if (!(key in actual)) out.push(`- ${p}: ${preview(expected[key])}`);
+      else if (!(key in expected)) out.push(`+ ${p}: ${preview(actual[key])}`);
+      else diffJson(expected[key], actual[key], p, out);
+    }
+  } else if (expected !== actual) {
+    out.push(`~ ${label}: ${preview(expected)} → ${preview(actual)}`);
+  }
+  return out;
+}
+
+// ---------- Runner ----------
+// One model as is, several as an array
+const goldenOf = (models) => (models.length === 1 ? comparable(models[0]) : models.map(comparable));
+
+// The models of a fixture: one file as parsed, a folder or an archive merged by device,
+// a saved JSON migrated to the current schema version
+async function parseFixture(fx, parse, analyzer) {
+  if (fx.saved) return [migrateModel(JSON.parse(fs.readFileSync(fx.saved, "utf8")))];
+  if (fx.archive) {
+    const entries = analyzer.archiveEntries(fx.archive).entries.map(e => ({ file: e.entry, data: e.data }));
+    return mergeEntries(entries).map(e => e.data);
+  }
+  if (!fx.dir) return parse(fx.files[0]);
+  const entries = [];
+  for (const file of fx.files) {
+    for (const data of await parse(file)) entries.push({ file: path.basename(file), data });
+  }
+  return mergeEntries(entries).map(e => e.data);
+}
+
+async function checkFixture(analyzer, fx, update) {
+  const parsed = await quietly(() => parseFixture(fx, analyzer.parseDevices, analyzer));
+  const model = goldenOf(parsed);
+  const streamed = fx.archive || fx.saved ? model : goldenOf(await quietly(() => parseFixture(fx, analyzer.parseDevicesStream, analyzer)));
+  const checks = [
+    ...parsed.flatMap(m => validateModel(toJson(m))).map(l => `schema: ${l}`),
+    ...diffJson(model, streamed).map(l => `parseDevicesStream differs from parseDevices: ${l}`),
+  ];
+
+  if (update) {
+    fs.writeFileSync(fx.golden, JSON.stringify(model, null, 2) + "\n", "utf8");
+    return { status: checks.length ? "failed" : "updated", lines: checks };
+  }
+  if (!fs.existsSync(fx.golden)) {
+    return { status: "missing", lines: [`no golden file ${path.relative(ROOT, fx.golden)}; run \`npm run test:update -- ${fx.name}\``] };
+  }
+  const golden = JSON.parse(fs.readFileSync(fx.golden, "utf8"));
+  const lines = [
+    ...diffJson(golden, model),
+    ...checks,
+  ];
+  return { status: lines.length ? "failed" : "passed", lines };
+}
+
+async function main(argv) {
+  const update = argv.includes("--update");
+  const filters = argv.filter(a => !a.startsWith("--"));
+  const fixtures = listFixtures().filter(fx => !filters.length || filters.some(f => fx.name.includes(f)));
+  if (!fixtures.length) throw new Error(`No fixture matches: ${filters.join(", ")}`);
+
+  const analyzer = await quietly(() => require("../analyzer"));
+  fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+
+  const counts = { passed: 0, failed: 0, missing: 0, updated: 0 };
+  for (const fx of fixtures) {
+    let result;
+    try {
+      result = await checkFixture(analyzer, fx, update);
+    } catch (e) {
+      result = { status: "failed", lines: [`analyzer threw: ${e.stack || e.message}`] };
+    }
+    counts[result.status]++;
+    const icon = { passed: "✅", updated: "📝", failed: "❌", missing: "❌" }[result.status];
+    console.log(`${icon} ${fx.name}${result.status === "passed" ? "" : ` (${result.status})`}`);
+    for (const l of result.lines.slice(0, MAX_DIFF_LINES)) console.log(`    ${l}`);
+    if (result.lines.length > MAX_DIFF_LINES) console.log(`    ... and ${result.lines.length - MAX_DIFF_LINES} more difference(s)`);
+  }
+
+  console.log(update
+    ? `\n${counts.updated} golden file(s) written to ${path.relative(ROOT, GOLDEN_DIR)}`
+    : `\n${counts.passed} passed, ${counts.failed + counts.missing} failed (${fixtures.length} fixtures)`);
+  return counts.failed + counts.missing === 0;
+}
+
+module.exports = { diffJson, listFixtures };
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(e => {
+      console.error("❌", e.stack || e.message);
+      process.exit(1);
+    });
+}
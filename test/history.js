@@ -0,0 +1,124 @@
+/**
+ * test/history.js — Tests for the trend series and change detection of history_store.js
+ * ----------------------------------------------------
+ * `trendSeries` and `detectChanges` on hand-written snapshots (metrics as written by
+ * `snapshotMetrics`): every TREND_THRESHOLDS kind is flagged above its threshold and not
+ * below it, flags come newest first, and a VRF that vanished from a snapshot with route
+ * summaries counts as 0 routes (a snapshot without any route summary was not collected).
+ * Usage:
+ *   node test/history.js   (run by `npm test`)
+ */
+const assert = require("assert");
+const { trendSeries, detectChanges } = require("../history_store");
+
+// A snapshot with the given metrics (the rest not collected)
+const snap = (collected_at, metrics) => ({ collected_at, metrics });
+
+const T1 = "2025-03-01T10:00:00";
+const T2 = "2025-03-02T10:00:00";
+const T3 = "2025-03-03T10:00:00";
+
+// ---------- Cases ----------
+const CASES = [
+  ["a VRF missing next to other VRFs dropped to 0 routes", () => {
+    const flags = detectChanges([
+      snap(T1, { routes_by_vrf: { _public_: 1000, CUST_A: 120 } }),
+      snap(T2, { routes_by_vrf: { _public_: 990 } }),
+    ]);
+    assert.deepStrictEqual(flags.map(f => [f.kind, f.severity, f.object, f.before, f.after]), [
+      ["route_drop", "Critical", "VRF CUST_A", 120, 0],
+    ]);
+  }],
+
+  ["no route summary at all is not a drop", () => {
+    const flags = detectChanges([
+      snap(T1, { routes_by_vrf: { _public_: 1000, CUST_A: 120 } }),
+      snap(T2, { routes_by_vrf: {} }),
+      snap(T3, { cpu_avg: 10 }),
+    ]);
+    assert.deepStrictEqual(flags, []);
+  }],
+
+  ["route drops above the threshold only, Critical from 50%", () => {
+    const flags = detectChanges([
+      snap(T1, { routes_by_vrf: { A: 100, B: 100, C: 100 } }),
+      snap(T2, { routes_by_vrf: { A: 85, B: 70, C: 40 } }),
+    ]);
+    assert.deepStrictEqual(flags.map(f => [f.object, f.severity]).sort(), [["VRF B", "Major"], ["VRF C", "Critical"]]);
+  }],
+
+  ["optics, CPU, memory, temperature, alarms and disk", () => {
+    const flags = detectChanges([
+      snap(T1, {
+        cpu_avg: 10, memory_pct: 40, temp_max_c: 45, alarms_active: 1, disk_free_mb: 1000,
+        optics: { "GE0/1/0": { rx_dbm: -3, tx_dbm: -2 }, "GE0/1/1": { rx_dbm: -3, tx_dbm: -2 } },
+      }),
+      snap(T2, {
+        cpu_avg: 50, memory_pct: 61, temp_max_c: 56, alarms_active: 7, disk_free_mb: 600,
+        optics: { "GE0/1/0": { rx_dbm: -6, tx_dbm: -4.5 }, "GE0/1/1": { rx_dbm: -4, tx_dbm: -2 } },
+      }),
+    ]);
+    assert.deepStrictEqual(flags.map(f => `${f.kind} ${f.object} ${f.metric}`).sort(), [
+      "alarm_rise Active alarms alarms_active",
+      "cpu_rise CPU avg cpu_avg",
+      "disk_free_drop Disk disk_free_mb",
+      "memory_rise Memory usage memory_pct",
+      "optical_degradation SFP GE0/1/0 rx_dbm",
+      "optical_degradation SFP GE0/1/0 tx_dbm",
+      "temperature_rise Max temperature temp_max_c",
+    ]);
+    assert.ok(flags.every(f => f.at === T2));
+  }],
+
+  ["thresholds can be overridden", () => {
+    const snaps = [snap(T1, { cpu_avg: 10 }), snap(T2, { cpu_avg: 25 })];
+    assert.strictEqual(detectChanges(snaps).length, 0);
+    assert.strictEqual(detectChanges(snaps, { cpu_rise_pct: 10 }).length, 1);
+  }],
+
+  ["flags come newest first", () => {
+    const flags = detectChanges([
+      snap(T1, { cpu_avg: 10 }),
+      snap(T2, { cpu_avg: 50 }),
+      snap(T3, { cpu_avg: 90 }),
+    ]);
+    assert.deepStrictEqual(flags.map(f => f.at), [T3, T2]);
+  }],
+
+  ["trendSeries: one point per snapshot, null when not collected, 0 for a vanished VRF", () => {
+    const series = trendSeries([
+      snap(T1, { cpu_avg: 10, routes_by_vrf: { _public_: 1000, CUST_A: 120 }, optics: { "GE0/1/0": { rx_dbm: -3, tx_dbm: -2 } } }),
+      snap(T2, { cpu_avg: 12, routes_by_vrf: { _public_: 990 } }),
+      snap(T3, {}),
+    ]);
+    assert.deepStrictEqual(series.times, [T1, T2, T3]);
+    assert.deepStrictEqual(series.metrics.cpu_avg, [10, 12, null]);
+    assert.deepStrictEqual(series.metrics.memory_pct, [null, null, null]);
+    assert.deepStrictEqual(series.routes_by_vrf, { CUST_A: [120, 0, null], _public_: [1000, 990, null] });
+    assert.deepStrictEqual(series.optics, { "GE0/1/0": { rx_dbm: [-3, null, null], tx_dbm: [-2, null, null] } });
+  }],
+
+  ["empty history", () => {
+    assert.deepStrictEqual(detectChanges([]), []);
+    assert.deepStrictEqual(trendSeries(undefined).times, []);
+  }],
+];
+
+// ---------- Main ----------
+function main() {
+  let failed = 0;
+  for (const [name, fn] of CASES) {
+    try {
+      fn();
+      console.log(`✅ ${name}`);
+    } catch (e) {
+      failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${String(e.message).split("\n").join("\n   ")}`);
+    }
+  }
+  console.log(failed ? `\n${failed} history check(s) failed` : "\nAll history checks passed");
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,70 @@
+/**
+ * test/model_diff.js — Tests for the section and config diff of model_diff.js
+ * ----------------------------------------------------
+ * `diffModels` on hand-written models: BGP config peers that share an IP across VPN
+ * instances (and the public view) are compared per VRF, and the config hunks carry the
+ * line numbers of config_text, blank lines included.
+ * Usage:
+ *   node test/model_diff.js   (run by `npm test`)
+ */
+const assert = require("assert");
+const { diffModels } = require("../model_diff");
+
+// A model with the given BGP config peers and config text
+const model = (config_peers, config_text = null) => ({
+  identity: { sysname: "PE2" },
+  protocols: { bgp: { config_peers } },
+  config_text,
+});
+const peer = (vrf, peer_ip, peer_as, import_policies = []) => ({ peer_ip, local_as: "65000", peer_as, vrf, import_policies });
+const section = (diff, name) => diff.sections.find(s => s.section === name);
+
+// ---------- Cases ----------
+const CASES = [
+  ["a peer IP in two VRFs is compared per VRF", () => {
+    const left = model([peer(null, "192.168.1.1", "65000"), peer("A", "192.168.1.1", "65101", ["RP-A-IN"]), peer("B", "192.168.1.1", "65102", ["RP-B-IN"])]);
+    const right = model([peer(null, "192.168.1.1", "65000"), peer("B", "192.168.1.1", "65202", ["RP-B-IN"]), peer("C", "192.168.1.1", "65103")]);
+    const s = section(diffModels(left, right), "bgp_config_peers");
+    assert.deepStrictEqual(s.removed, ["A 192.168.1.1"]);
+    assert.deepStrictEqual(s.added, ["C 192.168.1.1"]);
+    assert.deepStrictEqual(s.changed, [{ key: "B 192.168.1.1", fields: [{ field: "peer_as", before: "65102", after: "65202" }] }]);
+  }],
+
+  ["a peer moved from the public view to a VRF is removed and added", () => {
+    const s = section(diffModels(model([peer(null, "10.0.0.3", "65001")]), model([peer("A", "10.0.0.3", "65001")])), "bgp_config_peers");
+    assert.deepStrictEqual([s.removed, s.added, s.changed], [["10.0.0.3"], ["A 10.0.0.3"], []]);
+  }],
+
+  ["config hunks number the lines of config_text, blank lines included", () => {
+    const left = model([], "#\nsysname PE2\n\n#\ninterface GE0/1/0\n description x\n\n#\nreturn");
+    const right = model([], "#\nsysname PE2\n\n\n#\ninterface GE0/1/0\n description y\n#\nreturn");
+    const { config } = diffModels(left, right);
+    assert.deepStrictEqual([config.added, config.removed], [1, 1]);
+    const changes = config.hunks.flatMap(h => h.lines).filter(l => l.op !== "=");
+    assert.deepStrictEqual(changes, [
+      { op: "-", a: 6, b: null, text: " description x" },
+      { op: "+", a: null, b: 7, text: " description y" },
+    ]);
+    const unchanged = config.hunks.flatMap(h => h.lines).find(l => l.text === "interface GE0/1/0");
+    assert.deepStrictEqual([unchanged.a, unchanged.b], [5, 6]);
+  }],
+];
+
+// ---------- Main ----------
+function main() {
+  let failed = 0;
+  for (const [name, fn] of CASES) {
+    try {
+      fn();
+      console.log(`✅ ${name}`);
+    } catch (e) {
+      failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${String(e.message).split("\n").join("\n   ")}`);
+    }
+  }
+  console.log(failed ? `\n${failed} model diff check(s) failed` : "\nAll model diff checks passed");
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,265 @@
+/**
+ * topology.js — Network topology discovered across many parsed models
+ * ----------------------------------------------------
+ * `buildTopology(entries)` takes [{ file, data }] (data = parsed model) and
+ * correlates the devices with each other:
+ *   - subnet: interfaces of two devices share a /30 or /31
+ *   - bgp:    a `config_peers` / peer IP is another device's router ID
+ *   - ospf:   an OSPF neighbor ID is another device's router ID
+ *   - lldp:   an LLDP neighbor system name is another device's sysname
+ * Result:
+ *   {
+ *     nodes: [{ id, model, router_id, file }],
+ *     links: [{ source, target, kind, source_if, target_if, detail }]
+ *   }
+ * Both ends usually report an adjacency: lldp / subnet links are one per device pair and
+ * port (two reports are the same link when the interfaces both know agree, "GE0/1/0" being
+ * "GigabitEthernet0/1/0"), ospf / bgp links one per device pair; the reports are merged
+ * into one link with the interfaces of both.
+ * `toGraphML(topo)` / `toDot(topo)` serialize it for yEd / Gephi / Graphviz.
+ */
+const fs = require("fs");
+const path = require("path");
+const { readModel } = require("./model_schema");
+
+const P2P_PREFIXES = [30, 31]; // point-to-point subnets worth linking
+
+// ---------- Utils ----------
+const lower = (s) => String(s || "").toLowerCase();
+
+function deviceNameOf(d, file) {
+  return d?.identity?.sysname || d?.identity?.hostname || (file ? path.basename(file, ".json") : "unknown");
+}
+
+// Interface names as both ends may spell them: "GE0/1/0" = "GigabitEthernet0/1/0"
+const IF_ABBREVIATIONS = [[/^xgigabitethernet/, "xge"], [/^gigabitethernet/, "ge"], [/^ethernet/, "eth"]];
+function interfaceKey(name) {
+  const n = lower(name).replace(/\s+/g, "");
+  const abbr = IF_ABBREVIATIONS.find(([re]) => re.test(n));
+  return abbr ? n.replace(abbr[0], abbr[1]) : n;
+}
+
+// Masked addresses ("172.***.***.***") are not valid and never match
+function ipToInt(ip) {
+  const m = String(ip || "").trim().match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (!m) return null;
+  const o = m.slice(1).map(Number);
+  if (o.some(x => x > 255)) return null;
+  return ((o[0] << 24) >>> 0) + (o[1] << 16) + (o[2] << 8) + o[3];
+}
+
+function intToIp(n) {
+  return [n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join(".");
+}
+
+// "255.255.255.252" or "30" -> 30
+function prefixLength(mask) {
+  if (/^\d{1,2}$/.test(String(mask || "").trim())) return Number(mask);
+  const n = ipToInt(mask);
+  if (n === null) return null;
+  let len = 0;
+  while (len < 32 && (n & (0x80000000 >>> len))) len++;
+  return len;
+}
+
+function subnetKey(ip, mask) {
+  const addr = ipToInt(ip);
+  const len = prefixLength(mask);
+  if (addr === null || !P2P_PREFIXES.includes(len)) return null;
+  const net = (addr & ((0xffffffff << (32 - len)) >>> 0)) >>> 0;
+  return `${intToIp(net)}/${len}`;
+}
+
+// All addresses a device answers to as "router ID"
+function routerIdsOf(d) {
+  const id = d.identity || {};
+  return [
+    id.router_id_public,
+    id.lsr_id,
+    ...Object.values(id.router_ids || {}),
+    ...Object.values(d.protocols?.ospf?.router_ids || {}),
+  ].filter(ip => ipToInt(ip) !== null);
+}
+
+// ---------- Builder ----------
+/**
+ * Correlates parsed models into a device graph.
+ * @param {Array<{file: string, data: object}>} entries
+ * @returns {object} - { nodes, links }
+ */
+function buildTopology(entries) {
+  const devices = (entries || []).map(({ file, data }) => ({ id: deviceNameOf(data || {}, file), file, d: data || {} }));
+  const nodes = devices.map(({ id, file, d }) => ({
+    id,
+    model: d.identity?.model || "",
+    router_id: routerIdsOf(d)[0] || "",
+    file: file ? path.basename(file) : ""
+  }));
+
+  // Lookups: router ID -> device, name -> device
+  const byRouterId = new Map();
+  const byName = new Map();
+  for (const dev of devices) {
+    for (const rid of routerIdsOf(dev.d)) if (!byRouterId.has(rid)) byRouterId.set(rid, dev.id);
+    for (const n of [dev.id, dev.d.identity?.sysname, dev.d.identity?.hostname]) {
+      if (n && !byName.has(lower(n))) byName.set(lower(n), dev.id);
+    }
+  }
+
+  const links = [];
+  const byPair = new Map(); // "kind|source|target" -> links of that kind between the two devices
+  // Another report of `l`: ospf / bgp always, lldp / subnet when the ports agree
+  const sameLink = (kind, l, sIf, tIf) => {
+    if (kind === "bgp" || kind === "ospf") return true;
+    const agree = (x, y) => !x || !y || interfaceKey(x) === interfaceKey(y);
+    const shared = (l.source_if && sIf) || (l.target_if && tIf) || (!l.source_if && !l.target_if && !sIf && !tIf);
+    return agree(l.source_if, sIf) && agree(l.target_if, tIf) && !!shared;
+  };
+  const addLink = (kind, a, b, aIf, bIf, detail) => {
+    if (!a || !b || a === b) return;
+    // Undirected: both ends usually report the same adjacency
+    const [s, t, sIf, tIf] = a < b ? [a, b, aIf, bIf] : [b, a, bIf, aIf];
+    const key = `${kind}|${s}|${t}`;
+    if (!byPair.has(key)) byPair.set(key, []);
+    const known = byPair.get(key).find(l => sameLink(kind, l, sIf, tIf));
+    if (known) {
+      // Fill in what the other end knew about
+      known.source_if = known.source_if || sIf || null;
+      known.target_if = known.target_if || tIf || null;
+      known.detail = known.detail || detail || "";
+      return;
+    }
+    const link = { source: s, target: t, kind, source_if: sIf || null, target_if: tIf || null, detail: detail || "" };
+    byPair.get(key).push(link);
+    links.push(link);
+  };
+
+  // LLDP
+  for (const dev of devices) {
+    for (const n of dev.d.protocols?.lldp?.neighbors || []) {
+      const peer = byName.get(lower(n.neighbor_device));
+      addLink("lldp", dev.id, peer, n.local_interface, n.neighbor_interface, n.chassis_id ? `chassis ${n.chassis_id}` : "");
+    }
+  }
+
+  // Shared /30 and /31 subnets
+  const subnets = new Map(); // key -> [{ device, iface }]
+  for (const dev of devices) {
+    for (const itf of dev.d.interfaces || []) {
+      const key = subnetKey(itf.ip, itf.mask);
+      if (!key) continue;
+      if (!subnets.has(key)) subnets.set(key, []);
+      subnets.get(key).push({ device: dev.id, iface: itf.name });
+    }
+  }
+  for (const [key, ends] of subnets) {
+    for (let i = 0; i < ends.length; i++) {
+      for (let j = i + 1; j < ends.length; j++) {
+        if (ends[i].device !== ends[j].device) addLink("subnet", ends[i].device, ends[j].device, ends[i].iface, ends[j].iface, key);
+      }
+    }
+  }
+
+  // OSPF neighbors
+  for (const dev of devices) {
+    for (const n of dev.d.protocols?.ospf?.neighbors || []) {
+      addLink("ospf", dev.id, byRouterId.get(n.neighbor_id), n.interface, null, n.area ? `area ${n.area}` : "");
+    }
+  }
+
+  // BGP peers (configured + session tables)
+  for (const dev of devices) {
+    const bgp = dev.d.protocols?.bgp || {};
+    for (const p of bgp.config_peers || []) {
+      const detail = p.local_as && p.peer_as ? `AS ${p.local_as} - AS ${p.peer_as}` : "";
+      addLink("bgp", dev.id, byRouterId.get(p.peer_ip), null, null, detail);
+    }
+    for (const p of [...(bgp.neighbors || []), ...(bgp.vpnv4 || []), ...(bgp.evpn_peers || [])]) {
+      addLink("bgp", dev.id, byRouterId.get(p.neighbor), null, null, p.as != null ? `peer AS ${p.as}` : "");
+    }
+  }
+
+  return { nodes, links };
+}
+
+// ---------- Serializers ----------
+const xml = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const dotStr = (s) => `"${String(s ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+/**
+ * Serializes a topology as GraphML.
+ * @param {object} topo - Result of buildTopology.
+ * @returns {string}
+ */
+function toGraphML(topo) {
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="model" for="node" attr.name="model" attr.type="string"/>',
+    '  <key id="router_id" for="node" attr.name="router_id" attr.type="string"/>',
+    '  <key id="kind" for="edge" attr.name="kind" attr.type="string"/>',
+    '  <key id="source_if" for="edge" attr.name="source_if" attr.type="string"/>',
+    '  <key id="target_if" for="edge" attr.name="target_if" attr.type="string"/>',
+    '  <key id="detail" for="edge" attr.name="detail" attr.type="string"/>',
+    '  <graph id="topology" edgedefault="undirected">'
+  ];
+  for (const n of topo.nodes) {
+    out.push(`    <node id="${xml(n.id)}"><data key="model">${xml(n.model)}</data><data key="router_id">${xml(n.router_id)}</data></node>`);
+  }
+  topo.links.forEach((l, i) => {
+    out.push(`    <edge id="e${i}" source="${xml(l.source)}" target="${xml(l.target)}">` +
+      `<data key="kind">${xml(l.kind)}</data><data key="source_if">${xml(l.source_if)}</data>` +
+      `<data key="target_if">${xml(l.target_if)}</data><data key="detail">${xml(l.detail)}</data></edge>`);
+  });
+  out.push("  </graph>", "</graphml>", "");
+  return out.join("\n");
+}
+
+/**
+ * Serializes a topology as a Graphviz DOT graph.
+ * @param {object} topo - Result of buildTopology.
+ * @returns {string}
+ */
+function toDot(topo) {
+  const styles = { lldp: "solid", subnet: "bold", ospf: "dashed", bgp: "dotted" };
+  const out = ["graph topology {", "  node [shape=box];"];
+  for (const n of topo.nodes) {
+    const label = [n.id, n.model, n.router_id].filter(Boolean).join("\\n");
+    out.push(`  ${dotStr(n.id)} [label="${label.replace(/"/g, '\\"')}"];`);
+  }
+  for (const l of topo.links) {
+    const label = [l.kind, l.source_if && l.target_if ? `${l.source_if} - ${l.target_if}` : l.source_if || l.target_if, l.detail]
+      .filter(Boolean).join("\\n");
+    out.push(`  ${dotStr(l.source)} -- ${dotStr(l.target)} [label="${label.replace(/"/g, '\\"')}", style=${styles[l.kind] || "solid"}];`);
+  }
+  out.push("}", "");
+  return out.join("\n");
+}
+
+module.exports = { buildTopology, toGraphML, toDot };
+
+// ───────────────── CLI (optional) ─────────────────
+// node topology.js --dir <parsed json dir> [--format graphml|dot] [--out file]
+if (require.main === module) {
+  try {
+    const getArg = (flag) => {
+      const i = process.argv.indexOf(flag);
+      return i >= 0 ? process.argv[i + 1] : null;
+    };
+    const dir = getArg("--dir");
+    if (!dir) throw new Error("Usage: node topology.js --dir <dir> [--format graphml|dot] [--out file]");
+    const files = fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith(".json")).map(f => path.join(dir, f));
+    const topo = buildTopology(files.map(file => ({ file, data: readModel(file) })));
+    const text = getArg("--format") === "dot" ? toDot(topo) : toGraphML(topo);
+    const out = getArg("--out");
+    if (out) {
+      fs.writeFileSync(out, text, "utf8");
+      console.log(`✅ Topology written: ${out} (${topo.nodes.length} devices, ${topo.links.length} links)`);
+    } else {
+      process.stdout.write(text);
+    }
+  } catch (e) {
+    console.error("❌", e.message);
+    process.exit(1);
+  }
+}